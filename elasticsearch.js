@@ -0,0 +1,77 @@
+/**
+ * elasticsearch.js
+ *
+ * A live Elasticsearch cluster seeded from a diagnostic dump
+ * (csf/ELK_TAL_Pro.txt by default): the recorded nodes, indices and shard
+ * layout, then indexing, search, heap, GC and shard movements that evolve
+ * every tick.
+ *
+ * Usage:
+ *   npm install express prom-client
+ *   npm install js-yaml     (optional: YAML scenario, fault and auth files)
+ *   node elasticsearch.js
+ *   ES_DUMP=bg.txt NODES=3 node elasticsearch.js
+ *
+ * Endpoints:
+ *   GET /                   -> cluster name, uuid and version (from the dump)
+ *   GET /_cluster/health    -> live status and shard counters (?level=indices)
+ *   GET /_nodes/stats[/m,m] -> docs, store, indexing, search, JVM heap and GC,
+ *                              CPU, thread pools, disk per node
+ *   GET /_nodes             -> node info
+ *   GET /_cat/health, /_cat/nodes, /_cat/indices, /_cat/shards,
+ *       /_cat/allocation    -> aligned text (?v, ?h=, ?s=, ?bytes=,
+ *                              ?format=json)
+ *   GET /metrics            -> Prometheus metrics (elasticsearch_exporter names)
+ *   GET /api/status         -> simulator summary (rates, heap pressure, nodes)
+ *   GET /api/history        -> per-tick samples (current rates, latency, heap
+ *                              pressure, shard counts), as in apache-http.js
+ *
+ *   POST /admin/set         -> { indexing_rate, search_rate, heap_pressure,
+ *                                seed } (seed reseeds and restarts; 400 on
+ *                                unknown or out-of-range fields)
+ *   GET|PATCH /admin/state  -> the same fields, read or updated (no seed)
+ *   POST /admin/reset, /admin/snapshot, /admin/restore -> tick 0, save and
+ *                                restore the cluster (as in apache-http.js)
+ *   POST /admin/health      -> { "status": "green" | "yellow" | "red",
+ *                                "index": optional } force the colour
+ *   POST /admin/node        -> { "node": name, "action": "stop" | "start" |
+ *                                "drain" } node loss, restart, exclusion
+ *   POST /admin/tick        -> { "count": n } advance n ticks (CLOCK=virtual)
+ *   GET  /admin/scenario    -> scenario playback progress
+ *   POST /admin/scenario    -> { "action": "start" | "pause" | "resume" | "stop" }
+ *   GET|POST|DELETE /admin/faults -> injected HTTP faults (see lib/faults.js)
+ *   GET|POST /admin/tls     -> certificate drills with TLS=on (see lib/tls.js)
+ *   GET|POST /admin/auth    -> credentials and their rotation (see lib/auth.js)
+ *
+ * Config via env:
+ *   PORT (default 9200)
+ *   HOST (default 0.0.0.0)
+ *   ES_DUMP (dump to seed from; default csf/ELK_TAL_Pro.txt)
+ *   NODES (total node count; extra nodes join empty and take shards over)
+ *   INIT_INDEXING_RATE / INIT_SEARCH_RATE (docs/s and searches/s; default
+ *     the dump's lifetime totals over its uptime)
+ *   SEED (unset = Math.random; set = reproducible run, no process metrics)
+ *   CLOCK ("real" default, or "virtual" to tick only through /admin/tick)
+ *   START_TIME (ISO date, virtual clock origin; default 2024-01-01T00:00:00Z)
+ *   SCENARIO (path to a JSON/YAML scenario file over indexing_rate,
+ *     search_rate and heap_pressure, see lib/scenario.js)
+ *   FAULTS (HTTP fault rules: JSON/YAML file or inline JSON, see lib/faults.js)
+ *   TLS, TLS_CERT, TLS_KEY, TLS_CA, TLS_CA_KEY, TLS_CLIENT_AUTH, TLS_CERT_MODE,
+ *     TLS_HOSTNAMES (HTTPS and mTLS, as in apache-http.js)
+ *   HISTORY_SIZE, HISTORY_BACKFILL (/api/history buffer and synthetic past,
+ *     as in apache-http.js)
+ *   AUTH (credentials per route group, see lib/auth.js; denials are
+ *     security_exception errors as from X-Pack security)
+ *
+ * Shards follow Elasticsearch's rules: a stopped node's replicas wait a
+ * minute (delayed allocation) before being rebuilt elsewhere, recoveries
+ * and relocations take time by shard size (40mb/s), two at a time.
+ *
+ * The simulator itself lives in lib/es-sim.js; simulators.js can run it
+ * alongside Apache and MySQL instances.
+ */
+
+import { createElasticsearchSimulator } from "./lib/es-sim.js";
+
+const sim = await createElasticsearchSimulator(process.env);
+sim.listen();
@@ -0,0 +1,85 @@
+/**
+ * es-diff.js
+ *
+ * Compares two Elasticsearch diagnostic dumps ("# N: GET /path 200 OK" +
+ * body, see lib/es-dump.js), typically pre-prod against prod: version,
+ * license, node roles, shard layout and index settings first, then every
+ * recorded request, body against body (see lib/es-diff.js).
+ *
+ * Usage:
+ *   node es-diff.js csf/ELK_TAL_Pre.txt csf/ELK_TAL_Pro.txt
+ *   node es-diff.js --no-stats csf/ELK_TAL_Pre.txt csf/ELK_TAL_Pro.txt
+ *   node es-diff.js --json csf/ELK_TAL_Pre.txt bg.txt > diff.json
+ *
+ * Options:
+ *   --json          the structured diff as JSON instead of the Markdown report
+ *   --no-stats      leave out numbers that only moved (doc counts, sizes,
+ *                   timings): configuration differences only
+ *   --ignore a,b    more fields to ignore, * as a wildcard (timestamps,
+ *                   uptimes, uuids and ephemeral ids are always ignored)
+ *   --limit N       change lines per request in the report (default 20)
+ *
+ * Exits 0 when the dumps match, 1 when they differ and 2 on a usage or read
+ * error, like diff(1).
+ */
+
+import { parseArgs } from "node:util";
+import { diffDumps, formatDiff } from "./lib/es-diff.js";
+import { loadDump } from "./lib/es-dump.js";
+
+const USAGE =
+  "usage: node es-diff.js [--json] [--no-stats] [--ignore a,b] [--limit N] <dump-a> <dump-b>";
+
+let args;
+try {
+  args = parseArgs({
+    allowPositionals: true,
+    options: {
+      json: { type: "boolean", default: false },
+      "no-stats": { type: "boolean", default: false },
+      ignore: { type: "string", default: "" },
+      limit: { type: "string", default: "20" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+} catch (err) {
+  console.error(`${err.message}\n${USAGE}`);
+  process.exit(2);
+}
+const { values: opts, positionals } = args;
+if (opts.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+const limit = parseInt(opts.limit, 10);
+if (positionals.length !== 2 || !(limit > 0)) {
+  console.error(USAGE);
+  process.exit(2);
+}
+
+const dumps = [];
+for (const file of positionals) {
+  try {
+    const entries = await loadDump(file);
+    if (!entries.length) throw new Error('no "# GET /path 200" header');
+    dumps.push(entries);
+  } catch (err) {
+    console.error(`${file}: ${err.message}`);
+    process.exit(2);
+  }
+}
+
+const diff = diffDumps(dumps[0], dumps[1], {
+  ignore: opts.ignore
+    .split(",")
+    .map((field) => field.trim())
+    .filter(Boolean),
+  stats: !opts["no-stats"],
+});
+process.stdout.write(
+  opts.json ? `${JSON.stringify(diff, null, 2)}\n` : formatDiff(diff, { limit })
+);
+const same =
+  !diff.highlights.length &&
+  diff.requests.every((request) => request.status === "same");
+process.exitCode = same ? 0 : 1;
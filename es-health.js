@@ -0,0 +1,115 @@
+/**
+ * es-health.js
+ *
+ * Health check of an Elasticsearch diagnostic dump ("# N: GET /path 200 OK"
+ * + body, see lib/es-dump.js): runs the rules of lib/es-rules/ (and any
+ * --rules directory) and reports their findings, most severe first (see
+ * lib/es-health.js for the rule contract).
+ *
+ * Usage:
+ *   node es-health.js bg.txt
+ *   node es-health.js --json csf/ELK_TAL_Pro.txt > findings.json
+ *   node es-health.js --rules ./team-rules --only disk-watermarks,team-ilm bg.txt
+ *
+ * Options:
+ *   --json          the findings as JSON instead of the Markdown report
+ *   --rules dir     more rule modules, one per .js file (repeatable)
+ *   --only a,b      run these rules only (by id)
+ *   --skip a,b      run every rule but these
+ *   --date day      judge end of life as of this day (default today)
+ *   --list          list the rules and exit
+ *
+ * Exits like a monitoring plugin: 0 no warning, 1 warning, 2 critical,
+ * 3 usage, read or rule loading error.
+ */
+
+import { parseArgs } from "node:util";
+import { loadDump } from "./lib/es-dump.js";
+import {
+  analyze,
+  builtinRules,
+  formatReport,
+  loadRules,
+} from "./lib/es-health.js";
+
+const USAGE =
+  "usage: node es-health.js [--json] [--rules dir] [--only a,b] [--skip a,b] [--date YYYY-MM-DD] [--list] <dump>";
+
+function usage(msg) {
+  console.error(msg ? `${msg}\n${USAGE}` : USAGE);
+  process.exit(3);
+}
+
+const list = (text) =>
+  (text || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+
+let args;
+try {
+  args = parseArgs({
+    allowPositionals: true,
+    options: {
+      json: { type: "boolean", default: false },
+      rules: { type: "string", multiple: true, default: [] },
+      only: { type: "string" },
+      skip: { type: "string" },
+      date: { type: "string" },
+      list: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+} catch (err) {
+  usage(err.message);
+}
+const { values: opts, positionals } = args;
+if (opts.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+
+let rules;
+try {
+  rules = await builtinRules();
+  for (const dir of opts.rules) rules.push(...(await loadRules(dir)));
+} catch (err) {
+  console.error(err.message);
+  process.exit(3);
+}
+const ids = rules.map((rule) => rule.id);
+const dup = ids.find((id, i) => ids.indexOf(id) !== i);
+if (dup) usage(`two rules have the id ${dup}`);
+for (const id of [...list(opts.only), ...list(opts.skip)])
+  if (!ids.includes(id)) usage(`no rule ${id} (see --list)`);
+if (opts.only)
+  rules = rules.filter((rule) => list(opts.only).includes(rule.id));
+rules = rules.filter((rule) => !list(opts.skip).includes(rule.id));
+
+if (opts.list) {
+  for (const rule of rules)
+    console.log(`${rule.id.padEnd(24)} ${rule.title ?? ""}`);
+  process.exit(0);
+}
+
+const now = opts.date ? Date.parse(opts.date) : Date.now();
+if (Number.isNaN(now)) usage(`bad --date ${opts.date}`);
+if (positionals.length !== 1) usage();
+
+let entries;
+try {
+  entries = await loadDump(positionals[0]);
+  if (!entries.length) throw new Error('no "# GET /path 200" header');
+} catch (err) {
+  console.error(`${positionals[0]}: ${err.message}`);
+  process.exit(3);
+}
+
+const result = analyze(entries, rules, { now });
+process.stdout.write(
+  opts.json ? `${JSON.stringify(result, null, 2)}\n` : formatReport(result)
+);
+process.exitCode =
+  result.summary.critical ? 2
+  : result.summary.warning ? 1
+  : 0;
@@ -0,0 +1,148 @@
+/**
+ * es-replay.js
+ *
+ * Replays Elasticsearch diagnostic dumps ("# N: GET /path 200 OK" + body,
+ * see lib/es-dump.js): every recorded request is answered with its recorded
+ * status, body and content type (JSON, or text/plain for _cat).
+ *
+ * Usage:
+ *   npm install express
+ *   node es-replay.js
+ *   DUMPS=csf/ELK_TAL_Pro.txt node es-replay.js      # one cluster on /
+ *
+ * Endpoints:
+ *   /<cluster>/<path>  -> the recorded response of that cluster's dump
+ *                         (/pre/_cat/shards, /pro/_cluster/stats, ...)
+ *   GET /              -> JSON list of the clusters and their recordings
+ *                         (the recorded "/" instead when one dump is on /)
+ *
+ *   Query strings are matched by parameters, not text: ?s=alias&v finds a
+ *   "?v&s=alias" capture, pretty/human/timeouts are ignored, and format=json
+ *   only matches JSON captures. A _cat text capture taken with ?v loses its
+ *   header line when asked for without v. HEAD answers from GET captures.
+ *   Anything else gets an Elasticsearch-style 404 (405 for a known path
+ *   under another method).
+ *
+ * Env:
+ *   DUMPS (comma-separated [cluster=]file; default
+ *     pre=csf/ELK_TAL_Pre.txt,pro=csf/ELK_TAL_Pro.txt,bg=bg.txt; a single
+ *     dump without a name is served on /, several take their file name)
+ *   PORT (default 9200)
+ *   HOST (default 0.0.0.0)
+ */
+
+import express from "express";
+import { basename, extname } from "node:path";
+import { findRecording, loadDump } from "./lib/es-dump.js";
+
+const PORT = process.env.PORT ? parseInt(process.env.PORT, 10) : 9200;
+const HOST = process.env.HOST || "0.0.0.0";
+const DUMPS =
+  process.env.DUMPS ||
+  "pre=csf/ELK_TAL_Pre.txt,pro=csf/ELK_TAL_Pro.txt,bg=bg.txt";
+
+const specs = DUMPS.split(",")
+  .map((spec) => spec.trim())
+  .filter(Boolean)
+  .map((spec) => {
+    const eq = spec.indexOf("=");
+    return eq === -1 ?
+        { name: null, file: spec }
+      : { name: spec.slice(0, eq).trim(), file: spec.slice(eq + 1).trim() };
+  });
+if (!specs.length) throw new Error("DUMPS lists no dump file");
+
+const clusters = [];
+for (const { name, file } of specs) {
+  const entries = await loadDump(file);
+  if (!entries.length) throw new Error(`${file}: no "# GET /path 200" header`);
+  const prefix =
+    name !== null ? `/${name}`
+    : specs.length === 1 ? ""
+    : `/${basename(file, extname(file))}`;
+  if (clusters.some((c) => c.prefix === prefix))
+    throw new Error(`DUMPS: two dumps on ${prefix || "/"}`);
+  clusters.push({ name: prefix.slice(1) || null, file, prefix, entries });
+}
+
+/* Elasticsearch error body shape */
+function esError(status, type, reason) {
+  return { error: { root_cause: [{ type, reason }], type, reason }, status };
+}
+
+/* _cat text taken with ?v, asked for without: drop the column header */
+function catBody(entry, params) {
+  if (entry.json !== undefined || entry.params.v !== "true") return entry.body;
+  if (params.has("v") && params.get("v") !== "false") return entry.body;
+  return entry.body.split("\n").slice(1).join("\n");
+}
+
+function replay(cluster) {
+  return (req, res) => {
+    const q = req.originalUrl.indexOf("?");
+    const query = q === -1 ? "" : req.originalUrl.slice(q + 1);
+    const entry = findRecording(cluster.entries, req.method, req.path, query);
+    if (!entry) {
+      const known = findRecording(cluster.entries, "GET", req.path, query);
+      return known && req.method !== "GET" ?
+          res
+            .status(405)
+            .json(
+              esError(
+                405,
+                "method_not_allowed",
+                `no ${req.method} recorded for ${req.path}, only ${known.method}`
+              )
+            )
+        : res
+            .status(404)
+            .json(
+              esError(
+                404,
+                "no_recording",
+                `no recorded response for ${req.method} ${req.path}${query ? `?${query}` : ""}`
+              )
+            );
+    }
+    let body = catBody(entry, new URLSearchParams(query));
+    if (entry.json === undefined && body) body += "\n";
+    res.status(entry.status);
+    res.set("Content-Type", entry.contentType);
+    res.set("X-Replay-Source", `${entry.source}:${entry.line}`);
+    res.send(body);
+  };
+}
+
+const app = express();
+
+// official clients refuse servers that do not say they are Elasticsearch
+app.use((req, res, next) => {
+  res.set("X-Elastic-Product", "Elasticsearch");
+  next();
+});
+
+if (clusters.every((c) => c.prefix !== "")) {
+  app.get("/", (req, res) => {
+    res.json(
+      clusters.map(({ name, file, prefix, entries }) => ({
+        name,
+        file,
+        url: `${prefix}/`,
+        recordings: entries.map(
+          (e) =>
+            `${e.method} ${e.path}${e.query ? `?${e.query}` : ""} ${e.status}`
+        ),
+      }))
+    );
+  });
+}
+
+for (const cluster of clusters)
+  if (cluster.prefix) app.use(cluster.prefix, replay(cluster));
+  else app.use(replay(cluster));
+
+app.listen(PORT, HOST, () => {
+  console.log(`Elasticsearch replay listening on http://${HOST}:${PORT}`);
+  for (const { file, prefix, entries } of clusters)
+    console.log(`  ${prefix || "/"} <- ${file} (${entries.length} recordings)`);
+});
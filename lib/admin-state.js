@@ -0,0 +1,272 @@
+/**
+ * admin-state.js
+ *
+ * The admin API over a simulator's state. The fields that can be set are
+ * described by a JSON Schema and every update is checked against it: one
+ * bad field and nothing is applied, the 400 lists them all. The simulation
+ * can also go back to tick 0, or be saved to named snapshots (state, random
+ * streams, clock) and brought back to one later.
+ *
+ *   coerceFields(schema, body)   -> body with numeric strings ("120") read
+ *                                   as numbers for number / integer fields
+ *   validateFields(schema, body) -> [{ field, error }]    ([] when valid)
+ *   captureState(state) / restoreState(state, saved)
+ *                                 -> deep copy of a state object; members
+ *                                    with snapshot() / restore() save
+ *                                    themselves (topology, digest stats)
+ *   createSnapshots({ capture, restore }) -> { save, load, remove, list }
+ *   serveState(admin) -> router for /admin, where admin is
+ *     { schema, state, info(), apply(patch), check(next), reset(seed), snapshots }
+ *   jsonErrors        -> error middleware: express.json() refusals (bad JSON,
+ *                        a bare null) as a JSON 400 instead of an HTML page
+ *
+ * Schema subset: type ("number", "integer", "string", "boolean", "null" or a
+ * list of them), minimum, maximum, enum and description; additionalProperties
+ * is always false.
+ */
+
+import express from "express";
+
+const MAX_SNAPSHOTS = 32;
+
+/* -----------------------
+   Validation
+   ----------------------- */
+
+function matchesType(value, type) {
+  return (Array.isArray(type) ? type : [type]).some((t) =>
+    t === "number" ? Number.isFinite(value)
+    : t === "integer" ? Number.isInteger(value)
+    : t === "null" ? value === null
+    : typeof value === t
+  );
+}
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/* the admin API took Number(body.req_per_sec) before it had a schema, so
+   "120" still sets a number field; "", "fast" and the like stay strings and
+   fail validation */
+export function coerceFields(schema, body) {
+  if (!isObject(body)) return body;
+  const out = { ...body };
+  for (const [field, value] of Object.entries(body)) {
+    const types = [schema.properties[field]?.type].flat();
+    if (
+      typeof value === "string" &&
+      value.trim() !== "" &&
+      Number.isFinite(Number(value)) &&
+      !types.includes("string") &&
+      (types.includes("number") || types.includes("integer"))
+    )
+      out[field] = Number(value);
+  }
+  return out;
+}
+
+export function validateFields(schema, body) {
+  if (!isObject(body))
+    return [{ field: null, error: "expected a JSON object of fields" }];
+  const errors = [];
+  for (const [field, value] of Object.entries(body)) {
+    const rule = schema.properties[field];
+    const error =
+      !rule ? "unknown field"
+      : !matchesType(value, rule.type) ?
+        `expected ${[rule.type].flat().join(" or ")}, got ${JSON.stringify(value)}`
+      : rule.enum && !rule.enum.includes(value) ?
+        `must be one of ${rule.enum.map((v) => JSON.stringify(v)).join(", ")}`
+      : typeof value !== "number" ? null
+      : rule.minimum !== undefined && value < rule.minimum ?
+        `must be >= ${rule.minimum}`
+      : rule.maximum !== undefined && value > rule.maximum ?
+        `must be <= ${rule.maximum}`
+      : null;
+    if (error) errors.push({ field, error });
+  }
+  return errors;
+}
+
+/* -----------------------
+   Snapshots
+   ----------------------- */
+
+export function captureState(state) {
+  const plain = {};
+  const own = {};
+  for (const [key, value] of Object.entries(state))
+    if (typeof value?.snapshot === "function") own[key] = value.snapshot();
+    else plain[key] = value;
+  return { plain: structuredClone(plain), own };
+}
+
+export function restoreState(state, saved) {
+  Object.assign(state, structuredClone(saved.plain));
+  for (const [key, data] of Object.entries(saved.own)) state[key].restore(data);
+}
+
+/* named snapshots, kept in memory; capture / restore may be async */
+export function createSnapshots({ capture, restore }) {
+  const saved = new Map();
+  let count = 0;
+  const summary = ({ data, ...rest }) => rest;
+
+  return {
+    async save(name, info = {}) {
+      const key = name ?? `snapshot-${++count}`;
+      if (!saved.has(key) && saved.size >= MAX_SNAPSHOTS)
+        throw new Error(
+          `${MAX_SNAPSHOTS} snapshots already; DELETE /admin/snapshot/<name> first`
+        );
+      const entry = { name: key, ...info, data: await capture() };
+      saved.set(key, entry);
+      return summary(entry);
+    },
+    async load(name) {
+      const entry = saved.get(name);
+      if (!entry) throw new Error(`unknown snapshot "${name}"`);
+      await restore(entry.data);
+      return summary(entry);
+    },
+    remove(name) {
+      return saved.delete(name);
+    },
+    list() {
+      return [...saved.values()].map(summary);
+    },
+  };
+}
+
+/* -----------------------
+   /admin routes
+   ----------------------- */
+
+/*
+ *   GET    /state          -> current values of the schema fields
+ *   PATCH  /state          -> { field: value, ... } sets only those fields
+ *   POST   /set            -> same, plus "seed" (resets first)
+ *   GET    /state/schema   -> the JSON Schema
+ *   POST   /reset          -> { "seed"? } back to tick 0, same seed by default
+ *   GET    /snapshot       -> saved snapshots
+ *   POST   /snapshot       -> { "name"? } save the simulation as it is now
+ *   POST   /restore        -> { "name" } back to a saved snapshot
+ *   DELETE /snapshot/:name -> forget one
+ */
+export function serveState(admin) {
+  const router = express.Router();
+  const fields = Object.keys(admin.schema.properties);
+  const values = () =>
+    Object.fromEntries(fields.map((field) => [field, admin.state[field]]));
+  const answer = (res, extra = {}) =>
+    res.json({ ok: true, ...admin.info(), ...extra, state: values() });
+  const invalid = (res, errors) =>
+    res.status(400).json({
+      ok: false,
+      error: `invalid fields: ${errors.map((e) => e.field ?? "(body)").join(", ")}`,
+      errors,
+    });
+
+  function update(req, res, { seeded }) {
+    // no body at all on POST /set is an empty update
+    const body = coerceFields(
+      admin.schema,
+      seeded ? (req.body ?? {}) : req.body
+    );
+    const { seed, ...patch } = isObject(body) ? body : {};
+    const errors = validateFields(
+      admin.schema,
+      seeded && isObject(body) ? patch : body
+    );
+    if (!seeded && seed !== undefined)
+      errors.find((e) => e.field === "seed").error =
+        "not a state field; reseed through POST /admin/reset";
+    if (
+      seeded &&
+      seed !== undefined &&
+      !matchesType(seed, ["string", "number", "null"])
+    )
+      errors.push({
+        field: "seed",
+        error: "expected a string, number or null",
+      });
+    if (!errors.length)
+      errors.push(...(admin.check?.({ ...values(), ...patch }) || []));
+    if (errors.length) return invalid(res, errors);
+    // seed first: it resets the state the other fields then override
+    if (seeded && seed !== undefined) admin.reset(seed);
+    admin.apply(patch);
+    answer(res);
+  }
+
+  router.get("/state", (req, res) => answer(res));
+  router.patch("/state", express.json(), (req, res) =>
+    update(req, res, { seeded: false })
+  );
+  router.post("/set", express.json(), (req, res) =>
+    update(req, res, { seeded: true })
+  );
+  router.get("/state/schema", (req, res) => res.json(admin.schema));
+
+  router.post("/reset", express.json(), (req, res) => {
+    const seed = req.body?.seed;
+    if (seed !== undefined && !matchesType(seed, ["string", "number", "null"]))
+      return invalid(res, [
+        { field: "seed", error: "expected a string, number or null" },
+      ]);
+    admin.reset(seed);
+    answer(res);
+  });
+
+  router.get("/snapshot", (req, res) =>
+    res.json({ snapshots: admin.snapshots.list() })
+  );
+  router.post("/snapshot", express.json(), async (req, res) => {
+    const name = req.body?.name;
+    if (name !== undefined && !(typeof name === "string" && name))
+      return invalid(res, [
+        { field: "name", error: "expected a non-empty string" },
+      ]);
+    try {
+      answer(res, { snapshot: await admin.snapshots.save(name, admin.info()) });
+    } catch (err) {
+      res.status(409).json({ ok: false, error: err.message });
+    }
+  });
+  router.post("/restore", express.json(), async (req, res) => {
+    const name = req.body?.name;
+    if (!(typeof name === "string" && name))
+      return invalid(res, [
+        { field: "name", error: "expected the name of a saved snapshot" },
+      ]);
+    try {
+      const snapshot = await admin.snapshots.load(name);
+      answer(res, { snapshot });
+    } catch (err) {
+      res.status(404).json({ ok: false, error: err.message });
+    }
+  });
+  router.delete("/snapshot/:name", (req, res) => {
+    if (!admin.snapshots.remove(req.params.name))
+      return res
+        .status(404)
+        .json({ ok: false, error: `unknown snapshot "${req.params.name}"` });
+    res.json({ ok: true, snapshots: admin.snapshots.list() });
+  });
+
+  router.use(jsonErrors);
+  return router;
+}
+
+/* body-parser marks the errors a client caused with expose (400 bad JSON,
+   413 too large, 415 unknown charset); anything else is a server bug */
+export function jsonErrors(err, req, res, next) {
+  if (!err.expose || !(err.status >= 400 && err.status < 500)) return next(err);
+  res.status(err.status).json({
+    ok: false,
+    error:
+      err.type === "entity.parse.failed" ?
+        `expected a JSON object or array: ${err.message}`
+      : err.message,
+  });
+}
@@ -0,0 +1,123 @@
+/**
+ * apache-logs.js
+ *
+ * Apache-style log output for the simulator: LogFormat compilation for
+ * access logs and 2.4 error_log lines. The sink that stores and streams
+ * them lives in log-sink.js (re-exported here).
+ */
+
+export { createLogSink, serveLog } from "./log-sink.js";
+
+export const LOG_FORMATS = {
+  common: '%h %l %u %t "%r" %>s %b',
+  combined: '%h %l %u %t "%r" %>s %b "%{Referer}i" "%{User-Agent}i"',
+  vhost_combined:
+    '%v:%p %h %l %u %t "%r" %>s %O "%{Referer}i" "%{User-Agent}i"',
+};
+
+const MONTHS = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+const DAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const pad = (n, w = 2) => String(n).padStart(w, "0");
+
+/* %t: [10/Oct/2000:13:55:36 +0000] */
+function accessTime(ms) {
+  const d = new Date(ms);
+  return (
+    `[${pad(d.getUTCDate())}/${MONTHS[d.getUTCMonth()]}/${d.getUTCFullYear()}:` +
+    `${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:${pad(d.getUTCSeconds())} +0000]`
+  );
+}
+
+/* error_log: Mon Jan 01 00:00:01.123456 2024 */
+function errorTime(ms) {
+  const d = new Date(ms);
+  return (
+    `${DAYS[d.getUTCDay()]} ${MONTHS[d.getUTCMonth()]} ${pad(d.getUTCDate())} ` +
+    `${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:${pad(d.getUTCSeconds())}` +
+    `.${pad(d.getUTCMilliseconds(), 3)}000 ${d.getUTCFullYear()}`
+  );
+}
+
+const dash = (v) => (v === undefined || v === null || v === "" ? "-" : v);
+
+/* one formatter per directive; e is an access entry built by the simulator */
+const DIRECTIVES = {
+  a: (e) => e.client,
+  h: (e) => e.client,
+  A: (e) => e.serverIp,
+  l: () => "-",
+  u: (e) => dash(e.user),
+  t: (e) => accessTime(e.time),
+  r: (e) => `${e.method} ${e.path}${e.query} ${e.protocol}`,
+  m: (e) => e.method,
+  U: (e) => e.path,
+  q: (e) => e.query,
+  H: (e) => e.protocol,
+  s: (e) => e.status,
+  b: (e) => (e.bytes > 0 ? e.bytes : "-"),
+  B: (e) => e.bytes,
+  O: (e) => e.bytes + e.headerBytes,
+  I: (e) => e.bytesIn,
+  D: (e) => e.durationUs,
+  T: (e) => Math.floor(e.durationUs / 1e6),
+  v: (e) => e.vhost,
+  V: (e) => e.vhost,
+  p: (e) => e.port,
+  P: (e) => e.pid,
+  "%": () => "%",
+};
+
+const HEADERS = {
+  referer: (e) => dash(e.referer),
+  "user-agent": (e) => dash(e.userAgent),
+  host: (e) => e.vhost,
+};
+
+/* LogFormat string (or a nickname above) -> (entry) => line */
+export function compileLogFormat(format) {
+  const fmt = LOG_FORMATS[format] || format;
+  const parts = [];
+  const re = /%(?:\{([^}]*)\})?[<>]?([a-zA-Z%])/g;
+  let last = 0;
+  let m;
+  while ((m = re.exec(fmt))) {
+    if (m.index > last) parts.push(fmt.slice(last, m.index));
+    const [, arg, letter] = m;
+    if (letter === "i" && arg !== undefined) {
+      const header = HEADERS[arg.toLowerCase()];
+      parts.push(header || (() => "-"));
+    } else if (letter === "T" && arg === "ms") {
+      parts.push((e) => Math.floor(e.durationUs / 1000));
+    } else if (letter === "T" && arg === "us") {
+      parts.push((e) => e.durationUs);
+    } else {
+      parts.push(DIRECTIVES[letter] || (() => "-"));
+    }
+    last = re.lastIndex;
+  }
+  if (last < fmt.length) parts.push(fmt.slice(last));
+  return (entry) =>
+    parts.map((p) => (typeof p === "string" ? p : p(entry))).join("");
+}
+
+/* default 2.4 ErrorLogFormat */
+export function formatErrorLine(e) {
+  const client = e.client ? ` [client ${e.client}]` : "";
+  return (
+    `[${errorTime(e.time)}] [${e.module}:${e.level}] [pid ${e.pid}:tid ${e.tid}]` +
+    `${client} ${e.code}: ${e.message}`
+  );
+}
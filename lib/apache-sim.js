@@ -0,0 +1,1277 @@
+/**
+ * apache-sim.js
+ *
+ * The Apache simulator as a factory: every call builds one instance with
+ * its own state, clock, scoreboard, logs and prom-client registries, and an
+ * Express app serving the endpoints listed in apache-http.js.
+ *
+ *   await createApacheSimulator(env, { name, processMetrics })
+ *     .app          -> Express app (listen() it, or mount it under a path)
+ *     .registry     -> the registry /metrics serves (METRICS_MODE)
+ *     .clock        -> instance clock (advance(n) with CLOCK=virtual)
+ *     .listen(port?, host?) -> HTTP server on PORT / HOST
+ *
+ * env holds the same variables apache-http.js reads from process.env.
+ * processMetrics defaults to on for unseeded runs; a fleet host leaves it
+ * off, since every instance would report the same process.
+ */
+
+import express from "express";
+import client from "prom-client";
+import { createRandom } from "./random.js";
+import { MAX_TICKS, createClock } from "./clock.js";
+import {
+  createScenarioPlayer,
+  loadScenarioFile,
+  runScenarioCommand,
+} from "./scenario.js";
+import { formatAuto, formatHtml } from "./mod-status.js";
+import {
+  compileLogFormat,
+  createLogSink,
+  formatErrorLine,
+  serveLog,
+} from "./apache-logs.js";
+import { registerApacheExporterMetrics } from "./exporter-metrics.js";
+import {
+  metricsMode,
+  selectRegistry,
+  serveMetrics,
+  setCounter,
+  setHistogram,
+} from "./metrics.js";
+import { createFaultInjector, loadFaults, serveFaults } from "./faults.js";
+import { createTls, serveTls } from "./tls.js";
+import { createAuth, loadAuth, serveAuth } from "./auth.js";
+import {
+  captureState,
+  createSnapshots,
+  jsonErrors,
+  restoreState,
+  serveState,
+} from "./admin-state.js";
+import {
+  createHistory,
+  parseDuration,
+  parseHistorySize,
+  serveHistory,
+} from "./history.js";
+import { createSeasonality } from "./seasonality.js";
+import { createOtlpExporter, SEMCONV, serveOtlp } from "./otlp.js";
+import { createVhosts, STATUS_CLASSES } from "./apache-vhosts.js";
+import { acceptUpgrades, createLiveStream } from "./live-stream.js";
+
+export async function createApacheSimulator(
+  env = process.env,
+  { name = "apache", processMetrics } = {}
+) {
+  const app = express();
+  const PORT = env.PORT ? parseInt(env.PORT, 10) : 8080;
+  const HOST = env.HOST || "0.0.0.0";
+  const INIT_REQ_PER_SEC =
+    env.INIT_REQ_PER_SEC ? Number(env.INIT_REQ_PER_SEC) : 50;
+  const SEED = env.SEED !== undefined ? env.SEED : null;
+  const CLOCK = env.CLOCK === "virtual" ? "virtual" : "real";
+  const START_TIME = env.START_TIME ? Date.parse(env.START_TIME) : undefined;
+  const SCENARIO_FILE =
+    env.SCENARIO ? await loadScenarioFile(env.SCENARIO) : null;
+  const FAULTS = env.FAULTS ? await loadFaults(env.FAULTS) : [];
+  const tls = await createTls(env);
+  const AUTH = env.AUTH ? await loadAuth(env.AUTH) : null;
+  const HISTORY_SIZE =
+    env.HISTORY_SIZE ? parseHistorySize(env.HISTORY_SIZE) : 21600;
+  const HISTORY_BACKFILL =
+    env.HISTORY_BACKFILL ? parseDuration(env.HISTORY_BACKFILL) : 0;
+  const SERVER_NAME = env.SERVER_NAME || "localhost";
+  const SERVER_VERSION = env.SERVER_VERSION || "Apache/2.4.58 (Unix)";
+  const SERVER_BUILT = "Oct 17 2023 12:31:04";
+  const APACHE_MPM =
+    ["event", "worker", "prefork"].includes(env.APACHE_MPM) ?
+      env.APACHE_MPM
+    : "event";
+  const EXTENDED_STATUS = (env.EXTENDED_STATUS || "On").toLowerCase() !== "off";
+  const NUM_CPUS = env.NUM_CPUS ? Number(env.NUM_CPUS) : 4;
+  const ACCESS_LOG = env.ACCESS_LOG || null;
+  const ERROR_LOG = env.ERROR_LOG || null;
+  const LOG_FORMAT = env.LOG_FORMAT || "combined";
+  const METRICS_MODE = metricsMode(env.METRICS_MODE);
+  const vhosts = createVhosts(env); // VHOSTS, LATENCY_BUCKETS, SIZE_BUCKETS
+  const LOGS_ENABLED = Boolean(
+    ACCESS_LOG || ERROR_LOG || env.LOG_STREAM === "1"
+  );
+
+  // scoreboard geometry: one slot per thread (per child on prefork)
+  const SERVER_LIMIT =
+    env.SERVER_LIMIT ? parseInt(env.SERVER_LIMIT, 10)
+    : APACHE_MPM === "prefork" ? 100
+    : 4;
+  const THREADS_PER_CHILD =
+    APACHE_MPM === "prefork" ? 1
+    : env.THREADS_PER_CHILD ? parseInt(env.THREADS_PER_CHILD, 10)
+    : 25;
+  const SCOREBOARD_SLOTS = SERVER_LIMIT * THREADS_PER_CHILD;
+  // spare thread window that drives child spawning / reaping
+  const MIN_SPARE = APACHE_MPM === "prefork" ? 5 : THREADS_PER_CHILD;
+  const MAX_SPARE = APACHE_MPM === "prefork" ? 10 : THREADS_PER_CHILD * 3;
+  const INIT_CHILDREN = Math.min(
+    SERVER_LIMIT,
+    Math.ceil((5 + MIN_SPARE) / THREADS_PER_CHILD)
+  );
+
+  const rng = createRandom(SEED);
+  // faults draw from their own stream, per request, never from the sim's
+  const faultSeed = () => (rng.seeded ? `${rng.seed}:faults` : null);
+  const faults = createFaultInjector(FAULTS, { seed: faultSeed() });
+  // and one for the synthetic past of /api/history
+  const historySeed = () => (rng.seeded ? `${rng.seed}:history` : null);
+  // per-request sampling behind the vhost counters, so traffic volume does
+  // not shift the rest of the sim
+  const vhostSeed = () => (rng.seeded ? `${rng.seed}:vhosts` : null);
+  const vhostRng = createRandom(vhostSeed());
+  const clock = createClock({
+    mode: CLOCK,
+    tickMs: 1000,
+    startTime: START_TIME,
+  });
+  // daily / weekly traffic curve (SEASONALITY, SEASON_*)
+  const seasonality = createSeasonality(env, { clock });
+
+  /* -----------------------
+   Internal "cluster" state
+   ----------------------- */
+  const newPid = () => 1000 + Math.floor(rng.random() * 60000);
+  // seasonal runs start on the curve, INIT_REQ_PER_SEC being its level
+  const initialRate = () =>
+    seasonality.enabled ?
+      seasonality.expected(INIT_REQ_PER_SEC, clock.now())
+    : INIT_REQ_PER_SEC;
+
+  const initialState = () => ({
+    startTime: clock.startTime,
+    total_accesses: 0,
+    total_kbytes: 0,
+    req_per_sec: initialRate(),
+    cpu_load: 0.05,
+    bytes_per_sec: Math.round(initialRate() * 12 * 1024), // ~12KB per req
+    active_workers: 5,
+    idle_workers: 45,
+    scoreboard: "", // A string of characters like .W.KR etc — we will generate
+    errors_total: 0,
+    last_error_rate: 0.01,
+    // traffic level behind the seasonal curve (lib/seasonality.js)
+    season:
+      seasonality.enabled ?
+        seasonality.initial(INIT_REQ_PER_SEC, clock.now())
+      : null,
+    // backend (MySQL) pressure, pushed in by fleet links (lib/causality.js):
+    // ms each request waits on it, share of requests it fails
+    backend_ms: 0,
+    backend_error_rate: 0,
+    // per-vhost counters (VHOSTS, lib/apache-vhosts.js)
+    hosts: vhosts.initial(),
+    // mod_status extras
+    config_generation: 1,
+    mpm_generation: 0,
+    load: [0.2, 0.15, 0.1], // Load1 / Load5 / Load15
+    cpu_user: 0, // CPU seconds
+    cpu_system: 0,
+    total_duration_ms: 0,
+    conns_async_writing: 0,
+    conns_async_keepalive: 0,
+    conns_async_closing: 0,
+    // child processes: "running", "stopping" (graceful) or "dead"
+    procs: Array.from({ length: SERVER_LIMIT }, (_, p) => ({
+      pid: p < INIT_CHILDREN ? newPid() : 0,
+      status: p < INIT_CHILDREN ? "running" : "dead",
+    })),
+    slots: Array.from({ length: SCOREBOARD_SLOTS }, (_, i) => ({
+      mode: i < INIT_CHILDREN * THREADS_PER_CHILD ? "_" : ".",
+      conn_count: 0,
+      child_count: 0,
+      slot_count: 0,
+      cpu: 0,
+      last_used: 0,
+      req_ms: 0,
+      dur_ms: 0,
+      conn_bytes: 0,
+      child_bytes: 0,
+      slot_bytes: 0,
+      client: "",
+      vhost: "",
+      request: "",
+    })),
+  });
+  const state = initialState();
+  const tickHooks = []; // see beforeTick()
+
+  /* /api/stream: ticks, admin changes and scenario events as they happen */
+  const stream = createLiveStream({
+    snapshot: () => ({
+      ticks: clock.ticks,
+      now: new Date(clock.now()).toISOString(),
+      ...statusJson(),
+    }),
+  });
+
+  /* scenario playback (timeline of ramps, bursts and recoveries) */
+  const scenario = createScenarioPlayer(state, {
+    tickMs: clock.tickMs,
+    onEvent: (event) => stream.publish("scenario", event),
+  });
+  if (SCENARIO_FILE) scenario.load(SCENARIO_FILE);
+
+  /* per-tick samples for /api/history, with HISTORY_BACKFILL of made-up past */
+  const seasonal = seasonality.enabled ? { shape: seasonality.factor } : {};
+  const history = createHistory({
+    size: HISTORY_SIZE,
+    tickMs: clock.tickMs,
+    backfill: HISTORY_BACKFILL,
+    metrics: {
+      req_per_sec: seasonal,
+      bytes_per_sec: seasonal,
+      cpu_load: { max: 1 },
+      active_workers: { integer: true, max: SCOREBOARD_SLOTS },
+      idle_workers: { integer: true, max: SCOREBOARD_SLOTS },
+      last_error_rate: { max: 1 },
+      total_accesses: { counter: (s) => s.req_per_sec },
+      total_kbytes: { counter: (s) => s.bytes_per_sec / 1024 },
+      errors_total: { counter: (s) => (0.0008 + s.cpu_load * 0.002) * 2 },
+    },
+  });
+  history.restart(clock.now(), state, historySeed());
+
+  /* Prometheus metrics, in this instance's own registries
+   (process metrics vary run to run, so a seeded run leaves them out) */
+  const registry = new client.Registry();
+  const exporterRegistry = new client.Registry();
+  if (processMetrics ?? !rng.seeded)
+    client.collectDefaultMetrics({
+      timeout: 5000,
+      register: METRICS_MODE === "exporter" ? exporterRegistry : registry,
+    });
+
+  const gauge_req_per_sec = new client.Gauge({
+    name: "apache_fake_requests_per_second",
+    help: "Fake requests per second",
+    registers: [registry],
+  });
+  const gauge_total_accesses = new client.Gauge({
+    name: "apache_fake_total_accesses",
+    help: "Fake total accesses",
+    registers: [registry],
+  });
+  const gauge_total_kbytes = new client.Gauge({
+    name: "apache_fake_total_kbytes",
+    help: "Fake total KBytes",
+    registers: [registry],
+  });
+  const gauge_cpu_load = new client.Gauge({
+    name: "apache_fake_cpu_load",
+    help: "Fake CPU load (0..1)",
+    registers: [registry],
+  });
+  const gauge_active_workers = new client.Gauge({
+    name: "apache_fake_active_workers",
+    help: "Fake active workers",
+    registers: [registry],
+  });
+  const gauge_idle_workers = new client.Gauge({
+    name: "apache_fake_idle_workers",
+    help: "Fake idle workers",
+    registers: [registry],
+  });
+  const gauge_errors_total = new client.Gauge({
+    name: "apache_fake_errors_total",
+    help: "Fake total errors",
+    registers: [registry],
+  });
+
+  /* helper to update Prom metrics from state */
+  function updatePromMetrics() {
+    gauge_req_per_sec.set(state.req_per_sec);
+    gauge_total_accesses.set(state.total_accesses);
+    gauge_total_kbytes.set(state.total_kbytes);
+    gauge_cpu_load.set(state.cpu_load);
+    gauge_active_workers.set(state.active_workers);
+    gauge_idle_workers.set(state.idle_workers);
+    gauge_errors_total.set(state.errors_total);
+  }
+
+  /* per-vhost series, read from state.hosts on every scrape */
+  const hostEntries = () => Object.entries(state.hosts);
+  new client.Counter({
+    name: "apache_fake_vhost_requests_total",
+    help: "Fake requests per virtual host and status class",
+    labelNames: ["vhost", "status"],
+    registers: [registry],
+    collect() {
+      setCounter(
+        this,
+        hostEntries().flatMap(([vhost, host]) =>
+          STATUS_CLASSES.map((status) => [
+            { vhost, status },
+            host.status[status],
+          ])
+        )
+      );
+    },
+  });
+  new client.Counter({
+    name: "apache_fake_vhost_kbytes_total",
+    help: "Fake KBytes sent per virtual host",
+    labelNames: ["vhost"],
+    registers: [registry],
+    collect() {
+      setCounter(
+        this,
+        hostEntries().map(([vhost, host]) => [{ vhost }, host.kbytes])
+      );
+    },
+  });
+  new client.Gauge({
+    name: "apache_fake_vhost_requests_per_second",
+    help: "Fake requests per second per virtual host",
+    labelNames: ["vhost"],
+    registers: [registry],
+    collect() {
+      for (const [vhost, host] of hostEntries())
+        this.set({ vhost }, host.req_per_sec);
+    },
+  });
+  new client.Gauge({
+    name: "apache_fake_vhost_error_rate",
+    help: "Fake 5xx share per virtual host (0..1)",
+    labelNames: ["vhost"],
+    registers: [registry],
+    collect() {
+      for (const [vhost, host] of hostEntries())
+        this.set({ vhost }, host.error_rate);
+    },
+  });
+  const perStatus = (field) =>
+    hostEntries().flatMap(([vhost, host]) =>
+      STATUS_CLASSES.map((status) => [{ vhost, status }, host[field][status]])
+    );
+  new client.Histogram({
+    name: "apache_fake_vhost_request_duration_seconds",
+    help: "Fake request duration per virtual host and status class",
+    labelNames: ["vhost", "status"],
+    buckets: vhosts.durationBuckets,
+    registers: [registry],
+    collect() {
+      setHistogram(this, perStatus("duration"));
+    },
+  });
+  new client.Histogram({
+    name: "apache_fake_vhost_response_size_bytes",
+    help: "Fake response body size per virtual host and status class",
+    labelNames: ["vhost", "status"],
+    buckets: vhosts.sizeBuckets,
+    registers: [registry],
+    collect() {
+      setHistogram(this, perStatus("size"));
+    },
+  });
+
+  /* scoreboard (like Apache): '_W__K__R..' etc, one char per slot
+    _ = waiting for connection,
+    S = starting up,
+    R = reading request,
+    W = sending reply,
+    K = keep-alive (read),
+    D = DNS lookup,
+    C = closing connection,
+    L = logging,
+    G = gracefully finishing,
+    I = idle cleanup of worker,
+    . = open slot with no current process.
+   Every slot is a small state machine stepped once per tick; the number of
+   busy slots then follows the active_workers target, and active/idle worker
+   counts are read back from the slots so they always agree with it.
+*/
+  const BUSY_MODES = "RWKDCLG";
+  const isBusy = (mode) => BUSY_MODES.includes(mode);
+
+  function stepSlot(mode) {
+    const p = rng.random();
+    switch (mode) {
+      case "S":
+        return "_";
+      case "R":
+        return p < 0.05 ? "D" : "W";
+      case "D":
+        return "W";
+      case "W":
+        return (
+          p < 0.55 ? "K"
+          : p < 0.85 ? "L"
+          : "C"
+        );
+      case "K":
+        return (
+          p < 0.5 ? "R"
+          : p < 0.7 ? "C"
+          : "K"
+        );
+      case "L":
+      case "C":
+        return "_";
+      case "G":
+      case "I":
+        return ".";
+      default:
+        return mode; // "_" and "." only move through the target adjustment
+    }
+  }
+
+  /* Fisher-Yates over 0..n-1, so no slot region is favoured */
+  function shuffled(n) {
+    const order = Array.from({ length: n }, (_, i) => i);
+    for (let i = n - 1; i > 0; i--) {
+      const j = Math.floor(rng.random() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+    return order;
+  }
+
+  let spawnRate = 1; // children started per tick, doubles while short of spares
+  function advanceScoreboard(targetBusy) {
+    const slots = state.slots;
+    const tpc = THREADS_PER_CHILD;
+    const procSlots = (p) => slots.slice(p * tpc, (p + 1) * tpc);
+
+    slots.forEach((w, i) => {
+      w.mode = stepSlot(w.mode);
+      // a stopping child lets its freed threads go instead of taking work
+      if (
+        w.mode === "_" &&
+        state.procs[Math.floor(i / tpc)].status === "stopping"
+      )
+        w.mode = "I";
+    });
+
+    // children whose slots are all open are gone
+    state.procs.forEach((proc, p) => {
+      if (
+        proc.status === "stopping" &&
+        procSlots(p).every((w) => w.mode === ".")
+      )
+        proc.status = "dead";
+    });
+
+    // move busy slots toward the target (accepting children only)
+    const accepting = (i) =>
+      state.procs[Math.floor(i / tpc)].status === "running";
+    let busy = slots.filter((w) => isBusy(w.mode)).length;
+    const order = shuffled(slots.length);
+    for (const i of order) {
+      if (busy >= targetBusy) break;
+      if (slots[i].mode === "_" && accepting(i)) {
+        slots[i].mode = "R";
+        busy++;
+      }
+    }
+    for (const pass of ["LCK", BUSY_MODES.replace("G", "")])
+      for (const i of order) {
+        if (busy <= targetBusy) break;
+        if (pass.includes(slots[i].mode) && accepting(i)) {
+          slots[i].mode = "_";
+          busy--;
+        }
+      }
+
+    // spawn or reap children to keep idle threads within the spare window
+    const idle = slots.filter((w) => w.mode === "_").length;
+    if (idle < MIN_SPARE) {
+      let started = 0;
+      state.procs.forEach((proc, p) => {
+        if (started >= spawnRate || proc.status !== "dead") return;
+        proc.status = "running";
+        proc.pid = newPid();
+        for (const w of procSlots(p)) {
+          w.mode = "S";
+          w.child_count = 0;
+          w.child_bytes = 0;
+        }
+        started++;
+      });
+      spawnRate = Math.min(32, spawnRate * 2);
+    } else {
+      spawnRate = 1;
+      const running = state.procs.filter((proc) => proc.status === "running");
+      if (idle > MAX_SPARE && idle - tpc >= MIN_SPARE && running.length > 1) {
+        const p = state.procs.lastIndexOf(running[running.length - 1]);
+        state.procs[p].status = "stopping";
+        for (const w of procSlots(p))
+          w.mode =
+            isBusy(w.mode) ? "G"
+            : w.mode === "_" ? "I"
+            : w.mode;
+      }
+    }
+
+    state.scoreboard = slots.map((w) => w.mode).join("");
+    state.active_workers = slots.filter((w) => isBusy(w.mode)).length;
+    state.idle_workers = slots.filter((w) => w.mode === "_").length;
+  }
+
+  /* per-slot bookkeeping behind the ExtendedStatus table: hand this tick's
+   accesses to the busy slots, keep-alive slots stay on their connection */
+  const SAMPLE_PATHS = [
+    "/",
+    "/index.html",
+    "/api/v1/items",
+    "/login",
+    "/static/app.js",
+  ];
+  function updateSlots(accesses, durPerReq, cpuSeconds, now) {
+    const busy = [];
+    for (let i = 0; i < state.scoreboard.length; i++)
+      if (isBusy(state.scoreboard[i])) busy.push(i);
+    if (busy.length === 0 || accesses <= 0) return;
+    const bytesPerReq =
+      state.req_per_sec > 0 ? state.bytes_per_sec / state.req_per_sec : 0;
+    busy.forEach((idx, n) => {
+      const share =
+        Math.floor(accesses / busy.length) +
+        (n < accesses % busy.length ? 1 : 0);
+      if (share === 0) return;
+      const w = state.slots[idx];
+      if (state.scoreboard[idx] !== "K" || !w.client) {
+        w.conn_count = 0;
+        w.conn_bytes = 0;
+        w.client = `10.0.${Math.floor(rng.random() * 256)}.${1 + Math.floor(rng.random() * 254)}`;
+      }
+      const bytes = Math.round(share * bytesPerReq);
+      w.conn_count += share;
+      w.child_count += share;
+      w.slot_count += share;
+      w.conn_bytes += bytes;
+      w.child_bytes += bytes;
+      w.slot_bytes += bytes;
+      w.req_ms = Math.max(
+        0,
+        Math.round(rng.gaussian(durPerReq, durPerReq * 0.3))
+      );
+      w.dur_ms += Math.round(share * durPerReq);
+      w.cpu += (cpuSeconds * share) / accesses;
+      w.last_used = now;
+      w.vhost = `${vhosts.pick(rng.random())}:80`;
+      w.request = `GET ${SAMPLE_PATHS[Math.floor(rng.random() * SAMPLE_PATHS.length)]} HTTP/1.1`;
+    });
+  }
+
+  /* -----------------------
+   Access / error logs
+   ----------------------- */
+  // own random stream, so turning logs on leaves a seeded run's numbers alone
+  const logSeed = () => (rng.seeded ? `${rng.seed}:logs` : null);
+  const logRng = createRandom(logSeed());
+  const formatAccess = compileLogFormat(LOG_FORMAT);
+  const accessLog = createLogSink({ file: ACCESS_LOG });
+  const errorLog = createLogSink({ file: ERROR_LOG });
+
+  const pick = (list) => list[Math.floor(logRng.random() * list.length)];
+  const USER_AGENTS = [
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36",
+    "Mozilla/5.0 (Macintosh; Intel Mac OS X 14_2) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Safari/605.1.15",
+    "Mozilla/5.0 (X11; Linux x86_64; rv:121.0) Gecko/20100101 Firefox/121.0",
+    "curl/8.4.0",
+    "Prometheus/2.48.0",
+  ];
+  const REFERERS = [
+    "-",
+    "-",
+    "https://www.google.com/",
+    "https://example.com/",
+  ];
+  // what a 5xx leaves behind in error_log
+  const ERROR_CAUSES = {
+    500: [
+      "core",
+      "AH00124",
+      "Request exceeded the limit of 10 internal redirects due to probable configuration error.",
+    ],
+    502: [
+      "proxy_http",
+      "AH01102",
+      "error reading status line from remote server 127.0.0.1:8081",
+    ],
+    503: [
+      "proxy",
+      "AH00959",
+      "ap_proxy_connect_backend disabling worker for (127.0.0.1:8081) for 60s",
+    ],
+    504: ["proxy_http", "AH01110", "error reading response"],
+  };
+  const SERVER_ERRORS = [
+    ["mpm_event", "AH00485", "scoreboard is full, not at MaxRequestWorkers"],
+    ["core", "AH00052", "child pid 4242 exit signal Segmentation fault (11)"],
+    [
+      "ssl",
+      "AH02032",
+      "Hostname provided via SNI and hostname provided via HTTP have no compatible SSL setup",
+    ],
+  ];
+
+  function livePid() {
+    const live = state.procs.filter((proc) => proc.status !== "dead");
+    return live.length ? pick(live).pid : state.procs[0].pid;
+  }
+
+  /* one line per request the vhost counters took this tick ([vhost, status,
+   ms, bytes]), spread evenly over the last tick interval */
+  function writeLogs(requests, newErrors) {
+    const now = clock.now();
+    const access = [];
+    const errors = [];
+    const accesses = requests.length;
+    if (clock.ticks === 0)
+      errors.push(
+        formatErrorLine({
+          time: now,
+          module: `mpm_${APACHE_MPM}`,
+          level: "notice",
+          pid: livePid(),
+          tid: 140000000000000,
+          code: "AH00489",
+          message: `${SERVER_VERSION} configured -- resuming normal operations`,
+        })
+      );
+    requests.forEach(([vhost, status, ms, bytes], n) => {
+      const time =
+        now - clock.tickMs + Math.floor((n * clock.tickMs) / accesses);
+      const path = pick(SAMPLE_PATHS);
+      const client = `10.0.${Math.floor(logRng.random() * 256)}.${1 + Math.floor(logRng.random() * 254)}`;
+      const pid = livePid();
+      access.push(
+        formatAccess({
+          time,
+          client,
+          serverIp: "127.0.0.1",
+          user:
+            status === 401 ? null
+            : logRng.random() < 0.05 ? "admin"
+            : null,
+          method: logRng.random() < 0.9 ? "GET" : "POST",
+          path,
+          query:
+            logRng.random() < 0.2 ?
+              `?page=${1 + Math.floor(logRng.random() * 9)}`
+            : "",
+          protocol: "HTTP/1.1",
+          status,
+          bytes,
+          headerBytes: 250,
+          bytesIn: 300 + Math.floor(logRng.random() * 400),
+          durationUs: Math.max(1, Math.round(ms * 1000)),
+          vhost,
+          port: 80,
+          pid,
+          referer: pick(REFERERS),
+          userAgent: pick(USER_AGENTS),
+        })
+      );
+      if (status >= 500) {
+        const [module, code, message] = ERROR_CAUSES[status];
+        errors.push(
+          formatErrorLine({
+            time,
+            module,
+            level: "error",
+            pid,
+            tid: 140000000000000 + Math.floor(logRng.random() * 1e6),
+            client: `${client}:${1024 + Math.floor(logRng.random() * 64000)}`,
+            code,
+            message,
+          })
+        );
+      }
+    });
+    for (let i = 0; i < newErrors; i++) {
+      const [module, code, message] = pick(SERVER_ERRORS);
+      errors.push(
+        formatErrorLine({
+          time: now,
+          module,
+          level: "error",
+          pid: livePid(),
+          tid: 140000000000000 + Math.floor(logRng.random() * 1e6),
+          code,
+          message,
+        })
+      );
+    }
+    accessLog.write(access);
+    errorLog.write(errors);
+  }
+
+  // share of the scoreboard busy: requests queue as it fills
+  const saturation = () => Math.min(1, state.active_workers / SCOREBOARD_SLOTS);
+  // ms, slower when loaded, when the workers saturate or the backend is slow
+  const durationPerRequest = () =>
+    (5 + state.cpu_load * 80) * (1 + 9 * saturation() ** 4) + state.backend_ms;
+
+  /* periodic state updater — simulates traffic and flakiness */
+  function tickSimulation() {
+    auth.refresh(); // rotation follows the simulated clock
+    // scripted timeline first, so the noise below builds on top of it
+    scenario.apply();
+    // then effects from the other services of a fleet
+    for (const hook of tickHooks) hook(state);
+
+    // vary req/sec with noise (around the seasonal curve when there is one)
+    // and occasional spikes
+    let next_req;
+    if (seasonality.enabled) {
+      next_req = seasonality.next(
+        state.season,
+        state.req_per_sec,
+        clock.now(),
+        rng
+      );
+    } else {
+      const noise = rng.gaussian(0, Math.max(1, state.req_per_sec * 0.07));
+      next_req = Math.max(0, state.req_per_sec + noise);
+    }
+
+    // occasional spike (unless the scenario mutes random events)
+    const randomEvents = scenario.randomEvents;
+    if (randomEvents && rng.random() < 0.02) next_req *= 1 + rng.random() * 3; // up to 4x spike
+
+    // occasional drop
+    if (randomEvents && rng.random() < 0.01)
+      next_req *= Math.max(0.1, rng.random());
+
+    state.req_per_sec = Math.round(next_req * 100) / 100;
+    if (seasonality.enabled) state.season.last = state.req_per_sec;
+
+    // bytes per sec follow req rate
+    state.bytes_per_sec = Math.round(
+      state.req_per_sec * (8 + rng.random() * 32) * 1024
+    );
+
+    // total accumulators
+    const sec = 1; // tick called every second
+    const accesses = Math.round(state.req_per_sec * sec);
+    const kbytes = Math.round((state.bytes_per_sec * sec) / 1024);
+    state.total_accesses += accesses;
+    state.total_kbytes += kbytes;
+
+    // cpu load smooth random walk between 0.01 and 0.95
+    state.cpu_load = Math.min(
+      0.99,
+      Math.max(0.01, state.cpu_load + rng.gaussian(0, 0.01))
+    );
+
+    // workers: scale active_workers proportionally with req/sec
+    // (the scoreboard below settles the actual busy/idle counts)
+    const ideal_active = Math.min(
+      SCOREBOARD_SLOTS,
+      Math.max(
+        1,
+        // requests waiting on the backend hold a worker too (rate x wait)
+        Math.round(
+          state.req_per_sec / 2 + (state.req_per_sec * state.backend_ms) / 1000
+        )
+      )
+    );
+    const target_active = Math.max(
+      1,
+      Math.round(
+        state.active_workers +
+          (ideal_active - state.active_workers) * 0.2 +
+          rng.gaussian(0, 1)
+      )
+    );
+
+    // errors: small chance to increment error counter influenced by cpu and random
+    const baseErrorProb = 0.0008 + state.cpu_load * 0.002;
+    let newErrors = 0;
+    if (rng.random() < baseErrorProb) {
+      newErrors = Math.floor(1 + rng.random() * 3);
+      state.errors_total += newErrors;
+      state.last_error_rate = Math.min(1, state.last_error_rate + 0.005);
+    } else {
+      // relax error rate slowly
+      state.last_error_rate = Math.max(0, state.last_error_rate * 0.995);
+    }
+    // requests the backend failed (they show up as 5xx in the access log)
+    state.errors_total += Math.round(
+      state.req_per_sec * state.backend_error_rate
+    );
+
+    advanceScoreboard(target_active);
+
+    // mod_status extras: duration, CPU seconds, load averages, async conns
+    const durPerReq = durationPerRequest();
+    state.total_duration_ms += accesses * durPerReq;
+    state.cpu_user += state.cpu_load * sec * 0.7;
+    state.cpu_system += state.cpu_load * sec * 0.3;
+    const runnable =
+      state.cpu_load * NUM_CPUS + state.active_workers / SCOREBOARD_SLOTS;
+    state.load = [60, 300, 900].map((period, i) => {
+      const decay = Math.exp(-sec / period);
+      return state.load[i] * decay + runnable * (1 - decay);
+    });
+    if (APACHE_MPM === "event") {
+      state.conns_async_keepalive = Math.max(
+        0,
+        Math.round(state.req_per_sec * 0.4 + rng.gaussian(0, 2))
+      );
+      state.conns_async_writing = Math.max(
+        0,
+        Math.round(state.req_per_sec * 0.02 + rng.gaussian(0, 0.5))
+      );
+      state.conns_async_closing = Math.max(
+        0,
+        Math.round(state.req_per_sec * 0.05 + rng.gaussian(0, 1))
+      );
+    }
+    updateSlots(accesses, durPerReq, state.cpu_load * sec, clock.now());
+
+    // split the accesses across vhosts exactly, sampling every request
+    const requests = LOGS_ENABLED ? [] : null;
+    vhosts.tick(state.hosts, {
+      accesses,
+      kbytes,
+      seconds: sec,
+      errorRate: state.last_error_rate + state.backend_error_rate,
+      durationMs: durPerReq,
+      saturation: saturation(),
+      bytesPerReq:
+        state.req_per_sec > 0 ? state.bytes_per_sec / state.req_per_sec : 0,
+      rng: vhostRng,
+      onRequest: requests && ((...request) => requests.push(request)),
+    });
+
+    if (LOGS_ENABLED) writeLogs(requests, newErrors);
+
+    updatePromMetrics();
+    history.record(clock.now(), state);
+  }
+
+  /* reseed and start over from tick 0 with the initial state */
+  function resetSimulation(seed) {
+    rng.reseed(seed);
+    logRng.reseed(logSeed());
+    vhostRng.reseed(vhostSeed());
+    faults.reseed(faultSeed());
+    scenario.stop();
+    clock.reset();
+    Object.assign(state, initialState());
+    spawnRate = 1;
+    history.restart(clock.now(), state, historySeed());
+    clock.advance(1); // immediate first tick, as on startup
+  }
+
+  /* 401 / 403 the way Apache's mod_auth_basic pages them */
+  const auth = createAuth(AUTH, {
+    realm: SERVER_NAME,
+    clock,
+    deny(res, status) {
+      const [title, text] =
+        status === 401 ?
+          [
+            "Unauthorized",
+            "This server could not verify that you\nare authorized to access the document\nrequested.  Either you supplied the wrong\ncredentials (e.g., bad password), or your\nbrowser doesn't understand how to supply\nthe credentials required.",
+          ]
+        : ["Forbidden", "You don't have permission to access this resource."];
+      res
+        .status(status)
+        .type("text/html")
+        .send(
+          `<!DOCTYPE HTML PUBLIC "-//IETF//DTD HTML 2.0//EN">\n<html><head>\n<title>${status} ${title}</title>\n</head><body>\n<h1>${title}</h1>\n<p>${text}</p>\n<hr>\n<address>${SERVER_VERSION} Server at ${SERVER_NAME} Port ${PORT}</address>\n</body></html>\n`
+        );
+    },
+  });
+
+  /* run the sim every second (or on /admin/tick with the virtual clock) */
+  clock.start(tickSimulation, stream.tick); // immediate first tick
+
+  /* -----------------------
+   HTTP endpoints
+   ----------------------- */
+
+  // injected faults (FAULTS, /admin/faults) go in front of every route
+  app.use(tls.middleware); // TLS_CLIENT_AUTH=optional
+  app.use(auth.middleware); // AUTH: per route group, /admin included
+  app.use(faults.middleware);
+
+  function statusJson() {
+    const now = clock.now();
+    const uptime_seconds = Math.floor((now - state.startTime) / 1000);
+
+    return {
+      server_name: "FakeApache",
+      version: "2.4.fake",
+      start_time: new Date(state.startTime).toISOString(),
+      uptime_seconds,
+      total_accesses: state.total_accesses,
+      total_kbytes: state.total_kbytes,
+      req_per_sec: state.req_per_sec,
+      bytes_per_sec: state.bytes_per_sec,
+      cpu_load: Math.round(state.cpu_load * 1000) / 1000,
+      active_workers: state.active_workers,
+      idle_workers: state.idle_workers,
+      errors_total: state.errors_total,
+      last_error_rate: Math.round(state.last_error_rate * 10000) / 10000,
+      scoreboard: state.scoreboard,
+      // p50 / p95 / p99 over the last minute, all vhosts
+      ...vhosts.percentiles(state.hosts),
+      hosts: vhosts.summary(state.hosts),
+      ...(tickHooks.length > 0 && {
+        backend_ms: state.backend_ms,
+        backend_error_rate: state.backend_error_rate,
+      }),
+      ...(seasonality.enabled && {
+        seasonality: seasonality.status(state.season, now),
+      }),
+    };
+  }
+
+  app.get("/api/status", (req, res) => res.json(statusJson()));
+
+  /* live feed: SSE, or a WebSocket on the same path (?events, ?fields, ?throttle) */
+  app.get("/api/stream", stream.serve);
+
+  /* snapshot of the state in the shape lib/mod-status.js renders */
+  function statusSnapshot(req) {
+    const now = clock.now();
+    const uptime = Math.floor((now - state.startTime) / 1000);
+    const sb = state.scoreboard;
+    const count = (str, pred) => [...str].filter(pred).length;
+    const live = state.procs
+      .map((proc, p) => ({ ...proc, p }))
+      .filter((proc) => proc.status !== "dead");
+    const processes = live.map(({ pid, status, p }, n) => {
+      const part = sb.slice(p * THREADS_PER_CHILD, (p + 1) * THREADS_PER_CHILD);
+      // async connections are only held by children still accepting
+      const share = (total) => {
+        const open = live.filter((proc) => proc.status === "running").length;
+        if (status !== "running" || open === 0) return 0;
+        const k = live
+          .slice(0, n)
+          .filter((proc) => proc.status === "running").length;
+        return Math.floor(total / open) + (k < total % open ? 1 : 0);
+      };
+      const busy = count(part, isBusy);
+      const writing = share(state.conns_async_writing);
+      const keepalive = share(state.conns_async_keepalive);
+      const closing = share(state.conns_async_closing);
+      return {
+        slot: p,
+        pid,
+        stopping: status === "stopping",
+        conns: busy + writing + keepalive + closing,
+        accepting: status === "running",
+        busy,
+        graceful: count(part, (c) => c === "G"),
+        idle: count(part, (c) => c === "_"),
+        writing,
+        keepalive,
+        closing,
+      };
+    });
+    const slots = state.slots.map((w, i) => ({
+      srv: Math.floor(i / THREADS_PER_CHILD),
+      generation: 0,
+      pid: state.procs[Math.floor(i / THREADS_PER_CHILD)].pid,
+      connCount: w.conn_count,
+      childCount: w.child_count,
+      slotCount: w.slot_count,
+      mode: sb[i],
+      cpu: w.cpu,
+      ss: w.last_used ? Math.max(0, (now - w.last_used) / 1000) : 0,
+      reqMs: w.req_ms,
+      durMs: w.dur_ms,
+      connBytes: w.conn_bytes,
+      childBytes: w.child_bytes,
+      slotBytes: w.slot_bytes,
+      client: w.client,
+      protocol: "http/1.1",
+      vhost: w.vhost,
+      request: w.request,
+    }));
+    return {
+      serverName: SERVER_NAME,
+      serverVersion: SERVER_VERSION,
+      serverBuilt: SERVER_BUILT,
+      mpm: APACHE_MPM,
+      port: PORT,
+      localIp: (req?.socket.localAddress || "127.0.0.1").replace(
+        /^::ffff:/,
+        ""
+      ),
+      now,
+      restartTime: state.startTime,
+      configGeneration: state.config_generation,
+      mpmGeneration: state.mpm_generation,
+      uptime,
+      load: state.load,
+      extended: EXTENDED_STATUS,
+      totalAccesses: state.total_accesses,
+      totalKBytes: state.total_kbytes,
+      totalDurationMs: state.total_duration_ms,
+      cpu: {
+        user: Math.round(state.cpu_user * 100) / 100,
+        system: Math.round(state.cpu_system * 100) / 100,
+        childrenUser: 0,
+        childrenSystem: 0,
+      },
+      busy: state.active_workers,
+      graceful: count(sb, (c) => c === "G"),
+      idle: state.idle_workers,
+      scoreboard: sb,
+      processes,
+      slots,
+    };
+  }
+
+  /* mod_status: ?auto report or the HTML page */
+  app.get("/server-status", (req, res) => {
+    const snapshot = statusSnapshot(req);
+    if (req.query.auto !== undefined) {
+      res.type("text/plain").send(formatAuto(snapshot));
+    } else {
+      res.type("text/html").send(formatHtml(snapshot));
+    }
+  });
+
+  /* METRICS_MODE=exporter|both: apache_exporter families, parsed from the
+   same ?auto report the real exporter scrapes */
+  registerApacheExporterMetrics(exporterRegistry, {
+    autoReport: () => formatAuto(statusSnapshot(null)),
+  });
+  const metricsRegistry = selectRegistry(
+    METRICS_MODE,
+    registry,
+    exporterRegistry
+  );
+
+  /* Prometheus metrics */
+  app.get("/metrics", serveMetrics(metricsRegistry));
+
+  /* the same series pushed over OTLP (OTEL_EXPORTER_OTLP_ENDPOINT) */
+  const otlp = createOtlpExporter(env, {
+    registry: metricsRegistry,
+    clock,
+    name,
+    semconv: SEMCONV.apache,
+    resource: {
+      "apache.server.name": SERVER_NAME,
+      "apache.server.port": String(PORT),
+    },
+  });
+  otlp.start();
+
+  /* per-tick history: ?metric=req_per_sec&from=now-1h&step=1m */
+  app.get("/api/history", serveHistory(history, clock));
+
+  /* simulated logs (only generated with ACCESS_LOG / ERROR_LOG / LOG_STREAM=1) */
+  app.use("/logs", (req, res, next) => {
+    if (!LOGS_ENABLED)
+      return res.status(404).json({
+        ok: false,
+        error: "logs are off; set ACCESS_LOG, ERROR_LOG or LOG_STREAM=1",
+      });
+    next();
+  });
+  app.get("/logs/access", serveLog(accessLog));
+  app.get("/logs/error", serveLog(errorLog));
+
+  /* admin state: checked updates (/admin/set, PATCH /admin/state), reset
+   and snapshots of the whole simulation */
+  const STATE_SCHEMA = {
+    $schema: "https://json-schema.org/draft/2020-12/schema",
+    title: "Apache simulator state",
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      req_per_sec: {
+        type: "number",
+        minimum: 0,
+        maximum: 1000000,
+        description: "requests per second the traffic wanders around",
+      },
+      bytes_per_sec: {
+        type: "number",
+        minimum: 0,
+        description: "bytes per second (follows req_per_sec on the next tick)",
+      },
+      cpu_load: { type: "number", minimum: 0, maximum: 1 },
+      active_workers: {
+        type: "integer",
+        minimum: 0,
+        maximum: SCOREBOARD_SLOTS,
+        description: "busy workers; the scoreboard moves toward it",
+      },
+      idle_workers: { type: "integer", minimum: 0, maximum: SCOREBOARD_SLOTS },
+      errors_total: { type: "integer", minimum: 0 },
+      last_error_rate: { type: "number", minimum: 0, maximum: 1 },
+    },
+  };
+
+  // every change below also goes to /api/stream as an "admin" event
+  app.use("/admin", stream.watch("/admin"));
+
+  app.use(
+    "/admin",
+    serveState({
+      schema: STATE_SCHEMA,
+      state,
+      info: () => ({
+        seed: rng.seed,
+        ticks: clock.ticks,
+        now: new Date(clock.now()).toISOString(),
+      }),
+      check(next) {
+        return next.active_workers + next.idle_workers > SCOREBOARD_SLOTS ?
+            [
+              {
+                field: "idle_workers",
+                error: `active_workers + idle_workers must be <= ${SCOREBOARD_SLOTS} scoreboard slots`,
+              },
+            ]
+          : [];
+      },
+      apply(patch) {
+        Object.assign(state, patch);
+        updatePromMetrics();
+      },
+      reset: (seed) => resetSimulation(seed === undefined ? rng.seed : seed),
+      snapshots: createSnapshots({
+        capture: () => ({
+          state: captureState(state),
+          rng: rng.snapshot(),
+          logRng: logRng.snapshot(),
+          vhostRng: vhostRng.snapshot(),
+          ticks: clock.ticks,
+          spawnRate,
+        }),
+        restore(saved) {
+          scenario.stop();
+          rng.restore(saved.rng);
+          logRng.restore(saved.logRng);
+          vhostRng.restore(saved.vhostRng);
+          clock.seek(saved.ticks);
+          restoreState(state, saved.state);
+          spawnRate = saved.spawnRate;
+          history.rewind(clock.now());
+          updatePromMetrics();
+        },
+      }),
+    })
+  );
+
+  /* virtual clock: step the simulation without waiting real seconds */
+  app.post("/admin/tick", express.json(), (req, res) => {
+    if (clock.mode !== "virtual")
+      return res
+        .status(409)
+        .json({ ok: false, error: "clock is real; start with CLOCK=virtual" });
+    const count = req.body?.count !== undefined ? Number(req.body.count) : 1;
+    if (!Number.isInteger(count) || count < 1 || count > MAX_TICKS)
+      return res.status(400).json({
+        ok: false,
+        error: `count must be an integer from 1 to ${MAX_TICKS}`,
+      });
+    clock.advance(count);
+    res.json({
+      ok: true,
+      ticks: clock.ticks,
+      now: new Date(clock.now()).toISOString(),
+    });
+  });
+
+  /* scenario playback control */
+  app.get("/admin/scenario", (req, res) => {
+    res.json(scenario.status());
+  });
+
+  app.post("/admin/scenario", express.json(), (req, res) => {
+    try {
+      res.json({
+        ok: true,
+        scenario: runScenarioCommand(scenario, req.body || {}, SCENARIO_FILE),
+      });
+    } catch (err) {
+      res.status(400).json({ ok: false, error: err.message });
+    }
+  });
+
+  /* fault injection rules */
+  app.use("/admin/faults", serveFaults(faults));
+
+  /* HTTPS certificate drills (TLS=on) */
+  app.use("/admin/tls", serveTls(tls));
+
+  /* credentials and their rotation (AUTH) */
+  app.use("/admin/auth", serveAuth(auth));
+
+  /* OTLP push status, and a push on demand */
+  app.use("/admin/otlp", serveOtlp(otlp));
+
+  // bad JSON on any /admin route: a JSON 400, not Express's HTML page
+  app.use("/admin", jsonErrors);
+
+  /* root */
+  app.get("/", (req, res) => {
+    res.send(`
+    Fake Apache Metrics
+    Endpoints:
+      /api/status
+      /api/stream?events=tick,admin,scenario&fields=req_per_sec,cpu_load&throttle=2s   (SSE, or WebSocket)
+      /server-status?auto
+      /metrics
+      /api/history?metric=req_per_sec&from=now-1h&step=1m
+      /logs/access  /logs/error   (ACCESS_LOG / ERROR_LOG / LOG_STREAM=1)
+    Use POST /admin/set with JSON to tune values (req_per_sec, cpu_load, seed, etc.)
+    Use GET/PATCH /admin/state, POST /admin/reset, /admin/snapshot and /admin/restore to save and come back to a state
+    Use POST /admin/tick with { "count": n } to step a CLOCK=virtual run
+    Use GET/POST /admin/scenario to play back a scripted timeline
+    Use GET/POST/DELETE /admin/faults to inject latency, errors and broken payloads
+    Use GET /admin/otlp and POST /admin/otlp/push to follow the OTLP push (OTEL_EXPORTER_OTLP_ENDPOINT)
+  `);
+  });
+
+  return {
+    type: "apache",
+    name,
+    app,
+    clock,
+    state,
+    /* run fn(state) at the start of every tick, after the scenario */
+    beforeTick(fn) {
+      tickHooks.push(fn);
+    },
+    registry: metricsRegistry,
+    port: PORT,
+    scheme: tls.scheme,
+    /* standalone HTTP listener (the fleet host mounts app instead) */
+    listen(port = PORT, host = HOST) {
+      const server = tls.listen(app, port, host, () => {
+        console.log(
+          `Fake Apache Metrics server listening on ${tls.scheme}://${host}:${port}`
+        );
+        console.log(
+          "Endpoints: /api/status  /api/stream  /server-status?auto  /metrics  /api/history  POST /admin/set  /admin/state  /admin/snapshot  POST /admin/tick  /admin/scenario  /admin/faults  /admin/tls  /admin/auth  /admin/otlp"
+        );
+        console.log(
+          `Clock: ${clock.mode}  Seed: ${rng.seeded ? rng.seed : "(random)"}  Metrics: ${METRICS_MODE}`
+        );
+        if (otlp.enabled) {
+          const { endpoint, protocol, interval_ms } = otlp.status();
+          console.log(
+            `OTLP push: ${endpoint} (${protocol}) every ${interval_ms}ms`
+          );
+        }
+      });
+      return acceptUpgrades(server, app); // WebSocket /api/stream
+    },
+    stop() {
+      clock.stop();
+      otlp.stop();
+    },
+  };
+}
@@ -0,0 +1,409 @@
+/**
+ * apache-vhosts.js
+ *
+ * Virtual hosts of the Apache simulator. Every tick's accesses are split
+ * across them by traffic weight (jittered a little each tick), then every
+ * request is sampled: status from the server's error rate, duration from
+ * the load, response size from the byte rate (past 1000 per vhost and tick,
+ * a sample scaled up, unless the access log needs every line). The
+ * per-vhost counters and histograms live in the simulator state
+ * (state.hosts), so they always add up to total_accesses / total_kbytes and
+ * snapshots carry them.
+ *
+ *   createVhosts(env) -> {
+ *     names, durationBuckets, sizeBuckets
+ *     initial()          // state.hosts: per-vhost counters at zero
+ *     tick(hosts, { accesses, kbytes, seconds, errorRate, durationMs,
+ *                   saturation, bytesPerReq, rng, onRequest })
+ *                        // split this tick's accesses / kbytes and sample
+ *                        // each request; onRequest(vhost, status, ms,
+ *                        // bytes) sees them in order (access log)
+ *     pick(p)            // vhost for a uniform draw p, by weight
+ *     summary(hosts)     // per-vhost figures for /api/status
+ *     percentiles(hosts) // p50 / p95 / p99 of the last minute, all vhosts
+ *   }
+ *   apportion(total, weights) -> integers summing to total (largest remainder)
+ *
+ * Durations are log-normal around durationMs (the mod_status duration per
+ * request: CPU load, worker saturation, backend wait), their tail widening
+ * as the workers saturate. 2xx sizes are log-normal with bytesPerReq as
+ * their mean; redirects and error pages are a few hundred bytes, 304s none.
+ * Percentiles read a histogram decayed over a minute, interpolated within
+ * buckets the way histogram_quantile() does.
+ *
+ * Env:
+ *   VHOSTS:
+ *     unset                       -> example.com and api.example.com, even
+ *     5                           -> that many (example.com,
+ *                                    api.example.com, shop.example.com, ...),
+ *                                    weights 1, 1/2, 1/3, ... as real sites
+ *                                    skew
+ *     shop.example.com=3,api.example.com=1
+ *                                 -> names and weights (weight defaults to 1)
+ *     [{"name":"api.example.com","weight":2,"errors":3,"latency":1.5}]
+ *                                 -> inline JSON; errors multiplies the
+ *                                    server's error rate, latency its request
+ *                                    duration (both default 1)
+ *   LATENCY_BUCKETS -> duration histogram bounds in seconds (default
+ *                      0.005,0.01,0.025,0.05,0.1,0.25,0.5,1,2.5,5,10)
+ *   SIZE_BUCKETS    -> response size histogram bounds in bytes (default
+ *                      256,1024,4096,...,4194304)
+ */
+
+export const STATUS_CLASSES = ["2xx", "3xx", "4xx", "5xx"];
+// status codes behind each class, as often as they show up
+const STATUS_CODES = {
+  "2xx": [200],
+  "3xx": [301, 302, 304, 304],
+  "4xx": [404, 404, 403, 401],
+  "5xx": [500, 502, 502, 503, 504],
+};
+// seconds, prom-client's defaults
+const DURATION_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+];
+// bytes, x4 from 256 B to 4 MB
+const SIZE_BUCKETS = Array.from({ length: 8 }, (_, i) => 256 * 4 ** i);
+const DURATION_SPREAD = 0.4; // log-normal sigma, idle workers
+const SATURATED_SPREAD = 0.8; // ... all workers busy
+const SIZE_SPREAD = 1; // log-normal sigma of 2xx bodies
+const ERROR_PAGE_BYTES = 300; // median of redirects and error pages
+const SAMPLE_LIMIT = 1000; // requests sampled one by one, per vhost and tick
+const RECENT_SECONDS = 60; // window of the percentiles
+const QUANTILES = { p50: 0.5, p95: 0.95, p99: 0.99 };
+const MAX_VHOSTS = 1000;
+const NAMES = [
+  "example.com",
+  "api.example.com",
+  "shop.example.com",
+  "blog.example.com",
+  "static.example.com",
+  "admin.example.com",
+];
+
+function fail(msg) {
+  throw new Error(`invalid VHOSTS config: ${msg}`);
+}
+
+function parseVhosts(value) {
+  const text = String(value ?? "").trim();
+  let list;
+  if (text === "") {
+    list = [{ name: NAMES[0] }, { name: NAMES[1] }];
+  } else if (/^\d+$/.test(text)) {
+    const count = Number(text);
+    if (count < 1 || count > MAX_VHOSTS)
+      fail(`count must be between 1 and ${MAX_VHOSTS}`);
+    list = Array.from({ length: count }, (_, i) => ({
+      name: NAMES[i] ?? `site${i + 1}.example.com`,
+      weight: 1 / (i + 1),
+    }));
+  } else if (text.startsWith("[")) {
+    try {
+      list = JSON.parse(text);
+    } catch (err) {
+      fail(err.message);
+    }
+    if (!Array.isArray(list)) fail("JSON form must be an array");
+  } else {
+    list = text.split(",").map((item) => {
+      const [name, weight] = item.split("=").map((s) => s.trim());
+      return { name, weight: weight === undefined ? 1 : Number(weight) };
+    });
+  }
+  if (list.length === 0 || list.length > MAX_VHOSTS)
+    fail(`between 1 and ${MAX_VHOSTS} vhosts`);
+
+  const seen = new Set();
+  return list.map((vhost) => {
+    const {
+      name,
+      weight = 1,
+      errors = 1,
+      latency = 1,
+    } = typeof vhost === "string" ? { name: vhost } : vhost || {};
+    if (typeof name !== "string" || !/^[A-Za-z0-9.-]+$/.test(name))
+      fail(`"${name}" is not a host name`);
+    if (seen.has(name)) fail(`${name} is listed twice`);
+    seen.add(name);
+    if (!(Number.isFinite(weight) && weight > 0))
+      fail(`${name}: weight must be a number > 0`);
+    if (!(Number.isFinite(errors) && errors >= 0))
+      fail(`${name}: errors must be a number >= 0`);
+    if (!(Number.isFinite(latency) && latency > 0))
+      fail(`${name}: latency must be a number > 0`);
+    return { name, weight, errors, latency };
+  });
+}
+
+/* "0.1,0.5,1" -> [0.1, 0.5, 1]: positive and increasing */
+function parseBuckets(env, key, fallback) {
+  if (env[key] === undefined || env[key] === "") return fallback;
+  const bounds = String(env[key])
+    .split(",")
+    .map((s) => Number(s.trim()));
+  if (!bounds.every((b, i) => b > 0 && b < Infinity && !(b <= bounds[i - 1])))
+    throw new Error(
+      `invalid ${key}: expected increasing positive numbers, e.g. 0.1,0.5,1`
+    );
+  return bounds;
+}
+
+export function apportion(total, weights) {
+  const sum = weights.reduce((a, b) => a + b, 0);
+  const exact = weights.map((w) =>
+    sum > 0 ? (total * w) / sum : total / weights.length
+  );
+  const out = exact.map(Math.floor);
+  const left = total - out.reduce((a, b) => a + b, 0);
+  // largest remainders first, ties to the first listed
+  const order = exact
+    .map((_, i) => i)
+    .sort((a, b) => exact[b] - out[b] - (exact[a] - out[a]) || a - b);
+  for (let k = 0; k < left; k++) out[order[k % order.length]]++;
+  return out;
+}
+
+/* the simulator's status mix: 5xx share is the error rate, plus some 4xx / 3xx */
+function statusClass(p, err) {
+  if (p < err) return "5xx";
+  if (p < err + 0.03) return "4xx";
+  if (p < err + 0.08) return "3xx";
+  return "2xx";
+}
+
+/* index in bounds, bounds.length for +Inf */
+function bucketIndex(bounds, value) {
+  const i = bounds.findIndex((le) => value <= le);
+  return i === -1 ? bounds.length : i;
+}
+
+/* histogram_quantile() over per-bucket counts (+Inf last) */
+function quantile(q, bounds, counts) {
+  const total = counts.reduce((a, b) => a + b, 0);
+  if (!(total > 0)) return null;
+  const rank = q * total;
+  let seen = 0;
+  for (let i = 0; i < bounds.length; i++) {
+    if (counts[i] > 0 && seen + counts[i] >= rank) {
+      const lower = i === 0 ? 0 : bounds[i - 1];
+      return lower + ((bounds[i] - lower) * (rank - seen)) / counts[i];
+    }
+    seen += counts[i];
+  }
+  return bounds[bounds.length - 1]; // in +Inf: the highest bound, as Prometheus
+}
+
+export function createVhosts(env = process.env) {
+  const vhosts = parseVhosts(env.VHOSTS);
+  const durationBuckets = parseBuckets(
+    env,
+    "LATENCY_BUCKETS",
+    DURATION_BUCKETS
+  );
+  const sizeBuckets = parseBuckets(env, "SIZE_BUCKETS", SIZE_BUCKETS);
+  const names = vhosts.map((v) => v.name);
+  const totalWeight = vhosts.reduce((sum, v) => sum + v.weight, 0);
+  const round = (v, digits) => Math.round(v * 10 ** digits) / 10 ** digits;
+  const zeros = (bounds) => new Array(bounds.length + 1).fill(0);
+  // per bucket (not cumulative), +Inf last
+  const histogram = (bounds) => ({ counts: zeros(bounds), sum: 0 });
+  const byStatus = (make) =>
+    Object.fromEntries(STATUS_CLASSES.map((c) => [c, make()]));
+
+  /* p50 / p95 / p99 of decayed counts, in ms and bytes */
+  function percentiles(recent) {
+    const read = (bounds, counts, scale, digits) =>
+      Object.fromEntries(
+        Object.entries(QUANTILES).map(([key, q]) => {
+          const v = quantile(q, bounds, counts);
+          return [key, v === null ? null : round(v * scale, digits)];
+        })
+      );
+    return {
+      latency_ms: read(durationBuckets, recent.duration, 1000, 2),
+      response_bytes: read(sizeBuckets, recent.size, 1, 0),
+    };
+  }
+
+  /* one request: [ms, bytes] */
+  function sample(rng, status, { median, spread, bytesPerReq }) {
+    const ms = median * Math.exp(rng.gaussian(0, spread));
+    let bytes = 0;
+    if (status === 200) {
+      // log-normal with bytesPerReq as its mean
+      const mu = Math.log(Math.max(1, bytesPerReq)) - SIZE_SPREAD ** 2 / 2;
+      bytes = Math.round(Math.exp(mu + rng.gaussian(0, SIZE_SPREAD)));
+    } else if (status !== 304) {
+      bytes = Math.round(ERROR_PAGE_BYTES * Math.exp(rng.gaussian(0, 0.3)));
+    }
+    return [ms, bytes];
+  }
+
+  return {
+    names,
+    durationBuckets,
+    sizeBuckets,
+
+    initial() {
+      return Object.fromEntries(
+        names.map((name) => [
+          name,
+          {
+            accesses: 0,
+            kbytes: 0,
+            req_per_sec: 0,
+            error_rate: 0,
+            status: byStatus(() => 0),
+            duration: byStatus(() => histogram(durationBuckets)), // seconds
+            size: byStatus(() => histogram(sizeBuckets)), // bytes
+            // all statuses, decayed over RECENT_SECONDS: the percentiles
+            recent: {
+              duration: zeros(durationBuckets),
+              size: zeros(sizeBuckets),
+            },
+          },
+        ])
+      );
+    },
+
+    tick(
+      hosts,
+      {
+        accesses,
+        kbytes,
+        seconds,
+        errorRate,
+        durationMs,
+        saturation,
+        bytesPerReq,
+        rng,
+        onRequest,
+      }
+    ) {
+      const jittered = vhosts.map((v) => v.weight * (0.8 + rng.random() * 0.4));
+      const shares = apportion(accesses, jittered);
+      const spread =
+        DURATION_SPREAD + (SATURATED_SPREAD - DURATION_SPREAD) * saturation;
+      const decay = Math.exp(-seconds / RECENT_SECONDS);
+
+      const sent = vhosts.map((v, i) => {
+        const host = hosts[v.name];
+        const err = Math.min(1, errorRate * v.errors);
+        const draw = { median: durationMs * v.latency, spread, bytesPerReq };
+        host.accesses += shares[i];
+        host.req_per_sec = round(shares[i] / seconds, 2);
+        host.error_rate = round(err, 4);
+
+        // past SAMPLE_LIMIT (and no log line to write for each), the
+        // tallies of a sample are scaled up to the share, still exactly
+        const sampled =
+          onRequest ? shares[i] : Math.min(shares[i], SAMPLE_LIMIT);
+        const tally = byStatus(() => ({
+          n: 0,
+          duration: histogram(durationBuckets),
+          size: histogram(sizeBuckets),
+        }));
+        for (let n = 0; n < sampled; n++) {
+          const cls = statusClass(rng.random(), err);
+          const codes = STATUS_CODES[cls];
+          const status = codes[Math.floor(rng.random() * codes.length)];
+          const [ms, bytes] = sample(rng, status, draw);
+          const t = tally[cls];
+          t.n++;
+          t.duration.counts[bucketIndex(durationBuckets, ms / 1000)]++;
+          t.duration.sum += ms / 1000;
+          t.size.counts[bucketIndex(sizeBuckets, bytes)]++;
+          t.size.sum += bytes;
+          if (onRequest) onRequest(v.name, status, ms, bytes);
+        }
+        const scale = sampled > 0 ? shares[i] / sampled : 0;
+        const perStatus = apportion(
+          shares[i],
+          STATUS_CLASSES.map((c) => tally[c].n)
+        );
+
+        // fold the tallies in (n requests of that status), recent decayed
+        const add = (into, recent, from, n) => {
+          const counts =
+            sampled === shares[i] ? from.counts : apportion(n, from.counts);
+          counts.forEach((count, b) => {
+            into.counts[b] += count;
+            recent[b] += count;
+          });
+          into.sum += from.sum * scale;
+        };
+        host.recent.duration = host.recent.duration.map((c) => c * decay);
+        host.recent.size = host.recent.size.map((c) => c * decay);
+        let bytes = 0;
+        STATUS_CLASSES.forEach((c, k) => {
+          const n = perStatus[k];
+          if (n === 0) return;
+          host.status[c] += n;
+          add(host.duration[c], host.recent.duration, tally[c].duration, n);
+          add(host.size[c], host.recent.size, tally[c].size, n);
+          bytes += tally[c].size.sum * scale;
+        });
+        return bytes;
+      });
+
+      // kbytes follow what each vhost's responses weighed
+      const kbShares = apportion(
+        kbytes,
+        sent.some((b) => b > 0) ? sent : jittered
+      );
+      vhosts.forEach((v, i) => {
+        hosts[v.name].kbytes += kbShares[i];
+      });
+    },
+
+    pick(p) {
+      let acc = 0;
+      for (const v of vhosts) {
+        acc += v.weight / totalWeight;
+        if (p < acc) return v.name;
+      }
+      return names[names.length - 1];
+    },
+
+    summary(hosts) {
+      return Object.fromEntries(
+        vhosts.map((v) => {
+          const host = hosts[v.name];
+          const seconds = STATUS_CLASSES.reduce(
+            (sum, c) => sum + host.duration[c].sum,
+            0
+          );
+          return [
+            v.name,
+            {
+              weight: round(v.weight / totalWeight, 4),
+              accesses: host.accesses,
+              kbytes: host.kbytes,
+              req_per_sec: host.req_per_sec,
+              error_rate: host.error_rate,
+              status: host.status,
+              avg_duration_ms:
+                host.accesses > 0 ?
+                  round((seconds * 1000) / host.accesses, 2)
+                : 0,
+              ...percentiles(host.recent),
+            },
+          ];
+        })
+      );
+    },
+
+    percentiles(hosts) {
+      const total = (key, bounds) =>
+        Object.values(hosts).reduce(
+          (acc, host) => acc.map((c, b) => c + host.recent[key][b]),
+          zeros(bounds)
+        );
+      return percentiles({
+        duration: total("duration", durationBuckets),
+        size: total("size", sizeBuckets),
+      });
+    },
+  };
+}
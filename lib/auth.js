@@ -0,0 +1,399 @@
+/**
+ * auth.js
+ *
+ * Credentials in front of the simulators' HTTP endpoints, per route group:
+ * Basic auth, bearer tokens or an API-key header, with the 401 / 403 answers
+ * and WWW-Authenticate challenges of a real server, and credentials that
+ * rotate mid-run to exercise re-authentication. Loaded from AUTH (JSON, or
+ * YAML when js-yaml is installed).
+ *
+ * Auth format:
+ *   {
+ *     "realm": "metrics",                       // default: the simulator's
+ *     "groups": {
+ *       "metrics": { "basic": { "user": "prometheus", "password": "s3cret" } },
+ *       "status":  { "bearer": "status-token", "api_key": ["k1", "k2"] },
+ *       "admin":   { "basic": [{ "user": "ops", "password": "ops" }] }
+ *     },
+ *     "api_key_header": "X-API-Key",            // default
+ *     "rotate": { "every": 600, "grace": 30, "dir": "/tmp/sim-creds" }
+ *   }
+ *
+ * Route groups: admin (/admin/*), metrics (any path ending in /metrics) and
+ * status (everything else), in any letter case and with or without a
+ * trailing slash, as Express routes them. A group without credentials stays
+ * open; any one accepted credential of the group lets a request through.
+ *
+ * Answers:
+ *   no or unknown credentials      -> 401 + a challenge per scheme
+ *                                     (Basic realm=..., Bearer realm=...,
+ *                                     error="invalid_token" for a bad token)
+ *   credentials of another group   -> 403 (Bearer error="insufficient_scope")
+ *
+ * Rotation (simulated seconds, so CLOCK=virtual drives it): every "every"
+ * seconds passwords, tokens and keys get a generation suffix ("s3cret-1",
+ * "s3cret-2", ...); the previous generation is still accepted for "grace"
+ * seconds. With "dir", the current ones are written to <group>.password,
+ * <group>.token and <group>.key there, for password_file /
+ * credentials_file style scraper settings.
+ *
+ *   createAuth(config, { realm, clock, deny }) -> { enabled, middleware,
+ *                                                 refresh, rotate, status }
+ *   serveAuth(auth) -> router for GET / POST /admin/auth
+ *   loadAuth(value) -> config from an AUTH file path or inline JSON
+ */
+
+import express from "express";
+import { mkdir, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { loadJsonOrYaml } from "./config-file.js";
+
+export const ROUTE_GROUPS = ["metrics", "status", "admin"];
+const GROUP_KEYS = ["basic", "bearer", "api_key"];
+const AUTH_KEYS = ["realm", "groups", "api_key_header", "rotate"];
+const ROTATE_KEYS = ["every", "grace", "dir"];
+
+function fail(msg) {
+  throw new Error(`invalid auth: ${msg}`);
+}
+
+const list = (value) => (Array.isArray(value) ? value : [value]);
+
+function secrets(value, where) {
+  const out = list(value);
+  if (!out.length || out.some((s) => typeof s !== "string" || !s))
+    fail(`${where} must be a non-empty string or a list of them`);
+  return out;
+}
+
+/* check shape and normalise every scheme to a list */
+export function parseAuth(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw))
+    fail("expected an object with groups");
+  for (const key of Object.keys(raw))
+    if (!AUTH_KEYS.includes(key)) fail(`unknown key "${key}"`);
+  if (!raw.groups || typeof raw.groups !== "object")
+    fail('"groups" is required');
+  const groups = {};
+  for (const [group, schemes] of Object.entries(raw.groups)) {
+    if (!ROUTE_GROUPS.includes(group))
+      fail(`group "${group}" must be one of ${ROUTE_GROUPS.join(", ")}`);
+    if (!schemes || typeof schemes !== "object")
+      fail(`${group}: expected { basic, bearer, api_key }`);
+    for (const key of Object.keys(schemes))
+      if (!GROUP_KEYS.includes(key)) fail(`${group}: unknown key "${key}"`);
+    if (!GROUP_KEYS.some((key) => schemes[key] !== undefined))
+      fail(`${group}: no credentials (${GROUP_KEYS.join(", ")})`);
+    groups[group] = {
+      basic:
+        schemes.basic === undefined ?
+          []
+        : list(schemes.basic).map((b, i) => {
+            if (
+              !b ||
+              typeof b.user !== "string" ||
+              typeof b.password !== "string"
+            )
+              fail(`${group}: basic ${i} needs "user" and "password" strings`);
+            return { user: b.user, password: b.password };
+          }),
+      bearer:
+        schemes.bearer === undefined ?
+          []
+        : secrets(schemes.bearer, `${group}: "bearer"`),
+      api_key:
+        schemes.api_key === undefined ?
+          []
+        : secrets(schemes.api_key, `${group}: "api_key"`),
+    };
+  }
+  let rotate = null;
+  if (raw.rotate !== undefined) {
+    if (!raw.rotate || typeof raw.rotate !== "object")
+      fail('"rotate" must be { every, grace, dir }');
+    for (const key of Object.keys(raw.rotate))
+      if (!ROTATE_KEYS.includes(key)) fail(`rotate: unknown key "${key}"`);
+    const { every, grace = 0, dir = null } = raw.rotate;
+    if (every !== undefined && !(typeof every === "number" && every > 0))
+      fail('rotate: "every" must be a number of seconds > 0');
+    if (!(typeof grace === "number" && grace >= 0))
+      fail('rotate: "grace" must be a number of seconds >= 0');
+    if (dir !== null && typeof dir !== "string")
+      fail('rotate: "dir" must be a path');
+    rotate = { every: every ?? null, grace, dir };
+  }
+  return {
+    realm: raw.realm === undefined ? null : String(raw.realm),
+    groups,
+    apiKeyHeader: raw.api_key_header || "X-API-Key",
+    rotate,
+  };
+}
+
+/* AUTH: inline JSON, or a JSON / YAML file */
+export async function loadAuth(value) {
+  if (/^\s*\{/.test(value)) return parseAuth(JSON.parse(value));
+  return parseAuth(await loadJsonOrYaml(value));
+}
+
+/* on the path as Express routes it: /ADMIN/set and /metrics/ are /admin/set
+   and /metrics, so letter case and trailing slashes are dropped first */
+export function routeGroup(path) {
+  const p = path.toLowerCase().replace(/\/+$/, "");
+  if (p === "/admin" || p.startsWith("/admin/")) return "admin";
+  if (/(^|\/)metrics$/.test(p)) return "metrics";
+  return "status";
+}
+
+/* what the client presented: at most one of each scheme */
+function presented(req, apiKeyHeader) {
+  const out = {};
+  const header = req.get("authorization") || "";
+  const m = header.match(/^(\w+)\s+(.+)$/);
+  if (m && m[1].toLowerCase() === "basic") {
+    const decoded = Buffer.from(m[2].trim(), "base64").toString("utf8");
+    const colon = decoded.indexOf(":");
+    if (colon !== -1)
+      out.basic = {
+        user: decoded.slice(0, colon),
+        password: decoded.slice(colon + 1),
+      };
+  } else if (m && m[1].toLowerCase() === "bearer") out.bearer = m[2].trim();
+  const key = req.get(apiKeyHeader);
+  if (key) out.api_key = key;
+  return out;
+}
+
+/* default error body; simulators pass their own server's (Apache HTML, ES) */
+function defaultDeny(res, status, reason) {
+  res.status(status).json({ ok: false, error: reason });
+}
+
+export function createAuth(
+  config = null,
+  { realm: defaultRealm = "simulator", clock, deny = defaultDeny } = {}
+) {
+  const realm = config?.realm || defaultRealm;
+  const rotation = config?.rotate || null;
+  let manual = 0; // rotations forced through /admin/auth
+  let generation = 0;
+  let previous = null; // { generation, until (ms of sim time) }
+  const denied = Object.fromEntries(
+    ROUTE_GROUPS.map((g) => [g, { 401: 0, 403: 0 }])
+  );
+
+  const simMs = () => clock.ticks * clock.tickMs;
+  const secret = (base, gen) => (gen === 0 ? base : `${base}-${gen}`);
+
+  function credentials(group, gen = generation) {
+    const g = config.groups[group];
+    return {
+      basic: g.basic.map((b) => ({
+        user: b.user,
+        password: secret(b.password, gen),
+      })),
+      bearer: g.bearer.map((t) => secret(t, gen)),
+      api_key: g.api_key.map((k) => secret(k, gen)),
+    };
+  }
+
+  /* <group>.password / .token / .key with the current secrets */
+  function writeFiles() {
+    if (!rotation?.dir) return;
+    const files = [];
+    for (const group of Object.keys(config.groups)) {
+      const creds = credentials(group);
+      if (creds.basic.length)
+        files.push([`${group}.password`, creds.basic[0].password]);
+      if (creds.bearer.length) files.push([`${group}.token`, creds.bearer[0]]);
+      if (creds.api_key.length) files.push([`${group}.key`, creds.api_key[0]]);
+    }
+    mkdir(rotation.dir, { recursive: true })
+      .then(() =>
+        Promise.all(
+          files.map(([file, value]) =>
+            writeFile(join(rotation.dir, file), `${value}\n`, { mode: 0o600 })
+          )
+        )
+      )
+      .catch((err) => console.error(`auth: ${rotation.dir}: ${err.message}`));
+  }
+
+  /* follow the clock: a new generation once "every" seconds have passed */
+  function refresh() {
+    if (!config) return;
+    const scheduled =
+      rotation?.every ? Math.floor(simMs() / (rotation.every * 1000)) : 0;
+    const next = scheduled + manual;
+    if (next === generation) return;
+    previous =
+      next > generation ?
+        { generation, until: simMs() + (rotation?.grace || 0) * 1000 }
+      : null; // clock reset: back to the start
+    generation = next;
+    writeFiles();
+  }
+
+  /* which group's credentials match, and whether they are only the old ones */
+  function match(group, creds) {
+    const generations = [generation];
+    if (previous && simMs() < previous.until)
+      generations.push(previous.generation);
+    for (const gen of generations) {
+      const c = credentials(group, gen);
+      if (
+        (creds.basic &&
+          c.basic.some(
+            (b) =>
+              b.user === creds.basic.user && b.password === creds.basic.password
+          )) ||
+        (creds.bearer && c.bearer.includes(creds.bearer)) ||
+        (creds.api_key && c.api_key.includes(creds.api_key))
+      )
+        return true;
+    }
+    return false;
+  }
+
+  /* a token from an earlier generation: "expired" rather than "invalid" */
+  function stale(creds) {
+    for (let gen = 0; gen < generation; gen++)
+      for (const group of Object.keys(config.groups)) {
+        const c = credentials(group, gen);
+        if (
+          (creds.bearer && c.bearer.includes(creds.bearer)) ||
+          (creds.basic &&
+            c.basic.some(
+              (b) =>
+                b.user === creds.basic.user &&
+                b.password === creds.basic.password
+            )) ||
+          (creds.api_key && c.api_key.includes(creds.api_key))
+        )
+          return true;
+      }
+    return false;
+  }
+
+  function challenges(group, error) {
+    const g = config.groups[group];
+    const out = [];
+    if (g.basic.length) out.push(`Basic realm="${realm}", charset="UTF-8"`);
+    if (g.bearer.length)
+      out.push(
+        error ?
+          `Bearer realm="${realm}", error="${error.code}", error_description="${error.description}"`
+        : `Bearer realm="${realm}"`
+      );
+    return out;
+  }
+
+  function middleware(req, res, next) {
+    if (!config) return next();
+    const group = routeGroup(req.path);
+    if (!config.groups[group]) return next();
+    refresh();
+    const creds = presented(req, config.apiKeyHeader);
+    if (match(group, creds)) return next();
+
+    const known = Object.keys(config.groups).some(
+      (other) => other !== group && match(other, creds)
+    );
+    if (known) {
+      denied[group][403]++;
+      if (creds.bearer)
+        res.set(
+          "WWW-Authenticate",
+          `Bearer realm="${realm}", error="insufficient_scope", error_description="The token does not grant access to ${group} endpoints"`
+        );
+      return deny(
+        res,
+        403,
+        `credentials do not grant access to ${group} endpoints`
+      );
+    }
+
+    denied[group][401]++;
+    const none = !creds.basic && !creds.bearer && !creds.api_key;
+    const expired = !none && stale(creds);
+    const error =
+      creds.bearer ?
+        {
+          code: "invalid_token",
+          description:
+            expired ?
+              "The access token expired"
+            : "The access token is invalid",
+        }
+      : null;
+    for (const challenge of challenges(group, error))
+      res.append("WWW-Authenticate", challenge);
+    deny(
+      res,
+      401,
+      none ? `missing authentication credentials for REST request [${req.path}]`
+      : expired ? "credentials have been rotated; re-read them"
+      : "invalid credentials"
+    );
+  }
+
+  if (config) writeFiles();
+
+  return {
+    enabled: Boolean(config),
+    middleware,
+    refresh,
+    /* next generation right away (POST /admin/auth { "action": "rotate" }) */
+    rotate() {
+      manual++;
+      refresh();
+    },
+    status() {
+      if (!config) return { enabled: false };
+      return {
+        enabled: true,
+        realm,
+        generation,
+        rotate: rotation,
+        next_rotation_in_seconds:
+          rotation?.every ?
+            rotation.every - (Math.floor(simMs() / 1000) % rotation.every)
+          : null,
+        previous_accepted_for_seconds:
+          previous && simMs() < previous.until ?
+            Math.ceil((previous.until - simMs()) / 1000)
+          : 0,
+        api_key_header: config.apiKeyHeader,
+        groups: Object.fromEntries(
+          Object.keys(config.groups).map((group) => [
+            group,
+            { ...credentials(group), denied: denied[group] },
+          ])
+        ),
+      };
+    },
+  };
+}
+
+/*
+ * /admin/auth (itself in the admin group):
+ *   GET  -> current credentials, generation and denial counts
+ *   POST -> { "action": "rotate" } rotates every credential now
+ */
+export function serveAuth(auth) {
+  const router = express.Router();
+  router.get("/", (req, res) => res.json(auth.status()));
+  router.post("/", express.json(), (req, res) => {
+    if (!auth.enabled)
+      return res
+        .status(404)
+        .json({ ok: false, error: "auth is off; set AUTH" });
+    if (req.body?.action !== "rotate")
+      return res
+        .status(400)
+        .json({ ok: false, error: 'action must be "rotate"' });
+    auth.rotate();
+    res.json({ ok: true, ...auth.status() });
+  });
+  return router;
+}
@@ -0,0 +1,87 @@
+/**
+ * causality.js
+ *
+ * Cross-service links for a simulator fleet: an Apache front end sends a
+ * share of its traffic to a MySQL instance, and MySQL saturation comes back
+ * as Apache latency, busy workers and 5xx.
+ *
+ *   linkServices([{ from: apacheSim, to: mysqlSim, fraction,
+ *                   queries_per_request }]) -> { view() }
+ *
+ * Forward, on every MySQL tick:
+ *   frontend_qps = sum(req_per_sec x fraction x queries_per_request)
+ * which the instance adds to its own, randomly walking, traffic:
+ * queries_per_second = own_qps + frontend_qps (and threads_connected,
+ * threads_running, slow queries, ... follow from the higher QPS).
+ *
+ * Feedback, on every Apache tick, summed over its backends:
+ *   query_ms           = 0.5 + 0.25 x threads_running
+ *                        + 2 x min(50, table_locks_waited)      (<= 1000)
+ *   backend_ms         = fraction x queries_per_request x query_ms
+ *   backend_error_rate = fraction x (lock wait timeouts + connections
+ *                        refused above the instance's max_connections)
+ */
+
+/* latency of one query on a MySQL state, in ms */
+export function queryMs(db) {
+  return Math.min(
+    1000,
+    0.5 + db.threads_running * 0.25 + Math.min(50, db.table_locks_waited) * 2
+  );
+}
+
+/* share of queries failing: lock wait timeouts, "Too many connections" */
+export function queryErrorRate(db) {
+  const locks = Math.min(0.2, db.table_locks_waited * 0.002);
+  const refused =
+    db.connections_refused /
+    Math.max(1, db.threads_connected + db.connections_refused);
+  return Math.min(1, locks + refused);
+}
+
+const round = (v, digits) => Math.round(v * 10 ** digits) / 10 ** digits;
+
+export function linkServices(links) {
+  const drivenQps = (link) =>
+    link.from.state.req_per_sec * link.fraction * link.queries_per_request;
+
+  const targets = new Set(links.map((link) => link.to));
+  for (const to of targets) {
+    const incoming = links.filter((link) => link.to === to);
+    to.beforeTick((db) => {
+      db.frontend_qps = round(
+        incoming.reduce((sum, link) => sum + drivenQps(link), 0),
+        2
+      );
+    });
+  }
+
+  const sources = new Set(links.map((link) => link.from));
+  for (const from of sources) {
+    const outgoing = links.filter((link) => link.from === from);
+    from.beforeTick((web) => {
+      let ms = 0;
+      let errors = 0;
+      for (const link of outgoing) {
+        ms += link.fraction * link.queries_per_request * queryMs(link.to.state);
+        errors += link.fraction * queryErrorRate(link.to.state);
+      }
+      web.backend_ms = round(ms, 2);
+      web.backend_error_rate = round(Math.min(1, errors), 4);
+    });
+  }
+
+  return {
+    view() {
+      return links.map((link) => ({
+        from: link.from.name,
+        to: link.to.name,
+        fraction: link.fraction,
+        queries_per_request: link.queries_per_request,
+        driven_qps: round(drivenQps(link), 2),
+        query_ms: round(queryMs(link.to.state), 2),
+        error_rate: round(queryErrorRate(link.to.state), 4),
+      }));
+    },
+  };
+}
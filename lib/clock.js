@@ -0,0 +1,74 @@
+/**
+ * clock.js
+ *
+ * Tick driver for the simulators.
+ *
+ *   mode "real"    -> ticks fire from setInterval, now() is wall time
+ *   mode "virtual" -> ticks only fire through advance(n), now() is
+ *                     startTime + ticks * tickMs (fully reproducible)
+ */
+
+// fixed origin so virtual runs print the same timestamps every time
+const DEFAULT_VIRTUAL_START = Date.UTC(2024, 0, 1);
+
+// most ticks one POST /admin/tick may fire (a virtual day): advance() runs
+// them all before the reply, so a bigger count would stall every request
+export const MAX_TICKS = 86400;
+
+export function createClock({ mode = "real", tickMs = 1000, startTime } = {}) {
+  const virtual = mode === "virtual";
+  let origin =
+    startTime !== undefined ? startTime
+    : virtual ? DEFAULT_VIRTUAL_START
+    : Date.now();
+  let ticks = 0;
+  let timer = null;
+  let onTick = () => {};
+  let afterTick = () => {};
+
+  function fire() {
+    onTick();
+    ticks++;
+    afterTick();
+  }
+
+  return {
+    mode: virtual ? "virtual" : "real",
+    tickMs,
+    get startTime() {
+      return origin;
+    },
+    get ticks() {
+      return ticks;
+    },
+    now() {
+      return virtual ? origin + ticks * tickMs : Date.now();
+    },
+    /* run the first tick right away, then keep going in real mode; after
+       runs once each tick is counted, so it sees the tick's ticks and now() */
+    start(fn, after = () => {}) {
+      onTick = fn;
+      afterTick = after;
+      fire();
+      if (!virtual) timer = setInterval(fire, tickMs);
+    },
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+    /* step n ticks at once (virtual mode) */
+    advance(n = 1) {
+      for (let i = 0; i < n; i++) fire();
+      return ticks;
+    },
+    /* jump to a tick count without firing ticks (snapshot restore) */
+    seek(n) {
+      ticks = n;
+    },
+    /* back to tick 0; the real clock restarts from now */
+    reset() {
+      ticks = 0;
+      if (!virtual && startTime === undefined) origin = Date.now();
+    },
+  };
+}
@@ -0,0 +1,24 @@
+/**
+ * config-file.js
+ *
+ * Reads the config files the simulators take (SCENARIO, FLEET, FAULTS,
+ * AUTH): JSON, or YAML for a .yaml / .yml name. js-yaml is loaded only for
+ * YAML files, so JSON setups need nothing beyond express and prom-client.
+ *
+ *   loadJsonOrYaml(file) -> the parsed value (throws when unreadable, or
+ *                           for YAML without js-yaml installed)
+ */
+
+import { readFile } from "node:fs/promises";
+
+export async function loadJsonOrYaml(file) {
+  const text = await readFile(file, "utf8");
+  if (!/\.ya?ml$/i.test(file)) return JSON.parse(text);
+  let yaml;
+  try {
+    yaml = await import("js-yaml");
+  } catch {
+    throw new Error(`${file}: YAML files need js-yaml (npm install js-yaml)`);
+  }
+  return yaml.load(text);
+}
@@ -0,0 +1,126 @@
+/**
+ * es-cat.js
+ *
+ * _cat API output for the Elasticsearch simulator: aligned text tables the
+ * way Elasticsearch prints them, with the usual query parameters.
+ *
+ *   catTable(columns, rows, query) -> { json, body }
+ *     columns: [{ name, align: "left" | "right", bytes }]
+ *     rows:    one object per line, keyed by column name
+ *     query:   ?v (header), ?h=a,b (columns), ?s=a:desc (sort),
+ *              ?format=json, ?bytes=b|kb|mb|gb
+ *   formatBytes(n)   -> "251b", "5.3kb", "8.2gb" (ByteSizeValue style)
+ *   parseBytes(text) -> bytes, the other way round
+ */
+
+const UNITS = ["b", "kb", "mb", "gb", "tb", "pb"];
+
+export function formatBytes(bytes) {
+  if (bytes === null || bytes === undefined) return "";
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < UNITS.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  // one decimal, dropped when it is .0
+  const text = unit === 0 ? String(value) : String(Math.round(value * 10) / 10);
+  return `${text}${UNITS[unit]}`;
+}
+
+export function parseBytes(text) {
+  const m = String(text ?? "")
+    .trim()
+    .toLowerCase()
+    .match(/^([\d.]+)\s*([kmgtp]?b)$/);
+  if (!m) return 0;
+  return Math.round(Number(m[1]) * 1024 ** UNITS.indexOf(m[2]));
+}
+
+/* ?bytes=mb renders sizes as whole numbers of that unit */
+function renderBytes(bytes, unit) {
+  if (bytes === null || bytes === undefined) return null;
+  if (!unit) return formatBytes(bytes);
+  const i = UNITS.indexOf(unit);
+  return String(i <= 0 ? bytes : Math.floor(bytes / 1024 ** i));
+}
+
+const flag = (value) =>
+  value !== undefined && value !== "false" && value !== false;
+
+export function catTable(columns, rows, query = {}) {
+  // ?h=index,docs.count (unknown names are ignored, as wildcards are not)
+  const wanted =
+    query.h ?
+      String(query.h)
+        .split(",")
+        .map((h) => h.trim())
+        .map((h) => columns.find((c) => c.name === h))
+        .filter(Boolean)
+    : columns;
+  const unit = query.bytes ? String(query.bytes).toLowerCase() : null;
+  const cells = rows.map((row) =>
+    wanted.map((c) => {
+      const value = row[c.name];
+      if (c.bytes) return renderBytes(value, unit);
+      return value === null || value === undefined ? null : String(value);
+    })
+  );
+
+  // ?s=store.size:desc,index -- numeric and byte columns sort by value
+  if (query.s) {
+    const keys = String(query.s)
+      .split(",")
+      .map((key) => {
+        const [name, dir] = key.trim().split(":");
+        return {
+          column: columns.find((c) => c.name === name),
+          desc: dir === "desc",
+        };
+      })
+      .filter((key) => key.column);
+    const order = rows.map((row, i) => i);
+    order.sort((a, b) => {
+      for (const { column, desc } of keys) {
+        const x = rows[a][column.name];
+        const y = rows[b][column.name];
+        const cmp =
+          x === y ? 0
+          : x === null || x === undefined ? 1
+          : y === null || y === undefined ? -1
+          : typeof x === "number" && typeof y === "number" ? x - y
+          : String(x).localeCompare(String(y));
+        if (cmp !== 0) return desc ? -cmp : cmp;
+      }
+      return a - b;
+    });
+    const sorted = order.map((i) => cells[i]);
+    cells.splice(0, cells.length, ...sorted);
+  }
+
+  if (query.format === "json")
+    return {
+      json: true,
+      body: cells.map((line) =>
+        Object.fromEntries(wanted.map((c, i) => [c.name, line[i]]))
+      ),
+    };
+
+  const lines = flag(query.v) ? [wanted.map((c) => c.name), ...cells] : cells;
+  const widths = wanted.map((c, i) =>
+    Math.max(0, ...lines.map((line) => (line[i] ?? "").length))
+  );
+  const body = lines
+    .map((line) =>
+      line
+        .map((cell, i) =>
+          wanted[i].align === "right" ?
+            (cell ?? "").padStart(widths[i])
+          : (cell ?? "").padEnd(widths[i])
+        )
+        .join(" ")
+        .trimEnd()
+    )
+    .join("\n");
+  return { json: false, body: body ? `${body}\n` : "" };
+}
@@ -0,0 +1,649 @@
+/**
+ * es-cluster.js
+ *
+ * Cluster layout for the Elasticsearch simulator: nodes, indices and shard
+ * copies, seeded from a diagnostic dump (lib/es-dump.js), and the allocator
+ * that moves copies between UNASSIGNED, INITIALIZING, STARTED and
+ * RELOCATING as nodes stop, come back, drain or join.
+ *
+ *   seedCluster(entries, { nodes, random }) -> cluster
+ *   allocate(cluster, tick)        -> one allocator round (call every tick)
+ *   health(cluster, tick)          -> _cluster/health counters and status
+ *   indexHealth(cluster, index)    -> "green" | "yellow" | "red"
+ *   stopNode / startNode / drainNode(cluster, name, tick)
+ *   forceHealth(cluster, status, { index }, tick) -> make the cluster that
+ *     colour right away (admin control)
+ *   familyOf(index)                -> logstash-2025.07.22 -> logstash
+ *
+ * A cluster is plain data ({ name, uuid, root, master, nodes, indices,
+ * shards }), so the simulator reads and renders it directly.
+ */
+
+import { parseBytes } from "./es-cat.js";
+
+// indices.recovery.max_bytes_per_sec default
+const RECOVERY_BYTES_PER_SEC = 40 * 1024 * 1024;
+// index.unassigned.node_left.delayed_timeout default, in ticks (seconds)
+const NODE_LEFT_DELAY = 60;
+// cluster.routing.allocation.node_concurrent_recoveries default
+const CONCURRENT_RECOVERIES = 2;
+// cluster.routing.allocation.cluster_concurrent_rebalance default
+const CONCURRENT_REBALANCE = 2;
+
+const DEFAULT_ROLES = ["data", "ingest", "master"];
+
+/* logstash-2025.07.22, .ds-logs-x-2025.01.18-000002 -> their family */
+export const familyOf = (name) =>
+  name.replace(/[-_.]?\d{4}[.-]\d{2}(?:[.-]\d{2})?(?:-\d+)?$/, "") || name;
+
+const isDataNode = (node) =>
+  node.roles.some((role) => role === "data" || role.startsWith("data_"));
+
+const isActive = (copy) =>
+  copy.state === "STARTED" || copy.state === "RELOCATING";
+
+/* "10.1.5.20" + 2 -> "10.1.5.22" */
+function nextIp(ip, step) {
+  const parts = ip.split(".").map(Number);
+  if (parts.length !== 4 || parts.some((p) => !Number.isInteger(p)))
+    return `10.0.0.${1 + step}`;
+  parts[3] = (parts[3] + step) % 255;
+  return parts.join(".");
+}
+
+function nodeId(random) {
+  const chars =
+    "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_";
+  let id = "";
+  for (let i = 0; i < 22; i++) id += chars[Math.floor(random() * chars.length)];
+  return id;
+}
+
+/* first recording on a path whose body parsed as JSON */
+function recorded(entries, path, test = () => true) {
+  const entry = entries.find(
+    (e) =>
+      e.path === path &&
+      e.json !== undefined &&
+      !e.json.error &&
+      test(e.json, e.params)
+  );
+  return entry ? entry.json : null;
+}
+
+/*
+ * Nodes, indices and copies from the recordings the dump has (/, /_nodes,
+ * /_nodes/stats, /_stats, /_settings, /_cat/shards?format=json); whatever is
+ * missing falls back to a one-node cluster. With { nodes } above the dump's
+ * node count, extra data nodes join (cloned from the first one) and the
+ * allocator spreads replicas and rebalances onto them.
+ */
+export function seedCluster(entries, { nodes: nodeCount = 0, random }) {
+  const root = recorded(entries, "/") || {};
+  const nodesInfo = recorded(entries, "/_nodes", (j) => j.nodes);
+  const nodesStats =
+    recorded(entries, "/_nodes/stats", (j) => j.nodes) ||
+    entries.find(
+      (e) =>
+        e.path.startsWith("/_nodes/stats/") &&
+        e.json?.nodes &&
+        Object.values(e.json.nodes).some((n) => n.jvm?.mem)
+    )?.json ||
+    null;
+  const stats = recorded(entries, "/_stats", (j) => j.indices);
+  const settings = recorded(entries, "/_settings");
+  const catShards = recorded(
+    entries,
+    "/_cat/shards",
+    (j, params) => Array.isArray(j) && params.format === "json"
+  );
+  const clusterStats = recorded(entries, "/_cluster/stats");
+
+  /* nodes: stats and info joined on node id */
+  const ids = [
+    ...new Set([
+      ...Object.keys(nodesStats?.nodes || {}),
+      ...Object.keys(nodesInfo?.nodes || {}),
+    ]),
+  ];
+  const nodes = ids
+    .map((id) => {
+      const st = nodesStats?.nodes[id];
+      const info = nodesInfo?.nodes[id];
+      // an "_nodes/stats" capture sometimes holds node info instead
+      const template = st?.jvm?.mem ? st : null;
+      const src = st || info;
+      return {
+        id,
+        name: src.name,
+        ip: src.ip || String(src.host || "127.0.0.1"),
+        host: src.host || src.ip || "127.0.0.1",
+        transport_address: src.transport_address || `${src.ip}:9300`,
+        roles: (info || src).roles || DEFAULT_ROLES,
+        attributes: (info || src).attributes || {},
+        info: info || null,
+        template,
+        joined: false,
+        up: true,
+        excluded: false,
+      };
+    })
+    .filter((node) => node.name);
+  if (!nodes.length)
+    nodes.push({
+      id: nodeId(random),
+      name: root.name || "es-node-1",
+      ip: "10.0.0.1",
+      host: "10.0.0.1",
+      transport_address: "10.0.0.1:9300",
+      roles: DEFAULT_ROLES,
+      attributes: {},
+      info: null,
+      template: null,
+      joined: false,
+      up: true,
+      excluded: false,
+    });
+  const first = nodes[0];
+  for (let k = nodes.length; k < nodeCount; k++) {
+    const ip = nextIp(first.ip, k);
+    nodes.push({
+      ...first,
+      id: nodeId(random),
+      name: `${first.name}-${k + 1}`,
+      ip,
+      host: ip,
+      transport_address: `${ip}:9300`,
+      roles: isDataNode(first) ? first.roles : DEFAULT_ROLES,
+      joined: true, // fresh JVM, empty counters
+    });
+  }
+  const master =
+    nodes.find(
+      (n) =>
+        n.name === root.name &&
+        n.roles.includes("master") &&
+        !n.roles.includes("voting_only")
+    ) ||
+    nodes.find((n) => n.roles.includes("master")) ||
+    first;
+
+  /* indices: _stats, then anything only _cat/shards or _settings lists */
+  const names = [
+    ...new Set([
+      ...Object.keys(stats?.indices || {}),
+      ...(catShards || []).map((row) => row.index),
+      ...Object.keys(settings || {}),
+    ]),
+  ];
+  const indices = names.map((name) => {
+    const st = stats?.indices?.[name];
+    const set = settings?.[name]?.settings?.index || {};
+    const rows = (catShards || []).filter((row) => row.index === name);
+    const shardNumbers = new Set(rows.map((row) => Number(row.shard)));
+    const pri = Number(set.number_of_shards) || shardNumbers.size || 1;
+    const rep =
+      set.number_of_replicas !== undefined ? Number(set.number_of_replicas)
+      : rows.length ? Math.max(0, Math.round(rows.length / pri) - 1)
+      : 0;
+    const primaries = rows.filter((row) => row.prirep === "p");
+    return {
+      name,
+      uuid: st?.uuid || set.uuid || nodeId(random),
+      status: st?.status || (set.verified_before_close ? "close" : "open"),
+      pri,
+      rep,
+      creation_date: Number(set.creation_date) || 0,
+      docs:
+        st?.primaries?.docs?.count ??
+        primaries.reduce((sum, row) => sum + (Number(row.docs) || 0), 0),
+      deleted: st?.primaries?.docs?.deleted ?? 0,
+      store:
+        st?.primaries?.store?.size_in_bytes ??
+        primaries.reduce((sum, row) => sum + parseBytes(row.store), 0),
+      family: familyOf(name),
+      write: false,
+    };
+  });
+
+  // each family of dated indices writes to its newest one
+  const newest = {};
+  for (const index of indices) {
+    if (index.status !== "open") continue;
+    const cur = newest[index.family];
+    if (
+      !cur ||
+      index.creation_date > cur.creation_date ||
+      (index.creation_date === cur.creation_date && index.name > cur.name)
+    )
+      newest[index.family] = index;
+  }
+  for (const index of Object.values(newest)) index.write = true;
+
+  /* shard copies: the recorded layout, or primaries spread over the nodes */
+  const byName = Object.fromEntries(nodes.map((n) => [n.name, n]));
+  const shards = [];
+  let spread = 0;
+  for (const index of indices) {
+    const rows = (catShards || []).filter((row) => row.index === index.name);
+    if (rows.length) {
+      for (const row of rows) {
+        const node = byName[row.node] ? row.node : null;
+        shards.push(
+          newCopy(index.name, Number(row.shard), row.prirep === "p", node)
+        );
+      }
+      continue;
+    }
+    for (let s = 0; s < index.pri; s++)
+      for (let r = 0; r <= index.rep; r++) {
+        const node = nodes[(spread + r) % nodes.length];
+        // a replica never shares a node with another copy of its shard
+        const placed = r < nodes.length && isDataNode(node);
+        shards.push(newCopy(index.name, s, r === 0, placed ? node.name : null));
+        if (r === 0) spread++;
+      }
+  }
+
+  return {
+    name: root.cluster_name || clusterStats?.cluster_name || "elasticsearch",
+    uuid: root.cluster_uuid || clusterStats?.cluster_uuid || nodeId(random),
+    root,
+    master: master.name,
+    nodes,
+    indices,
+    shards,
+  };
+}
+
+function newCopy(index, shard, primary, node) {
+  return {
+    index,
+    shard,
+    primary,
+    state: node ? "STARTED" : "UNASSIGNED",
+    node,
+    relocating_node: null,
+    recovery_left: 0,
+    unassigned:
+      node ? null : (
+        {
+          reason: "CLUSTER_RECOVERED",
+          at: 0,
+          delayed_until: 0,
+          blocked: false,
+          last_node: null,
+        }
+      ),
+  };
+}
+
+const copiesOf = (cluster, copy) =>
+  cluster.shards.filter(
+    (c) => c.index === copy.index && c.shard === copy.shard
+  );
+
+const indexOf = (cluster, name) => cluster.indices.find((i) => i.name === name);
+
+/* bytes one copy of shard n holds */
+export function shardBytes(index, shard) {
+  return (
+    Math.floor(index.store / index.pri) +
+    (shard < index.store % index.pri ? 1 : 0)
+  );
+}
+
+export function shardDocs(index, shard) {
+  return (
+    Math.floor(index.docs / index.pri) +
+    (shard < index.docs % index.pri ? 1 : 0)
+  );
+}
+
+function recoveryTicks(cluster, copy) {
+  const bytes = shardBytes(indexOf(cluster, copy.index), copy.shard);
+  return Math.min(300, Math.max(1, Math.ceil(bytes / RECOVERY_BYTES_PER_SEC)));
+}
+
+function unassign(copy, reason, tick, { delayed = false, blocked = false }) {
+  copy.unassigned = {
+    reason,
+    at: tick,
+    delayed_until: delayed ? tick + NODE_LEFT_DELAY : tick,
+    blocked,
+    last_node: copy.node,
+  };
+  copy.state = "UNASSIGNED";
+  copy.node = null;
+  copy.relocating_node = null;
+  copy.recovery_left = 0;
+}
+
+/* copies on a node, or on their way to it */
+const load = (cluster, name) =>
+  cluster.shards.filter((c) => c.node === name || c.relocating_node === name)
+    .length;
+
+function incoming(cluster, name) {
+  return cluster.shards.filter(
+    (c) =>
+      (c.state === "INITIALIZING" && c.node === name) ||
+      (c.state === "RELOCATING" && c.relocating_node === name)
+  ).length;
+}
+
+/* nodes that may take a copy: up, data, not draining, no copy of the shard */
+function eligible(cluster, copy) {
+  const taken = new Set(
+    copiesOf(cluster, copy).flatMap((c) => [c.node, c.relocating_node])
+  );
+  return cluster.nodes.filter(
+    (n) =>
+      n.up &&
+      !n.excluded &&
+      isDataNode(n) &&
+      !taken.has(n.name) &&
+      incoming(cluster, n.name) < CONCURRENT_RECOVERIES
+  );
+}
+
+const leastLoaded = (cluster, candidates) =>
+  candidates.reduce((best, n) =>
+    load(cluster, n.name) < load(cluster, best.name) ? n : best
+  );
+
+/*
+ * One allocator round:
+ * - recoveries and relocations in flight move on, and finish;
+ * - unassigned copies that are not blocked or delayed get a node: a primary
+ *   only where its data still is, a replica next to a started primary;
+ * - draining nodes hand their copies over, then shard counts are evened
+ *   out, CONCURRENT_REBALANCE relocations at a time.
+ */
+export function allocate(cluster, tick) {
+  for (const copy of cluster.shards) {
+    if (copy.state === "INITIALIZING" && --copy.recovery_left <= 0) {
+      copy.state = "STARTED";
+      copy.recovery_left = 0;
+    } else if (copy.state === "RELOCATING" && --copy.recovery_left <= 0) {
+      copy.node = copy.relocating_node;
+      copy.relocating_node = null;
+      copy.state = "STARTED";
+      copy.recovery_left = 0;
+    }
+  }
+
+  for (const copy of cluster.shards) {
+    if (copy.state !== "UNASSIGNED") continue;
+    const { blocked, delayed_until, last_node } = copy.unassigned;
+    if (blocked) continue;
+    const candidates = eligible(cluster, copy);
+    const home = candidates.find((n) => n.name === last_node);
+    if (copy.primary) {
+      // only the node that still holds the data can bring a primary back
+      if (!home) continue;
+      copy.node = home.name;
+      copy.recovery_left = 2;
+    } else {
+      if (!copiesOf(cluster, copy).some((c) => c.primary && isActive(c)))
+        continue;
+      if (!home && tick < delayed_until) continue;
+      if (!candidates.length) continue;
+      const target = home || leastLoaded(cluster, candidates);
+      copy.node = target.name;
+      copy.recovery_left = home ? 2 : recoveryTicks(cluster, copy);
+    }
+    copy.state = "INITIALIZING";
+    copy.unassigned = null;
+  }
+
+  let moving = cluster.shards.filter((c) => c.state === "RELOCATING").length;
+  const relocate = (copy, target) => {
+    copy.state = "RELOCATING";
+    copy.relocating_node = target.name;
+    copy.recovery_left = recoveryTicks(cluster, copy);
+    moving++;
+  };
+  for (const copy of cluster.shards) {
+    if (moving >= CONCURRENT_REBALANCE) return;
+    if (copy.state !== "STARTED") continue;
+    const node = cluster.nodes.find((n) => n.name === copy.node);
+    if (!node.excluded) continue;
+    const candidates = eligible(cluster, copy);
+    if (candidates.length) relocate(copy, leastLoaded(cluster, candidates));
+  }
+  while (moving < CONCURRENT_REBALANCE) {
+    const data = cluster.nodes.filter(
+      (n) => n.up && !n.excluded && isDataNode(n)
+    );
+    if (data.length < 2) return;
+    const sorted = [...data].sort(
+      (a, b) => load(cluster, b.name) - load(cluster, a.name)
+    );
+    const from = sorted[0];
+    const to = sorted[sorted.length - 1];
+    if (load(cluster, from.name) - load(cluster, to.name) <= 1) return;
+    const copy = cluster.shards.find(
+      (c) =>
+        c.node === from.name &&
+        c.state === "STARTED" &&
+        eligible(cluster, c).includes(to)
+    );
+    if (!copy) return;
+    relocate(copy, to);
+  }
+}
+
+export function indexHealth(cluster, index) {
+  const copies = cluster.shards.filter((c) => c.index === index.name);
+  if (copies.some((c) => c.primary && !isActive(c))) return "red";
+  if (copies.some((c) => !isActive(c))) return "yellow";
+  return "green";
+}
+
+export function health(cluster, tick) {
+  const count = (pred) => cluster.shards.filter(pred).length;
+  const open = new Set(
+    cluster.indices.filter((i) => i.status === "open").map((i) => i.name)
+  );
+  const statuses = cluster.indices
+    .filter((i) => open.has(i.name))
+    .map((i) => indexHealth(cluster, i));
+  const total = count((c) => open.has(c.index));
+  const active = count((c) => open.has(c.index) && isActive(c));
+  return {
+    cluster_name: cluster.name,
+    status:
+      statuses.includes("red") ? "red"
+      : statuses.includes("yellow") ? "yellow"
+      : "green",
+    timed_out: false,
+    number_of_nodes: cluster.nodes.filter((n) => n.up).length,
+    number_of_data_nodes: cluster.nodes.filter((n) => n.up && isDataNode(n))
+      .length,
+    active_primary_shards: count(
+      (c) => open.has(c.index) && c.primary && isActive(c)
+    ),
+    active_shards: active,
+    relocating_shards: count((c) => c.state === "RELOCATING"),
+    initializing_shards: count((c) => c.state === "INITIALIZING"),
+    unassigned_shards: count((c) => c.state === "UNASSIGNED"),
+    delayed_unassigned_shards: count(
+      (c) =>
+        c.state === "UNASSIGNED" &&
+        !c.unassigned.blocked &&
+        c.unassigned.delayed_until > tick
+    ),
+    number_of_pending_tasks: 0,
+    number_of_in_flight_fetch: 0,
+    task_max_waiting_in_queue_millis: 0,
+    active_shards_percent_as_number: total ? (active / total) * 100 : 100,
+  };
+}
+
+function findNode(cluster, name) {
+  const node = cluster.nodes.find((n) => n.name === name || n.id === name);
+  if (!node) throw new Error(`unknown node "${name}"`);
+  return node;
+}
+
+/*
+ * A node leaves: its primaries fail over to a started replica when there is
+ * one (red otherwise), its other copies wait NODE_LEFT_DELAY for it to come
+ * back before being rebuilt elsewhere.
+ */
+export function stopNode(cluster, name, tick) {
+  const node = findNode(cluster, name);
+  if (!node.up) throw new Error(`node "${node.name}" is already stopped`);
+  if (cluster.nodes.filter((n) => n.up).length === 1)
+    throw new Error("cannot stop the last running node");
+  node.up = false;
+  for (const copy of cluster.shards) {
+    if (copy.relocating_node === node.name) {
+      copy.relocating_node = null;
+      copy.state = "STARTED";
+      copy.recovery_left = 0;
+    }
+    if (copy.node !== node.name) continue;
+    if (copy.state === "RELOCATING") {
+      // the target finishes from what it has, as a fresh recovery
+      copy.node = copy.relocating_node;
+      copy.relocating_node = null;
+      copy.state = "INITIALIZING";
+      continue;
+    }
+    if (copy.primary) {
+      const replica = copiesOf(cluster, copy).find(
+        (c) => !c.primary && c.state === "STARTED"
+      );
+      if (replica) {
+        replica.primary = true;
+        copy.primary = false;
+      }
+    }
+    unassign(copy, "NODE_LEFT", tick, { delayed: !copy.primary });
+  }
+  if (cluster.master === node.name) {
+    const next = cluster.nodes.find((n) => n.up && n.roles.includes("master"));
+    if (next) cluster.master = next.name;
+  }
+  return node;
+}
+
+export function startNode(cluster, name) {
+  const node = findNode(cluster, name);
+  node.up = true;
+  node.excluded = false;
+  return node;
+}
+
+/* cluster.routing.allocation.exclude._name: move everything off the node */
+export function drainNode(cluster, name) {
+  const node = findNode(cluster, name);
+  node.excluded = true;
+  return node;
+}
+
+/*
+ * Admin control over the colour:
+ *   red    -> every copy of one shard fails (the index, or the largest one)
+ *   yellow -> copies blocked by red come back, and one replica is failed,
+ *             or a replica is added where no node can take it
+ *   green  -> everything blocked or in flight is put back on a node now;
+ *             replicas no node can hold are dropped (number_of_replicas)
+ */
+export function forceHealth(cluster, status, { index: target } = {}, tick) {
+  const open = cluster.indices.filter((i) => i.status === "open");
+  const pick = (pred) => {
+    if (target !== undefined) {
+      const index = indexOf(cluster, target);
+      if (!index) throw new Error(`no such index [${target}]`);
+      return index;
+    }
+    const candidates = open.filter(pred);
+    return candidates.length ?
+        candidates.reduce((a, b) => (b.docs > a.docs ? b : a))
+      : null;
+  };
+  const restore = (copy) => {
+    const { last_node } = copy.unassigned || {};
+    const node = cluster.nodes.find(
+      (n) =>
+        n.name === last_node &&
+        n.up &&
+        !copiesOf(cluster, copy).some((c) => c !== copy && c.node === n.name)
+    );
+    const spot = node || eligible(cluster, copy)[0];
+    if (!spot) return false;
+    copy.node = spot.name;
+    copy.state = "STARTED";
+    copy.unassigned = null;
+    return true;
+  };
+
+  switch (status) {
+    case "red": {
+      const index = pick(() => true);
+      if (!index) throw new Error("no open index to fail");
+      for (const copy of cluster.shards)
+        if (copy.index === index.name && copy.shard === 0 && copy.node)
+          unassign(copy, "ALLOCATION_FAILED", tick, { blocked: true });
+      return index.name;
+    }
+    case "yellow": {
+      for (const copy of cluster.shards)
+        if (copy.state === "UNASSIGNED" && copy.primary) restore(copy);
+      if (cluster.shards.some((c) => c.state === "UNASSIGNED")) return null;
+      const index = pick((i) => i.rep > 0);
+      if (index && index.rep > 0) {
+        const replica = cluster.shards.find(
+          (c) => c.index === index.name && !c.primary && c.node
+        );
+        if (replica) {
+          unassign(replica, "ALLOCATION_FAILED", tick, { blocked: true });
+          return index.name;
+        }
+      }
+      const grow = index || pick(() => true);
+      if (!grow) throw new Error("no open index to add a replica to");
+      grow.rep++;
+      for (let s = 0; s < grow.pri; s++) {
+        const copy = newCopy(grow.name, s, false, null);
+        copy.unassigned.reason = "REPLICA_ADDED";
+        copy.unassigned.at = tick;
+        copy.unassigned.blocked = true;
+        cluster.shards.push(copy);
+      }
+      return grow.name;
+    }
+    case "green": {
+      for (const copy of cluster.shards) {
+        if (copy.state === "INITIALIZING") copy.state = "STARTED";
+        if (copy.state === "RELOCATING") {
+          copy.node = copy.relocating_node;
+          copy.relocating_node = null;
+          copy.state = "STARTED";
+        }
+        copy.recovery_left = 0;
+      }
+      for (const copy of cluster.shards)
+        if (copy.state === "UNASSIGNED" && copy.primary) restore(copy);
+      for (const copy of cluster.shards)
+        if (copy.state === "UNASSIGNED" && !copy.primary) restore(copy);
+      // replicas still without a node: lower number_of_replicas to fit
+      const left = cluster.shards.filter((c) => c.state === "UNASSIGNED");
+      for (const index of new Set(left.map((c) => indexOf(cluster, c.index))))
+        index.rep = Math.max(
+          0,
+          index.rep -
+            Math.ceil(
+              left.filter((c) => c.index === index.name).length / index.pri
+            )
+        );
+      cluster.shards = cluster.shards.filter((c) => c.state !== "UNASSIGNED");
+      return null;
+    }
+    default:
+      throw new Error('status must be one of "green", "yellow", "red"');
+  }
+}
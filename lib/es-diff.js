@@ -0,0 +1,617 @@
+/**
+ * es-diff.js
+ *
+ * Structured diff of two Elasticsearch diagnostic dumps (lib/es-dump.js):
+ * requests are paired by method, path and parameters, their JSON bodies
+ * compared by value, and the facts that explain a behaviour gap (version,
+ * license, node roles and heap, shard layout, index families and their
+ * settings) pulled out as highlights.
+ *
+ *   diffDumps(a, b, { ignore, stats }) -> {
+ *     a, b:       { source, cluster, version, requests }
+ *     highlights: [{ area, item, a, b }]
+ *     requests:   [{ request, status: "same" | "changed" | "only_a" |
+ *                    "only_b", changes: [{ path, kind, a, b, quantity }] }]
+ *     summary, ignored
+ *   }
+ *   formatDiff(diff, { limit }) -> Markdown report
+ *
+ * The comparison is semantic: object keys in any order; arrays of values as
+ * sets (roles); arrays of objects by their natural key (index/shard/prirep,
+ * name, id); _nodes maps by node name instead of the random node id. Fields
+ * in VOLATILE_FIELDS (and `ignore`, * as a wildcard) are left out. A change
+ * of one number into another is a quantity (doc counts, sizes, timings):
+ * stats: false drops those and keeps configuration only. _cat text bodies
+ * are compared as sets of lines.
+ */
+
+import { formatBytes } from "./es-cat.js";
+import { familyOf } from "./es-cluster.js";
+import { consoleJson, findRecording } from "./es-dump.js";
+
+// different on every capture, whatever the cluster
+export const VOLATILE_FIELDS = [
+  "timestamp",
+  "*_timestamp",
+  "*_timestamp_in_millis",
+  "uptime",
+  "uptime_in_millis",
+  "max_uptime_in_millis",
+  "start_time",
+  "start_time_in_millis",
+  "creation_date",
+  "creation_date_string",
+  "modified_date",
+  "modified_date_in_millis",
+  "modified_date_millis",
+  "issue_date",
+  "issue_date_in_millis",
+  "uuid",
+  "cluster_uuid",
+  "index_uuid",
+  "ephemeral_id",
+  "provided_name",
+  "pid",
+  "refresh_time_in_millis",
+];
+
+// index settings that are per index by nature, not per family
+const INDEX_OWN_SETTINGS = ["version.created", "routing.allocation.*"];
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+const globRegExp = (patterns) =>
+  new RegExp(
+    `^(?:${patterns
+      .map((p) => p.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*"))
+      .join("|")})$`
+  );
+
+const isObject = (v) =>
+  v !== null && typeof v === "object" && !Array.isArray(v);
+
+const isPrimitive = (v) => v === null || typeof v !== "object";
+
+/* a number, or in _cat a "287999" / "80.3mb" / "42%" string */
+function isQuantity(value, cat) {
+  if (typeof value === "number") return true;
+  return (
+    cat &&
+    typeof value === "string" &&
+    /^-?\d+(?:\.\d+)?(?:[kmgtp]?b|%)?$/i.test(value)
+  );
+}
+
+const childPath = (path, key) =>
+  IDENTIFIER.test(key) ?
+    path ? `${path}.${key}`
+    : key
+  : `${path}[${JSON.stringify(key)}]`;
+
+/* the request a capture answers, the same way on both sides */
+function requestKey(entry) {
+  const params = Object.entries(entry.params)
+    .sort(([x], [y]) => x.localeCompare(y))
+    .map(([k, v]) => (v === "true" ? k : `${k}=${v}`));
+  return `${entry.method} ${entry.path}${params.length ? `?${params.join("&")}` : ""}`;
+}
+
+const bodyOf = (entry) =>
+  entry.json !== undefined ? entry.json : consoleJson(entry.body);
+
+/* natural key of an array element, or null to compare by position */
+function elementKey(element) {
+  if (!isObject(element)) return null;
+  if ("index" in element && "shard" in element && "prirep" in element)
+    return `${element.index}/${element.shard}/${element.prirep}`;
+  for (const field of ["name", "id", "key", "index", "node"])
+    if (typeof element[field] === "string") return element[field];
+  return null;
+}
+
+function keyed(array) {
+  const map = new Map();
+  for (const element of array) {
+    const key = elementKey(element);
+    let k = key;
+    for (let n = 2; map.has(k); n++) k = `${key}#${n}`;
+    map.set(k, element);
+  }
+  return Object.fromEntries(map);
+}
+
+const isNodeMap = (v) =>
+  isObject(v) &&
+  Object.keys(v).length > 0 &&
+  Object.values(v).every((n) => isObject(n) && typeof n.name === "string");
+
+/*
+ * _nodes maps are keyed by random node ids: key them by node name, and pair
+ * the names found on one side only in sorted order ("a-1 / b-1"), so two
+ * single-node clusters still compare node to node.
+ */
+function pairNodes(a, b) {
+  const byName = (nodes) =>
+    Object.fromEntries(Object.values(nodes).map((n) => [n.name, n]));
+  const x = byName(a);
+  const y = byName(b);
+  const onlyA = Object.keys(x)
+    .filter((name) => !(name in y))
+    .sort();
+  const onlyB = Object.keys(y)
+    .filter((name) => !(name in x))
+    .sort();
+  for (let i = 0; i < Math.min(onlyA.length, onlyB.length); i++) {
+    const name = `${onlyA[i]} / ${onlyB[i]}`;
+    x[name] = x[onlyA[i]];
+    y[name] = y[onlyB[i]];
+    delete x[onlyA[i]];
+    delete y[onlyB[i]];
+  }
+  return [x, y];
+}
+
+function compare(a, b, path, ctx) {
+  if (isPrimitive(a) && isPrimitive(b)) {
+    if (a !== b)
+      ctx.add({
+        path,
+        kind: "changed",
+        a,
+        b,
+        quantity: isQuantity(a, ctx.cat) && isQuantity(b, ctx.cat),
+      });
+    return;
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    if (a.every(isPrimitive) && b.every(isPrimitive)) {
+      const sorted = (arr) => arr.map((v) => JSON.stringify(v)).sort();
+      if (sorted(a).join() !== sorted(b).join())
+        ctx.add({ path, kind: "changed", a, b, quantity: false });
+      return;
+    }
+    const hasKey = (e) => elementKey(e) !== null;
+    if (a.every(hasKey) && b.every(hasKey))
+      return compareObjects(keyed(a), keyed(b), path, ctx, true);
+    return compareObjects({ ...a }, { ...b }, path, ctx, true);
+  }
+  if (isObject(a) && isObject(b)) {
+    if (isNodeMap(a) && isNodeMap(b))
+      return compareObjects(...pairNodes(a, b), path, ctx);
+    return compareObjects(a, b, path, ctx);
+  }
+  ctx.add({ path, kind: "changed", a, b, quantity: false });
+}
+
+function compareObjects(a, b, path, ctx, elements = false) {
+  const keys = [...Object.keys(a)];
+  for (const key of Object.keys(b)) if (!(key in a)) keys.push(key);
+  for (const key of keys) {
+    if (ctx.ignored.test(key)) continue;
+    const p =
+      elements ? `${path}[${JSON.stringify(key)}]` : childPath(path, key);
+    if (!(key in b)) ctx.add({ path: p, kind: "removed", a: a[key] });
+    else if (!(key in a)) ctx.add({ path: p, kind: "added", b: b[key] });
+    else compare(a[key], b[key], p, ctx);
+  }
+}
+
+/* _cat text: one change per line found on one side only */
+function compareLines(a, b, ctx) {
+  const count = (text) => {
+    const lines = new Map();
+    for (const line of text.split("\n")) {
+      const l = line.trim().replace(/\s+/g, " ");
+      if (l) lines.set(l, (lines.get(l) || 0) + 1);
+    }
+    return lines;
+  };
+  const x = count(a);
+  const y = count(b);
+  for (const [line, n] of x)
+    for (let i = y.get(line) || 0; i < n; i++)
+      ctx.add({ path: "line", kind: "removed", a: line });
+  for (const [line, n] of y)
+    for (let i = x.get(line) || 0; i < n; i++)
+      ctx.add({ path: "line", kind: "added", b: line });
+}
+
+function diffRequest(ea, eb, options) {
+  const changes = [];
+  const ctx = {
+    ignored: options.ignored,
+    cat: ea.path.startsWith("/_cat"),
+    add(change) {
+      if (options.stats || !change.quantity) changes.push(change);
+    },
+  };
+  if (ea.status !== eb.status)
+    changes.push({
+      path: "(status)",
+      kind: "changed",
+      a: ea.status,
+      b: eb.status,
+      quantity: false,
+    });
+  const a = bodyOf(ea);
+  const b = bodyOf(eb);
+  if (a !== undefined && b !== undefined) compare(a, b, "", ctx);
+  else if (a === undefined && b === undefined)
+    compareLines(ea.body, eb.body, ctx);
+  else
+    changes.push({
+      path: "(body)",
+      kind: "changed",
+      a: a === undefined ? "not JSON" : "JSON",
+      b: b === undefined ? "not JSON" : "JSON",
+      quantity: false,
+    });
+  return changes;
+}
+
+/* the latest round of every request */
+function byRequest(entries) {
+  const requests = new Map();
+  for (const entry of entries) {
+    const key = requestKey(entry);
+    const seen = requests.get(key);
+    if (!seen || entry.round >= seen.round) requests.set(key, entry);
+  }
+  return requests;
+}
+
+const uniq = (values) =>
+  [...new Set(values.filter((v) => v !== undefined && v !== null))].sort();
+
+/* { a: { b: 1 } } -> { "a.b": 1 } (index settings, ILM phases) */
+function flatten(value, prefix = "", out = {}) {
+  for (const [key, v] of Object.entries(value || {})) {
+    const k = prefix ? `${prefix}.${key}` : key;
+    if (isObject(v)) flatten(v, k, out);
+    else out[k] = Array.isArray(v) ? v.join(",") : v;
+  }
+  return out;
+}
+
+/* what the highlights are made of */
+function facts(entries, ignored) {
+  const json = (path, query = "") => {
+    const entry = findRecording(entries, "GET", path, query);
+    return entry && entry.status < 300 ? bodyOf(entry) : undefined;
+  };
+  const root = json("/");
+  const license = json("/_license")?.license;
+  const stats = json("/_cluster/stats");
+  const nodes = Object.values(json("/_nodes")?.nodes || {});
+  const settings = json("/_settings");
+  const shards = json("/_cat/shards", "format=json");
+  const policies = json("/_ilm/policy");
+  const counts = stats?.indices?.shards; // when _cat/shards was not captured
+
+  const roles = {};
+  for (const node of nodes) {
+    const set = [...(node.roles || [])].sort().join(", ") || "(none)";
+    roles[set] = (roles[set] || 0) + 1;
+  }
+
+  const families = {};
+  const family = (index) =>
+    (families[familyOf(index.replace(/-\d{6}$/, ""))] ??= {
+      indices: new Set(),
+      shards: 0,
+      replicas: 0,
+      settings: {},
+    });
+  const ownSetting = globRegExp(INDEX_OWN_SETTINGS);
+  for (const [index, value] of Object.entries(
+    isObject(settings) ? settings : {}
+  )) {
+    const f = family(index);
+    f.indices.add(index);
+    for (const [key, v] of Object.entries(flatten(value.settings?.index))) {
+      if (ignored.test(key.split(".").at(-1)) || ownSetting.test(key)) continue;
+      (f.settings[key] ??= new Set()).add(String(v));
+    }
+  }
+  const layout =
+    Array.isArray(shards) ?
+      {
+        total: 0,
+        primaries: 0,
+        replicas: 0,
+        unassigned: 0,
+        states: {},
+        nodes: {},
+      }
+    : null;
+  for (const copy of Array.isArray(shards) ? shards : []) {
+    const f = family(copy.index);
+    f.indices.add(copy.index);
+    layout.total++;
+    if (copy.prirep === "p") {
+      layout.primaries++;
+      f.shards++;
+    } else {
+      layout.replicas++;
+      f.replicas++;
+    }
+    layout.states[copy.state] = (layout.states[copy.state] || 0) + 1;
+    if (copy.state === "UNASSIGNED") layout.unassigned++;
+    if (copy.node) layout.nodes[copy.node] = (layout.nodes[copy.node] || 0) + 1;
+  }
+
+  return {
+    cluster: root?.cluster_name ?? stats?.cluster_name,
+    version: root?.version?.number,
+    lucene: root?.version?.lucene_version,
+    flavor: root?.version?.build_flavor,
+    license: license && `${license.type} (${license.status})`,
+    nodes: nodes.length || stats?.nodes?.count?.total,
+    node_versions: uniq(
+      nodes.length ? nodes.map((n) => n.version) : stats?.nodes?.versions || []
+    ),
+    jvm: uniq(nodes.map((n) => n.jvm?.version)),
+    heap_max: uniq(nodes.map((n) => n.jvm?.mem?.heap_max_in_bytes)).map(
+      formatBytes
+    ),
+    roles,
+    node_roles: Object.fromEntries(
+      nodes.map((n) => [n.name, [...(n.roles || [])].sort().join(", ")])
+    ),
+    discovery: uniq(Object.keys(stats?.nodes?.discovery_types || {})),
+    plugins: uniq((stats?.nodes?.plugins || []).map((p) => p.name)),
+    indices:
+      Object.keys(isObject(settings) ? settings : {}).length ||
+      stats?.indices?.count,
+    shards:
+      layout ??
+      (counts && {
+        total: counts.total,
+        primaries: counts.primaries,
+        replicas: counts.total - counts.primaries,
+      }),
+    families,
+    ilm:
+      isObject(policies) ?
+        Object.fromEntries(
+          Object.entries(policies).map(([name, p]) => [
+            name,
+            flatten(p.policy?.phases),
+          ])
+        )
+      : undefined,
+  };
+}
+
+function highlights(fa, fb) {
+  const out = [];
+  const add = (area, item, a, b) => {
+    if (JSON.stringify(a ?? null) !== JSON.stringify(b ?? null))
+      out.push({ area, item, a: a ?? undefined, b: b ?? undefined });
+  };
+  /* one row per side for what only one side has, each per key otherwise */
+  const compareMaps = (area, what, x, y, each) => {
+    const onlyIn = (m, n) =>
+      Object.keys(m)
+        .filter((k) => !(k in n))
+        .sort();
+    const onlyA = onlyIn(x, y);
+    const onlyB = onlyIn(y, x);
+    if (onlyA.length) add(area, `${what} only in A`, onlyA, undefined);
+    if (onlyB.length) add(area, `${what} only in B`, undefined, onlyB);
+    for (const key of Object.keys(x).sort())
+      if (key in y) each(key, x[key], y[key]);
+  };
+
+  add("version", "version", fa.version, fb.version);
+  add("version", "lucene", fa.lucene, fb.lucene);
+  add("version", "build flavor", fa.flavor, fb.flavor);
+  add("version", "node versions", fa.node_versions, fb.node_versions);
+  add("version", "jvm", fa.jvm, fb.jvm);
+  add("license", "license", fa.license, fb.license);
+
+  add("nodes", "nodes", fa.nodes, fb.nodes);
+  add("nodes", "heap max", fa.heap_max, fb.heap_max);
+  add("nodes", "discovery", fa.discovery, fb.discovery);
+  add("nodes", "plugins", fa.plugins, fb.plugins);
+  for (const set of uniq([...Object.keys(fa.roles), ...Object.keys(fb.roles)]))
+    add("roles", `nodes with [${set}]`, fa.roles[set] ?? 0, fb.roles[set] ?? 0);
+  for (const name of Object.keys(fa.node_roles))
+    if (name in fb.node_roles)
+      add("roles", name, fa.node_roles[name], fb.node_roles[name]);
+
+  for (const key of ["total", "primaries", "replicas", "unassigned"])
+    add("shards", key, fa.shards?.[key], fb.shards?.[key]);
+  const states = (s) =>
+    s?.states &&
+    Object.entries(s.states)
+      .sort()
+      .map(([state, n]) => `${state} ${n}`);
+  add("shards", "states", states(fa.shards), states(fb.shards));
+  const holders = (s) => s?.nodes && Object.keys(s.nodes).length;
+  add("shards", "nodes holding shards", holders(fa.shards), holders(fb.shards));
+
+  add("indices", "indices", fa.indices, fb.indices);
+  const size = (f) =>
+    `${f.indices.size} ${f.indices.size === 1 ? "index" : "indices"}, ${f.shards}p/${f.replicas}r`;
+  compareMaps("indices", "families", fa.families, fb.families, (name, x, y) => {
+    add("indices", name, size(x), size(y));
+    // 8.x leaves hidden indices out of _settings
+    if (!Object.keys(x.settings).length || !Object.keys(y.settings).length)
+      return;
+    for (const key of uniq([
+      ...Object.keys(x.settings),
+      ...Object.keys(y.settings),
+    ]))
+      add(
+        "settings",
+        `${name} ${key}`,
+        x.settings[key] && [...x.settings[key]].sort(),
+        y.settings[key] && [...y.settings[key]].sort()
+      );
+  });
+
+  if (fa.ilm && fb.ilm)
+    compareMaps("ilm", "policies", fa.ilm, fb.ilm, (name, x, y) => {
+      for (const key of uniq([...Object.keys(x), ...Object.keys(y)]))
+        add("ilm", `${name} ${key}`, x[key], y[key]);
+    });
+  return out;
+}
+
+export function diffDumps(a, b, { ignore = [], stats = true } = {}) {
+  const patterns = [...VOLATILE_FIELDS, ...ignore];
+  const ignored = globRegExp(patterns);
+  const ra = byRequest(a);
+  const rb = byRequest(b);
+  const requests = [];
+  for (const [key, ea] of ra) {
+    const eb = rb.get(key);
+    if (!eb) {
+      requests.push({ request: key, status: "only_a", changes: [] });
+      continue;
+    }
+    const changes = diffRequest(ea, eb, { ignored, stats });
+    requests.push({
+      request: key,
+      status: changes.length ? "changed" : "same",
+      changes,
+    });
+  }
+  for (const key of rb.keys())
+    if (!ra.has(key))
+      requests.push({ request: key, status: "only_b", changes: [] });
+
+  const fa = facts(a, ignored);
+  const fb = facts(b, ignored);
+  const side = (entries, f) => ({
+    source: entries[0]?.source,
+    cluster: f.cluster,
+    version: f.version,
+    requests: byRequest(entries).size,
+  });
+  const summary = { same: 0, changed: 0, only_a: 0, only_b: 0, changes: 0 };
+  for (const r of requests) {
+    summary[r.status]++;
+    summary.changes += r.changes.length;
+  }
+  return {
+    a: side(a, fa),
+    b: side(b, fb),
+    summary,
+    highlights: highlights(fa, fb),
+    requests,
+    ignored: patterns,
+  };
+}
+
+/* Markdown */
+
+function cell(value, max = 8) {
+  if (value === undefined) return "—";
+  const text =
+    !Array.isArray(value) ? String(value)
+    : !value.length ? "(none)"
+    : value.length > max ?
+      `${value.slice(0, max).join(", ")}, … (${value.length})`
+    : value.join(", ");
+  return text.replace(/\|/g, "\\|");
+}
+
+function short(value) {
+  if (value === undefined) return "—";
+  if (isObject(value)) return `{…${Object.keys(value).length} fields}`;
+  if (Array.isArray(value) && !value.every(isPrimitive))
+    return `[…${value.length} items]`;
+  const json = JSON.stringify(value);
+  return json.length > 80 ? `${json.slice(0, 77)}…` : json;
+}
+
+/*
+ * Changes that only differ by index name, node or array element
+ * (["logstash-2025.07.25"].settings.index.refresh_interval) fold into one
+ * line with a count; configuration comes before quantities.
+ */
+function groupChanges(changes) {
+  const groups = new Map();
+  for (const change of changes) {
+    const path = change.path.replace(/\["(?:[^"\\]|\\.)*"\]/g, "[*]");
+    const key =
+      change.kind === "changed" && change.quantity ?
+        `${path} quantity`
+      : `${path} ${change.kind} ${short(change.a)} ${short(change.b)}`;
+    const group = groups.get(key);
+    if (group) group.count++;
+    else groups.set(key, { ...change, path, example: change.path, count: 1 });
+  }
+  return [...groups.values()].sort(
+    (x, y) => Number(x.quantity ?? false) - Number(y.quantity ?? false)
+  );
+}
+
+function changeLine(group) {
+  const one = group.count === 1;
+  const where = `\`${(one ? group.example : group.path) || "(root)"}\``;
+  const times = one ? "" : ` (${group.count}×)`;
+  if (group.kind !== "changed") {
+    const side = group.kind === "added" ? "B" : "A";
+    return one ?
+        `- ${where} only in ${side}: ${short(group.a ?? group.b)}`
+      : `- ${where} only in ${side}${times}, e.g. \`${group.example}\``;
+  }
+  if (group.quantity && group.count > 1)
+    return `- ${where} values differ${times}, e.g. ${short(group.a)} → ${short(group.b)}`;
+  return `- ${where}: ${short(group.a)} → ${short(group.b)}${times}`;
+}
+
+export function formatDiff(diff, { limit = 20 } = {}) {
+  const lines = [];
+  const describe = (s) =>
+    `${s.source} (${s.cluster ?? "?"}, ${s.version ?? "?"}, ${s.requests} requests)`;
+  lines.push("# Elasticsearch dump diff", "");
+  lines.push(`- **A**: ${describe(diff.a)}`, `- **B**: ${describe(diff.b)}`);
+  const s = diff.summary;
+  lines.push(
+    `- ${s.same} same, ${s.changed} changed, ${s.only_a} only in A, ${s.only_b} only in B (${s.changes} changes)`,
+    ""
+  );
+
+  lines.push("## Highlights", "");
+  if (!diff.highlights.length)
+    lines.push("No difference in version, nodes, shards or settings.");
+  else {
+    lines.push("| Area | Item | A | B |", "|---|---|---|---|");
+    for (const h of diff.highlights)
+      lines.push(
+        `| ${h.area} | ${cell(h.item)} | ${cell(h.a)} | ${cell(h.b)} |`
+      );
+  }
+  lines.push("");
+
+  lines.push(
+    "## Requests",
+    "",
+    "| Request | Result | Changes |",
+    "|---|---|---|"
+  );
+  const result = {
+    same: "same",
+    changed: "changed",
+    only_a: "only in A",
+    only_b: "only in B",
+  };
+  for (const r of diff.requests)
+    lines.push(
+      `| \`${cell(r.request)}\` | ${result[r.status]} | ${r.changes.length || ""} |`
+    );
+
+  for (const r of diff.requests) {
+    if (r.status !== "changed") continue;
+    const groups = groupChanges(r.changes);
+    lines.push("", `### ${r.request}`, "");
+    for (const group of groups.slice(0, limit)) lines.push(changeLine(group));
+    if (groups.length > limit)
+      lines.push(`- … ${groups.length - limit} more (see --json)`);
+  }
+  return `${lines.join("\n")}\n`;
+}
@@ -0,0 +1,173 @@
+/**
+ * es-dump.js
+ *
+ * Elasticsearch diagnostic dumps (csf/ELK_TAL_Pre.txt, bg.txt, ...): one
+ * recorded response per request, each under a header line
+ *
+ *   # 1: GET /_cat/thread_pool?v 200 OK      (the "N:" and "/" are optional)
+ *   node_name       name    active queue rejected
+ *   ...
+ *
+ *   parseDump(text, source)  -> [{ method, path, query, params, status,
+ *                                  statusText, contentType, body, json,
+ *                                  round, source, line }]
+ *   loadDump(file)           -> the same, read from a file
+ *   findRecording(entries, method, path, query) -> best entry or null
+ *   consoleJson(body)        -> the value of a Kibana Dev Tools body, or
+ *                               undefined
+ *
+ * body is the recorded text, kept verbatim (JSON is not reformatted); json is
+ * its parsed value, or undefined for text bodies (_cat without format=json).
+ * A Dev Tools body with """ strings is the exception: body becomes the JSON
+ * it stands for, so it can be replayed as application/json.
+ */
+
+import { readFile } from "node:fs/promises";
+
+const HEADER =
+  /^#\s*(?:(\d+)\s*:\s*)?(GET|HEAD|POST|PUT|DELETE|PATCH)\s+(\S+)\s+(\d{3})\b\s*(.*)$/i;
+
+// query parameters that change nothing in the recorded body
+const COSMETIC_PARAMS = [
+  "pretty",
+  "human",
+  "error_trace",
+  "master_timeout",
+  "timeout",
+  "local",
+];
+
+/* "/_nodes/" and "_nodes" -> "/_nodes"; "%2C" -> "," */
+export function normalizePath(path) {
+  let p = path;
+  try {
+    p = decodeURIComponent(p);
+  } catch {
+    // keep malformed escapes as they are
+  }
+  if (!p.startsWith("/")) p = `/${p}`;
+  return p.length > 1 ? p.replace(/\/+$/, "") : p;
+}
+
+/* "v&s=alias" -> { v: "true", s: "alias" }: bare flags read as true */
+export function parseParams(query) {
+  const params = {};
+  for (const [key, value] of new URLSearchParams(query || "")) {
+    const k = key.toLowerCase();
+    if (COSMETIC_PARAMS.includes(k)) continue;
+    params[k] = value === "" ? "true" : value;
+  }
+  return params;
+}
+
+/* what the client gets back: _cat answers text unless asked for json */
+const formatOf = (path, params) =>
+  params.format || (/^\/_cat(\/|$)/.test(path) ? "text" : "json");
+
+function toEntry(header, lines, source) {
+  const [, round, method, target, status, statusText] = header.match;
+  const q = target.indexOf("?");
+  const path = normalizePath(q === -1 ? target : target.slice(0, q));
+  const query = q === -1 ? "" : target.slice(q + 1);
+  while (lines.length && lines[lines.length - 1].trim() === "") lines.pop();
+  let body = lines.join("\n");
+  let json;
+  if (/^\s*[{[]/.test(body)) {
+    try {
+      json = JSON.parse(body);
+    } catch {
+      // Dev Tools """ strings: replayed as the JSON they stand for; a
+      // truncated or hand-edited body is replayed as text
+      json = consoleJson(body);
+      if (json !== undefined) body = JSON.stringify(json, null, 2);
+    }
+  }
+  return {
+    method: method.toUpperCase(),
+    path,
+    query,
+    params: parseParams(query),
+    status: Number(status),
+    statusText: statusText.trim(),
+    contentType:
+      json !== undefined ?
+        "application/json; charset=utf-8"
+      : "text/plain; charset=utf-8",
+    body,
+    json,
+    round: round !== undefined ? Number(round) : 1,
+    source,
+    line: header.line,
+  };
+}
+
+/*
+ * Dev Tools copies (bg.txt) print multi-line strings as """...""", which
+ * is not JSON: this reads them anyway.
+ */
+export function consoleJson(body) {
+  if (!/^\s*[{[]/.test(body)) return undefined;
+  try {
+    return JSON.parse(
+      body.replace(/"""([\s\S]*?)"""/g, (_, text) => JSON.stringify(text))
+    );
+  } catch {
+    return undefined;
+  }
+}
+
+export function parseDump(text, source = "dump") {
+  const entries = [];
+  let header = null;
+  let lines = [];
+  text.split(/\r?\n/).forEach((line, i) => {
+    const match = line.match(HEADER);
+    if (!match) {
+      if (header) lines.push(line);
+      return;
+    }
+    if (header) entries.push(toEntry(header, lines, source));
+    header = { match, line: i + 1 };
+    lines = [];
+  });
+  if (header) entries.push(toEntry(header, lines, source));
+  return entries;
+}
+
+export async function loadDump(file) {
+  return parseDump(await readFile(file, "utf8"), file);
+}
+
+/*
+ * Best recording for a request on the same method and path:
+ * - the representation must match (format=json vs _cat text);
+ * - then the most request parameters recorded with the same value, minus
+ *   recorded parameters the request did not send (?v&s=alias matches a
+ *   "?s=alias&v" or "?v" capture before a "?h=index" one);
+ * - ties go to the earliest capture.
+ * HEAD falls back to GET. Returns null when nothing fits.
+ */
+export function findRecording(entries, method, path, query) {
+  const m = method.toUpperCase();
+  const p = normalizePath(path);
+  const params = parseParams(query);
+  const format = formatOf(p, params);
+  let best = null;
+  let bestScore = -Infinity;
+  for (const entry of entries) {
+    if (entry.path !== p) continue;
+    if (entry.method !== m && !(m === "HEAD" && entry.method === "GET"))
+      continue;
+    if (formatOf(entry.path, entry.params) !== format) continue;
+    let score = entry.method === m ? 0.5 : 0;
+    for (const [key, value] of Object.entries(params))
+      if (key !== "format" && entry.params[key] === value) score += 1;
+    for (const key of Object.keys(entry.params))
+      if (key !== "format" && params[key] === undefined) score -= 1;
+    if (score > bestScore) {
+      best = entry;
+      bestScore = score;
+    }
+  }
+  return best;
+}
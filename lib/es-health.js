@@ -0,0 +1,323 @@
+/**
+ * es-health.js
+ *
+ * Rule-based health check of an Elasticsearch diagnostic dump
+ * (lib/es-dump.js). Every rule is a module of its own; the built-in ones
+ * are the files of lib/es-rules/, and loadRules(dir) reads more from any
+ * directory, so a team check is a file dropped next to them.
+ *
+ *   loadRules(dir)              -> rule modules of dir, in file name order
+ *   builtinRules()              -> loadRules(lib/es-rules)
+ *   dumpView(entries)           -> what rules read the dump through
+ *   analyze(entries, rules, { now }) -> {
+ *     source, cluster, version, rules, skipped, errors,
+ *     findings: [{ rule, severity, title, summary, details, recommendation }]
+ *       most severe first
+ *     summary: { critical, warning, info }
+ *   }
+ *   formatReport(result)        -> Markdown
+ *
+ * A rule module exports:
+ *
+ *   export const id = "disk-watermarks";      // unique, kebab-case
+ *   export const title = "Disk watermarks";
+ *   export function check(dump, { now }) {
+ *     // null when the dump lacks what the rule reads (listed as skipped),
+ *     // else findings, [] when all is well
+ *     return [{ severity: "warning", title, summary, details, recommendation }];
+ *   }
+ *
+ * severity is "critical", "warning" or "info"; details are lines of text.
+ * A rule that throws is reported under errors and the others still run.
+ */
+
+import { readdir } from "node:fs/promises";
+import { join } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { parseBytes } from "./es-cat.js";
+import { consoleJson, findRecording } from "./es-dump.js";
+
+export const SEVERITIES = ["critical", "warning", "info"];
+
+const BUILTIN_DIR = fileURLToPath(new URL("./es-rules/", import.meta.url));
+
+const isObject = (v) =>
+  v !== null && typeof v === "object" && !Array.isArray(v);
+
+function fail(file, msg) {
+  throw new Error(`invalid rule ${file}: ${msg}`);
+}
+
+export async function loadRules(dir) {
+  const files = (await readdir(dir))
+    .filter((file) => /\.m?js$/.test(file))
+    .sort();
+  const rules = [];
+  for (const file of files) {
+    const rule = await import(pathToFileURL(join(dir, file)).href);
+    if (typeof rule.id !== "string" || !rule.id) fail(file, "no id export");
+    if (typeof rule.check !== "function") fail(file, "no check() export");
+    rules.push(rule);
+  }
+  return rules;
+}
+
+export const builtinRules = () => loadRules(BUILTIN_DIR);
+
+/* value at "a.b.c", nested or flat_settings style */
+function lookup(object, key) {
+  if (!isObject(object)) return undefined;
+  if (key in object) return object[key];
+  const dot = key.indexOf(".");
+  for (let i = dot; i !== -1; i = key.indexOf(".", i + 1)) {
+    const value = lookup(object[key.slice(0, i)], key.slice(i + 1));
+    if (value !== undefined) return value;
+  }
+  return undefined;
+}
+
+const isDataNode = (roles) =>
+  roles.some((role) => role === "data" || role.startsWith("data_"));
+
+/*
+ * The dump as rules see it. Missing captures and error bodies (a 7.x
+ * "_health_report" is an invalid_index_name_exception) read as undefined.
+ */
+export function dumpView(entries) {
+  const value = (entry) => {
+    if (!entry || entry.status >= 300) return undefined;
+    const body =
+      entry.json !== undefined ? entry.json : consoleJson(entry.body);
+    return isObject(body) && body.error && body.status ? undefined : body;
+  };
+  const get = (path, query = "") =>
+    value(findRecording(entries, "GET", path, query));
+  const text = (path, query = "") => {
+    const entry = findRecording(entries, "GET", path, query);
+    return entry && entry.status < 300 ? entry.body : undefined;
+  };
+  /* the first capture under a path (/_nodes/stats/jvm,fs) with node stats */
+  const statsUnder = (path, test) => {
+    for (const entry of entries) {
+      if (entry.path !== path && !entry.path.startsWith(`${path}/`)) continue;
+      const body = value(entry);
+      if (body && test(body)) return body;
+    }
+    return undefined;
+  };
+
+  const view = {
+    entries,
+    source: entries[0]?.source,
+    get,
+    text,
+    get cluster() {
+      return get("/")?.cluster_name ?? get("/_cluster/stats")?.cluster_name;
+    },
+    get version() {
+      return get("/")?.version?.number;
+    },
+
+    /* _cluster/health, else the status _cluster/stats carries */
+    health() {
+      const health = get("/_cluster/health");
+      if (health) return health;
+      const status = get("/_cluster/stats")?.status;
+      return status && { status };
+    },
+
+    /* [{ index, shard, prirep, state, node, docs, store }] */
+    shards() {
+      const json = get("/_cat/shards", "format=json");
+      const rows =
+        Array.isArray(json) ? json : (
+          text("/_cat/shards")
+            ?.split("\n")
+            .map((line) => line.trim().split(/\s+/))
+            .filter((cols) => cols.length >= 4 && /^\d+$/.test(cols[1]))
+            .map(([index, shard, prirep, state, ...rest]) => {
+              const assigned = state !== "UNASSIGNED";
+              return {
+                index,
+                shard,
+                prirep,
+                state,
+                docs: assigned ? rest[0] : null,
+                store: assigned ? rest[1] : null,
+                node: assigned ? rest.at(-1) : null,
+              };
+            })
+        );
+      return rows?.map((row) => ({
+        index: row.index,
+        shard: Number(row.shard),
+        prirep: row.prirep,
+        state: row.state,
+        node: row.node ?? null,
+        docs: row.docs != null ? Number(row.docs) : null,
+        store: row.store != null ? parseBytes(row.store) : null,
+      }));
+    },
+
+    /* [{ id, name, roles, version, heap_max }] from _nodes, else _nodes/stats */
+    nodes() {
+      const info =
+        get("/_nodes")?.nodes ??
+        statsUnder("/_nodes/stats", (b) => b.nodes)?.nodes;
+      return (
+        info &&
+        Object.entries(info).map(([id, node]) => ({
+          id,
+          name: node.name,
+          roles: node.roles || [],
+          version: node.version,
+          heap_max: node.jvm?.mem?.heap_max_in_bytes,
+        }))
+      );
+    },
+
+    /* data nodes, from _nodes roles or the _cluster/stats counts */
+    dataNodes() {
+      const nodes = view.nodes();
+      if (nodes) return nodes.filter((n) => isDataNode(n.roles)).length;
+      const count = get("/_cluster/stats")?.nodes?.count;
+      if (!count) return undefined;
+      return Math.max(
+        0,
+        ...Object.entries(count)
+          .filter(([role]) => role === "data" || role.startsWith("data_"))
+          .map(([, n]) => n)
+      );
+    },
+
+    /* per node stats ([{ name, jvm, fs, ... }]) of a _nodes/stats capture */
+    nodeStats() {
+      const body = statsUnder("/_nodes/stats", (b) =>
+        Object.values(b.nodes || {}).some(
+          (n) => n.jvm?.mem?.heap_used_in_bytes !== undefined || n.fs?.total
+        )
+      );
+      return body && Object.values(body.nodes);
+    },
+
+    /* index -> settings.index, from _settings */
+    indexSettings() {
+      const settings = get("/_settings");
+      return (
+        isObject(settings) &&
+        Object.fromEntries(
+          Object.entries(settings).map(([index, v]) => [
+            index,
+            v.settings?.index || {},
+          ])
+        )
+      );
+    },
+
+    /* a cluster setting from _cluster/settings: transient, persistent, defaults */
+    clusterSetting(key) {
+      const settings = get("/_cluster/settings", "include_defaults=true");
+      if (!settings) return undefined;
+      for (const scope of ["transient", "persistent", "defaults"]) {
+        const value = lookup(settings[scope], key);
+        if (value !== undefined) return value;
+      }
+      return undefined;
+    },
+  };
+  return view;
+}
+
+const rank = (severity) => {
+  const i = SEVERITIES.indexOf(severity);
+  return i === -1 ? SEVERITIES.length : i;
+};
+
+export function analyze(entries, rules, { now = Date.now() } = {}) {
+  const dump = dumpView(entries);
+  const findings = [];
+  const skipped = [];
+  const errors = [];
+  rules.forEach((rule, order) => {
+    let result;
+    try {
+      result = rule.check(dump, { now });
+    } catch (err) {
+      errors.push({ rule: rule.id, message: err.message });
+      return;
+    }
+    if (result === null || result === undefined) {
+      skipped.push(rule.id);
+      return;
+    }
+    for (const finding of result)
+      findings.push({
+        rule: rule.id,
+        severity:
+          SEVERITIES.includes(finding.severity) ? finding.severity : "info",
+        title: finding.title ?? rule.title ?? rule.id,
+        summary: finding.summary ?? "",
+        details: finding.details ?? [],
+        recommendation: finding.recommendation,
+        order,
+      });
+  });
+  findings.sort(
+    (x, y) => rank(x.severity) - rank(y.severity) || x.order - y.order
+  );
+  const summary = Object.fromEntries(SEVERITIES.map((s) => [s, 0]));
+  for (const finding of findings) {
+    summary[finding.severity]++;
+    delete finding.order;
+  }
+  return {
+    source: dump.source,
+    cluster: dump.cluster,
+    version: dump.version,
+    rules: rules.map((rule) => rule.id),
+    skipped,
+    errors,
+    summary,
+    findings,
+  };
+}
+
+/* Markdown */
+
+const ICONS = { critical: "🔴", warning: "🟠", info: "🔵" };
+
+export function formatReport(result, { details = 10 } = {}) {
+  const lines = [
+    "# Elasticsearch health report",
+    "",
+    `- **Dump**: ${result.source} (${result.cluster ?? "?"}, ${result.version ?? "?"})`,
+    `- **Findings**: ${SEVERITIES.map((s) => `${result.summary[s]} ${s}`).join(", ")}`,
+    `- **Rules**: ${result.rules.length - result.skipped.length - result.errors.length} run` +
+      (result.skipped.length ?
+        `, skipped for lack of data: ${result.skipped.join(", ")}`
+      : ""),
+    "",
+  ];
+  if (!result.findings.length) lines.push("No finding: every rule passed.", "");
+  for (const f of result.findings) {
+    lines.push(
+      `## ${ICONS[f.severity]} ${f.severity.toUpperCase()}: ${f.title}`,
+      ""
+    );
+    lines.push(`${f.summary} _(${f.rule})_`, "");
+    if (f.details.length) {
+      for (const line of f.details.slice(0, details)) lines.push(`- ${line}`);
+      if (f.details.length > details)
+        lines.push(`- … ${f.details.length - details} more`);
+      lines.push("");
+    }
+    if (f.recommendation)
+      lines.push(`**Recommendation**: ${f.recommendation}`, "");
+  }
+  if (result.errors.length) {
+    lines.push("## Rule errors", "");
+    for (const e of result.errors) lines.push(`- ${e.rule}: ${e.message}`);
+    lines.push("");
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,85 @@
+/**
+ * disk-watermarks.js
+ *
+ * Disk use of every data node against the allocation watermarks: past low
+ * no new shard lands on the node, past high its shards move away, past
+ * flood stage its indices turn read-only. Within 5 points of low is
+ * reported too. The watermarks come from _cluster/settings when captured
+ * (percent, ratio or free-space values), else the defaults 85/90/95%.
+ *
+ * Reads: _nodes/stats (fs), else the cluster-wide fs of _cluster/stats.
+ */
+
+import { formatBytes, parseBytes } from "../es-cat.js";
+
+export const id = "disk-watermarks";
+export const title = "Disk watermarks";
+
+const WATERMARKS = [
+  ["flood_stage", "95%"],
+  ["high", "90%"],
+  ["low", "85%"],
+];
+const APPROACH = 0.05;
+
+/* "85%", "0.85" or "50gb" free -> the most bytes the disk may use */
+function usedLimit(setting, total) {
+  const text = String(setting).trim();
+  if (text.endsWith("%")) return (total * Number(text.slice(0, -1))) / 100;
+  if (/^\d*\.?\d+$/.test(text) && Number(text) <= 1)
+    return total * Number(text);
+  return total - parseBytes(text);
+}
+
+const percent = (part, total) => `${Math.round((part / total) * 1000) / 10}%`;
+
+export function check(dump) {
+  const stats = dump
+    .nodeStats()
+    ?.filter((node) => node.fs?.total?.total_in_bytes);
+  const disks =
+    stats?.length ?
+      stats.map((node) => ({ name: node.name, ...node.fs.total }))
+    : [dump.get("/_cluster/stats")?.nodes?.fs]
+        .filter((fs) => fs?.total_in_bytes)
+        .map((fs) => ({ name: "all nodes", ...fs }));
+  if (!disks.length) return null;
+
+  const marks = WATERMARKS.map(([name, fallback]) => ({
+    name,
+    setting:
+      dump.clusterSetting(
+        `cluster.routing.allocation.disk.watermark.${name}`
+      ) ?? fallback,
+  }));
+  const findings = [];
+  for (const disk of disks) {
+    const total = disk.total_in_bytes;
+    const used = total - disk.available_in_bytes;
+    const usage = `${formatBytes(used)} of ${formatBytes(total)} used (${percent(used, total)})`;
+    const passed = marks.find((mark) => used >= usedLimit(mark.setting, total));
+    const low = marks.at(-1);
+    if (passed)
+      findings.push({
+        severity: passed.name === "low" ? "warning" : "critical",
+        title: `Disk past the ${passed.name.replace("_", " ")} watermark on ${disk.name}`,
+        summary: `${usage}, over the ${passed.name} watermark (${passed.setting}). ${
+          passed.name === "flood_stage" ?
+            "Indices with a shard on it are read-only (index.blocks.read_only_allow_delete)."
+          : passed.name === "high" ? "Elasticsearch moves shards off the node."
+          : "No new shard is allocated to the node."
+        }`,
+        recommendation:
+          "Free disk space (delete old indices, shorten ILM retention), add data nodes or grow the disk.",
+      });
+    else if (used >= usedLimit(low.setting, total) - total * APPROACH)
+      findings.push({
+        severity: "info",
+        title: `Disk close to the low watermark on ${disk.name}`,
+        summary: `${usage}, within ${APPROACH * 100} points of the low watermark (${low.setting}).`,
+        recommendation:
+          "Plan for space before shard allocation to the node stops.",
+      });
+  }
+  return findings;
+}
@@ -0,0 +1,61 @@
+/**
+ * health-indicators.js
+ *
+ * Yellow and red health: each _health_report indicator that is not green
+ * (8.7+), with its symptom, impacts and diagnosis, or the overall status of
+ * _cluster/health / _cluster/stats on clusters without the health API.
+ *
+ * Reads: _health_report, else _cluster/health or _cluster/stats.
+ */
+
+export const id = "health-indicators";
+export const title = "Health indicators";
+
+const SEVERITY = { red: "critical", yellow: "warning", unknown: "info" };
+
+export function check(dump) {
+  const report = dump.get("/_health_report");
+  if (report?.indicators) {
+    const findings = [];
+    for (const [name, indicator] of Object.entries(report.indicators)) {
+      const severity = SEVERITY[indicator.status];
+      if (!severity) continue;
+      const diagnosis = indicator.diagnosis || [];
+      findings.push({
+        severity,
+        title: `${name} is ${indicator.status}`,
+        summary:
+          indicator.symptom || `The ${name} indicator is ${indicator.status}.`,
+        details: [
+          ...(indicator.impacts || []).map(
+            (impact) => `Impact: ${impact.description}`
+          ),
+          ...diagnosis.map((d) => `Cause: ${d.cause}`),
+        ],
+        recommendation:
+          [...new Set(diagnosis.map((d) => d.action))].join(" ") || undefined,
+      });
+    }
+    return findings;
+  }
+
+  const health = dump.health();
+  if (!health) return null;
+  const severity = SEVERITY[health.status];
+  if (!severity) return [];
+  return [
+    {
+      severity,
+      title: `Cluster health is ${health.status}`,
+      summary:
+        health.status === "red" ?
+          "At least one primary shard is unassigned."
+        : "Every primary is assigned, but some replicas are not.",
+      details: Object.entries(health)
+        .filter(([key, value]) => key.endsWith("_shards") && value)
+        .map(([key, value]) => `${key}: ${value}`),
+      recommendation:
+        "See the unassigned-shards finding, or run GET _cluster/allocation/explain.",
+    },
+  ];
+}
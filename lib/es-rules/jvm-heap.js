@@ -0,0 +1,63 @@
+/**
+ * jvm-heap.js
+ *
+ * JVM heap pressure: heap in use at capture time, per node, against 75%
+ * (warning: old GCs get frequent) and 85% (critical: circuit breakers trip
+ * and requests are rejected). One capture is one moment, so a value just
+ * before a collection reads high; repeated captures tell the trend. Heaps
+ * that lost compressed object pointers (over ~31gb) are flagged as well.
+ *
+ * Reads: _nodes/stats (jvm), else _cluster/stats; _nodes for the pointers.
+ */
+
+import { formatBytes } from "../es-cat.js";
+
+export const id = "jvm-heap";
+export const title = "JVM heap pressure";
+
+const WARNING = 75;
+const CRITICAL = 85;
+
+export function check(dump) {
+  const stats = dump
+    .nodeStats()
+    ?.filter((node) => node.jvm?.mem?.heap_used_in_bytes !== undefined);
+  const cluster = dump.get("/_cluster/stats")?.nodes?.jvm?.mem;
+  const heaps =
+    stats?.length ? stats.map((node) => ({ name: node.name, ...node.jvm.mem }))
+    : cluster?.heap_max_in_bytes ? [{ name: "all nodes", ...cluster }]
+    : [];
+  const info = Object.values(dump.get("/_nodes")?.nodes || {});
+  if (!heaps.length && !info.length) return null;
+
+  const findings = [];
+  for (const heap of heaps) {
+    const used =
+      heap.heap_used_percent ??
+      Math.round((heap.heap_used_in_bytes / heap.heap_max_in_bytes) * 100);
+    if (used < WARNING) continue;
+    findings.push({
+      severity: used >= CRITICAL ? "critical" : "warning",
+      title: `Heap at ${used}% on ${heap.name}`,
+      summary: `${formatBytes(heap.heap_used_in_bytes)} of ${formatBytes(heap.heap_max_in_bytes)} in use. ${
+        used >= CRITICAL ?
+          "Above 85%, the parent circuit breaker starts rejecting requests."
+        : "Above 75%, old-generation collections get frequent and long."
+      }`,
+      details: [
+        "Heap use after a young collection is what matters: check this against a second capture or the elasticsearch_jvm_memory metrics.",
+      ],
+      recommendation:
+        "Reduce the shard count and field data (oversharding, large aggregations), or give the node more heap (at most 50% of RAM, under 31gb).",
+    });
+  }
+  for (const node of info)
+    if (String(node.jvm?.using_compressed_ordinary_object_pointers) === "false")
+      findings.push({
+        severity: "warning",
+        title: `${node.name} runs without compressed object pointers`,
+        summary: `Its ${formatBytes(node.jvm.mem?.heap_max_in_bytes)} heap is above the ~31gb limit for compressed oops: it holds less than a heap just under the limit would.`,
+        recommendation: "Set -Xms/-Xmx to 30g or below.",
+      });
+  return findings;
+}
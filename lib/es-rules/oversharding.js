@@ -0,0 +1,84 @@
+/**
+ * oversharding.js
+ *
+ * Too many shards for the nodes that hold them. Every shard costs heap and
+ * file handles whatever its size, so many small shards cost more than a
+ * few large ones. Checks:
+ * - cluster.max_shards_per_node (default 1000 per data node): new indices
+ *   fail once it is reached;
+ * - before 8.3, the "20 shards per GB of heap" guideline;
+ * - the average shard size, 10-50gb being the usual target.
+ *
+ * Reads: _cat/shards or _cluster/stats, _nodes, _cluster/settings.
+ */
+
+import { formatBytes } from "../es-cat.js";
+
+export const id = "oversharding";
+export const title = "Oversharding";
+
+const SHARDS_PER_GB_HEAP = 20;
+const SMALL_SHARD = 1024 ** 3;
+const MANY_SHARDS = 100; // per data node, before small shards matter
+
+const versionAtLeast = (version, major, minor) => {
+  const [x, y] = String(version).split(".").map(Number);
+  return x > major || (x === major && y >= minor);
+};
+
+export function check(dump) {
+  const stats = dump.get("/_cluster/stats");
+  const shards = dump.shards()?.filter((copy) => copy.state !== "UNASSIGNED");
+  const copies = shards?.length ?? stats?.indices?.shards?.total;
+  const dataNodes = dump.dataNodes();
+  if (copies === undefined || !dataNodes) return null;
+
+  const findings = [];
+  const perNode = copies / dataNodes;
+  const limit = Number(
+    dump.clusterSetting("cluster.max_shards_per_node") ?? 1000
+  );
+  if (perNode >= limit * 0.75)
+    findings.push({
+      severity: perNode >= limit * 0.9 ? "critical" : "warning",
+      title: `${Math.round(perNode)} shards per data node of ${limit} allowed`,
+      summary: `${copies} open shard copies on ${dataNodes} data ${dataNodes === 1 ? "node" : "nodes"}: once cluster.max_shards_per_node is reached, creating an index or rolling one over fails.`,
+      recommendation:
+        "Shrink or merge small daily indices (weekly or monthly, or rollover by size), delete old ones, or add data nodes.",
+    });
+
+  const version = dump.version ?? dump.nodes()?.[0]?.version;
+  const heaps = (dump.nodes() || []).map((n) => n.heap_max).filter(Boolean);
+  const heap =
+    heaps.length ?
+      heaps.reduce((a, b) => a + b, 0) / heaps.length
+    : stats?.nodes?.jvm?.mem?.heap_max_in_bytes /
+      (stats?.nodes?.count?.total || 1);
+  if (version && !versionAtLeast(version, 8, 3) && heap > 0) {
+    const perGb = perNode / (heap / 1024 ** 3);
+    if (perGb > SHARDS_PER_GB_HEAP)
+      findings.push({
+        severity: "warning",
+        title: `${Math.round(perGb)} shards per GB of heap`,
+        summary: `Each data node holds ${Math.round(perNode)} shards on a ${formatBytes(heap)} heap, over the ${SHARDS_PER_GB_HEAP} per GB that Elasticsearch ${version} can keep up with.`,
+        recommendation:
+          "Lower the shard count (fewer, larger indices; number_of_shards 1 for small ones), or add heap or data nodes.",
+      });
+  }
+
+  const sizes = shards?.map((copy) => copy.store).filter((s) => s !== null);
+  const bytes =
+    sizes?.length ?
+      sizes.reduce((a, b) => a + b, 0)
+    : stats?.indices?.store?.size_in_bytes;
+  const average = bytes / (sizes?.length || copies);
+  if (perNode >= MANY_SHARDS && average < SMALL_SHARD)
+    findings.push({
+      severity: "info",
+      title: `Small shards: ${formatBytes(Math.round(average))} on average`,
+      summary: `${copies} shard copies hold ${formatBytes(bytes)}: most of their heap and file handle cost buys little data.`,
+      recommendation:
+        "Aim for shards of 10-50gb: daily indices of a few MB are better weekly or monthly, or rolled over by size with ILM.",
+    });
+  return findings;
+}
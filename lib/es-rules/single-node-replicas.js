@@ -0,0 +1,48 @@
+/**
+ * single-node-replicas.js
+ *
+ * Replicas on a single data node. A replica never goes on the node that
+ * holds its primary, so with one data node every replica stays unassigned
+ * and the cluster is yellow for good, with no redundancy gained.
+ * auto_expand_replicas "0-..." is fine: it drops to 0 on its own.
+ *
+ * Reads: _nodes or _cluster/stats, _settings and _cat/shards.
+ */
+
+export const id = "single-node-replicas";
+export const title = "Single node with replicas";
+
+export function check(dump) {
+  const dataNodes = dump.dataNodes();
+  const settings = dump.indexSettings();
+  const shards = dump.shards();
+  if (dataNodes === undefined || (!settings && !shards)) return null;
+  if (dataNodes !== 1) return [];
+
+  const replicas = new Map(); // index -> replicas asked for
+  for (const [index, s] of Object.entries(settings || {})) {
+    const auto = String(s.auto_expand_replicas ?? "false");
+    if (auto !== "false" && auto.startsWith("0-")) continue;
+    const n = Number(s.number_of_replicas ?? 1);
+    if (n > 0) replicas.set(index, n);
+  }
+  // 8.x _settings leaves hidden indices out: their replica copies tell
+  for (const copy of shards || [])
+    if (copy.prirep === "r" && !replicas.has(copy.index))
+      replicas.set(copy.index, 1);
+  if (!replicas.size) return [];
+
+  return [
+    {
+      severity: "warning",
+      title: `${replicas.size} indices want replicas on a single data node`,
+      summary:
+        "Their replicas can never be assigned, so the cluster stays yellow while the data still has a single copy.",
+      details: [...replicas]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([index, n]) => `${index}: number_of_replicas ${n}`),
+      recommendation:
+        'Set "index.number_of_replicas": 0 on them (and in their index templates), or "auto_expand_replicas": "0-1"; or add a data node.',
+    },
+  ];
+}
@@ -0,0 +1,69 @@
+/**
+ * unassigned-shards.js
+ *
+ * Shard copies no node holds. An unassigned primary is data nobody can
+ * search or write (red); unassigned replicas leave their shards without a
+ * second copy (yellow).
+ *
+ * Reads: _cat/shards, else the counts of _cluster/health.
+ */
+
+export const id = "unassigned-shards";
+export const title = "Unassigned shards";
+
+const indices = (copies) => {
+  const n = new Set(copies.map((copy) => copy.index)).size;
+  return n === 1 ? "1 index is" : `${n} indices are`;
+};
+
+function byIndex(copies) {
+  const counts = new Map();
+  for (const copy of copies)
+    counts.set(copy.index, (counts.get(copy.index) || 0) + 1);
+  return [...counts]
+    .sort(([a, x], [b, y]) => y - x || a.localeCompare(b))
+    .map(([index, n]) => `${index}: ${n} ${n === 1 ? "copy" : "copies"}`);
+}
+
+export function check(dump) {
+  const shards = dump.shards();
+  if (!shards) {
+    const health = dump.get("/_cluster/health");
+    if (!health) return null;
+    const n = health.unassigned_shards;
+    if (!n) return [];
+    return [
+      {
+        severity: health.status === "red" ? "critical" : "warning",
+        title: `${n} unassigned shard ${n === 1 ? "copy" : "copies"}`,
+        summary: `_cluster/health is ${health.status} with ${n} unassigned shard copies.`,
+        recommendation:
+          "Run GET _cluster/allocation/explain to see why they are not allocated.",
+      },
+    ];
+  }
+
+  const unassigned = shards.filter((copy) => copy.state === "UNASSIGNED");
+  const primaries = unassigned.filter((copy) => copy.prirep === "p");
+  const replicas = unassigned.filter((copy) => copy.prirep !== "p");
+  const findings = [];
+  if (primaries.length)
+    findings.push({
+      severity: "critical",
+      title: `${primaries.length} unassigned primary ${primaries.length === 1 ? "shard" : "shards"}`,
+      summary: `${indices(primaries)} red: their documents cannot be searched or indexed until a node holding the data comes back.`,
+      details: byIndex(primaries),
+      recommendation:
+        "Run GET _cluster/allocation/explain on one of them. Bring back the node that held the data or restore the index from a snapshot.",
+    });
+  if (replicas.length)
+    findings.push({
+      severity: "warning",
+      title: `${replicas.length} unassigned replica ${replicas.length === 1 ? "shard" : "shards"}`,
+      summary: `${indices(replicas)} yellow: losing the node that holds their primary loses data.`,
+      details: byIndex(replicas),
+      recommendation:
+        "Run GET _cluster/allocation/explain. Add data nodes, or lower number_of_replicas on indices that cannot place their replicas.",
+    });
+  return findings;
+}
@@ -0,0 +1,118 @@
+/**
+ * version-eol.js
+ *
+ * Elasticsearch versions past (or near) their end of life, after which
+ * Elastic ships no fixes, security ones included. A minor is maintained 18
+ * months from its release, except for the last minor of a major (6.8, 7.17)
+ * which Elastic extended. Nodes on different versions are flagged too: a
+ * cluster should only be mixed during a rolling upgrade.
+ *
+ * Reads: / (or _nodes). The date checked against is the run's (--date).
+ */
+
+export const id = "version-eol";
+export const title = "Version end of life";
+
+// release dates of the minors; a version not listed is not judged (all
+// before 6.8 are long past their end of life)
+const RELEASES = {
+  6.8: "2019-05-20",
+  "7.0": "2019-04-10",
+  7.1: "2019-05-20",
+  7.2: "2019-06-25",
+  7.3: "2019-07-31",
+  7.4: "2019-10-01",
+  7.5: "2019-12-02",
+  7.6: "2020-02-11",
+  7.7: "2020-05-13",
+  7.8: "2020-06-18",
+  7.9: "2020-08-18",
+  "7.10": "2020-11-11",
+  7.11: "2021-02-10",
+  7.12: "2021-03-23",
+  7.13: "2021-05-25",
+  7.14: "2021-08-03",
+  7.15: "2021-09-22",
+  7.16: "2021-12-07",
+  7.17: "2022-02-01",
+  "8.0": "2022-02-10",
+  8.1: "2022-03-08",
+  8.2: "2022-05-03",
+  8.3: "2022-06-28",
+  8.4: "2022-08-24",
+  8.5: "2022-11-01",
+  8.6: "2023-01-10",
+  8.7: "2023-03-30",
+  8.8: "2023-05-25",
+  8.9: "2023-07-25",
+  "8.10": "2023-09-21",
+  8.11: "2023-11-13",
+  8.12: "2024-01-18",
+  8.13: "2024-03-26",
+  8.14: "2024-06-05",
+  8.15: "2024-08-08",
+  8.16: "2024-11-12",
+  8.17: "2024-12-12",
+  8.18: "2025-04-15",
+  "9.0": "2025-04-15",
+  9.1: "2025-07-29",
+};
+// extended support of a major's last minor
+const EXTENDED = { 6.8: "2022-02-10", 7.17: "2026-01-15" };
+const SOON = 183 * 24 * 3600 * 1000; // six months
+
+function endOfLife(minor) {
+  if (EXTENDED[minor]) return new Date(EXTENDED[minor]);
+  if (!RELEASES[minor]) return null;
+  const eol = new Date(RELEASES[minor]);
+  eol.setUTCMonth(eol.getUTCMonth() + 18);
+  return eol;
+}
+
+const day = (date) => date.toISOString().slice(0, 10);
+
+export function check(dump, { now }) {
+  const nodes = dump.nodes() || [];
+  const versions = [
+    ...new Set([dump.version, ...nodes.map((n) => n.version)].filter(Boolean)),
+  ];
+  if (!versions.length) return null;
+
+  const findings = [];
+  if (versions.length > 1)
+    findings.push({
+      severity: "warning",
+      title: `Nodes on ${versions.length} versions`,
+      summary: `The cluster mixes ${versions.join(", ")}: shards cannot move from a newer node to an older one.`,
+      details: nodes.map((n) => `${n.name}: ${n.version}`),
+      recommendation: "Finish the rolling upgrade.",
+    });
+
+  for (const version of versions) {
+    const [major, minor] = version.split(".").map(Number);
+    const eol =
+      major < 6 || (major === 6 && minor < 8) ?
+        new Date(0)
+      : endOfLife(`${major}.${minor}`);
+    if (!eol) continue;
+    const left = eol.getTime() - now;
+    if (left > SOON) continue;
+    const past = left <= 0;
+    findings.push({
+      severity: past ? "critical" : "warning",
+      title:
+        past ?
+          `Elasticsearch ${version} is past its end of life`
+        : `Elasticsearch ${version} reaches its end of life on ${day(eol)}`,
+      summary:
+        past ?
+          `${version} has had no fixes, security fixes included, since ${eol.getTime() ? day(eol) : "long ago"}.`
+        : `${version} gets fixes for ${Math.ceil(left / (24 * 3600 * 1000))} more days.`,
+      recommendation:
+        major < 7 || (major === 7 && minor < 17) ?
+          "Upgrade to 7.17 first (rolling), then to a maintained 8.x or 9.x."
+        : "Upgrade to a maintained minor.",
+    });
+  }
+  return findings;
+}
@@ -0,0 +1,1254 @@
+/**
+ * es-sim.js
+ *
+ * The Elasticsearch simulator as a factory: a cluster seeded from a
+ * diagnostic dump (ES_DUMP, see lib/es-dump.js and lib/es-cluster.js) whose
+ * values then move on every tick -- indexing and search rates, doc counts
+ * and store sizes, heap and GC, shard recoveries and relocations.
+ *
+ *   await createElasticsearchSimulator(env, { name, processMetrics })
+ *     .app          -> Express app (listen() it, or mount it under a path)
+ *     .registry     -> the registry /metrics serves
+ *     .clock        -> instance clock (advance(n) with CLOCK=virtual)
+ *     .listen(port?, host?) -> HTTP server on PORT / HOST
+ *
+ * env holds the same variables elasticsearch.js reads from process.env.
+ */
+
+import express from "express";
+import client from "prom-client";
+import { createRandom } from "./random.js";
+import { MAX_TICKS, createClock } from "./clock.js";
+import {
+  createScenarioPlayer,
+  loadScenarioFile,
+  runScenarioCommand,
+} from "./scenario.js";
+import { loadDump } from "./es-dump.js";
+import {
+  allocate,
+  drainNode,
+  forceHealth,
+  health,
+  indexHealth,
+  seedCluster,
+  shardBytes,
+  shardDocs,
+  startNode,
+  stopNode,
+} from "./es-cluster.js";
+import { catTable } from "./es-cat.js";
+import { registerElasticsearchExporterMetrics } from "./exporter-metrics.js";
+import { serveMetrics } from "./metrics.js";
+import { createFaultInjector, loadFaults, serveFaults } from "./faults.js";
+import { createTls, serveTls } from "./tls.js";
+import { createAuth, loadAuth, serveAuth } from "./auth.js";
+import {
+  captureState,
+  createSnapshots,
+  jsonErrors,
+  restoreState,
+  serveState,
+} from "./admin-state.js";
+import {
+  createHistory,
+  parseDuration,
+  parseHistorySize,
+  serveHistory,
+} from "./history.js";
+
+// roles as _cat/nodes abbreviates them (letters sorted)
+const ROLE_LETTERS = {
+  data: "d",
+  data_cold: "c",
+  data_content: "s",
+  data_frozen: "f",
+  data_hot: "h",
+  data_warm: "w",
+  ingest: "i",
+  master: "m",
+  ml: "l",
+  remote_cluster_client: "r",
+  transform: "t",
+  voting_only: "v",
+};
+// shards one search touches on average
+const SHARDS_PER_QUERY = 5;
+// ops one pool thread gets through per second
+const WRITE_OPS_PER_THREAD = 1000;
+const SEARCH_OPS_PER_THREAD = 200;
+// thread_pool.*.queue_size defaults
+const QUEUE_SIZE = { write: 10000, search: 1000 };
+
+const GB = 1024 ** 3;
+
+/* Elasticsearch error body shape */
+function esError(status, type, reason) {
+  return { error: { root_cause: [{ type, reason }], type, reason }, status };
+}
+
+export async function createElasticsearchSimulator(
+  env = process.env,
+  { name = "elasticsearch", processMetrics } = {}
+) {
+  const app = express();
+  const PORT = env.PORT ? parseInt(env.PORT, 10) : 9200;
+  const HOST = env.HOST || "0.0.0.0";
+  const ES_DUMP = env.ES_DUMP || "csf/ELK_TAL_Pro.txt";
+  const NODES = env.NODES ? parseInt(env.NODES, 10) : 0;
+  const SEED = env.SEED !== undefined ? env.SEED : null;
+  const CLOCK = env.CLOCK === "virtual" ? "virtual" : "real";
+  const START_TIME = env.START_TIME ? Date.parse(env.START_TIME) : undefined;
+  const SCENARIO_FILE =
+    env.SCENARIO ? await loadScenarioFile(env.SCENARIO) : null;
+  const FAULTS = env.FAULTS ? await loadFaults(env.FAULTS) : [];
+  const tls = await createTls(env);
+  const AUTH = env.AUTH ? await loadAuth(env.AUTH) : null;
+  const HISTORY_SIZE =
+    env.HISTORY_SIZE ? parseHistorySize(env.HISTORY_SIZE) : 21600;
+  const HISTORY_BACKFILL =
+    env.HISTORY_BACKFILL ? parseDuration(env.HISTORY_BACKFILL) : 0;
+
+  const rng = createRandom(SEED);
+  // faults draw from their own stream, per request, never from the sim's
+  const faultSeed = () => (rng.seeded ? `${rng.seed}:faults` : null);
+  const faults = createFaultInjector(FAULTS, { seed: faultSeed() });
+  // and one for the synthetic past of /api/history
+  const historySeed = () => (rng.seeded ? `${rng.seed}:history` : null);
+  const clock = createClock({
+    mode: CLOCK,
+    tickMs: 1000,
+    startTime: START_TIME,
+  });
+  // 401 / 403 bodies as Elasticsearch security writes them
+  const auth = createAuth(AUTH, {
+    realm: "security",
+    clock,
+    deny(res, status, reason) {
+      res.status(status).json(esError(status, "security_exception", reason));
+    },
+  });
+  const entries = await loadDump(ES_DUMP);
+
+  /* -----------------------
+   Rates the dump implies: lifetime totals over uptime
+   ----------------------- */
+  const recordedJson = (path) =>
+    entries.find((e) => e.path === path && e.json && !e.json.error)?.json;
+  const totals = recordedJson("/_stats")?._all?.primaries;
+  const uptimeSeconds = (() => {
+    const stats = entries.find(
+      (e) => e.path.startsWith("/_nodes/stats") && e.json?.nodes
+    )?.json;
+    const node = stats && Object.values(stats.nodes)[0];
+    if (node?.jvm?.uptime_in_millis) return node.jvm.uptime_in_millis / 1000;
+    const started = node?.jvm?.start_time_in_millis;
+    const at = recordedJson("/_cluster/stats")?.timestamp;
+    return started && at ? (at - started) / 1000 : null;
+  })();
+  const lifetimeRate = (total, fallback) =>
+    total && uptimeSeconds ?
+      Math.max(1, Math.round((total / uptimeSeconds) * 100) / 100)
+    : fallback;
+  const INIT_INDEXING_RATE =
+    env.INIT_INDEXING_RATE ?
+      Number(env.INIT_INDEXING_RATE)
+    : lifetimeRate(totals?.indexing?.index_total, 50);
+  const INIT_SEARCH_RATE =
+    env.INIT_SEARCH_RATE ?
+      Number(env.INIT_SEARCH_RATE)
+    : lifetimeRate(totals?.search?.query_total, 10);
+
+  /* -----------------------
+   Internal cluster state
+   ----------------------- */
+  let cluster;
+  const runtime = new Map(); // node name -> JVM, counters, pools
+
+  /* what a node's JVM, counters and pools start from (its recorded stats) */
+  function nodeRuntime(node) {
+    const t = node.joined ? null : node.template;
+    const jvm = t?.jvm || {};
+    const heapMax =
+      jvm.mem?.heap_max_in_bytes ||
+      node.info?.jvm?.mem?.heap_max_in_bytes ||
+      GB;
+    const youngMax = jvm.mem?.pools?.young?.max_in_bytes || heapMax / 16;
+    const collectors = jvm.gc?.collectors || {};
+    const pools = t?.thread_pool || node.template?.thread_pool || {};
+    const pool = (type) => ({
+      threads: pools[type]?.threads || node.info?.os?.available_processors || 4,
+      active: 0,
+      queue: 0,
+      rejected: t ? pools[type]?.rejected || 0 : 0,
+      completed: t ? pools[type]?.completed || 0 : 0,
+    });
+    // disk: the node's own fs stats, else the cluster-wide ones; what its
+    // shards do not account for stays fixed (OS, logs, translog)
+    const disk =
+      node.template?.fs?.total ||
+      recordedJson("/_cluster/stats")?.nodes?.fs ||
+      {};
+    const fs = disk.total_in_bytes || 100 * GB;
+    return {
+      up_since: clock.ticks,
+      uptime_ms:
+        jvm.uptime_in_millis || (node.joined ? 0 : uptimeSeconds * 1000) || 0,
+      heap_max: heapMax,
+      young_max: youngMax,
+      young_used: jvm.mem?.pools?.young?.used_in_bytes || youngMax / 2,
+      old_used:
+        jvm.mem?.pools?.old?.used_in_bytes ||
+        (jvm.mem?.heap_used_in_bytes || heapMax * 0.3) * 0.8,
+      gc: {
+        young_count: collectors.young?.collection_count || 0,
+        young_ms: collectors.young?.collection_time_in_millis || 0,
+        old_count: collectors.old?.collection_count || 0,
+        old_ms: collectors.old?.collection_time_in_millis || 0,
+      },
+      index_total: t?.indices?.indexing?.index_total || 0,
+      index_ms: t?.indices?.indexing?.index_time_in_millis || 0,
+      query_total: t?.indices?.search?.query_total || 0,
+      query_ms: t?.indices?.search?.query_time_in_millis || 0,
+      fetch_total: t?.indices?.search?.fetch_total || 0,
+      fetch_ms: t?.indices?.search?.fetch_time_in_millis || 0,
+      cpu_percent: t?.os?.cpu?.percent || 0,
+      cpu_ms: t?.process?.cpu?.total_in_millis || 0,
+      load:
+        t?.os?.cpu?.load_average ?
+          [
+            t.os.cpu.load_average["1m"],
+            t.os.cpu.load_average["5m"],
+            t.os.cpu.load_average["15m"],
+          ]
+        : null,
+      fs_total: fs,
+      fs_other:
+        node.joined ? 0 : (
+          Math.max(
+            0,
+            fs -
+              (disk.available_in_bytes || Math.round(fs * 0.6)) -
+              (nodeHoldings()[node.name]?.bytes || 0)
+          )
+        ),
+      pools: { write: pool("write"), search: pool("search") },
+    };
+  }
+
+  const initialState = () => ({
+    startTime: clock.startTime,
+    // baselines the rates wander around (scenario / admin targets)
+    indexing_rate: INIT_INDEXING_RATE,
+    search_rate: INIT_SEARCH_RATE,
+    // live set after an old GC, as a share of the heap (0..1)
+    heap_pressure: 0.3,
+    // what the cluster actually did over the last tick
+    current_indexing_rate: INIT_INDEXING_RATE,
+    current_search_rate: INIT_SEARCH_RATE,
+    query_latency_ms: 0,
+    burst_ticks: 0,
+    burst_factor: 1,
+    rejected_total: 0,
+  });
+  const state = initialState();
+
+  function seed() {
+    cluster = seedCluster(entries, { nodes: NODES, random: rng.random });
+    runtime.clear();
+    for (const node of cluster.nodes) runtime.set(node.name, nodeRuntime(node));
+    const first = runtime.get(cluster.nodes[0].name);
+    state.heap_pressure =
+      Math.round(Math.min(0.7, first.old_used / first.heap_max) * 100) / 100;
+  }
+  seed();
+
+  /* scenario playback (timeline of ramps, bursts and recoveries) */
+  const scenario = createScenarioPlayer(state, { tickMs: clock.tickMs });
+  if (SCENARIO_FILE) scenario.load(SCENARIO_FILE);
+
+  /* per-tick samples for /api/history, with HISTORY_BACKFILL of made-up past */
+  const history = createHistory({
+    size: HISTORY_SIZE,
+    tickMs: clock.tickMs,
+    backfill: HISTORY_BACKFILL,
+    metrics: {
+      current_indexing_rate: {},
+      current_search_rate: {},
+      query_latency_ms: {},
+      heap_pressure: { max: 1 },
+      active_shards: { integer: true },
+      unassigned_shards: { integer: true },
+      rejected_total: { counter: () => 0 },
+    },
+  });
+  const historySample = () => {
+    const h = health(cluster, clock.ticks);
+    return {
+      ...state,
+      active_shards: h.active_shards,
+      unassigned_shards: h.unassigned_shards,
+    };
+  };
+  history.restart(clock.now(), historySample(), historySeed());
+
+  /* n items over weights, largest remainder first (sums stay exact) */
+  function apportion(n, weights) {
+    const total = weights.reduce((a, b) => a + b, 0);
+    if (total <= 0 || n <= 0) return weights.map(() => 0);
+    const exact = weights.map((w) => (n * w) / total);
+    const out = exact.map(Math.floor);
+    let left = n - out.reduce((a, b) => a + b, 0);
+    const order = exact
+      .map((x, i) => [x - Math.floor(x), i])
+      .sort((a, b) => b[0] - a[0] || a[1] - b[1]);
+    for (let k = 0; left > 0; k = (k + 1) % order.length, left--)
+      out[order[k][1]]++;
+    return out;
+  }
+
+  const activeCopies = () =>
+    cluster.shards.filter(
+      (c) => c.state === "STARTED" || c.state === "RELOCATING"
+    );
+
+  /* new docs land in each family's write index, weighted by family size */
+  function indexDocs(count, perNode) {
+    const writable = cluster.indices.filter(
+      (i) => i.write && i.status === "open" && indexHealth(cluster, i) !== "red"
+    );
+    const familyDocs = {};
+    for (const index of cluster.indices)
+      familyDocs[index.family] = (familyDocs[index.family] || 0) + index.docs;
+    const shares = apportion(
+      count,
+      writable.map((i) => Math.max(1, familyDocs[i.family]))
+    );
+    writable.forEach((index, k) => {
+      const docs = shares[k];
+      if (!docs) return;
+      const bytesPerDoc = index.docs > 0 ? index.store / index.docs : 1024;
+      index.docs += docs;
+      index.store += Math.round(docs * bytesPerDoc);
+      // updates leave deleted docs behind until merges reclaim them
+      index.deleted += Math.round(docs * 0.01 * rng.random());
+      // every active copy of the shard does the indexing work
+      const perShard = apportion(
+        docs,
+        Array.from({ length: index.pri }, () => 1)
+      );
+      for (const copy of activeCopies()) {
+        if (copy.index !== index.name) continue;
+        perNode[copy.node].index += perShard[copy.shard];
+      }
+    });
+  }
+
+  /* one JVM second: allocation fills young gen, survivors age into old gen,
+   old gen is collected back to the live set (heap_pressure) */
+  function stepJvm(rt, ops) {
+    const alloc =
+      64 * 1024 ** 2 + ops.index * 8 * 1024 + ops.query * 256 * 1024;
+    rt.young_used += alloc;
+    const youngGcs = Math.floor(rt.young_used / rt.young_max);
+    let youngMs = 0;
+    let oldMs = 0;
+    if (youngGcs > 0) {
+      rt.young_used -= youngGcs * rt.young_max;
+      rt.gc.young_count += youngGcs;
+      for (let i = 0; i < youngGcs; i++)
+        youngMs += Math.max(1, Math.round(rng.gaussian(12, 4)));
+      rt.old_used += youngGcs * rt.young_max * 0.03;
+    }
+    const live = state.heap_pressure * rt.heap_max;
+    if (rt.old_used < live) rt.old_used += (live - rt.old_used) * 0.1;
+    const oldMax = rt.heap_max - rt.young_max;
+    if (rt.old_used > oldMax * 0.85) {
+      rt.gc.old_count++;
+      oldMs = Math.max(50, Math.round(rng.gaussian(400, 150)));
+      rt.old_used = Math.min(oldMax, live * (1 + rng.random() * 0.05));
+    }
+    rt.old_used = Math.min(oldMax, rt.old_used);
+    rt.gc.young_ms += youngMs;
+    rt.gc.old_ms += oldMs;
+    return youngMs + oldMs;
+  }
+
+  /* write / search pools: work past the threads queues, past the queue is
+   rejected (429 es_rejected_execution_exception) */
+  function stepPool(pool, ops, perThread, queueSize) {
+    const capacity = pool.threads * perThread;
+    const backlog = pool.queue + ops;
+    const done = Math.min(backlog, capacity);
+    const waiting = backlog - done;
+    pool.active = Math.min(pool.threads, Math.ceil(done / perThread));
+    pool.queue = Math.min(queueSize, waiting);
+    const rejected = waiting - pool.queue;
+    pool.rejected += rejected;
+    pool.completed += done;
+    return rejected;
+  }
+
+  /* periodic state updater -- traffic, JVMs and the allocator */
+  function tickSimulation() {
+    auth.refresh(); // rotation follows the simulated clock
+    // scripted timeline first, so the noise below builds on top of it
+    scenario.apply();
+
+    // baselines wander slowly
+    for (const key of ["indexing_rate", "search_rate"])
+      state[key] = Math.max(
+        0,
+        Math.round((state[key] + rng.gaussian(0, state[key] * 0.01)) * 100) /
+          100
+      );
+    // occasional bulk load or reporting burst (unless the scenario mutes them)
+    if (state.burst_ticks > 0) state.burst_ticks--;
+    else {
+      state.burst_factor = 1;
+      if (scenario.randomEvents && rng.random() < 0.01) {
+        state.burst_ticks = 10 + Math.floor(rng.random() * 50);
+        state.burst_factor = 2 + Math.round(rng.random() * 60) / 10;
+      }
+    }
+    const indexing = Math.max(
+      0,
+      Math.round(
+        state.indexing_rate * state.burst_factor +
+          rng.gaussian(0, Math.max(1, state.indexing_rate * 0.1))
+      )
+    );
+    const searches = Math.max(
+      0,
+      Math.round(
+        state.search_rate +
+          rng.gaussian(0, Math.max(1, state.search_rate * 0.1))
+      )
+    );
+
+    allocate(cluster, clock.ticks);
+
+    const perNode = {};
+    for (const node of cluster.nodes)
+      perNode[node.name] = { index: 0, query: 0 };
+    indexDocs(indexing, perNode);
+
+    // searches fan out over the active copies
+    const active = activeCopies();
+    const copiesPerNode = {};
+    for (const copy of active)
+      copiesPerNode[copy.node] = (copiesPerNode[copy.node] || 0) + 1;
+    const up = cluster.nodes.filter((n) => n.up);
+    const shardQueries = apportion(
+      searches * SHARDS_PER_QUERY,
+      up.map((n) => copiesPerNode[n.name] || 0)
+    );
+    up.forEach((n, k) => (perNode[n.name].query = shardQueries[k]));
+
+    let rejected = 0;
+    let latencySum = 0;
+    for (const node of cluster.nodes) {
+      const rt = runtime.get(node.name);
+      if (!node.up) continue;
+      const ops = perNode[node.name];
+      const gcMs = stepJvm(rt, ops);
+      const heapUsed = (rt.young_used + rt.old_used) / rt.heap_max;
+      // GC pauses and a full heap slow every query down
+      const latency =
+        3 + gcMs / 100 + Math.max(0, heapUsed - 0.75) * 200 + rng.random();
+      latencySum += latency;
+      rt.index_total += ops.index;
+      rt.index_ms += Math.round(ops.index * 0.4);
+      rt.query_total += ops.query;
+      rt.query_ms += Math.round(ops.query * latency);
+      rt.fetch_total += Math.round(ops.query / SHARDS_PER_QUERY);
+      rt.fetch_ms += Math.round((ops.query / SHARDS_PER_QUERY) * latency * 0.3);
+      rejected += stepPool(
+        rt.pools.write,
+        ops.index,
+        WRITE_OPS_PER_THREAD,
+        QUEUE_SIZE.write
+      );
+      rejected += stepPool(
+        rt.pools.search,
+        ops.query,
+        SEARCH_OPS_PER_THREAD,
+        QUEUE_SIZE.search
+      );
+      rt.cpu_percent = Math.min(
+        100,
+        Math.max(
+          0,
+          Math.round(
+            2 + ops.index / 40 + ops.query / 25 + gcMs / 15 + rng.gaussian(0, 1)
+          )
+        )
+      );
+      rt.cpu_ms += Math.round(rt.cpu_percent * 10 * rt.pools.write.threads);
+      if (rt.load)
+        rt.load = [60, 300, 900].map((period, i) => {
+          const decay = Math.exp(-1 / period);
+          const runnable = (rt.cpu_percent / 100) * rt.pools.write.threads;
+          return rt.load[i] * decay + runnable * (1 - decay);
+        });
+    }
+    state.current_indexing_rate = indexing;
+    state.current_search_rate = searches;
+    state.query_latency_ms =
+      up.length ? Math.round((latencySum / up.length) * 100) / 100 : 0;
+    state.rejected_total += rejected;
+    history.record(clock.now(), historySample());
+  }
+
+  /* reseed and start over from tick 0 with the dump's cluster */
+  function resetSimulation(seedValue) {
+    rng.reseed(seedValue);
+    faults.reseed(faultSeed());
+    scenario.stop();
+    clock.reset();
+    Object.assign(state, initialState());
+    seed();
+    history.restart(clock.now(), historySample(), historySeed());
+    clock.advance(1); // immediate first tick, as on startup
+  }
+
+  /* run the sim every second (or on /admin/tick with the virtual clock) */
+  clock.start(tickSimulation); // immediate first tick
+
+  /* -----------------------
+   Rendering
+   ----------------------- */
+  const round1 = (v) => Math.round(v * 10) / 10;
+  const nodeByName = (n) => cluster.nodes.find((node) => node.name === n);
+  const heapUsed = (rt) =>
+    Math.min(rt.heap_max, Math.round(rt.young_used + rt.old_used));
+  const diskFree = (rt, heldBytes) =>
+    Math.max(0, rt.fs_total - rt.fs_other - heldBytes);
+  const uptimeMs = (rt) =>
+    rt.uptime_ms + (clock.ticks - rt.up_since) * clock.tickMs;
+
+  /* docs and bytes each node holds, from its active copies */
+  function nodeHoldings() {
+    const out = {};
+    for (const node of cluster.nodes)
+      out[node.name] = { docs: 0, deleted: 0, bytes: 0, shards: 0 };
+    const byName = Object.fromEntries(cluster.indices.map((i) => [i.name, i]));
+    for (const copy of cluster.shards) {
+      if (!copy.node) continue;
+      const index = byName[copy.index];
+      out[copy.node].shards++;
+      if (copy.state !== "STARTED" && copy.state !== "RELOCATING") continue;
+      out[copy.node].docs += shardDocs(index, copy.shard);
+      out[copy.node].deleted += Math.floor(index.deleted / index.pri);
+      out[copy.node].bytes += shardBytes(index, copy.shard);
+    }
+    return out;
+  }
+
+  const SECTIONS = [
+    "indices",
+    "os",
+    "process",
+    "jvm",
+    "thread_pool",
+    "fs",
+    "transport",
+  ];
+
+  /* _nodes/stats: the node's recorded stats with the live values on top */
+  function nodeStats(sections = SECTIONS) {
+    const now = clock.now();
+    const held = nodeHoldings();
+    const nodes = {};
+    for (const node of cluster.nodes) {
+      if (!node.up) continue;
+      const rt = runtime.get(node.name);
+      const t = node.template || {};
+      const h = held[node.name];
+      const used = heapUsed(rt);
+      const pools = t.jvm?.mem?.pools || {};
+      const full = {
+        indices: {
+          ...t.indices,
+          docs: { ...t.indices?.docs, count: h.docs, deleted: h.deleted },
+          store: { ...t.indices?.store, size_in_bytes: h.bytes },
+          indexing: {
+            ...t.indices?.indexing,
+            index_total: rt.index_total,
+            index_time_in_millis: rt.index_ms,
+            index_current: rt.pools.write.active,
+          },
+          search: {
+            ...t.indices?.search,
+            query_total: rt.query_total,
+            query_time_in_millis: rt.query_ms,
+            query_current: rt.pools.search.active,
+            fetch_total: rt.fetch_total,
+            fetch_time_in_millis: rt.fetch_ms,
+          },
+        },
+        os: {
+          ...t.os,
+          timestamp: now,
+          cpu: {
+            ...t.os?.cpu,
+            percent: rt.cpu_percent,
+            ...(rt.load && {
+              load_average: {
+                "1m": Math.round(rt.load[0] * 100) / 100,
+                "5m": Math.round(rt.load[1] * 100) / 100,
+                "15m": Math.round(rt.load[2] * 100) / 100,
+              },
+            }),
+          },
+        },
+        process: {
+          ...t.process,
+          timestamp: now,
+          cpu: {
+            ...t.process?.cpu,
+            percent: rt.cpu_percent,
+            total_in_millis: rt.cpu_ms,
+          },
+        },
+        jvm: {
+          ...t.jvm,
+          timestamp: now,
+          uptime_in_millis: uptimeMs(rt),
+          mem: {
+            ...t.jvm?.mem,
+            heap_used_in_bytes: used,
+            heap_used_percent: Math.round((used / rt.heap_max) * 100),
+            heap_committed_in_bytes: rt.heap_max,
+            heap_max_in_bytes: rt.heap_max,
+            pools: {
+              ...pools,
+              young: {
+                ...pools.young,
+                used_in_bytes: Math.round(rt.young_used),
+              },
+              old: { ...pools.old, used_in_bytes: Math.round(rt.old_used) },
+            },
+          },
+          gc: {
+            ...t.jvm?.gc,
+            collectors: {
+              // other collectors (G1 Concurrent GC) as recorded, own node only
+              ...(!node.joined && t.jvm?.gc?.collectors),
+              young: {
+                collection_count: rt.gc.young_count,
+                collection_time_in_millis: rt.gc.young_ms,
+              },
+              old: {
+                collection_count: rt.gc.old_count,
+                collection_time_in_millis: rt.gc.old_ms,
+              },
+            },
+          },
+        },
+        thread_pool: {
+          ...t.thread_pool,
+          ...Object.fromEntries(
+            Object.entries(rt.pools).map(([type, pool]) => [
+              type,
+              {
+                ...t.thread_pool?.[type],
+                threads: pool.threads,
+                queue: pool.queue,
+                active: pool.active,
+                rejected: pool.rejected,
+                completed: pool.completed,
+              },
+            ])
+          ),
+        },
+        fs: {
+          ...t.fs,
+          timestamp: now,
+          total: {
+            ...t.fs?.total,
+            total_in_bytes: rt.fs_total,
+            free_in_bytes: diskFree(rt, h.bytes),
+            available_in_bytes: diskFree(rt, h.bytes),
+          },
+          ...(t.fs?.data && {
+            data: t.fs.data.map((d, i) =>
+              i === 0 ?
+                {
+                  ...d,
+                  total_in_bytes: rt.fs_total,
+                  free_in_bytes: diskFree(rt, h.bytes),
+                  available_in_bytes: diskFree(rt, h.bytes),
+                }
+              : d
+            ),
+          }),
+        },
+        transport: t.transport || {
+          server_open: 0,
+          rx_count: 0,
+          rx_size_in_bytes: 0,
+          tx_count: 0,
+          tx_size_in_bytes: 0,
+        },
+      };
+      nodes[node.id] = {
+        timestamp: now,
+        name: node.name,
+        transport_address: node.transport_address,
+        host: node.host,
+        ip: node.ip,
+        roles: node.roles,
+        attributes: node.attributes,
+        ...Object.fromEntries(
+          SECTIONS.filter((s) => sections.includes(s)).map((s) => [s, full[s]])
+        ),
+      };
+    }
+    const count = Object.keys(nodes).length;
+    return {
+      _nodes: { total: count, successful: count, failed: 0 },
+      cluster_name: cluster.name,
+      nodes,
+    };
+  }
+
+  const rolesOf = (node) =>
+    node.roles
+      .map((r) => ROLE_LETTERS[r])
+      .filter(Boolean)
+      .sort()
+      .join("") || "-";
+
+  function catRows(kind) {
+    const held = nodeHoldings();
+    switch (kind) {
+      case "health": {
+        const h = health(cluster, clock.ticks);
+        const now = new Date(clock.now());
+        return [
+          {
+            epoch: Math.floor(now.getTime() / 1000),
+            timestamp: now.toISOString().slice(11, 19),
+            cluster: cluster.name,
+            status: h.status,
+            "node.total": h.number_of_nodes,
+            "node.data": h.number_of_data_nodes,
+            shards: h.active_shards,
+            pri: h.active_primary_shards,
+            relo: h.relocating_shards,
+            init: h.initializing_shards,
+            unassign: h.unassigned_shards,
+            pending_tasks: h.number_of_pending_tasks,
+            max_task_wait_time: "-",
+            active_shards_percent: `${round1(h.active_shards_percent_as_number)}%`,
+          },
+        ];
+      }
+      case "nodes":
+        return cluster.nodes
+          .filter((n) => n.up)
+          .map((node) => {
+            const rt = runtime.get(node.name);
+            return {
+              ip: node.ip,
+              "heap.percent": Math.round((heapUsed(rt) / rt.heap_max) * 100),
+              "ram.percent":
+                node.template?.os?.mem?.used_percent ??
+                Math.round(50 + (heapUsed(rt) / rt.heap_max) * 20),
+              cpu: rt.cpu_percent,
+              load_1m: rt.load ? rt.load[0].toFixed(2) : null,
+              load_5m: rt.load ? rt.load[1].toFixed(2) : null,
+              load_15m: rt.load ? rt.load[2].toFixed(2) : null,
+              "node.role": rolesOf(node),
+              master: node.name === cluster.master ? "*" : "-",
+              name: node.name,
+            };
+          });
+      case "indices":
+        return cluster.indices.map((index) => {
+          const open = index.status === "open";
+          const copies = cluster.shards.filter(
+            (c) =>
+              c.index === index.name &&
+              (c.state === "STARTED" || c.state === "RELOCATING")
+          );
+          return {
+            health: open ? indexHealth(cluster, index) : null,
+            status: index.status,
+            index: index.name,
+            uuid: index.uuid,
+            pri: open ? index.pri : null,
+            rep: open ? index.rep : null,
+            "docs.count": open ? index.docs : null,
+            "docs.deleted": open ? index.deleted : null,
+            "store.size":
+              open ?
+                copies.reduce((sum, c) => sum + shardBytes(index, c.shard), 0)
+              : null,
+            "pri.store.size": open ? index.store : null,
+          };
+        });
+      case "shards":
+        return cluster.shards.map((copy) => {
+          const index = cluster.indices.find((i) => i.name === copy.index);
+          const node = copy.node ? nodeByName(copy.node) : null;
+          const target =
+            copy.relocating_node ? nodeByName(copy.relocating_node) : null;
+          const holds = copy.state === "STARTED" || copy.state === "RELOCATING";
+          return {
+            index: copy.index,
+            shard: copy.shard,
+            prirep: copy.primary ? "p" : "r",
+            state: copy.state,
+            docs: holds ? shardDocs(index, copy.shard) : null,
+            store: holds ? shardBytes(index, copy.shard) : null,
+            ip: node ? node.ip : null,
+            node:
+              !node ? null
+              : target ?
+                `${node.name} -> ${target.ip} ${target.id} ${target.name}`
+              : node.name,
+          };
+        });
+      case "allocation": {
+        const rows = cluster.nodes
+          .filter((n) => n.up)
+          .map((node) => {
+            const rt = runtime.get(node.name);
+            const free = diskFree(rt, held[node.name].bytes);
+            const used = rt.fs_total - free;
+            return {
+              shards: held[node.name].shards,
+              "disk.indices": held[node.name].bytes,
+              "disk.used": used,
+              "disk.avail": free,
+              "disk.total": rt.fs_total,
+              "disk.percent": Math.round((used / rt.fs_total) * 100),
+              host: node.host,
+              ip: node.ip,
+              node: node.name,
+            };
+          });
+        const unassigned = cluster.shards.filter((c) => !c.node).length;
+        if (unassigned) rows.push({ shards: unassigned, node: "UNASSIGNED" });
+        return rows;
+      }
+    }
+    return [];
+  }
+
+  const right = (name) => ({ name, align: "right" });
+  const bytes = (name) => ({ name, align: "right", bytes: true });
+  const CAT_COLUMNS = {
+    health: [
+      right("epoch"),
+      { name: "timestamp" },
+      { name: "cluster" },
+      { name: "status" },
+      right("node.total"),
+      right("node.data"),
+      right("shards"),
+      right("pri"),
+      right("relo"),
+      right("init"),
+      right("unassign"),
+      right("pending_tasks"),
+      right("max_task_wait_time"),
+      right("active_shards_percent"),
+    ],
+    nodes: [
+      { name: "ip" },
+      right("heap.percent"),
+      right("ram.percent"),
+      right("cpu"),
+      right("load_1m"),
+      right("load_5m"),
+      right("load_15m"),
+      { name: "node.role" },
+      { name: "master" },
+      { name: "name" },
+    ],
+    indices: [
+      { name: "health" },
+      { name: "status" },
+      { name: "index" },
+      { name: "uuid" },
+      right("pri"),
+      right("rep"),
+      right("docs.count"),
+      right("docs.deleted"),
+      bytes("store.size"),
+      bytes("pri.store.size"),
+    ],
+    shards: [
+      { name: "index" },
+      right("shard"),
+      { name: "prirep" },
+      { name: "state" },
+      right("docs"),
+      bytes("store"),
+      { name: "ip" },
+      { name: "node" },
+    ],
+    allocation: [
+      right("shards"),
+      bytes("disk.indices"),
+      bytes("disk.used"),
+      bytes("disk.avail"),
+      bytes("disk.total"),
+      right("disk.percent"),
+      { name: "host" },
+      { name: "ip" },
+      { name: "node" },
+    ],
+  };
+
+  /* -----------------------
+   HTTP endpoints (the Elasticsearch REST paths)
+   ----------------------- */
+
+  // official clients refuse servers that do not say they are Elasticsearch
+  app.use((req, res, next) => {
+    res.set("X-Elastic-Product", "Elasticsearch");
+    next();
+  });
+  // injected faults (FAULTS, /admin/faults) go in front of every route
+  app.use(tls.middleware); // TLS_CLIENT_AUTH=optional
+  app.use(auth.middleware); // AUTH: per route group, /admin included
+  app.use(faults.middleware);
+
+  app.get("/", (req, res) => {
+    const node = cluster.nodes.find((n) => n.up);
+    res.json({
+      ...cluster.root,
+      name: node.name,
+      cluster_name: cluster.name,
+      cluster_uuid: cluster.uuid,
+      version: cluster.root.version || { number: "7.17.0" },
+      tagline: "You Know, for Search",
+    });
+  });
+
+  app.get("/_cluster/health", (req, res) => {
+    const h = health(cluster, clock.ticks);
+    if (req.query.level !== "indices" && req.query.level !== "shards")
+      return res.json(h);
+    const indices = {};
+    for (const index of cluster.indices) {
+      if (index.status !== "open") continue;
+      const copies = cluster.shards.filter((c) => c.index === index.name);
+      const count = (pred) => copies.filter(pred).length;
+      const active = (c) => c.state === "STARTED" || c.state === "RELOCATING";
+      indices[index.name] = {
+        status: indexHealth(cluster, index),
+        number_of_shards: index.pri,
+        number_of_replicas: index.rep,
+        active_primary_shards: count((c) => c.primary && active(c)),
+        active_shards: count(active),
+        relocating_shards: count((c) => c.state === "RELOCATING"),
+        initializing_shards: count((c) => c.state === "INITIALIZING"),
+        unassigned_shards: count((c) => c.state === "UNASSIGNED"),
+      };
+    }
+    res.json({ ...h, indices });
+  });
+
+  app.get("/_nodes/stats", (req, res) => {
+    res.json(nodeStats());
+  });
+
+  app.get("/_nodes/stats/:metrics", (req, res) => {
+    const wanted = req.params.metrics.split(",");
+    res.json(nodeStats(wanted.includes("_all") ? SECTIONS : wanted));
+  });
+
+  app.get("/_nodes", (req, res) => {
+    const nodes = {};
+    for (const node of cluster.nodes) {
+      if (!node.up) continue;
+      nodes[node.id] = {
+        ...node.info,
+        name: node.name,
+        transport_address: node.transport_address,
+        host: node.host,
+        ip: node.ip,
+        version: cluster.root.version?.number,
+        roles: node.roles,
+        attributes: node.attributes,
+      };
+    }
+    const count = Object.keys(nodes).length;
+    res.json({
+      _nodes: { total: count, successful: count, failed: 0 },
+      cluster_name: cluster.name,
+      nodes,
+    });
+  });
+
+  app.get("/_cat/:kind", (req, res) => {
+    const columns = CAT_COLUMNS[req.params.kind];
+    if (!columns)
+      return res
+        .status(400)
+        .json(
+          esError(
+            400,
+            "illegal_argument_exception",
+            `no handler found for uri [/_cat/${req.params.kind}] and method [GET]`
+          )
+        );
+    const out = catTable(columns, catRows(req.params.kind), req.query);
+    if (out.json) return res.json(out.body);
+    res.type("text/plain").send(out.body);
+  });
+
+  /* Prometheus metrics, named like elasticsearch_exporter's
+   (process metrics vary run to run, so a seeded run leaves them out) */
+  const registry = new client.Registry();
+  if (processMetrics ?? !rng.seeded)
+    client.collectDefaultMetrics({ timeout: 5000, register: registry });
+  registerElasticsearchExporterMetrics(registry, {
+    health: () => health(cluster, clock.ticks),
+    nodeStats: () => nodeStats(),
+  });
+  app.get("/metrics", serveMetrics(registry));
+
+  /* simulator status (not an Elasticsearch API) */
+  /* per-tick history: ?metric=current_indexing_rate&from=now-1h&step=1m */
+  app.get("/api/history", serveHistory(history, clock));
+
+  app.get("/api/status", (req, res) => {
+    const h = health(cluster, clock.ticks);
+    res.json({
+      cluster_name: cluster.name,
+      dump: ES_DUMP,
+      status: h.status,
+      uptime_seconds: Math.floor((clock.now() - state.startTime) / 1000),
+      indexing_rate: state.indexing_rate,
+      search_rate: state.search_rate,
+      heap_pressure: state.heap_pressure,
+      current_indexing_rate: state.current_indexing_rate,
+      current_search_rate: state.current_search_rate,
+      query_latency_ms: state.query_latency_ms,
+      burst: state.burst_ticks > 0 ? state.burst_factor : null,
+      rejected_total: state.rejected_total,
+      docs: cluster.indices.reduce((sum, i) => sum + i.docs, 0),
+      store_bytes: cluster.indices.reduce((sum, i) => sum + i.store, 0),
+      shards: {
+        active: h.active_shards,
+        relocating: h.relocating_shards,
+        initializing: h.initializing_shards,
+        unassigned: h.unassigned_shards,
+      },
+      nodes: cluster.nodes.map((node) => ({
+        name: node.name,
+        up: node.up,
+        draining: node.excluded,
+        master: node.name === cluster.master,
+      })),
+    });
+  });
+
+  /* admin: checked rate / heap pressure updates (/admin/set, PATCH
+   /admin/state), reset and snapshots of the cluster */
+  const STATE_SCHEMA = {
+    $schema: "https://json-schema.org/draft/2020-12/schema",
+    title: "Elasticsearch simulator state",
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      indexing_rate: {
+        type: "number",
+        minimum: 0,
+        description: "docs/s the indexing wanders around",
+      },
+      search_rate: {
+        type: "number",
+        minimum: 0,
+        description: "searches/s the search load wanders around",
+      },
+      heap_pressure: {
+        type: "number",
+        minimum: 0,
+        maximum: 1,
+        description: "live set after an old GC, as a share of the heap",
+      },
+    },
+  };
+
+  app.use(
+    "/admin",
+    serveState({
+      schema: STATE_SCHEMA,
+      state,
+      info: () => ({
+        seed: rng.seed,
+        ticks: clock.ticks,
+        now: new Date(clock.now()).toISOString(),
+      }),
+      apply: (patch) => Object.assign(state, patch),
+      reset: (seed) => resetSimulation(seed === undefined ? rng.seed : seed),
+      snapshots: createSnapshots({
+        capture: () => ({
+          state: captureState(state),
+          // the dump's root document is never changed, so it is shared
+          cluster: structuredClone({ ...cluster, root: null }),
+          root: cluster.root,
+          runtime: structuredClone(runtime),
+          rng: rng.snapshot(),
+          ticks: clock.ticks,
+        }),
+        restore(saved) {
+          scenario.stop();
+          rng.restore(saved.rng);
+          clock.seek(saved.ticks);
+          restoreState(state, saved.state);
+          cluster = { ...structuredClone(saved.cluster), root: saved.root };
+          runtime.clear();
+          for (const [name, rt] of structuredClone(saved.runtime))
+            runtime.set(name, rt);
+          history.rewind(clock.now());
+        },
+      }),
+    })
+  );
+
+  /* cluster colour: { "status": "green" | "yellow" | "red", "index"?: name } */
+  app.post("/admin/health", express.json(), (req, res) => {
+    try {
+      const body = req.body || {};
+      const index = forceHealth(
+        cluster,
+        body.status,
+        { index: body.index },
+        clock.ticks
+      );
+      res.json({ ok: true, index, health: health(cluster, clock.ticks) });
+    } catch (err) {
+      res.status(400).json({ ok: false, error: err.message });
+    }
+  });
+
+  /* nodes: { "node": name, "action": "stop" | "start" | "drain" } */
+  app.post("/admin/node", express.json(), (req, res) => {
+    const body = req.body || {};
+    try {
+      let node;
+      if (body.action === "stop")
+        node = stopNode(cluster, body.node, clock.ticks);
+      else if (body.action === "start") {
+        const wasUp = cluster.nodes.find(
+          (n) => n.name === body.node || n.id === body.node
+        )?.up;
+        node = startNode(cluster, body.node);
+        // a restarted node comes back with a fresh JVM
+        const rt = runtime.get(node.name);
+        if (!wasUp)
+          Object.assign(rt, {
+            up_since: clock.ticks,
+            uptime_ms: 0,
+            young_used: 0,
+            old_used: state.heap_pressure * rt.heap_max,
+          });
+      } else if (body.action === "drain") node = drainNode(cluster, body.node);
+      else throw new Error('action must be one of "stop", "start", "drain"');
+      res.json({
+        ok: true,
+        node: node.name,
+        health: health(cluster, clock.ticks),
+      });
+    } catch (err) {
+      res.status(400).json({ ok: false, error: err.message });
+    }
+  });
+
+  /* virtual clock: step the simulation without waiting real seconds */
+  app.post("/admin/tick", express.json(), (req, res) => {
+    if (clock.mode !== "virtual")
+      return res
+        .status(409)
+        .json({ ok: false, error: "clock is real; start with CLOCK=virtual" });
+    const count = req.body?.count !== undefined ? Number(req.body.count) : 1;
+    if (!Number.isInteger(count) || count < 1 || count > MAX_TICKS)
+      return res.status(400).json({
+        ok: false,
+        error: `count must be an integer from 1 to ${MAX_TICKS}`,
+      });
+    clock.advance(count);
+    res.json({
+      ok: true,
+      ticks: clock.ticks,
+      now: new Date(clock.now()).toISOString(),
+    });
+  });
+
+  /* scenario playback control */
+  app.get("/admin/scenario", (req, res) => {
+    res.json(scenario.status());
+  });
+
+  app.post("/admin/scenario", express.json(), (req, res) => {
+    try {
+      res.json({
+        ok: true,
+        scenario: runScenarioCommand(scenario, req.body || {}, SCENARIO_FILE),
+      });
+    } catch (err) {
+      res.status(400).json({ ok: false, error: err.message });
+    }
+  });
+
+  /* fault injection rules */
+  app.use("/admin/faults", serveFaults(faults));
+
+  /* HTTPS certificate drills (TLS=on) */
+  app.use("/admin/tls", serveTls(tls));
+
+  /* credentials and their rotation (AUTH) */
+  app.use("/admin/auth", serveAuth(auth));
+
+  // bad JSON on any /admin route: a JSON 400, not Express's HTML page
+  app.use("/admin", jsonErrors);
+
+  // anything else: what Elasticsearch says about an unknown path
+  app.use((req, res) => {
+    res
+      .status(400)
+      .json(
+        esError(
+          400,
+          "illegal_argument_exception",
+          `no handler found for uri [${req.path}] and method [${req.method}]`
+        )
+      );
+  });
+
+  return {
+    type: "elasticsearch",
+    name,
+    app,
+    clock,
+    state,
+    registry,
+    port: PORT,
+    scheme: tls.scheme,
+    /* standalone HTTP listener (the fleet host mounts app instead) */
+    listen(port = PORT, host = HOST) {
+      return tls.listen(app, port, host, () => {
+        console.log(
+          `Fake Elasticsearch listening on ${tls.scheme}://${host}:${port} (cluster ${cluster.name} from ${ES_DUMP})`
+        );
+        console.log(
+          "Endpoints: /_cluster/health  /_nodes/stats  /_cat/{health,nodes,indices,shards,allocation}  /metrics  /api/status  /api/history  POST /admin/{set,health,node,tick,scenario,reset,snapshot,restore}  /admin/state  /admin/faults  /admin/tls  /admin/auth"
+        );
+        console.log(
+          `Clock: ${clock.mode}  Seed: ${rng.seeded ? rng.seed : "(random)"}  Nodes: ${cluster.nodes.length}`
+        );
+      });
+    },
+    stop() {
+      clock.stop();
+    },
+  };
+}
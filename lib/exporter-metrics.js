@@ -0,0 +1,696 @@
+/**
+ * exporter-metrics.js
+ *
+ * Metric families named and typed like the official exporters, so stock
+ * Grafana dashboards and alert rules work against the simulators:
+ *
+ *   registerMysqldExporterMetrics(registry, sources) -> mysqld_exporter
+ *     mysql_up, mysql_version_info, mysql_global_status_*,
+ *     mysql_global_variables_*, mysql_slave_status_*,
+ *     mysql_info_schema_schema_statistics_*
+ *   registerApacheExporterMetrics(registry, sources) -> apache_exporter
+ *     apache_up, apache_info, apache_accesses_total, apache_workers,
+ *     apache_scoreboard, apache_connections, ...
+ *   registerElasticsearchExporterMetrics(registry, sources)
+ *     -> elasticsearch_exporter: elasticsearch_cluster_health_*,
+ *     elasticsearch_indices_*, elasticsearch_jvm_*, elasticsearch_os_*,
+ *     elasticsearch_thread_pool_*, elasticsearch_filesystem_data_*
+ *
+ * Values are read from the simulator on every scrape (collect callbacks),
+ * so they always agree with what the SHOW statements or ?auto report say.
+ */
+
+import client from "prom-client";
+import { setCounter } from "./metrics.js";
+
+/* SHOW ... values as the exporter parses them: numbers, ON/OFF, Yes/No */
+function parseValue(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (value === null || value === undefined) return null;
+  const s = String(value).trim();
+  if (/^(on|yes)$/i.test(s)) return 1;
+  if (/^(off|no|connecting)$/i.test(s)) return 0;
+  if (s !== "" && Number.isFinite(Number(s))) return Number(s);
+  return null;
+}
+
+const metricName = (name) => name.toLowerCase().replace(/[^a-z0-9_]/g, "_");
+
+/* -----------------------
+   mysqld_exporter
+   ----------------------- */
+
+/* SHOW GLOBAL STATUS entries that only ever grow */
+const STATUS_COUNTERS =
+  /^(aborted_|bytes_|connections$|created_tmp_|handler_|opened_|queries$|questions$|select_|slow_queries$|sort_|threads_created$|uptime)/;
+
+/* numeric SHOW SLAVE STATUS columns (the exporter skips the text ones) */
+const SLAVE_COLUMNS = [
+  "Master_Port",
+  "Connect_Retry",
+  "Read_Master_Log_Pos",
+  "Relay_Log_Pos",
+  "Slave_IO_Running",
+  "Slave_SQL_Running",
+  "Last_Errno",
+  "Skip_Counter",
+  "Exec_Master_Log_Pos",
+  "Relay_Log_Space",
+  "Seconds_Behind_Master",
+  "Last_IO_Errno",
+  "Last_SQL_Errno",
+  "Master_Server_Id",
+  "SQL_Delay",
+  "Auto_Position",
+];
+const SLAVE_LABELS = [
+  "channel_name",
+  "connection_name",
+  "master_host",
+  "master_uuid",
+];
+
+/*
+ * sources:
+ *   status()        -> SHOW GLOBAL STATUS object
+ *   variables()     -> SHOW GLOBAL VARIABLES object
+ *   replicaStatus() -> SHOW SLAVE STATUS row or null
+ *   schemaStats()   -> [{ schema, rows_read, rows_changed, rows_changed_x_indexes }]
+ */
+export function registerMysqldExporterMetrics(registry, sources) {
+  const { status, variables, replicaStatus, schemaStats } = sources;
+  const registers = [registry];
+
+  new client.Gauge({
+    name: "mysql_up",
+    help: "Whether the MySQL server is up.",
+    registers,
+    collect() {
+      this.set(1);
+    },
+  });
+
+  new client.Gauge({
+    name: "mysql_version_info",
+    help: "MySQL version and distribution.",
+    labelNames: ["innodb_version", "version", "version_comment"],
+    registers,
+    collect() {
+      const vars = variables();
+      this.reset();
+      this.set(
+        {
+          innodb_version: String(vars.version).replace(/-.*$/, ""),
+          version: vars.version,
+          version_comment: vars.version_comment,
+        },
+        1
+      );
+    },
+  });
+
+  // SHOW GLOBAL STATUS: Com_*, Connection_errors_* and buffer pool pages
+  // get their own families
+  const statusNames = Object.keys(status()).filter(
+    (name) =>
+      !/^(Com|Connection_errors)_/.test(name) &&
+      !/^Innodb_buffer_pool_pages_/.test(name)
+  );
+  for (const name of statusNames) {
+    const counter = STATUS_COUNTERS.test(name.toLowerCase());
+    const Metric = counter ? client.Counter : client.Gauge;
+    new Metric({
+      name: `mysql_global_status_${metricName(name)}`,
+      help: "Generic metric from SHOW GLOBAL STATUS.",
+      registers,
+      collect() {
+        const value = parseValue(status()[name]);
+        if (value === null) return this.reset();
+        if (counter) setCounter(this, [[{}, value]]);
+        else this.set(value);
+      },
+    });
+  }
+
+  new client.Counter({
+    name: "mysql_global_status_commands_total",
+    help: "Total number of executed MySQL commands.",
+    labelNames: ["command"],
+    registers,
+    collect() {
+      setCounter(
+        this,
+        Object.entries(status())
+          .filter(([name]) => /^Com_/.test(name))
+          .map(([name, value]) => [
+            { command: name.slice(4).toLowerCase() },
+            value,
+          ])
+      );
+    },
+  });
+
+  new client.Counter({
+    name: "mysql_global_status_connection_errors_total",
+    help: "Total number of MySQL connection errors.",
+    labelNames: ["error"],
+    registers,
+    collect() {
+      setCounter(
+        this,
+        Object.entries(status())
+          .filter(([name]) => /^Connection_errors_/.test(name))
+          .map(([name, value]) => [{ error: name.slice(18) }, value])
+      );
+    },
+  });
+
+  new client.Gauge({
+    name: "mysql_global_status_buffer_pool_pages",
+    help: "Innodb buffer pool pages by state.",
+    labelNames: ["state"],
+    registers,
+    collect() {
+      this.reset();
+      for (const [name, value] of Object.entries(status())) {
+        const m = name.match(/^Innodb_buffer_pool_pages_(data|free|misc|old)$/);
+        if (m) this.set({ state: m[1] }, value);
+      }
+    },
+  });
+
+  // SHOW GLOBAL VARIABLES: everything numeric or ON/OFF
+  for (const name of Object.keys(variables())) {
+    if (parseValue(variables()[name]) === null) continue;
+    new client.Gauge({
+      name: `mysql_global_variables_${metricName(name)}`,
+      help: "Generic gauge metric from SHOW GLOBAL VARIABLES.",
+      registers,
+      collect() {
+        const value = parseValue(variables()[name]);
+        if (value === null) this.reset();
+        else this.set(value);
+      },
+    });
+  }
+
+  // SHOW SLAVE STATUS: no series at all on a server that is not a replica
+  for (const column of SLAVE_COLUMNS) {
+    new client.Gauge({
+      name: `mysql_slave_status_${metricName(column)}`,
+      help: "Generic metric from SHOW SLAVE STATUS.",
+      labelNames: SLAVE_LABELS,
+      registers,
+      collect() {
+        this.reset();
+        const row = replicaStatus();
+        const value = row ? parseValue(row[column]) : null;
+        if (value === null) return;
+        this.set(
+          {
+            channel_name: row.Channel_Name || "",
+            connection_name: "",
+            master_host: row.Master_Host || "",
+            master_uuid: row.Master_UUID || "",
+          },
+          value
+        );
+      },
+    });
+  }
+
+  // information_schema.TABLE_STATISTICS summed per schema
+  for (const [field, help] of [
+    ["rows_read", "The number of rows read from the schema."],
+    ["rows_changed", "The number of rows changed in the schema."],
+    [
+      "rows_changed_x_indexes",
+      "The number of rows changed in the schema, multiplied by the number of indexes changed.",
+    ],
+  ])
+    new client.Counter({
+      name: `mysql_info_schema_schema_statistics_${field}_total`,
+      help,
+      labelNames: ["schema"],
+      registers,
+      collect() {
+        setCounter(
+          this,
+          schemaStats().map((stats) => [{ schema: stats.schema }, stats[field]])
+        );
+      },
+    });
+}
+
+/* -----------------------
+   apache_exporter
+   ----------------------- */
+
+/* mod_status scoreboard characters -> apache_scoreboard{state} */
+const SCOREBOARD_STATES = {
+  _: "idle",
+  S: "startup",
+  R: "read",
+  W: "reply",
+  K: "keepalive",
+  D: "dns",
+  C: "closing",
+  L: "logging",
+  G: "graceful_stop",
+  I: "idle_cleanup",
+  ".": "open_slot",
+};
+
+/* ?auto report -> { key: value } */
+function parseAuto(text) {
+  const fields = {};
+  for (const line of text.split("\n")) {
+    const i = line.indexOf(":");
+    if (i > 0) fields[line.slice(0, i)] = line.slice(i + 1).trim();
+  }
+  return fields;
+}
+
+/* "Apache/2.4.58 (Unix)" -> 2.4058, the way apache_exporter encodes it */
+function versionNumber(serverVersion) {
+  const m = String(serverVersion).match(/(\d+)\.(\d+)\.(\d+)/);
+  if (!m) return 0;
+  return (Number(m[1]) * 10000 + Number(m[2]) * 1000 + Number(m[3])) / 10000;
+}
+
+/*
+ * sources:
+ *   autoReport() -> the /server-status?auto text the exporter would scrape
+ */
+export function registerApacheExporterMetrics(registry, { autoReport }) {
+  const registers = [registry];
+  let fields = {};
+  const num = (key) => (fields[key] === undefined ? null : Number(fields[key]));
+  // every collect re-reads the report, as each exporter scrape does
+  const read = () => {
+    fields = parseAuto(autoReport());
+  };
+
+  new client.Gauge({
+    name: "apache_up",
+    help: "Could the apache server be reached",
+    registers,
+    collect() {
+      this.set(1);
+    },
+  });
+
+  new client.Gauge({
+    name: "apache_version",
+    help: "Apache server version",
+    registers,
+    collect() {
+      read();
+      this.set(versionNumber(fields.ServerVersion));
+    },
+  });
+
+  new client.Gauge({
+    name: "apache_info",
+    help: "Apache version information",
+    labelNames: ["version", "mpm"],
+    registers,
+    collect() {
+      read();
+      this.reset();
+      this.set({ version: fields.ServerVersion, mpm: fields.ServerMPM }, 1);
+    },
+  });
+
+  new client.Gauge({
+    name: "apache_generation",
+    help: "Apache restart generation",
+    labelNames: ["type"],
+    registers,
+    collect() {
+      read();
+      this.set({ type: "config" }, num("ParentServerConfigGeneration"));
+      this.set({ type: "mpm" }, num("ParentServerMPMGeneration"));
+    },
+  });
+
+  new client.Gauge({
+    name: "apache_load",
+    help: "Apache server load",
+    labelNames: ["interval"],
+    registers,
+    collect() {
+      read();
+      this.set({ interval: "1min" }, num("Load1"));
+      this.set({ interval: "5min" }, num("Load5"));
+      this.set({ interval: "15min" }, num("Load15"));
+    },
+  });
+
+  // ExtendedStatus Off drops these from ?auto, and so does the exporter
+  const counters = [
+    [
+      "apache_accesses_total",
+      "Current total apache accesses",
+      "Total Accesses",
+    ],
+    [
+      "apache_sent_kilobytes_total",
+      "Current total kbytes sent",
+      "Total kBytes",
+    ],
+    [
+      "apache_duration_ms_total",
+      "Total duration of all registered requests in ms",
+      "Total Duration",
+    ],
+    ["apache_uptime_seconds_total", "Current uptime in seconds", "Uptime"],
+  ];
+  for (const [name, help, key] of counters)
+    new client.Counter({
+      name,
+      help,
+      registers,
+      collect() {
+        read();
+        const value = num(key);
+        if (value === null) this.reset();
+        else setCounter(this, [[{}, value]]);
+      },
+    });
+
+  new client.Counter({
+    name: "apache_cpu_time_ms_total",
+    help: "Apache CPU time",
+    labelNames: ["type"],
+    registers,
+    collect() {
+      read();
+      if (fields.CPUUser === undefined) return this.reset();
+      setCounter(this, [
+        [{ type: "user" }, Math.round(num("CPUUser") * 1000)],
+        [{ type: "system" }, Math.round(num("CPUSystem") * 1000)],
+      ]);
+    },
+  });
+
+  new client.Gauge({
+    name: "apache_cpuload",
+    help: "The current percentage CPU used by each worker and in total by all workers combined",
+    registers,
+    collect() {
+      read();
+      const value = num("CPULoad");
+      if (value === null) this.reset();
+      else this.set(value);
+    },
+  });
+
+  new client.Gauge({
+    name: "apache_workers",
+    help: "Apache worker statuses",
+    labelNames: ["state"],
+    registers,
+    collect() {
+      read();
+      this.set({ state: "busy" }, num("BusyWorkers"));
+      this.set({ state: "idle" }, num("IdleWorkers"));
+    },
+  });
+
+  new client.Gauge({
+    name: "apache_scoreboard",
+    help: "Apache scoreboard statuses",
+    labelNames: ["state"],
+    registers,
+    collect() {
+      read();
+      const counts = Object.fromEntries(
+        Object.values(SCOREBOARD_STATES).map((state) => [state, 0])
+      );
+      for (const c of fields.Scoreboard || "")
+        if (SCOREBOARD_STATES[c]) counts[SCOREBOARD_STATES[c]]++;
+      for (const [state, count] of Object.entries(counts))
+        this.set({ state }, count);
+    },
+  });
+
+  // event MPM only
+  new client.Gauge({
+    name: "apache_connections",
+    help: "Apache connection statuses",
+    labelNames: ["state"],
+    registers,
+    collect() {
+      read();
+      this.reset();
+      if (fields.ConnsTotal === undefined) return;
+      this.set({ state: "total" }, num("ConnsTotal"));
+      this.set({ state: "writing" }, num("ConnsAsyncWriting"));
+      this.set({ state: "keepalive" }, num("ConnsAsyncKeepAlive"));
+      this.set({ state: "closing" }, num("ConnsAsyncClosing"));
+    },
+  });
+
+  new client.Gauge({
+    name: "apache_processes",
+    help: "Apache process count",
+    labelNames: ["state"],
+    registers,
+    collect() {
+      read();
+      this.reset();
+      if (fields.Processes === undefined) return;
+      this.set({ state: "all" }, num("Processes"));
+      this.set({ state: "stopping" }, num("Stopping"));
+    },
+  });
+}
+
+/* -----------------------
+   elasticsearch_exporter
+   ----------------------- */
+
+const HEALTH_COLORS = ["green", "yellow", "red"];
+const HEALTH_GAUGES = [
+  "number_of_nodes",
+  "number_of_data_nodes",
+  "active_primary_shards",
+  "active_shards",
+  "relocating_shards",
+  "initializing_shards",
+  "unassigned_shards",
+  "delayed_unassigned_shards",
+  "number_of_pending_tasks",
+  "number_of_in_flight_fetch",
+];
+const NODE_LABELS = ["cluster", "host", "name"];
+
+/*
+ * sources:
+ *   health()    -> _cluster/health body
+ *   nodeStats() -> _nodes/stats body
+ * Node families carry { cluster, host, name } like the exporter's.
+ */
+export function registerElasticsearchExporterMetrics(registry, sources) {
+  const { health, nodeStats } = sources;
+  const registers = [registry];
+
+  new client.Gauge({
+    name: "elasticsearch_cluster_health_up",
+    help: "Was the last scrape of the Elasticsearch cluster health endpoint successful.",
+    registers,
+    collect() {
+      this.set(1);
+    },
+  });
+
+  new client.Gauge({
+    name: "elasticsearch_cluster_health_status",
+    help: "Whether all primary and replica shards are allocated.",
+    labelNames: ["cluster", "color"],
+    registers,
+    collect() {
+      const h = health();
+      for (const color of HEALTH_COLORS)
+        this.set(
+          { cluster: h.cluster_name, color },
+          h.status === color ? 1 : 0
+        );
+    },
+  });
+
+  for (const key of HEALTH_GAUGES)
+    new client.Gauge({
+      name: `elasticsearch_cluster_health_${key}`,
+      help: `_cluster/health ${key}.`,
+      labelNames: ["cluster"],
+      registers,
+      collect() {
+        const h = health();
+        this.reset();
+        this.set({ cluster: h.cluster_name }, h[key]);
+      },
+    });
+
+  /* one family over every node: [labels, value] per node from pick(node) */
+  function perNode(Metric, name, help, pick, extraLabels = []) {
+    new Metric({
+      name,
+      help,
+      labelNames: [...NODE_LABELS, ...extraLabels],
+      registers,
+      collect() {
+        const stats = nodeStats();
+        const series = [];
+        for (const node of Object.values(stats.nodes)) {
+          const labels = {
+            cluster: stats.cluster_name,
+            host: node.host,
+            name: node.name,
+          };
+          for (const [extra, value] of pick(node))
+            if (typeof value === "number")
+              series.push([{ ...labels, ...extra }, value]);
+        }
+        if (Metric === client.Counter) return setCounter(this, series);
+        this.reset();
+        for (const [labels, value] of series) this.set(labels, value);
+      },
+    });
+  }
+  const one = (value) => [[{}, value]];
+
+  perNode(
+    client.Gauge,
+    "elasticsearch_indices_docs",
+    "Count of documents on this node",
+    (n) => one(n.indices.docs.count)
+  );
+  perNode(
+    client.Gauge,
+    "elasticsearch_indices_docs_deleted",
+    "Count of deleted documents on this node",
+    (n) => one(n.indices.docs.deleted)
+  );
+  perNode(
+    client.Gauge,
+    "elasticsearch_indices_store_size_bytes",
+    "Current size of stored index data in bytes",
+    (n) => one(n.indices.store.size_in_bytes)
+  );
+  perNode(
+    client.Counter,
+    "elasticsearch_indices_indexing_index_total",
+    "Total index calls",
+    (n) => one(n.indices.indexing.index_total)
+  );
+  perNode(
+    client.Counter,
+    "elasticsearch_indices_indexing_index_time_seconds_total",
+    "Cumulative index time in seconds",
+    (n) => one(n.indices.indexing.index_time_in_millis / 1000)
+  );
+  perNode(
+    client.Counter,
+    "elasticsearch_indices_search_query_total",
+    "Total number of queries",
+    (n) => one(n.indices.search.query_total)
+  );
+  perNode(
+    client.Counter,
+    "elasticsearch_indices_search_query_time_seconds",
+    "Total search query time in seconds",
+    (n) => one(n.indices.search.query_time_in_millis / 1000)
+  );
+  perNode(
+    client.Gauge,
+    "elasticsearch_jvm_memory_used_bytes",
+    "JVM memory currently used by area",
+    (n) => [[{ area: "heap" }, n.jvm.mem.heap_used_in_bytes]],
+    ["area"]
+  );
+  perNode(
+    client.Gauge,
+    "elasticsearch_jvm_memory_max_bytes",
+    "JVM memory max",
+    (n) => [[{ area: "heap" }, n.jvm.mem.heap_max_in_bytes]],
+    ["area"]
+  );
+  perNode(
+    client.Counter,
+    "elasticsearch_jvm_gc_collection_seconds_count",
+    "Count of JVM GC runs",
+    (n) =>
+      Object.entries(n.jvm.gc.collectors).map(([gc, c]) => [
+        { gc },
+        c.collection_count,
+      ]),
+    ["gc"]
+  );
+  perNode(
+    client.Counter,
+    "elasticsearch_jvm_gc_collection_seconds_sum",
+    "GC run time in seconds",
+    (n) =>
+      Object.entries(n.jvm.gc.collectors).map(([gc, c]) => [
+        { gc },
+        c.collection_time_in_millis / 1000,
+      ]),
+    ["gc"]
+  );
+  perNode(
+    client.Gauge,
+    "elasticsearch_os_cpu_percent",
+    "Percent CPU used by OS",
+    (n) => one(n.os.cpu.percent)
+  );
+  perNode(
+    client.Gauge,
+    "elasticsearch_process_cpu_percent",
+    "Percent CPU used by process",
+    (n) => one(n.process.cpu.percent)
+  );
+  for (const [key, help] of [
+    ["active", "Thread Pool threads active"],
+    ["queue", "Thread Pool operations queued"],
+  ])
+    perNode(
+      client.Gauge,
+      `elasticsearch_thread_pool_${key}_count`,
+      help,
+      (n) =>
+        Object.entries(n.thread_pool).map(([type, pool]) => [
+          { type },
+          pool[key],
+        ]),
+      ["type"]
+    );
+  for (const [key, help] of [
+    ["rejected", "Thread Pool operations rejected"],
+    ["completed", "Thread Pool operations completed"],
+  ])
+    perNode(
+      client.Counter,
+      `elasticsearch_thread_pool_${key}_count`,
+      help,
+      (n) =>
+        Object.entries(n.thread_pool).map(([type, pool]) => [
+          { type },
+          pool[key],
+        ]),
+      ["type"]
+    );
+  perNode(
+    client.Gauge,
+    "elasticsearch_filesystem_data_available_bytes",
+    "Available space on block device in bytes",
+    (n) => one(n.fs.total.available_in_bytes)
+  );
+  perNode(
+    client.Gauge,
+    "elasticsearch_filesystem_data_size_bytes",
+    "Size of block device in bytes",
+    (n) => one(n.fs.total.total_in_bytes)
+  );
+}
@@ -0,0 +1,443 @@
+/**
+ * faults.js
+ *
+ * Fault injection for the simulators' HTTP endpoints: rules matched by path
+ * that slow down, fail, drop or corrupt responses, so scrapers can be tested
+ * against a server that misbehaves. Loaded from FAULTS (JSON, or YAML when
+ * js-yaml is installed) and changed live through /admin/faults.
+ *
+ * Faults format:
+ *   {
+ *     "rules": [
+ *       { "path": "/metrics", "latency": { "dist": "normal", "mean": 800, "stddev": 300 } },
+ *       { "path": "/server-status", "error": { "probability": 0.1, "status": 503 } },
+ *       { "path": "/api/*", "reset": 0.02, "hang": { "probability": 0.01, "ms": 60000 } },
+ *       { "path": "/metrics", "probability": 0.2, "truncate": 0.5, "malformed": 0.5 },
+ *       { "path": "*", "content_type": "text/html" }
+ *     ]
+ *   }
+ *
+ * Rule fields (probabilities are 0..1, drawn independently per request):
+ *   path         -> exact request path, "*" wildcards allowed (required)
+ *   method       -> only this HTTP method (default any)
+ *   probability  -> share of matching requests the rule applies to (default 1)
+ *   latency      -> added delay in ms: a number, or { dist, ... }:
+ *                   fixed { ms }, uniform { min, max }, normal { mean, stddev },
+ *                   exponential { mean }
+ *   error        -> probability of an error answer, or { probability, status
+ *                   (default 500), body }
+ *   reset        -> probability of dropping the connection (TCP RST), no answer
+ *   hang         -> probability of never answering, or { probability, ms }:
+ *                   the connection is closed after ms (default 300000)
+ *   truncate     -> probability of cutting the body in half and closing the
+ *                   connection mid-response
+ *   malformed    -> probability of corrupting the body: a broken line in
+ *                   Prometheus / text output, cut-off JSON
+ *   content_type -> Content-Type forced on the answer, or { probability, value }
+ *
+ * Never faulted (EXEMPT_PATHS): /admin and /admin/*, so faults can always
+ * be lifted again, and the /api/stream live feed, in any letter case and
+ * with or without a trailing slash.
+ *
+ *   createFaultInjector(rules, { seed }) -> { middleware, setRules, addRules,
+ *                                            clear, status, reseed }
+ *   serveFaults(injector)   -> router for GET / POST / DELETE /admin/faults
+ *   loadFaults(value)       -> rules from a FAULTS file path or inline JSON
+ */
+
+import express from "express";
+import { loadJsonOrYaml } from "./config-file.js";
+import { createRandom } from "./random.js";
+
+const RULE_KEYS = [
+  "path",
+  "method",
+  "probability",
+  "latency",
+  "error",
+  "reset",
+  "hang",
+  "truncate",
+  "malformed",
+  "content_type",
+];
+const DISTRIBUTIONS = {
+  fixed: ["ms"],
+  uniform: ["min", "max"],
+  normal: ["mean", "stddev"],
+  exponential: ["mean"],
+};
+const EFFECTS = [
+  "latency",
+  "error",
+  "reset",
+  "hang",
+  "truncate",
+  "malformed",
+  "content_type",
+];
+const DEFAULT_HANG_MS = 300000;
+
+function fail(msg) {
+  throw new Error(`invalid faults: ${msg}`);
+}
+
+const isProbability = (v) => typeof v === "number" && v >= 0 && v <= 1;
+
+function checkProbability(value, where) {
+  if (!isProbability(value)) fail(`${where} must be a probability (0..1)`);
+  return value;
+}
+
+/* "/api/*" -> /^\/api\/.*$/ */
+function pathPattern(path) {
+  const escaped = path
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"));
+  return new RegExp(`^${escaped.join(".*")}$`);
+}
+
+/* fault-free paths, in rule path syntax */
+const EXEMPT_PATHS = ["/admin", "/admin/*", "/api/stream"];
+const EXEMPT = EXEMPT_PATHS.map(pathPattern);
+
+/* Express routes /ADMIN/faults and /admin/set/ to the admin handlers too:
+   compare in lower case, without trailing slashes */
+function isExempt(path) {
+  const p = path.toLowerCase().replace(/\/+$/, "");
+  return EXEMPT.some((re) => re.test(p));
+}
+
+function parseLatency(value, where) {
+  if (typeof value === "number") {
+    if (!(value >= 0)) fail(`${where}: latency must be >= 0 ms`);
+    return { dist: "fixed", ms: value };
+  }
+  if (!value || typeof value !== "object")
+    fail(`${where}: latency must be ms or { dist, ... }`);
+  const dist = value.dist || "fixed";
+  const params = DISTRIBUTIONS[dist];
+  if (!params)
+    fail(
+      `${where}: latency dist must be one of ${Object.keys(DISTRIBUTIONS).join(", ")}`
+    );
+  for (const key of Object.keys(value))
+    if (key !== "dist" && !params.includes(key))
+      fail(`${where}: latency "${key}" does not apply to ${dist}`);
+  for (const key of params)
+    if (typeof value[key] !== "number" || !(value[key] >= 0))
+      fail(`${where}: latency ${dist} needs "${key}" >= 0`);
+  if (dist === "uniform" && value.max < value.min)
+    fail(`${where}: latency max is below min`);
+  return { ...value, dist };
+}
+
+/* check one rule and normalise every effect to { probability, ... } */
+function parseRule(raw, i) {
+  const where = `rule ${i}`;
+  if (!raw || typeof raw !== "object" || Array.isArray(raw))
+    fail(`${where} is not an object`);
+  for (const key of Object.keys(raw))
+    if (!RULE_KEYS.includes(key)) fail(`${where}: unknown key "${key}"`);
+  if (typeof raw.path !== "string" || !raw.path)
+    fail(`${where}: "path" is required`);
+  if (raw.method !== undefined && typeof raw.method !== "string")
+    fail(`${where}: "method" must be a string`);
+  const rule = {
+    path: raw.path,
+    method: raw.method ? raw.method.toUpperCase() : null,
+    probability:
+      raw.probability === undefined ?
+        1
+      : checkProbability(raw.probability, `${where}: "probability"`),
+  };
+  if (raw.latency !== undefined)
+    rule.latency = parseLatency(raw.latency, where);
+  if (raw.error !== undefined) {
+    const error =
+      typeof raw.error === "number" ? { probability: raw.error } : raw.error;
+    if (!error || typeof error !== "object")
+      fail(
+        `${where}: "error" must be a probability or { probability, status }`
+      );
+    const status = error.status === undefined ? 500 : error.status;
+    if (!Number.isInteger(status) || status < 400 || status > 599)
+      fail(`${where}: error status must be 4xx or 5xx`);
+    rule.error = {
+      probability:
+        error.probability === undefined ?
+          1
+        : checkProbability(error.probability, `${where}: error probability`),
+      status,
+      body: error.body === undefined ? null : String(error.body),
+    };
+  }
+  for (const key of ["reset", "truncate", "malformed"])
+    if (raw[key] !== undefined)
+      rule[key] = checkProbability(raw[key], `${where}: "${key}"`);
+  if (raw.hang !== undefined) {
+    const hang =
+      typeof raw.hang === "number" ? { probability: raw.hang } : raw.hang;
+    if (!hang || typeof hang !== "object")
+      fail(`${where}: "hang" must be a probability or { probability, ms }`);
+    if (hang.ms !== undefined && !(typeof hang.ms === "number" && hang.ms > 0))
+      fail(`${where}: hang ms must be > 0`);
+    rule.hang = {
+      probability:
+        hang.probability === undefined ?
+          1
+        : checkProbability(hang.probability, `${where}: hang probability`),
+      ms: hang.ms || DEFAULT_HANG_MS,
+    };
+  }
+  if (raw.content_type !== undefined) {
+    const ct =
+      typeof raw.content_type === "string" ?
+        { value: raw.content_type }
+      : raw.content_type;
+    if (!ct || typeof ct !== "object" || typeof ct.value !== "string")
+      fail(
+        `${where}: "content_type" must be a string or { probability, value }`
+      );
+    rule.content_type = {
+      probability:
+        ct.probability === undefined ?
+          1
+        : checkProbability(
+            ct.probability,
+            `${where}: content_type probability`
+          ),
+      value: ct.value,
+    };
+  }
+  if (!EFFECTS.some((key) => rule[key] !== undefined))
+    fail(`${where}: no fault (${EFFECTS.join(", ")})`);
+  return rule;
+}
+
+/* { rules: [...] }, or the bare array */
+export function parseFaults(raw) {
+  const rules = Array.isArray(raw) ? raw : raw?.rules;
+  if (!Array.isArray(rules)) fail("expected a rules array");
+  return rules.map(parseRule);
+}
+
+/* FAULTS: inline JSON, or a JSON / YAML file */
+export async function loadFaults(value) {
+  if (/^\s*[[{]/.test(value)) return parseFaults(JSON.parse(value));
+  return parseFaults(await loadJsonOrYaml(value));
+}
+
+/* one broken line: a non-numeric value, an unclosed label set, or junk */
+function corruptText(text, rng) {
+  const lines = text.split("\n");
+  const samples = lines
+    .map((line, i) => i)
+    .filter((i) => lines[i] && !lines[i].startsWith("#"));
+  if (!samples.length) return `${text}\u0000garbage{`;
+  const i = samples[Math.floor(rng.random() * samples.length)];
+  const mode = Math.floor(rng.random() * 3);
+  if (mode === 0) lines[i] = lines[i].replace(/\S+$/, "not_a_number");
+  else if (mode === 1 && lines[i].includes("}"))
+    lines[i] = lines[i].replace("}", "");
+  else lines.splice(i, 0, "}{ this is not a sample");
+  return lines.join("\n");
+}
+
+function corruptBody(body, type, rng) {
+  if (/json/i.test(type)) {
+    // JSON cut somewhere in the middle never parses
+    const cut = Math.max(
+      1,
+      Math.floor(body.length * (0.2 + rng.random() * 0.6))
+    );
+    return body.slice(0, cut);
+  }
+  return corruptText(body, rng);
+}
+
+function drawLatency(latency, rng) {
+  switch (latency.dist) {
+    case "uniform":
+      return latency.min + rng.random() * (latency.max - latency.min);
+    case "normal":
+      return Math.max(0, rng.gaussian(latency.mean, latency.stddev));
+    case "exponential":
+      return -latency.mean * Math.log(1 - rng.random());
+    default:
+      return latency.ms;
+  }
+}
+
+export function createFaultInjector(rules = [], { seed = null } = {}) {
+  // a stream of its own, so faults never shift the simulation's draws
+  const rng = createRandom(seed);
+  let active = [];
+
+  const compile = (list) =>
+    list.map((rule) => ({
+      rule,
+      pattern: pathPattern(rule.path),
+      counts: Object.fromEntries(
+        ["matched", ...EFFECTS].map((key) => [key, 0])
+      ),
+    }));
+
+  /* what happens to this request; every draw is taken in rule order */
+  function plan(req) {
+    const out = {
+      delay: 0,
+      error: null,
+      reset: false,
+      hang: null,
+      truncate: false,
+      malformed: false,
+      contentType: null,
+    };
+    for (const entry of active) {
+      const { rule, pattern, counts } = entry;
+      if (rule.method && rule.method !== req.method) continue;
+      if (!pattern.test(req.path)) continue;
+      if (rng.random() >= rule.probability) continue;
+      counts.matched++;
+      const hit = (p) => rng.random() < p;
+      if (rule.latency) {
+        out.delay += drawLatency(rule.latency, rng);
+        counts.latency++;
+      }
+      if (rule.error && hit(rule.error.probability)) {
+        out.error ??= rule.error;
+        counts.error++;
+      }
+      if (rule.reset !== undefined && hit(rule.reset)) {
+        out.reset = true;
+        counts.reset++;
+      }
+      if (rule.hang && hit(rule.hang.probability)) {
+        out.hang ??= rule.hang.ms;
+        counts.hang++;
+      }
+      if (rule.truncate !== undefined && hit(rule.truncate)) {
+        out.truncate = true;
+        counts.truncate++;
+      }
+      if (rule.malformed !== undefined && hit(rule.malformed)) {
+        out.malformed = true;
+        counts.malformed++;
+      }
+      if (rule.content_type && hit(rule.content_type.probability)) {
+        out.contentType = rule.content_type.value;
+        counts.content_type++;
+      }
+    }
+    return out;
+  }
+
+  /* rewrite the body on its way out (res.send and res.end both end here) */
+  function tamper(res, { truncate, malformed, contentType }) {
+    const end = res.end;
+    res.end = function (chunk, encoding, cb) {
+      if (typeof chunk === "function")
+        [chunk, encoding, cb] = [null, null, chunk];
+      if (contentType && !res.headersSent)
+        res.setHeader("Content-Type", contentType);
+      if (chunk === null || chunk === undefined || res.req.method === "HEAD")
+        return end.call(res, chunk, encoding, cb);
+      let body =
+        Buffer.isBuffer(chunk) ? chunk.toString("utf8") : String(chunk);
+      if (malformed)
+        body = corruptBody(body, String(res.getHeader("Content-Type")), rng);
+      if (!res.headersSent)
+        res.setHeader("Content-Length", Buffer.byteLength(body));
+      if (!truncate) return end.call(res, body, "utf8", cb);
+      // half the body under the full Content-Length, then the connection goes
+      const half = body.slice(0, Math.floor(body.length / 2));
+      res.write(half, "utf8", () => res.socket?.destroy());
+      return res;
+    };
+  }
+
+  function middleware(req, res, next) {
+    if (!active.length || isExempt(req.path)) return next();
+    const p = plan(req);
+    const act = () => {
+      if (p.reset) {
+        const socket = req.socket;
+        return socket.resetAndDestroy ?
+            socket.resetAndDestroy()
+          : socket.destroy();
+      }
+      if (p.hang !== null) {
+        const timer = setTimeout(() => req.socket.destroy(), p.hang);
+        res.on("close", () => clearTimeout(timer));
+        return;
+      }
+      if (p.truncate || p.malformed || p.contentType) tamper(res, p);
+      if (p.error)
+        return res
+          .status(p.error.status)
+          .type("text/plain")
+          .send(p.error.body ?? `injected fault: ${p.error.status}\n`);
+      next();
+    };
+    if (p.delay > 0) setTimeout(act, Math.round(p.delay));
+    else act();
+  }
+
+  const injector = {
+    middleware,
+    /* replace every rule (already parsed, see parseFaults) */
+    setRules(list) {
+      active = compile(list);
+    },
+    addRules(list) {
+      active = [...active, ...compile(list)];
+    },
+    clear() {
+      active = [];
+    },
+    reseed(s) {
+      rng.reseed(s);
+    },
+    status() {
+      return {
+        seed: rng.seed,
+        rules: active.map(({ rule, counts }) => ({
+          ...rule,
+          injected: counts,
+        })),
+      };
+    },
+  };
+  injector.setRules(rules);
+  return injector;
+}
+
+/*
+ * /admin/faults:
+ *   GET    -> the rules and how often each fault fired
+ *   POST   -> { "rules": [...] } replaces them, { "add": [...] } appends
+ *   DELETE -> lifts every fault
+ */
+export function serveFaults(injector) {
+  const router = express.Router();
+  router.get("/", (req, res) => res.json(injector.status()));
+  router.post("/", express.json(), (req, res) => {
+    const body = req.body || {};
+    try {
+      if (body.add !== undefined)
+        injector.addRules(
+          parseFaults(Array.isArray(body.add) ? body.add : [body.add])
+        );
+      else injector.setRules(parseFaults(body));
+    } catch (err) {
+      return res.status(400).json({ ok: false, error: err.message });
+    }
+    res.json({ ok: true, ...injector.status() });
+  });
+  router.delete("/", (req, res) => {
+    injector.clear();
+    res.json({ ok: true, ...injector.status() });
+  });
+  return router;
+}
@@ -0,0 +1,237 @@
+/**
+ * fleet.js
+ *
+ * Fleet declaration for simulators.js: which simulated Apache, MySQL and
+ * Elasticsearch instances one process runs, and where each one is reachable. JSON, YAML
+ * when js-yaml is installed, or the shorthand "3 apache + 2 mysql".
+ *
+ * Fleet format:
+ *   {
+ *     "seed": 42,                     // each instance runs with "42:<name>"
+ *     "clock": "virtual",             // CLOCK for every instance
+ *     "env": { "METRICS_MODE": "exporter" },      // shared by all instances
+ *     "instances": [
+ *       { "type": "apache", "count": 3 },         // apache1..3 on /apache1..
+ *       { "type": "mysql", "count": 2, "mysql_port": 3306,
+ *         "env": { "REPLICAS": 1 } },             // mysql1 3306-3307, mysql2 3308-3309
+ *       { "type": "apache", "name": "edge", "port": 8080 }  // own listener
+ *     ],
+ *     "links": [
+ *       { "from": "apache", "to": "mysql1", "fraction": 0.6,
+ *         "queries_per_request": 3 }
+ *     ]
+ *   }
+ *
+ * Instance fields:
+ *   type       -> "apache", "mysql" or "elasticsearch" (required)
+ *   count      -> copies of this entry (default 1), numbered name1, name2, ...
+ *   name       -> default: the type, numbered across the fleet
+ *   port       -> own HTTP listener (port + copy); unset = mounted on the
+ *                 host port under /<name>
+ *   mysql_port -> first MySQL protocol port ("off" to disable); unset = the
+ *                 next free port from 3306, one per replication member
+ *   env        -> the variables the standalone script reads (INIT_QPS,
+ *                 REPLICAS, APACHE_MPM, ES_DUMP, NODES, SCENARIO, FAULTS,
+ *                 ...)
+ *
+ * Link fields (Apache front end -> MySQL backend, see lib/causality.js):
+ *   from, to            -> an instance name, or an entry's name / type for
+ *                          all of its copies (every from x to pair is linked)
+ *   fraction            -> share of requests that reach the database
+ *                          (0..1, default 1)
+ *   queries_per_request -> queries each of those requests runs (default 1)
+ */
+
+import { loadJsonOrYaml } from "./config-file.js";
+
+export const INSTANCE_TYPES = ["apache", "mysql", "elasticsearch"];
+const INSTANCE_KEYS = ["type", "count", "name", "port", "mysql_port", "env"];
+const FLEET_KEYS = ["seed", "clock", "start_time", "env", "instances", "links"];
+const LINK_KEYS = ["from", "to", "fraction", "queries_per_request"];
+const FIRST_MYSQL_PORT = 3306;
+// the host's own routes (matched case-insensitively, as Express routes are)
+const RESERVED_NAMES = ["fleet", "links", "metrics", "admin"];
+
+function fail(msg) {
+  throw new Error(`invalid fleet: ${msg}`);
+}
+
+const isPort = (v) => Number.isInteger(v) && v > 0 && v < 65536;
+
+/* env values as the scripts see them in process.env: strings */
+function envStrings(env, where) {
+  if (env === undefined) return {};
+  if (!env || typeof env !== "object" || Array.isArray(env))
+    fail(`${where}: "env" must be an object`);
+  return Object.fromEntries(
+    Object.entries(env).map(([k, v]) => [k, String(v)])
+  );
+}
+
+/*
+ * check shape and expand counts into one entry per instance:
+ *   { seed, instances: [{ type, name, group, port (null = mounted), mount,
+ *     env }], links: [{ from, to, fraction, queries_per_request }] }
+ * defaults ({ SEED, CLOCK, START_TIME }) apply unless the file sets them
+ */
+export function parseFleet(raw, defaults = {}) {
+  if (!raw || typeof raw !== "object" || !Array.isArray(raw.instances))
+    fail("expected an object with an instances array");
+  for (const key of Object.keys(raw))
+    if (!FLEET_KEYS.includes(key)) fail(`unknown key "${key}"`);
+  const seed = raw.seed !== undefined ? raw.seed : defaults.SEED;
+  const shared = {
+    ...(raw.clock || defaults.CLOCK ?
+      { CLOCK: String(raw.clock || defaults.CLOCK) }
+    : {}),
+    ...(raw.start_time || defaults.START_TIME ?
+      { START_TIME: String(raw.start_time || defaults.START_TIME) }
+    : {}),
+    ...envStrings(raw.env, "fleet"),
+  };
+
+  const numbered = {}; // per type, for default names
+  let nextMysqlPort = FIRST_MYSQL_PORT;
+  const instances = [];
+  raw.instances.forEach((entry, i) => {
+    if (!entry || typeof entry !== "object")
+      fail(`instance ${i} is not an object`);
+    for (const key of Object.keys(entry))
+      if (!INSTANCE_KEYS.includes(key))
+        fail(`instance ${i}: unknown key "${key}"`);
+    if (!INSTANCE_TYPES.includes(entry.type))
+      fail(`instance ${i}: "type" must be one of ${INSTANCE_TYPES.join(", ")}`);
+    const count = entry.count === undefined ? 1 : entry.count;
+    if (!Number.isInteger(count) || count < 1)
+      fail(`instance ${i}: "count" must be a positive integer`);
+    if (entry.name !== undefined && !/^[\w-]+$/.test(entry.name))
+      fail(`instance ${i}: "name" may only use letters, digits, _ and -`);
+    if (entry.port !== undefined && !isPort(entry.port))
+      fail(`instance ${i}: "port" must be a TCP port`);
+    if (
+      entry.mysql_port !== undefined &&
+      entry.mysql_port !== "off" &&
+      !isPort(entry.mysql_port)
+    )
+      fail(`instance ${i}: "mysql_port" must be a TCP port or "off"`);
+    if (entry.mysql_port !== undefined && entry.type !== "mysql")
+      fail(`instance ${i}: "mysql_port" only applies to mysql`);
+    const env = { ...shared, ...envStrings(entry.env, `instance ${i}`) };
+    const members =
+      env.REPLICAS ? Math.max(0, parseInt(env.REPLICAS, 10)) + 1 : 1;
+
+    for (let copy = 0; copy < count; copy++) {
+      const name =
+        entry.name === undefined ?
+          `${entry.type}${(numbered[entry.type] = (numbered[entry.type] || 0) + 1)}`
+        : count > 1 ? `${entry.name}${copy + 1}`
+        : entry.name;
+      const instanceEnv = { ...env };
+      if (seed !== undefined && seed !== null && env.SEED === undefined)
+        instanceEnv.SEED = `${seed}:${name}`;
+      const port = entry.port !== undefined ? entry.port + copy : null;
+      if (port !== null) instanceEnv.PORT = String(port);
+      if (entry.type === "mysql") {
+        if (entry.mysql_port === "off") instanceEnv.MYSQL_PORT = "off";
+        else {
+          const first =
+            entry.mysql_port !== undefined ?
+              entry.mysql_port + copy * members
+            : nextMysqlPort;
+          instanceEnv.MYSQL_PORT = String(first);
+          nextMysqlPort = Math.max(nextMysqlPort, first + members);
+        }
+      }
+      instances.push({
+        type: entry.type,
+        name,
+        group: entry.name === undefined ? entry.type : entry.name,
+        port,
+        mount: port === null ? `/${name}` : null,
+        env: instanceEnv,
+      });
+    }
+  });
+
+  const seen = new Set();
+  const ports = new Map();
+  const claim = (port, name) => {
+    if (ports.has(port))
+      fail(`port ${port} used by both ${ports.get(port)} and ${name}`);
+    ports.set(port, name);
+  };
+  for (const { name, port, env } of instances) {
+    if (seen.has(name)) fail(`duplicate instance name "${name}"`);
+    if (RESERVED_NAMES.includes(name.toLowerCase()))
+      fail(`instance name "${name}" is reserved`);
+    seen.add(name);
+    if (port !== null) claim(port, name);
+    if (env.MYSQL_PORT && env.MYSQL_PORT !== "off") {
+      const members =
+        env.REPLICAS ? Math.max(0, parseInt(env.REPLICAS, 10)) + 1 : 1;
+      for (let m = 0; m < members; m++) claim(Number(env.MYSQL_PORT) + m, name);
+    }
+  }
+  return { seed: seed ?? null, instances, links: parseLinks(raw, instances) };
+}
+
+/* expand names / groups to one link per Apache -> MySQL pair */
+function parseLinks(raw, instances) {
+  if (raw.links === undefined) return [];
+  if (!Array.isArray(raw.links)) fail('"links" must be an array');
+  const links = [];
+  raw.links.forEach((link, i) => {
+    if (!link || typeof link !== "object") fail(`link ${i} is not an object`);
+    for (const key of Object.keys(link))
+      if (!LINK_KEYS.includes(key)) fail(`link ${i}: unknown key "${key}"`);
+    const resolve = (key, type) => {
+      const found = instances.filter(
+        (inst) => inst.name === link[key] || inst.group === link[key]
+      );
+      if (!found.length)
+        fail(`link ${i}: "${key}" matches no instance ("${link[key]}")`);
+      if (found.some((inst) => inst.type !== type))
+        fail(`link ${i}: "${key}" must name ${type} instances`);
+      return found;
+    };
+    const fraction = link.fraction === undefined ? 1 : link.fraction;
+    if (typeof fraction !== "number" || !(fraction > 0 && fraction <= 1))
+      fail(`link ${i}: "fraction" must be a number in (0, 1]`);
+    const perRequest =
+      link.queries_per_request === undefined ? 1 : link.queries_per_request;
+    if (typeof perRequest !== "number" || !(perRequest > 0))
+      fail(`link ${i}: "queries_per_request" must be a number > 0`);
+    for (const from of resolve("from", "apache"))
+      for (const to of resolve("to", "mysql"))
+        links.push({
+          from: from.name,
+          to: to.name,
+          fraction,
+          queries_per_request: perRequest,
+        });
+  });
+  return links;
+}
+
+/* "3 apache + 2 mysql" -> the same fleet as a file with two entries */
+export function parseFleetSpec(spec) {
+  const parts = spec.split("+").map((part) => part.trim());
+  const instances = parts.map((part) => {
+    const m = part.match(/^(?:(\d+)\s*x?\s+)?([a-z]+)$/i);
+    if (!m) fail(`cannot read "${part}" (expected e.g. "3 apache")`);
+    return {
+      type: m[2].toLowerCase(),
+      count: m[1] !== undefined ? Number(m[1]) : 1,
+    };
+  });
+  return { instances };
+}
+
+export const isFleetSpec = (value) =>
+  /^\s*(\d+\s*x?\s+)?[a-z]+\s*(\+\s*(\d+\s*x?\s+)?[a-z]+\s*)*$/i.test(value);
+
+/* FLEET: a file path, or the shorthand */
+export async function loadFleet(value, defaults = {}) {
+  if (isFleetSpec(value)) return parseFleet(parseFleetSpec(value), defaults);
+  return parseFleet(await loadJsonOrYaml(value), defaults);
+}
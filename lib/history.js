@@ -0,0 +1,272 @@
+/**
+ * history.js
+ *
+ * Per-tick history of a simulator's metrics, so charts and trend detection
+ * have data to work on: a ring buffer of the last HISTORY_SIZE samples
+ * (typed arrays, one per metric) with raw and downsampled range queries,
+ * optionally backfilled with synthetic hours before the simulator started.
+ *
+ *   createHistory({ metrics, size, tickMs, backfill }) -> {
+ *     restart(end, state, seed) // empty it, then backfill "backfill" seconds
+ *                               // of synthetic samples up to end (ms)
+ *     record(t, state)          // one sample per tick, t in ms
+ *     query({ metric, from, to, step, agg }) -> { metric, kind, values, ... }
+ *     rewind(t)                 // drop samples after t (snapshot restore)
+ *     status()
+ *   }
+ *   serveHistory(history, clock) -> handler for GET /api/history
+ *   parseDuration("15m")        -> 900 (seconds; plain numbers are seconds)
+ *   parseHistorySize("21600")   -> 21600 (HISTORY_SIZE: samples kept, > 0)
+ *
+ * Metric specs, keyed by state field:
+ *   {}                                   gauge read from state[field]
+ *   { min, max, integer }                bounds and rounding of backfilled
+ *                                        values (min defaults to 0)
+ *   { shape: (t) => factor }             backfill follows base x shape(t) /
+ *                                        shape(now) (seasonal traffic)
+ *   { counter: (state) => per tick }     counter; the function gives the
+ *                                        typical increment per tick, used
+ *                                        to build its backfill
+ *
+ * Backfill: gauges wander around their value at startup (mean-reverting
+ * noise, scaled by their shape when they have one). Counters climb from 0
+ * at their typical pace, then restart from the live value, as after a
+ * process restart. It draws from its own random stream (<SEED>:history),
+ * so seeded runs get the same past.
+ */
+
+import { createRandom } from "./random.js";
+
+export const AGGREGATIONS = ["avg", "min", "max", "last", "sum"];
+const MAX_POINTS = 11000; // per downsampled query, as Prometheus
+const UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+export function parseDuration(value) {
+  const m = String(value)
+    .trim()
+    .match(/^(\d+(?:\.\d+)?)\s*([smhd]?)$/);
+  if (!m) throw new Error(`invalid duration "${value}" (e.g. 90s, 15m, 6h)`);
+  return Number(m[1]) * UNITS[m[2] || "s"];
+}
+
+/* HISTORY_SIZE, the ring buffer's length: parseInt read "12abc" as 12, and
+   "abc" or "0" made a history that silently kept nothing */
+export function parseHistorySize(value) {
+  const text = String(value).trim();
+  if (!/^\d+$/.test(text) || Number(text) < 1)
+    throw new Error(
+      `invalid HISTORY_SIZE "${value}" (a number of samples > 0)`
+    );
+  return Number(text);
+}
+
+/* ISO date, unix seconds or ms, "now", "now-15m" or "-15m" */
+function parseTime(value, now) {
+  const text = String(value).trim();
+  const rel = text.match(/^(?:now)?(?:-(.+))?$/);
+  if (rel && (text.startsWith("now") || rel[1]))
+    return now - (rel[1] ? parseDuration(rel[1]) * 1000 : 0);
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const n = Number(text);
+    return n < 1e11 ? n * 1000 : n; // seconds or milliseconds
+  }
+  const ms = Date.parse(text);
+  if (Number.isNaN(ms)) throw new Error(`invalid time "${value}"`);
+  return ms;
+}
+
+export function createHistory({
+  metrics,
+  size = 21600,
+  tickMs = 1000,
+  backfill = 0,
+}) {
+  const names = Object.keys(metrics);
+  const times = new Float64Array(size);
+  const columns = Object.fromEntries(
+    names.map((name) => [name, new Float64Array(size)])
+  );
+  const rng = createRandom();
+  let head = 0; // next slot to write
+  let count = 0;
+
+  const slot = (i) => (head - count + i + size) % size; // i-th oldest
+  const kind = (name) => (metrics[name].counter ? "counter" : "gauge");
+
+  function push(t, values) {
+    times[head] = t;
+    for (const name of names) columns[name][head] = values[name] ?? Number.NaN; // null -> NaN
+    head = (head + 1) % size;
+    count = Math.min(size, count + 1);
+  }
+
+  /* first index whose time is >= t (times are increasing) */
+  function lowerBound(t) {
+    let lo = 0;
+    let hi = count;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (times[slot(mid)] < t) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  const round = (v) => Math.round(v * 1000) / 1000;
+  const out = (v) => (Number.isNaN(v) ? null : round(v));
+
+  return {
+    record(t, state) {
+      push(t, state);
+    },
+
+    restart(end, state, seed) {
+      head = 0;
+      count = 0;
+      rng.reseed(seed);
+      const n = Math.min(size, Math.floor((backfill * 1000) / tickMs));
+      const current = {};
+      const totals = {};
+      for (const name of names) {
+        current[name] = state[name];
+        totals[name] = 0;
+      }
+      for (let i = n; i >= 1; i--) {
+        const values = {};
+        for (const name of names) {
+          const spec = metrics[name];
+          const base = state[name];
+          if (base === null || base === undefined) {
+            values[name] = null;
+            continue;
+          }
+          if (spec.counter) {
+            const step = Math.max(0, spec.counter(current));
+            totals[name] += step * (0.7 + rng.random() * 0.6);
+            values[name] = Math.round(totals[name]);
+            continue;
+          }
+          // mean-reverting walk around the startup value
+          const t = end - i * tickMs;
+          const mean =
+            spec.shape ? (base * spec.shape(t)) / spec.shape(end) : base;
+          const sigma = Math.abs(mean) * 0.05; // a gauge at 0 stays at 0
+          let v =
+            current[name] +
+            (mean - current[name]) * 0.02 +
+            rng.gaussian(0, sigma);
+          v = Math.max(spec.min ?? 0, v);
+          if (spec.max !== undefined) v = Math.min(spec.max, v);
+          current[name] = v;
+          values[name] = spec.integer ? Math.round(v) : round(v);
+        }
+        push(end - i * tickMs, values);
+      }
+      return n;
+    },
+
+    query({ metric, from, to, step, agg }) {
+      if (!names.includes(metric))
+        throw new Error(`metric must be one of ${names.join(", ")}`);
+      const col = columns[metric];
+      if (from === null) from = count ? Math.min(times[slot(0)], to) : to;
+      const first = lowerBound(from);
+      const last = lowerBound(to + 1); // to is inclusive
+      const base = {
+        metric,
+        kind: kind(metric),
+        from: new Date(from).toISOString(),
+        to: new Date(to).toISOString(),
+      };
+      if (!step) {
+        const values = [];
+        for (let i = first; i < last; i++)
+          values.push([times[slot(i)] / 1000, out(col[slot(i)])]);
+        return { ...base, step: null, agg: null, values };
+      }
+      const mode = agg || (kind(metric) === "counter" ? "last" : "avg");
+      if (!AGGREGATIONS.includes(mode))
+        throw new Error(`agg must be one of ${AGGREGATIONS.join(", ")}`);
+      const stepMs = step * 1000;
+      if ((to - from) / stepMs > MAX_POINTS)
+        throw new Error(
+          `exceeded maximum resolution of ${MAX_POINTS} points per series; use a larger step`
+        );
+      // buckets aligned on multiples of step, stamped with their start
+      const values = [];
+      let bucket = null;
+      let acc = null;
+      const flush = () => {
+        if (bucket === null) return;
+        const v =
+          acc.n === 0 ? Number.NaN
+          : mode === "avg" ? acc.sum / acc.n
+          : mode === "sum" ? acc.sum
+          : acc[mode];
+        values.push([(bucket * stepMs) / 1000, out(v)]);
+      };
+      for (let i = first; i < last; i++) {
+        const t = times[slot(i)];
+        const v = col[slot(i)];
+        const b = Math.floor(t / stepMs);
+        if (b !== bucket) {
+          flush();
+          bucket = b;
+          acc = { n: 0, sum: 0, min: Infinity, max: -Infinity, last: NaN };
+        }
+        if (Number.isNaN(v)) continue;
+        acc.n++;
+        acc.sum += v;
+        acc.min = Math.min(acc.min, v);
+        acc.max = Math.max(acc.max, v);
+        acc.last = v;
+      }
+      flush();
+      return { ...base, step, agg: mode, values };
+    },
+
+    rewind(t) {
+      const keep = lowerBound(t + 1);
+      head = (head - (count - keep) + size) % size;
+      count = keep;
+    },
+
+    status() {
+      return {
+        metrics: names.map((name) => ({ name, kind: kind(name) })),
+        size,
+        samples: count,
+        oldest: count ? new Date(times[slot(0)]).toISOString() : null,
+        newest: count ? new Date(times[slot(count - 1)]).toISOString() : null,
+      };
+    },
+  };
+}
+
+/*
+ * GET /api/history                     -> metrics and the range held
+ * GET /api/history?metric=req_per_sec  -> raw samples [[unix_s, value], ...]
+ *   &from=now-1h&to=now                -> ISO, unix s / ms, now[-15m] (default
+ *                                         oldest .. now)
+ *   &step=5m&agg=avg                   -> downsampled: avg (gauges) or last
+ *                                         (counters) by default, min, max, sum
+ */
+export function serveHistory(history, clock) {
+  return (req, res) => {
+    const q = req.query;
+    if (q.metric === undefined) return res.json(history.status());
+    try {
+      const now = clock.now();
+      const to = q.to !== undefined ? parseTime(q.to, now) : now;
+      const from = q.from !== undefined ? parseTime(q.from, now) : null;
+      const step = q.step !== undefined ? parseDuration(q.step) : null;
+      if (step !== null && step <= 0) throw new Error("step must be > 0");
+      if (from !== null && from > to) throw new Error("from is after to");
+      res.json(
+        history.query({ metric: String(q.metric), from, to, step, agg: q.agg })
+      );
+    } catch (err) {
+      res.status(400).json({ ok: false, error: err.message });
+    }
+  };
+}
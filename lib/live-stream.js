@@ -0,0 +1,348 @@
+/**
+ * live-stream.js
+ *
+ * Live feed of a simulator for dashboards and demo views: every tick, admin
+ * change and scenario event pushed to the clients of GET /api/stream, as
+ * Server-Sent Events or, on the same path, over a WebSocket (RFC 6455, one
+ * JSON text message per event).
+ *
+ *   createLiveStream({ snapshot }) -> {
+ *     tick()                 // "tick" event carrying snapshot(), once the
+ *                            // clock has counted the tick
+ *     publish(type, data)    // any other event ("scenario", ...)
+ *     watch(prefix)          // middleware: an "admin" event per successful
+ *                            // POST / PATCH / DELETE under prefix
+ *     serve                  // GET handler of /api/stream, both transports
+ *     clients()              // how many are connected
+ *   }
+ *   acceptUpgrades(server, app) -> hands the WebSocket upgrade requests of an
+ *                                  HTTP(S) server to app, so they go through
+ *                                  its middleware (auth, ...) and routes
+ *
+ * snapshot() gives { ticks, now, ...the /api/status fields }.
+ *
+ * Events:
+ *   snapshot -> snapshot(), sent once to a new client (unless events leaves
+ *               tick out), so it starts from the current state
+ *   tick     -> snapshot()
+ *   admin    -> { method, path, status, body, state: snapshot() } once the
+ *               change is answered
+ *   scenario -> { type: "status", status } or { type: "step", index, label,
+ *               state }, with the scenario name and elapsed_seconds
+ *
+ * Query parameters (both transports):
+ *   events=tick,scenario   -> only these events (default all)
+ *   fields=req_per_sec,hosts.example.com.p95_ms
+ *                          -> only these fields of the snapshots (tick data,
+ *                             admin state), keyed by their dot path; ticks
+ *                             and now always stay
+ *   throttle=5s            -> at most one tick per 5 real seconds, the latest
+ *                             one; admin and scenario events are never held
+ *
+ * SSE: "id", "event" and "data" lines per event and a comment line every
+ * 15s so proxies keep the connection. WebSocket: { id, event, data }
+ * messages and a ping every 15s; pings and close from the client are
+ * answered, anything else it sends is ignored. A client that does not keep
+ * up misses ticks rather than growing its buffer.
+ *
+ * WebSocket framing, exported for test/live-stream.test.js:
+ *   wsFrame(opcode, payload) -> one unmasked server frame
+ *   readFrame(buf)           -> { opcode, payload, size } of the masked client
+ *                               frame at the front of buf, { error } (close
+ *                               code) for a bad one, null until complete
+ */
+
+import crypto from "node:crypto";
+import http from "node:http";
+import { parseDuration } from "./history.js";
+
+export const EVENT_TYPES = ["tick", "admin", "scenario"];
+const HEARTBEAT_MS = 15000;
+const MAX_BUFFERED = 1024 * 1024; // bytes queued for a client before ticks are skipped
+const MAX_MESSAGE = 64 * 1024; // largest frame taken from a client
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const OP = { text: 0x1, close: 0x8, ping: 0x9, pong: 0xa };
+
+const upgrades = new WeakSet(); // requests that came through acceptUpgrades
+
+/* -----------------------
+   Subscriptions
+   ----------------------- */
+
+/* ?events, ?fields, ?throttle -> what a client receives; throws on bad ones */
+function subscription(query) {
+  const list = (value) =>
+    String(value)
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean);
+  const events = query.events !== undefined ? list(query.events) : EVENT_TYPES;
+  const unknown = events.filter((type) => !EVENT_TYPES.includes(type));
+  if (unknown.length)
+    throw new Error(
+      `unknown events: ${unknown.join(", ")} (expected ${EVENT_TYPES.join(", ")})`
+    );
+  return {
+    events: new Set(events),
+    fields: query.fields !== undefined ? list(query.fields) : null,
+    throttleMs:
+      query.throttle !== undefined ? parseDuration(query.throttle) * 1000 : 0,
+  };
+}
+
+/* value at "a.b.c"; keys may hold dots themselves (vhost names) */
+function lookup(object, path) {
+  if (object === null || typeof object !== "object") return undefined;
+  if (path in object) return object[path];
+  for (let i = path.indexOf("."); i !== -1; i = path.indexOf(".", i + 1)) {
+    const value = lookup(object[path.slice(0, i)], path.slice(i + 1));
+    if (value !== undefined) return value;
+  }
+  return undefined;
+}
+
+function pick(snapshot, fields) {
+  if (!fields) return snapshot;
+  const out = { ticks: snapshot.ticks, now: snapshot.now };
+  for (const field of fields) out[field] = lookup(snapshot, field) ?? null;
+  return out;
+}
+
+/* -----------------------
+   WebSocket frames
+   ----------------------- */
+
+/* server frames are never masked */
+export function wsFrame(opcode, payload) {
+  const length = payload.length;
+  const head = Buffer.alloc(
+    length < 126 ? 2
+    : length < 65536 ? 4
+    : 10
+  );
+  head[0] = 0x80 | opcode; // FIN: no fragmentation
+  if (length < 126) head[1] = length;
+  else if (length < 65536) {
+    head[1] = 126;
+    head.writeUInt16BE(length, 2);
+  } else {
+    head[1] = 127;
+    head.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([head, payload]);
+}
+
+/* one client frame off the front of buf: null until complete */
+export function readFrame(buf) {
+  if (buf.length < 2) return null;
+  let length = buf[1] & 0x7f;
+  let offset = 2;
+  if (length === 126) {
+    if (buf.length < 4) return null;
+    length = buf.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buf.length < 10) return null;
+    length = Number(buf.readBigUInt64BE(2));
+    offset = 10;
+  }
+  if (!(buf[1] & 0x80)) return { error: 1002 }; // clients must mask
+  if (length > MAX_MESSAGE) return { error: 1009 };
+  const end = offset + 4 + length;
+  if (buf.length < end) return null;
+  const mask = buf.subarray(offset, offset + 4);
+  const payload = Buffer.from(buf.subarray(offset + 4, end));
+  for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+  return { opcode: buf[0] & 0x0f, payload, size: end };
+}
+
+const closeCode = (code) => {
+  const payload = Buffer.alloc(2);
+  payload.writeUInt16BE(code);
+  return payload;
+};
+
+/* -----------------------
+   Stream
+   ----------------------- */
+
+export function createLiveStream({ snapshot }) {
+  const clients = new Set();
+  let lastId = 0;
+
+  function deliver(client, id, type, data) {
+    client.send(
+      id,
+      type,
+      type === "tick" || type === "snapshot" ? pick(data, client.fields)
+      : type === "admin" ? { ...data, state: pick(data.state, client.fields) }
+      : data
+    );
+  }
+
+  function offer(client, id, type, data) {
+    if (!client.events.has(type)) return;
+    if (type !== "tick") return deliver(client, id, type, data);
+    if (client.buffered() > MAX_BUFFERED) return;
+    const wait = client.lastTick + client.throttleMs - Date.now();
+    if (wait <= 0) {
+      client.lastTick = Date.now();
+      return deliver(client, id, type, data);
+    }
+    // throttled: the latest tick goes out when the interval is up
+    client.held = { id, data };
+    client.timer ??= setTimeout(() => {
+      client.timer = null;
+      client.lastTick = Date.now();
+      deliver(client, client.held.id, "tick", client.held.data);
+    }, wait);
+  }
+
+  function publish(type, data) {
+    const id = ++lastId;
+    for (const client of clients) offer(client, id, type, data);
+  }
+
+  function open(client) {
+    clients.add(client);
+    client.lastTick = 0;
+    client.heartbeat = setInterval(client.ping, HEARTBEAT_MS);
+    if (client.events.has("tick"))
+      deliver(client, lastId, "snapshot", snapshot());
+  }
+
+  function close(client) {
+    if (!clients.delete(client)) return;
+    clearInterval(client.heartbeat);
+    clearTimeout(client.timer);
+  }
+
+  function serveEvents(req, res, options) {
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      "X-Accel-Buffering": "no", // nginx: pass events through at once
+    });
+    res.flushHeaders();
+    const client = {
+      ...options,
+      send: (id, type, data) =>
+        res.write(
+          `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`
+        ),
+      ping: () => res.write(": ping\n\n"),
+      buffered: () => res.writableLength,
+    };
+    open(client);
+    req.on("close", () => close(client));
+  }
+
+  function serveWebSocket(req, res, options) {
+    const key = req.headers["sec-websocket-key"];
+    if (req.headers["sec-websocket-version"] !== "13" || !key)
+      return res.status(426).set("Sec-WebSocket-Version", "13").json({
+        ok: false,
+        error: "expected a version 13 WebSocket handshake",
+      });
+    const socket = req.socket;
+    const accept = crypto
+      .createHash("sha1")
+      .update(key + WS_GUID)
+      .digest("base64");
+    socket.setTimeout(0);
+    socket.setNoDelay(true);
+    socket.write(
+      "HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n" +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+
+    const client = {
+      ...options,
+      send: (id, type, data) =>
+        socket.write(
+          wsFrame(
+            OP.text,
+            Buffer.from(JSON.stringify({ id, event: type, data }))
+          )
+        ),
+      ping: () => socket.write(wsFrame(OP.ping, Buffer.alloc(0))),
+      buffered: () => socket.writableLength,
+    };
+    const shut = (payload) => {
+      close(client);
+      socket.end(wsFrame(OP.close, payload));
+    };
+    let pending = Buffer.alloc(0);
+    socket.on("data", (chunk) => {
+      pending = Buffer.concat([pending, chunk]);
+      let frame;
+      while (clients.has(client) && (frame = readFrame(pending))) {
+        if (frame.error) return shut(closeCode(frame.error));
+        pending = pending.subarray(frame.size);
+        if (frame.opcode === OP.close) shut(frame.payload.subarray(0, 2));
+        else if (frame.opcode === OP.ping)
+          socket.write(wsFrame(OP.pong, frame.payload));
+      }
+    });
+    socket.on("end", () => shut(closeCode(1000))); // http sockets allow half-open
+    socket.on("close", () => close(client));
+    socket.on("error", () => socket.destroy());
+    open(client);
+  }
+
+  return {
+    tick() {
+      if (clients.size) publish("tick", snapshot());
+    },
+    publish(type, data) {
+      if (clients.size) publish(type, data);
+    },
+    watch(prefix = "") {
+      return (req, res, next) => {
+        if (req.method !== "GET" && req.method !== "HEAD") {
+          const path = prefix + req.path;
+          res.on("finish", () => {
+            if (res.statusCode < 400 && clients.size)
+              publish("admin", {
+                method: req.method,
+                path,
+                status: res.statusCode,
+                body: req.body ?? null,
+                state: snapshot(),
+              });
+          });
+        }
+        next();
+      };
+    },
+    serve(req, res) {
+      let options;
+      try {
+        options = subscription(req.query);
+      } catch (err) {
+        return res.status(400).json({ ok: false, error: err.message });
+      }
+      if (upgrades.has(req)) return serveWebSocket(req, res, options);
+      serveEvents(req, res, options);
+    },
+    clients: () => clients.size,
+  };
+}
+
+/*
+ * Upgrade requests bypass Express: run them through app on a response bound
+ * to the socket, so a 401 or 404 is answered as for any request and a
+ * WebSocket route takes the socket over.
+ */
+export function acceptUpgrades(server, app) {
+  server.on("upgrade", (req, socket, head) => {
+    if (head.length) socket.unshift(head);
+    upgrades.add(req);
+    const res = new http.ServerResponse(req);
+    res.shouldKeepAlive = false;
+    res.assignSocket(socket);
+    res.on("finish", () => socket.end()); // answered without upgrading
+    app(req, res);
+  });
+  return server;
+}
@@ -0,0 +1,52 @@
+/**
+ * log-sink.js
+ *
+ * Simulated log output shared by the simulators: a sink that appends to a
+ * file, keeps the most recent lines and streams new ones to HTTP
+ * subscribers, plus the GET handler that serves it.
+ */
+
+import { createWriteStream } from "node:fs";
+
+/*
+ * Log sink: optional append-only file, a ring of recent lines and live
+ * subscribers (HTTP responses kept open by serveLog).
+ */
+export function createLogSink({ file = null, keep = 1000 } = {}) {
+  const out = file ? createWriteStream(file, { flags: "a" }) : null;
+  const recent = [];
+  const subscribers = new Set();
+  return {
+    write(lines) {
+      if (lines.length === 0) return;
+      const chunk = lines.join("\n") + "\n";
+      if (out) out.write(chunk);
+      for (const res of subscribers) res.write(chunk);
+      for (const line of lines) recent.push(line);
+      if (recent.length > keep) recent.splice(0, recent.length - keep);
+    },
+    recent(n) {
+      return n > 0 ? recent.slice(-n) : [];
+    },
+    subscribe(res) {
+      subscribers.add(res);
+    },
+    unsubscribe(res) {
+      subscribers.delete(res);
+    },
+  };
+}
+
+/* GET handler: ?tail=N recent lines first, ?follow=0 to stop after them */
+export function serveLog(sink) {
+  return (req, res) => {
+    const tail =
+      req.query.tail !== undefined ? parseInt(req.query.tail, 10) : 0;
+    res.set("Content-Type", "text/plain; charset=utf-8");
+    const lines = sink.recent(Number.isFinite(tail) ? tail : 0);
+    if (lines.length) res.write(lines.join("\n") + "\n");
+    if (req.query.follow === "0") return res.end();
+    sink.subscribe(res);
+    req.on("close", () => sink.unsubscribe(res));
+  };
+}
@@ -0,0 +1,64 @@
+/**
+ * metrics.js
+ *
+ * prom-client plumbing shared by the simulators. Every simulator instance
+ * owns its registries (never the global client.register), so several
+ * instances can live in one process:
+ *
+ *   metricsMode(value)                  -> "fake" | "exporter" | "both"
+ *   selectRegistry(mode, fake, exporter) -> the registry /metrics serves
+ *   serveMetrics(registry)              -> GET /metrics handler
+ *   setCounter(counter, series)         -> load cumulative values kept by
+ *                                          the simulator ([labels, value])
+ *   setHistogram(histogram, series)     -> same for histograms ([labels,
+ *                                          { counts, sum }], one count per
+ *                                          bucket and +Inf last)
+ */
+
+import client from "prom-client";
+
+export const METRICS_MODES = ["fake", "exporter", "both"];
+
+/* METRICS_MODE: anything unknown falls back to the simulator's own names */
+export const metricsMode = (value) =>
+  METRICS_MODES.includes(value) ? value : "fake";
+
+export function selectRegistry(mode, fakeRegistry, exporterRegistry) {
+  return (
+    mode === "exporter" ? exporterRegistry
+    : mode === "both" ? client.Registry.merge([fakeRegistry, exporterRegistry])
+    : fakeRegistry
+  );
+}
+
+export function serveMetrics(registry) {
+  return async (req, res) => {
+    try {
+      res.set("Content-Type", registry.contentType);
+      res.end(await registry.metrics());
+    } catch (err) {
+      res.status(500).send(err.message);
+    }
+  };
+}
+
+/* counters are cumulative in the simulator: publish the absolute values */
+export function setCounter(counter, series) {
+  counter.reset();
+  for (const [labels, value] of series) counter.inc(labels, value);
+}
+
+/* prom-client has no setter for bucket counts: zero() the label set, then
+   fill the entry it just added (the last one of the hash map) */
+export function setHistogram(histogram, series) {
+  histogram.reset();
+  for (const [labels, { counts, sum }] of series) {
+    histogram.zero(labels);
+    const entry = Object.values(histogram.hashMap).at(-1);
+    histogram.upperBounds.forEach((le, i) => {
+      entry.bucketValues[le] = counts[i];
+    });
+    entry.count = counts.reduce((a, b) => a + b, 0);
+    entry.sum = sum;
+  }
+}
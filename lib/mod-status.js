@@ -0,0 +1,365 @@
+/**
+ * mod-status.js
+ *
+ * Renders a status snapshot exactly the way Apache 2.4 mod_status does,
+ * both the machine-readable ?auto report and the HTML page, including the
+ * event/worker/prefork MPM differences and the ExtendedStatus Off variant.
+ *
+ * The snapshot is plain data built by apache-http.js:
+ *   serverName, serverVersion, serverBuilt, mpm, port, localIp,
+ *   now, restartTime (ms), configGeneration, mpmGeneration, uptime (s),
+ *   load [1, 5, 15], extended (bool),
+ *   totalAccesses, totalKBytes, totalDurationMs,
+ *   cpu { user, system, childrenUser, childrenSystem } (seconds),
+ *   busy, graceful, idle, scoreboard,
+ *   processes [{ slot, pid, stopping, conns, accepting, busy, graceful,
+ *                idle, writing, keepalive, closing }]   (event MPM only)
+ *   slots [{ srv, generation, pid, connCount, childCount, slotCount, mode,
+ *            cpu, ss, reqMs, durMs, connBytes, childBytes, slotBytes,
+ *            client, protocol, vhost, request }]      (ExtendedStatus On)
+ */
+
+const KBYTE = 1024;
+const MBYTE = 1048576;
+const GBYTE = 1073741824;
+
+const DAYS = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+const MONTHS = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+
+/* APR's %g: like C, but without the leading zero (".0467") */
+export function aprG(x, precision = 6) {
+  if (!Number.isFinite(x) || x === 0) return "0";
+  const p = Number(x.toPrecision(precision));
+  const exp = Math.floor(Math.log10(Math.abs(p)));
+  let out;
+  if (exp < -4 || exp >= precision) {
+    const [mant, e] = p.toExponential(precision - 1).split("e");
+    const n = Number(e);
+    out =
+      mant.replace(/\.?0+$/, "") +
+      `e${n < 0 ? "-" : "+"}${String(Math.abs(n)).padStart(2, "0")}`;
+  } else {
+    out = p.toFixed(Math.max(0, precision - 1 - exp));
+    if (out.includes(".")) out = out.replace(/\.?0+$/, "");
+  }
+  return out.replace(/^(-?)0\./, "$1.");
+}
+
+/* ap_ht_time(..., DEFAULT_TIME_FORMAT) in UTC */
+function htTime(ms) {
+  const d = new Date(ms);
+  const pad = (n) => String(n).padStart(2, "0");
+  return (
+    `${DAYS[d.getUTCDay()]}, ${pad(d.getUTCDate())}-${MONTHS[d.getUTCMonth()]}-` +
+    `${d.getUTCFullYear()} ${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:` +
+    `${pad(d.getUTCSeconds())} UTC`
+  );
+}
+
+/* show_time(): " 1 day 2 hours 3 minutes 4 seconds", zero parts skipped */
+function showTime(tsecs) {
+  const secs = tsecs % 60;
+  const mins = Math.floor(tsecs / 60) % 60;
+  const hrs = Math.floor(tsecs / 3600) % 24;
+  const days = Math.floor(tsecs / 86400);
+  let out = "";
+  if (days) out += ` ${days} day${days === 1 ? "" : "s"}`;
+  if (hrs) out += ` ${hrs} hour${hrs === 1 ? "" : "s"}`;
+  if (mins) out += ` ${mins} minute${mins === 1 ? "" : "s"}`;
+  if (secs) out += ` ${secs} second${secs === 1 ? "" : "s"}`;
+  return out;
+}
+
+function formatByteOut(bytes) {
+  if (bytes < 5 * KBYTE) return `${Math.trunc(bytes)} B`;
+  if (bytes < MBYTE / 2) return `${(bytes / KBYTE).toFixed(1)} kB`;
+  if (bytes < GBYTE / 2) return `${(bytes / MBYTE).toFixed(1)} MB`;
+  return `${(bytes / GBYTE).toFixed(1)} GB`;
+}
+
+function formatKbyteOut(kbytes) {
+  if (kbytes < KBYTE) return `${Math.trunc(kbytes)} kB`;
+  if (kbytes < MBYTE) return `${(kbytes / KBYTE).toFixed(1)} MB`;
+  return `${(kbytes / MBYTE).toFixed(1)} GB`;
+}
+
+const cpuTotal = (cpu) =>
+  cpu.user + cpu.system + cpu.childrenUser + cpu.childrenSystem;
+
+/* -----------------------
+   ?auto
+   ----------------------- */
+export function formatAuto(s) {
+  const lines = [
+    s.serverName,
+    `ServerVersion: ${s.serverVersion}`,
+    `ServerMPM: ${s.mpm}`,
+    `Server Built: ${s.serverBuilt}`,
+    `CurrentTime: ${htTime(s.now)}`,
+    `RestartTime: ${htTime(s.restartTime)}`,
+    `ParentServerConfigGeneration: ${s.configGeneration}`,
+    `ParentServerMPMGeneration: ${s.mpmGeneration}`,
+    `ServerUptimeSeconds: ${s.uptime}`,
+    `ServerUptime:${showTime(s.uptime)}`,
+    `Load1: ${s.load[0].toFixed(2)}`,
+    `Load5: ${s.load[1].toFixed(2)}`,
+    `Load15: ${s.load[2].toFixed(2)}`,
+  ];
+  if (s.extended) {
+    lines.push(
+      `Total Accesses: ${s.totalAccesses}`,
+      `Total kBytes: ${s.totalKBytes}`,
+      `Total Duration: ${Math.trunc(s.totalDurationMs)}`,
+      `CPUUser: ${aprG(s.cpu.user)}`,
+      `CPUSystem: ${aprG(s.cpu.system)}`,
+      `CPUChildrenUser: ${aprG(s.cpu.childrenUser)}`,
+      `CPUChildrenSystem: ${aprG(s.cpu.childrenSystem)}`
+    );
+    const cpu = cpuTotal(s.cpu);
+    if (cpu && s.uptime > 0)
+      lines.push(`CPULoad: ${aprG((cpu / s.uptime) * 100)}`);
+    lines.push(`Uptime: ${s.uptime}`);
+    if (s.uptime > 0)
+      lines.push(
+        `ReqPerSec: ${aprG(s.totalAccesses / s.uptime)}`,
+        `BytesPerSec: ${aprG((KBYTE * s.totalKBytes) / s.uptime)}`
+      );
+    if (s.totalAccesses > 0)
+      lines.push(
+        `BytesPerReq: ${aprG((KBYTE * s.totalKBytes) / s.totalAccesses)}`,
+        `DurationPerReq: ${aprG(s.totalDurationMs / s.totalAccesses)}`
+      );
+  }
+  lines.push(
+    `BusyWorkers: ${s.busy}`,
+    `GracefulWorkers: ${s.graceful}`,
+    `IdleWorkers: ${s.idle}`
+  );
+  if (s.mpm === "event") {
+    const sum = sumProcesses(s.processes);
+    lines.push(
+      `Processes: ${s.processes.length}`,
+      `Stopping: ${sum.stopping}`,
+      `ConnsTotal: ${sum.conns}`,
+      `ConnsAsyncWriting: ${sum.writing}`,
+      `ConnsAsyncKeepAlive: ${sum.keepalive}`,
+      `ConnsAsyncClosing: ${sum.closing}`
+    );
+  }
+  lines.push(`Scoreboard: ${s.scoreboard}`);
+  return lines.join("\n") + "\n";
+}
+
+function sumProcesses(processes) {
+  const sum = {
+    stopping: 0,
+    conns: 0,
+    busy: 0,
+    graceful: 0,
+    idle: 0,
+    writing: 0,
+    keepalive: 0,
+    closing: 0,
+  };
+  for (const p of processes) {
+    if (p.stopping) sum.stopping++;
+    for (const k of [
+      "conns",
+      "busy",
+      "graceful",
+      "idle",
+      "writing",
+      "keepalive",
+      "closing",
+    ])
+      sum[k] += p[k];
+  }
+  return sum;
+}
+
+/* -----------------------
+   HTML page
+   ----------------------- */
+const escapeHtml = (str) =>
+  String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const MODE_HTML = {
+  _: "_",
+  ".": ".",
+  S: "<b>S</b>",
+  R: "<b>R</b>",
+  W: "<b>W</b>",
+  K: "<b>K</b>",
+  D: "<b>D</b>",
+  C: "<b>C</b>",
+  L: "<b>L</b>",
+  G: "<b>G</b>",
+  I: "<b>I</b>",
+};
+
+function processTable(processes) {
+  const rows = processes.map(
+    (p) =>
+      `<tr><td>${p.slot}</td><td>${p.pid}</td><td>${p.stopping ? "yes" : "no"}</td>` +
+      `<td>${p.conns}</td><td>${p.accepting ? "yes" : "no"}</td><td>${p.busy}</td>` +
+      `<td>${p.graceful}</td><td>${p.idle}</td><td>${p.writing}</td>` +
+      `<td>${p.keepalive}</td><td>${p.closing}</td></tr>\n`
+  );
+  const sum = sumProcesses(processes);
+  return (
+    '<table rules="all" cellpadding="1%">\n' +
+    '<tr><th rowspan="2">Slot</th><th rowspan="2">PID</th><th rowspan="2">Stopping</th>' +
+    '<th colspan="2">Connections</th>\n' +
+    '<th colspan="3">Threads</th><th colspan="3">Async connections</th></tr>\n' +
+    "<tr><th>total</th><th>accepting</th><th>busy</th><th>graceful</th><th>idle</th>" +
+    "<th>writing</th><th>keep-alive</th><th>closing</th></tr>\n" +
+    rows.join("") +
+    `<tr><td>Sum</td><td>${processes.length}</td><td>${sum.stopping}</td>` +
+    `<td>${sum.conns}</td><td>&nbsp;</td><td>${sum.busy}</td><td>${sum.graceful}</td>` +
+    `<td>${sum.idle}</td><td>${sum.writing}</td><td>${sum.keepalive}</td>` +
+    `<td>${sum.closing}</td></tr>\n` +
+    "</table>\n"
+  );
+}
+
+const SCOREBOARD_KEY =
+  "<p>Scoreboard Key:<br />\n" +
+  '"<b><code>_</code></b>" Waiting for Connection, \n' +
+  '"<b><code>S</code></b>" Starting up, \n' +
+  '"<b><code>R</code></b>" Reading Request,<br />\n' +
+  '"<b><code>W</code></b>" Sending Reply, \n' +
+  '"<b><code>K</code></b>" Keepalive (read), \n' +
+  '"<b><code>D</code></b>" DNS Lookup,<br />\n' +
+  '"<b><code>C</code></b>" Closing connection, \n' +
+  '"<b><code>L</code></b>" Logging, \n' +
+  '"<b><code>G</code></b>" Gracefully finishing,<br /> \n' +
+  '"<b><code>I</code></b>" Idle cleanup of worker, \n' +
+  '"<b><code>.</code></b>" Open slot with no current process<br />\n' +
+  "<p />\n";
+
+const SLOT_KEY =
+  "<hr /> <table>\n" +
+  " <tr><th>Srv</th><td>Child Server number - generation</td></tr>\n" +
+  " <tr><th>PID</th><td>OS process ID</td></tr>\n" +
+  " <tr><th>Acc</th><td>Number of accesses this connection / this child / this slot</td></tr>\n" +
+  " <tr><th>M</th><td>Mode of operation</td></tr>\n" +
+  " <tr><th>CPU</th><td>CPU usage, number of seconds</td></tr>\n" +
+  " <tr><th>SS</th><td>Seconds since beginning of most recent request</td></tr>\n" +
+  " <tr><th>Req</th><td>Milliseconds required to process most recent request</td></tr>\n" +
+  " <tr><th>Dur</th><td>Sum of milliseconds required to process all requests</td></tr>\n" +
+  " <tr><th>Conn</th><td>Kilobytes transferred this connection</td></tr>\n" +
+  " <tr><th>Child</th><td>Megabytes transferred this child</td></tr>\n" +
+  " <tr><th>Slot</th><td>Total megabytes transferred this slot</td></tr>\n" +
+  " </table>\n";
+
+function slotTable(slots) {
+  const rows = slots
+    // never-used waiting/open slots are left out, as mod_status does
+    .filter((w) => !(w.slotCount === 0 && (w.mode === "_" || w.mode === ".")))
+    .map(
+      (w) =>
+        `<tr><td><b>${w.srv}-${w.generation}</b></td><td>${w.pid}</td>` +
+        `<td>${w.connCount}/${w.childCount}/${w.slotCount}</td><td>${MODE_HTML[w.mode] || w.mode}\n` +
+        `</td><td>${w.cpu.toFixed(2)}</td><td>${Math.trunc(w.ss)}</td>` +
+        `<td>${Math.trunc(w.reqMs)}</td><td>${Math.trunc(w.durMs)}</td>` +
+        `<td>${(w.connBytes / KBYTE).toFixed(1)}</td><td>${(w.childBytes / MBYTE).toFixed(2)}</td>` +
+        `<td>${(w.slotBytes / MBYTE).toFixed(2)}\n` +
+        `</td><td>${escapeHtml(w.client)}</td><td>${escapeHtml(w.protocol)}</td>` +
+        `<td nowrap>${escapeHtml(w.vhost)}</td><td nowrap>${escapeHtml(w.request)}</td></tr>\n\n`
+    );
+  return (
+    '<table border="0"><tr><th>Srv</th><th>PID</th><th>Acc</th><th>M</th><th>CPU\n' +
+    "</th><th>SS</th><th>Req</th><th>Dur</th><th>Conn</th><th>Child</th><th>Slot</th>" +
+    "<th>Client</th><th>Protocol</th><th>VHost</th><th>Request</th></tr>\n\n" +
+    rows.join("") +
+    "</table>\n" +
+    SLOT_KEY
+  );
+}
+
+export function formatHtml(s) {
+  const out = [];
+  out.push(
+    '<!DOCTYPE HTML PUBLIC "-//W3C//DTD HTML 3.2 Final//EN">\n' +
+      "<html><head>\n<title>Apache Status</title>\n</head><body>\n" +
+      `<h1>Apache Server Status for ${escapeHtml(s.serverName)} (via ${escapeHtml(s.localIp)})</h1>\n\n` +
+      `<dl><dt>Server Version: ${escapeHtml(s.serverVersion)}</dt>\n` +
+      `<dt>Server MPM: ${s.mpm}</dt>\n` +
+      `<dt>Server Built: ${s.serverBuilt}\n</dt></dl><hr /><dl>\n` +
+      `<dt>Current Time: ${htTime(s.now)}</dt>\n` +
+      `<dt>Restart Time: ${htTime(s.restartTime)}</dt>\n` +
+      `<dt>Parent Server Config. Generation: ${s.configGeneration}</dt>\n` +
+      `<dt>Parent Server MPM Generation: ${s.mpmGeneration}</dt>\n` +
+      `<dt>Server uptime: ${showTime(s.uptime)}</dt>\n` +
+      `<dt>Server load: ${s.load.map((l) => l.toFixed(2)).join(" ")}</dt>\n`
+  );
+  if (s.extended) {
+    const cpu = cpuTotal(s.cpu);
+    out.push(
+      `<dt>Total accesses: ${s.totalAccesses} - Total Traffic: ${formatKbyteOut(s.totalKBytes)}` +
+        ` - Total Duration: ${Math.trunc(s.totalDurationMs)}</dt>\n`
+    );
+    if (cpu && s.uptime > 0)
+      out.push(
+        `<dt>CPU Usage: u${aprG(s.cpu.user)} s${aprG(s.cpu.system)} cu${aprG(s.cpu.childrenUser)}` +
+          ` cs${aprG(s.cpu.childrenSystem)} - ${aprG((cpu / s.uptime) * 100, 3)}% CPU load</dt>\n`
+      );
+    let rates = "";
+    if (s.uptime > 0)
+      rates +=
+        `<dt>${aprG(s.totalAccesses / s.uptime, 3)} requests/sec - ` +
+        `${formatByteOut(Math.trunc((KBYTE * s.totalKBytes) / s.uptime))}/second`;
+    if (s.totalAccesses > 0) {
+      if (s.uptime > 0) rates += " - ";
+      rates +=
+        `${formatByteOut(Math.trunc((KBYTE * s.totalKBytes) / s.totalAccesses))}/request` +
+        ` - ${aprG(s.totalDurationMs / s.totalAccesses)} ms/request`;
+    }
+    if (rates) out.push(rates + "</dt>\n");
+  }
+  out.push(
+    `<dt>${s.busy} requests currently being processed, ${s.graceful} workers gracefully restarting,` +
+      ` ${s.idle} idle workers</dt>\n</dl>`
+  );
+  if (s.mpm === "event") out.push(processTable(s.processes));
+  // scoreboard wraps every 64 slots
+  const rows = s.scoreboard.match(/.{1,64}/g) || [];
+  out.push(`<pre>${rows.join("\n")}</pre>\n`);
+  out.push(SCOREBOARD_KEY);
+  if (s.extended) out.push(slotTable(s.slots));
+  else
+    out.push(
+      "To obtain a full report with current status information you need to use the " +
+        "<code>ExtendedStatus On</code> directive.\n"
+    );
+  out.push(
+    `<hr>\n<address>${escapeHtml(s.serverVersion)} Server at ${escapeHtml(s.serverName)} ` +
+      `Port ${s.port}</address>\n</body></html>\n`
+  );
+  return out.join("");
+}
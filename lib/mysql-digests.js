@@ -0,0 +1,406 @@
+/**
+ * mysql-digests.js
+ *
+ * Statement-level view of the MySQL simulator: a pool of templated queries
+ * per database, performance_schema digest counters fed from the per-tick
+ * traffic, and slow query log entries for the slow queries the tick draws.
+ *
+ *   createStatementStats({ random, longQueryTime })
+ *     .record(schema, delta, now, load) -> spread one tick of a database's
+ *                                          queries / rows over its templates
+ *     .slow(count, now, load)           -> [entry, ...] slow executions
+ *     .digests({ schema, limit })       -> events_statements_summary_by_digest
+ *                                          rows, SUM_TIMER_WAIT descending
+ *     .snapshot() / .restore(saved)     -> save and bring back the counters
+ *
+ *   formatSlowLogEntry(entry, { user, host, id }) -> slow log lines
+ *   slowLogHeader({ version, port })             -> mysqld file banner
+ *
+ * Timer columns are picoseconds, as in performance_schema. Per schema, the
+ * digest sums add up to the database totals the caller records.
+ */
+
+import { createHash } from "node:crypto";
+
+/*
+ * ms: mean latency, examined / sent: rows per execution,
+ * changes: share of the schema's changed rows, noIndex: full scan,
+ * tmp: GROUP BY through a temporary table, sort: ORDER BY
+ */
+export const QUERY_TEMPLATES = {
+  app_db: [
+    {
+      digest_text:
+        "SELECT * FROM `orders` WHERE `customer_id` = ? ORDER BY `created_at` DESC LIMIT ?",
+      sql: (n) =>
+        `SELECT * FROM orders WHERE customer_id = ${n(1000, 99999)} ORDER BY created_at DESC LIMIT 20`,
+      weight: 30,
+      ms: 0.8,
+      examined: 40,
+      sent: 20,
+      sort: true,
+    },
+    {
+      digest_text: "SELECT `id` , `qty` FROM `inventory` WHERE `sku` = ?",
+      sql: (n) =>
+        `SELECT id, qty FROM inventory WHERE sku = 'A-${n(1000, 9999)}'`,
+      weight: 25,
+      ms: 0.3,
+      examined: 1,
+      sent: 1,
+    },
+    {
+      digest_text: "SELECT * FROM `sessions` WHERE `id` = ?",
+      sql: (n) =>
+        `SELECT * FROM sessions WHERE id = '${n(0, 0xffffff).toString(16).padStart(6, "0")}${n(0, 0xffffff).toString(16).padStart(6, "0")}'`,
+      weight: 20,
+      ms: 0.2,
+      examined: 1,
+      sent: 1,
+    },
+    {
+      digest_text: "UPDATE `inventory` SET `qty` = `qty` - ? WHERE `sku` = ?",
+      sql: (n) =>
+        `UPDATE inventory SET qty = qty - ${n(1, 5)} WHERE sku = 'A-${n(1000, 9999)}'`,
+      weight: 10,
+      ms: 0.6,
+      examined: 1,
+      sent: 0,
+      changes: 0.45,
+    },
+    {
+      digest_text:
+        "INSERT INTO `sessions` ( `id` , `user_id` , `expires_at` ) VALUES (...)",
+      sql: (n) =>
+        `INSERT INTO sessions (id, user_id, expires_at) VALUES ('${n(0, 0xffffff).toString(16).padStart(6, "0")}', ${n(1, 500000)}, NOW() + INTERVAL 30 MINUTE)`,
+      weight: 10,
+      ms: 0.4,
+      examined: 0,
+      sent: 0,
+      changes: 0.45,
+    },
+    {
+      digest_text: "SELECT COUNT ( * ) FROM `orders` WHERE `status` = ?",
+      sql: (n) =>
+        `SELECT COUNT(*) FROM orders WHERE status = '${["pending", "shipped", "refunded"][n(0, 2)]}'`,
+      weight: 4,
+      ms: 120,
+      examined: 250000,
+      sent: 1,
+      noIndex: true,
+    },
+    {
+      digest_text: "DELETE FROM `sessions` WHERE `expires_at` < ?",
+      sql: () => "DELETE FROM sessions WHERE expires_at < NOW()",
+      weight: 1,
+      ms: 40,
+      examined: 20000,
+      sent: 0,
+      changes: 0.1,
+      noIndex: true,
+    },
+  ],
+  analytics: [
+    {
+      digest_text:
+        "INSERT INTO `events` ( `ts` , `type` , `payload` ) VALUES (...)",
+      sql: (n) =>
+        `INSERT INTO events (ts, type, payload) VALUES (NOW(), '${["click", "view", "signup"][n(0, 2)]}', '{"v":${n(1, 9)}}')`,
+      weight: 40,
+      ms: 0.5,
+      examined: 0,
+      sent: 0,
+      changes: 1,
+    },
+    {
+      digest_text:
+        "SELECT COUNT ( * ) FROM `events` WHERE `ts` > NOW ( ) - INTERVAL ? HOUR",
+      sql: (n) =>
+        `SELECT COUNT(*) FROM events WHERE ts > NOW() - INTERVAL ${n(1, 24)} HOUR`,
+      weight: 30,
+      ms: 35,
+      examined: 80000,
+      sent: 1,
+    },
+    {
+      digest_text:
+        "SELECT `page` , COUNT ( * ) FROM `pageviews` WHERE `day` = ? GROUP BY `page` ORDER BY COUNT ( * ) DESC LIMIT ?",
+      sql: (n) =>
+        `SELECT page, COUNT(*) FROM pageviews WHERE day = '2024-01-${String(n(1, 28)).padStart(2, "0")}' GROUP BY page ORDER BY COUNT(*) DESC LIMIT 50`,
+      weight: 20,
+      ms: 250,
+      examined: 1200000,
+      sent: 50,
+      noIndex: true,
+      tmp: true,
+      sort: true,
+    },
+    {
+      digest_text:
+        "SELECT * FROM `events` WHERE `type` = ? AND `ts` BETWEEN ? AND ?",
+      sql: (n) =>
+        `SELECT * FROM events WHERE type = 'signup' AND ts BETWEEN '2024-01-${String(n(1, 14)).padStart(2, "0")}' AND '2024-01-${String(n(15, 28)).padStart(2, "0")}'`,
+      weight: 5,
+      ms: 60,
+      examined: 40000,
+      sent: 300,
+    },
+    {
+      digest_text:
+        "SELECT `user_id` , SUM ( `amount` ) FROM `purchases` GROUP BY `user_id` HAVING SUM ( `amount` ) > ?",
+      sql: (n) =>
+        `SELECT user_id, SUM(amount) FROM purchases GROUP BY user_id HAVING SUM(amount) > ${n(1, 20) * 50}`,
+      weight: 5,
+      ms: 900,
+      examined: 3000000,
+      sent: 800,
+      noIndex: true,
+      tmp: true,
+    },
+  ],
+};
+
+/* MySQL 8 digests are 64 hex chars (SHA-256 of the normalized statement) */
+const digestOf = (schema, text) =>
+  createHash("sha256").update(`${schema}\0${text}`).digest("hex");
+
+const PS_PER_MS = 1e9;
+
+const pad = (n, w = 2) => String(n).padStart(w, "0");
+function isoMicros(ms) {
+  return new Date(ms).toISOString().replace(/\.(\d{3})Z$/, ".$1000Z");
+}
+function sqlDatetimeMicros(ms) {
+  const d = new Date(ms);
+  return (
+    `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())} ` +
+    `${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:${pad(d.getUTCSeconds())}.` +
+    `${pad(d.getUTCMilliseconds(), 3)}000`
+  );
+}
+
+/*
+ * split total into integers proportional to weights (largest remainder);
+ * all-zero weights fall back to the execution counts so nothing is lost
+ */
+function apportion(total, weights, fallback = null) {
+  const sum = weights.reduce((a, w) => a + w, 0);
+  if (!sum && fallback && total > 0) return apportion(total, fallback);
+  if (!sum || total <= 0) return weights.map(() => 0);
+  const exact = weights.map((w) => (total * w) / sum);
+  const out = exact.map(Math.floor);
+  let left = total - out.reduce((a, v) => a + v, 0);
+  const order = exact
+    .map((v, i) => [v - out[i], i])
+    .sort((a, b) => b[0] - a[0] || a[1] - b[1]);
+  for (let k = 0; left > 0; k++, left--) out[order[k % order.length][1]]++;
+  return out;
+}
+
+// per-template fields that change as traffic is recorded
+const COUNTERS = [
+  "count",
+  "sum_timer",
+  "min_timer",
+  "max_timer",
+  "sum_lock",
+  "rows_affected",
+  "rows_sent",
+  "rows_examined",
+  "no_index",
+  "tmp_tables",
+  "sort_rows",
+  "first_seen",
+  "last_seen",
+  "sample",
+];
+
+export function createStatementStats({
+  random = Math.random,
+  longQueryTime = 10,
+} = {}) {
+  const int = (lo, hi) => lo + Math.floor(random() * (hi - lo + 1));
+  const templates = Object.entries(QUERY_TEMPLATES).flatMap(([schema, list]) =>
+    list.map((t) => ({
+      ...t,
+      schema,
+      digest: digestOf(schema, t.digest_text),
+      count: 0,
+      sum_timer: 0,
+      min_timer: 0,
+      max_timer: 0,
+      sum_lock: 0,
+      rows_affected: 0,
+      rows_sent: 0,
+      rows_examined: 0,
+      no_index: 0,
+      tmp_tables: 0,
+      sort_rows: 0,
+      first_seen: null,
+      last_seen: null,
+      sample: null,
+    }))
+  );
+  const bySchema = (schema) => templates.filter((t) => t.schema === schema);
+
+  function setSample(t, sql, now, timer) {
+    t.sample = { sql, seen: now, timer };
+  }
+
+  return {
+    /* delta: this tick's { queries, rows_sent, rows_examined, rows_changed } */
+    record(schema, delta, now, load = 1) {
+      const list = bySchema(schema);
+      if (!list.length) return;
+      const counts = apportion(
+        delta.queries,
+        list.map((t) => t.weight)
+      );
+      const examined = apportion(
+        delta.rows_examined,
+        list.map((t, i) => counts[i] * t.examined),
+        counts
+      );
+      const sent = apportion(
+        delta.rows_sent,
+        list.map((t, i) => counts[i] * t.sent),
+        counts
+      );
+      const changed = apportion(
+        delta.rows_changed,
+        list.map((t, i) => (counts[i] ? t.changes || 0 : 0)),
+        counts
+      );
+      list.forEach((t, i) => {
+        const count = counts[i];
+        if (!count) return;
+        const mean = t.ms * load * (0.8 + random() * 0.4) * PS_PER_MS;
+        const fastest = t.ms * 0.25 * PS_PER_MS;
+        t.count += count;
+        t.sum_timer += Math.round(count * mean);
+        t.min_timer = t.min_timer ? Math.min(t.min_timer, fastest) : fastest;
+        t.max_timer = Math.max(
+          t.max_timer,
+          Math.round(mean * (1.5 + random() * 3))
+        );
+        if (t.changes) t.sum_lock += Math.round(count * mean * 0.05);
+        t.rows_examined += examined[i];
+        t.rows_sent += sent[i];
+        t.rows_affected += changed[i];
+        if (t.noIndex) t.no_index += count;
+        if (t.tmp) t.tmp_tables += count;
+        if (t.sort) t.sort_rows += sent[i];
+        if (t.first_seen === null) {
+          t.first_seen = now;
+          setSample(t, t.sql(int), now, Math.round(mean));
+        }
+        t.last_seen = now;
+      });
+    },
+
+    /* slow executions land on the heavy templates first */
+    slow(count, now, load = 1) {
+      const entries = [];
+      const weights = templates.map((t) => t.weight * t.ms);
+      const total = weights.reduce((a, w) => a + w, 0);
+      for (let k = 0; k < count; k++) {
+        let r = random() * total;
+        let i = 0;
+        while (i < templates.length - 1 && (r -= weights[i]) >= 0) i++;
+        const t = templates[i];
+        const queryTime = Math.min(
+          3600,
+          longQueryTime * load * (1 - Math.log(1 - random() * 0.999))
+        );
+        const lockTime =
+          t.changes ? queryTime * random() * 0.3 : 0.00005 + random() * 0.0005;
+        const sql = t.sql(int);
+        const time = now + Math.floor(random() * 1000);
+        const timer = Math.round(queryTime * 1000 * PS_PER_MS);
+        t.sum_timer += timer;
+        t.max_timer = Math.max(t.max_timer, timer);
+        if (!t.sample || timer > t.sample.timer) setSample(t, sql, time, timer);
+        entries.push({
+          schema: t.schema,
+          digest: t.digest,
+          sql,
+          time,
+          query_time: queryTime,
+          lock_time: lockTime,
+          rows_sent: t.sent,
+          rows_examined: Math.round(
+            Math.max(1, t.examined) *
+              Math.sqrt((queryTime * 1000) / t.ms) *
+              (0.5 + random())
+          ),
+        });
+      }
+      return entries.sort((a, b) => a.time - b.time);
+    },
+
+    snapshot() {
+      return templates.map((t) =>
+        structuredClone(Object.fromEntries(COUNTERS.map((k) => [k, t[k]])))
+      );
+    },
+    restore(saved) {
+      templates.forEach((t, i) => Object.assign(t, structuredClone(saved[i])));
+    },
+
+    digests({ schema = null, limit = null } = {}) {
+      const rows = templates
+        .filter((t) => t.count > 0 && (!schema || t.schema === schema))
+        .sort((a, b) => b.sum_timer - a.sum_timer)
+        .map((t) => ({
+          SCHEMA_NAME: t.schema,
+          DIGEST: t.digest,
+          DIGEST_TEXT: t.digest_text,
+          COUNT_STAR: t.count,
+          SUM_TIMER_WAIT: t.sum_timer,
+          MIN_TIMER_WAIT: Math.round(t.min_timer),
+          AVG_TIMER_WAIT: Math.round(t.sum_timer / t.count),
+          MAX_TIMER_WAIT: t.max_timer,
+          SUM_LOCK_TIME: t.sum_lock,
+          SUM_ERRORS: 0,
+          SUM_WARNINGS: 0,
+          SUM_ROWS_AFFECTED: t.rows_affected,
+          SUM_ROWS_SENT: t.rows_sent,
+          SUM_ROWS_EXAMINED: t.rows_examined,
+          SUM_CREATED_TMP_DISK_TABLES: 0,
+          SUM_CREATED_TMP_TABLES: t.tmp_tables,
+          SUM_SORT_MERGE_PASSES: 0,
+          SUM_SORT_ROWS: t.sort_rows,
+          SUM_NO_INDEX_USED: t.no_index,
+          FIRST_SEEN: sqlDatetimeMicros(t.first_seen),
+          LAST_SEEN: sqlDatetimeMicros(t.last_seen),
+          QUERY_SAMPLE_TEXT: t.sample.sql,
+          QUERY_SAMPLE_SEEN: sqlDatetimeMicros(t.sample.seen),
+          QUERY_SAMPLE_TIMER_WAIT: t.sample.timer,
+        }));
+      return limit > 0 ? rows.slice(0, limit) : rows;
+    },
+  };
+}
+
+/* what mysqld writes when it opens the slow log file */
+export function slowLogHeader({ version, port }) {
+  return [
+    `/usr/sbin/mysqld, Version: ${version} (Fake MySQL Server (simulated)). started with:`,
+    `Tcp port: ${port}  Unix socket: /var/run/mysqld/mysqld.sock`,
+    "Time                 Id Command    Argument",
+  ];
+}
+
+/* one slow log entry, log_output=FILE format */
+export function formatSlowLogEntry(entry, { user, host, id }) {
+  const started = entry.time - Math.round(entry.query_time * 1000);
+  return [
+    `# Time: ${isoMicros(entry.time)}`,
+    `# User@Host: ${user}[${user}] @  [${host}]  Id: ${String(id).padStart(5)}`,
+    `# Query_time: ${entry.query_time.toFixed(6)}  Lock_time: ${entry.lock_time.toFixed(6)} ` +
+      `Rows_sent: ${entry.rows_sent}  Rows_examined: ${entry.rows_examined}`,
+    `use ${entry.schema};`,
+    `SET timestamp=${Math.floor(started / 1000)};`,
+    `${entry.sql};`,
+  ];
+}
@@ -0,0 +1,403 @@
+/**
+ * mysql-queries.js
+ *
+ * SQL front end for the wire protocol server: understands the statements
+ * collectors actually send (SHOW GLOBAL STATUS / VARIABLES, SHOW SLAVE |
+ * REPLICA STATUS, SHOW PROCESSLIST, SHOW DATABASES, SELECT @@var, SET, USE,
+ * SELECT ... FROM performance_schema tables) and answers them from provider
+ * callbacks over the simulated state:
+ *
+ *   createQueryHandler({
+ *     serverVersion,
+ *     status()        -> { Variable_name: value, ... }
+ *     variables()     -> { variable_name: value, ... }
+ *     replicaStatus() -> null | ordered { Slave_IO_State: ..., ... }
+ *     binlogStatus()  -> { File, Position, ..., Executed_Gtid_Set }
+ *     replicaHosts()  -> [{ Server_Id, Host, Port, Source_Id, Replica_UUID }]
+ *     processList(session, sql)
+ *                     -> [[Id, User, Host, db, Command, Time, State, Info], ...]
+ *     databases()     -> ["app_db", ...]
+ *     tables()        -> { "performance_schema.x": [{ COLUMN: value }, ...] }
+ *     now()           -> ms
+ *   }) -> (sql, session) => result
+ */
+
+const PROCESSLIST_COLUMNS = [
+  { name: "Id", type: "longlong" },
+  "User",
+  "Host",
+  "db",
+  "Command",
+  { name: "Time", type: "longlong" },
+  "State",
+  "Info",
+];
+
+/* SHOW SLAVE STATUS columns and their SHOW REPLICA STATUS (8.0.22+) names */
+const REPLICA_RENAMES = [
+  [/Slave/g, "Replica"],
+  [/Master/g, "Source"],
+];
+const renameForReplica = (name) =>
+  REPLICA_RENAMES.reduce((n, [re, to]) => n.replace(re, to), name);
+
+const notSupported = (sql) => ({
+  error: {
+    code: 1235,
+    sqlState: "42000",
+    message: `This version of MySQL doesn't yet support '${sql.slice(0, 64)}'`,
+  },
+});
+
+/* drop comments but keep the body of version comments: /*!50002 GLOBAL *\/ */
+function normalize(sql) {
+  return sql
+    .replace(/\/\*!\d*\s*([\s\S]*?)\*\//g, " $1 ")
+    .replace(/\/\*[\s\S]*?\*\//g, " ")
+    .replace(/(^|\s)(--|#)[^\n]*/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/;$/, "")
+    .trim();
+}
+
+function likeToRegExp(pattern) {
+  let re = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === "\\" && i + 1 < pattern.length) re += `\\${pattern[++i]}`;
+    else if (c === "%") re += ".*";
+    else if (c === "_") re += ".";
+    else re += c.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+  return new RegExp(`^${re}$`, "i");
+}
+
+const unquote = (s) => s.trim().replace(/^(['"`])([\s\S]*)\1$/, "$2");
+
+/* LIKE 'x%' | WHERE Variable_name = 'x' | WHERE Variable_name IN ('a', 'b') */
+function nameFilter(clause) {
+  if (!clause) return () => true;
+  let m = clause.match(/^LIKE (.+)$/i);
+  if (m) {
+    const re = likeToRegExp(unquote(m[1]));
+    return (name) => re.test(name);
+  }
+  m = clause.match(/^WHERE `?Variable_name`? (=|LIKE) (.+)$/i);
+  if (m) {
+    const value = unquote(m[2]);
+    if (m[1].toUpperCase() === "LIKE") {
+      const re = likeToRegExp(value);
+      return (name) => re.test(name);
+    }
+    return (name) => name.toLowerCase() === value.toLowerCase();
+  }
+  m = clause.match(/^WHERE `?Variable_name`? IN \((.+)\)$/i);
+  if (m) {
+    const names = m[1].split(",").map((n) => unquote(n).toLowerCase());
+    return (name) => names.includes(name.toLowerCase());
+  }
+  return null;
+}
+
+/* split a select list on top-level commas */
+function splitList(list) {
+  const items = [];
+  let depth = 0;
+  let quote = null;
+  let cur = "";
+  for (const c of list) {
+    if (quote) {
+      if (c === quote) quote = null;
+    } else if (c === "'" || c === '"' || c === "`") quote = c;
+    else if (c === "(") depth++;
+    else if (c === ")") depth--;
+    else if (c === "," && depth === 0) {
+      items.push(cur.trim());
+      cur = "";
+      continue;
+    }
+    cur += c;
+  }
+  if (cur.trim()) items.push(cur.trim());
+  return items;
+}
+
+const pad2 = (n) => String(n).padStart(2, "0");
+function sqlDatetime(ms) {
+  const d = new Date(ms);
+  return (
+    `${d.getUTCFullYear()}-${pad2(d.getUTCMonth() + 1)}-${pad2(d.getUTCDate())} ` +
+    `${pad2(d.getUTCHours())}:${pad2(d.getUTCMinutes())}:${pad2(d.getUTCSeconds())}`
+  );
+}
+
+function columnType(values) {
+  if (values.every((v) => typeof v === "number" && Number.isInteger(v)))
+    return "longlong";
+  if (values.every((v) => typeof v === "number")) return "double";
+  return "var_string";
+}
+
+export function createQueryHandler(providers) {
+  const {
+    serverVersion,
+    status,
+    variables,
+    replicaStatus,
+    processList,
+    binlogStatus = () => null,
+    replicaHosts = () => [],
+    databases = () => [],
+    tables = () => ({}),
+    now = () => Date.now(),
+  } = providers;
+
+  function showNameValue(source, clause, sql) {
+    const filter = nameFilter(clause);
+    if (!filter) return notSupported(sql);
+    const rows = Object.entries(source())
+      .filter(([name]) => filter(name))
+      .map(([name, value]) => [name, value === null ? "" : String(value)]);
+    return { columns: ["Variable_name", "Value"], rows };
+  }
+
+  /*
+   * SELECT over a provided table: plain columns or aliased expressions
+   * (IFNULL(SCHEMA_NAME, 'NONE') AS SCHEMA_NAME), ORDER BY one column and
+   * LIMIT; WHERE is ignored
+   */
+  function selectTable(list, rows, rest) {
+    const available = rows.length ? Object.keys(rows[0]) : [];
+    const names =
+      list.trim() === "*" ?
+        available
+      : splitList(list).map((item) =>
+          unquote(item.split(/\s+(?:AS\s+)?/i).pop()).replace(/^.*\./, "")
+        );
+    const keyFor = (name) =>
+      available.find((k) => k.toLowerCase() === name.toLowerCase());
+    let out = rows;
+    const order = rest.match(/ ORDER BY `?(\w+)`?(?: (ASC|DESC))?/i);
+    if (order && keyFor(order[1])) {
+      const key = keyFor(order[1]);
+      const dir = /^DESC$/i.test(order[2] || "") ? -1 : 1;
+      out = [...out].sort((a, b) =>
+        a[key] < b[key] ? -dir
+        : a[key] > b[key] ? dir
+        : 0
+      );
+    }
+    const limit = rest.match(/ LIMIT (\d+)$/i);
+    if (limit) out = out.slice(0, Number(limit[1]));
+    const values = out.map((row) =>
+      names.map((n) => (keyFor(n) ? row[keyFor(n)] : null))
+    );
+    return {
+      columns: names.map((name, i) => ({
+        name,
+        type:
+          values.length ? columnType(values.map((v) => v[i])) : "var_string",
+      })),
+      rows: values,
+    };
+  }
+
+  function evalExpr(expr, session) {
+    let m = expr.match(/^@@(?:(?:global|session|local)\.)?([\w$]+)$/i);
+    if (m) {
+      const vars = variables();
+      const name = m[1].toLowerCase();
+      if (!(name in vars))
+        throw Object.assign(new Error(), {
+          sql: {
+            code: 1193,
+            sqlState: "HY000",
+            message: `Unknown system variable '${m[1]}'`,
+          },
+        });
+      return vars[name];
+    }
+    if (/^-?\d+$/.test(expr)) return Number(expr);
+    if (/^-?\d*\.\d+$/.test(expr)) return Number(expr);
+    if (/^NULL$/i.test(expr)) return null;
+    m = expr.match(/^(['"])([\s\S]*)\1$/);
+    if (m) return m[2];
+    m = expr.match(/^([A-Z_]+)\(\s*\)$/i);
+    if (m) {
+      switch (m[1].toUpperCase()) {
+        case "VERSION":
+          return serverVersion;
+        case "DATABASE":
+        case "SCHEMA":
+          return session.db;
+        case "CONNECTION_ID":
+          return session.id;
+        case "USER":
+        case "CURRENT_USER":
+        case "SESSION_USER":
+        case "SYSTEM_USER":
+          return `${session.user}@${session.host}`;
+        case "NOW":
+        case "CURRENT_TIMESTAMP":
+        case "SYSDATE":
+        case "UTC_TIMESTAMP":
+          return sqlDatetime(now());
+        case "UNIX_TIMESTAMP":
+          return Math.floor(now() / 1000);
+      }
+    }
+    throw Object.assign(new Error(), { sql: notSupported(expr).error });
+  }
+
+  function select(list, session, sql) {
+    const exprs = splitList(list);
+    const names = [];
+    const values = [];
+    try {
+      for (const item of exprs) {
+        const m = item.match(/^(.+?)\s+(?:AS\s+)?([`'"]?)([\w$]+)\2$/i);
+        const [expr, alias] =
+          m && !/^\S+\(\s*$/.test(m[1]) ? [m[1], m[3]] : [item, item];
+        values.push(evalExpr(expr.trim(), session));
+        names.push(alias);
+      }
+    } catch (err) {
+      if (err.sql) return { error: err.sql };
+      throw err;
+    }
+    if (!exprs.length) return notSupported(sql);
+    return {
+      columns: names.map((name, i) => ({
+        name,
+        type: columnType([values[i]]),
+      })),
+      rows: [values],
+    };
+  }
+
+  return function query(rawSql, session) {
+    const sql = normalize(rawSql);
+    let m;
+
+    if (
+      (m = sql.match(/^SHOW (?:(?:GLOBAL|SESSION|LOCAL) )?STATUS(?: (.+))?$/i))
+    )
+      return showNameValue(status, m[1], sql);
+
+    if (
+      (m = sql.match(
+        /^SHOW (?:(?:GLOBAL|SESSION|LOCAL) )?VARIABLES(?: (.+))?$/i
+      ))
+    )
+      return showNameValue(variables, m[1], sql);
+
+    if ((m = sql.match(/^SHOW (SLAVE|REPLICA) STATUS(?: FOR CHANNEL .+)?$/i))) {
+      const replica = m[1].toUpperCase() === "REPLICA";
+      const row = replicaStatus();
+      // no replication configured: the real server returns an empty set
+      if (!row)
+        return {
+          columns: [replica ? "Replica_IO_State" : "Slave_IO_State"],
+          rows: [],
+        };
+      const names = Object.keys(row);
+      return {
+        columns: names.map((n) => (replica ? renameForReplica(n) : n)),
+        rows: [names.map((n) => row[n])],
+      };
+    }
+
+    if (/^SHOW (?:MASTER|BINARY LOG) STATUS$/i.test(sql)) {
+      const row = binlogStatus();
+      const columns = [
+        "File",
+        { name: "Position", type: "longlong" },
+        "Binlog_Do_DB",
+        "Binlog_Ignore_DB",
+        "Executed_Gtid_Set",
+      ];
+      if (!row) return { columns, rows: [] };
+      return {
+        columns,
+        rows: [columns.map((c) => row[typeof c === "string" ? c : c.name])],
+      };
+    }
+
+    // SHOW SLAVE HOSTS keeps the pre-8.0.22 column names
+    if ((m = sql.match(/^SHOW (REPLICAS|SLAVE HOSTS)$/i))) {
+      const legacy = m[1].toUpperCase() !== "REPLICAS";
+      const names = ["Server_Id", "Host", "Port", "Source_Id", "Replica_UUID"];
+      return {
+        columns: names.map((n) => {
+          const name =
+            legacy ?
+              n.replace("Source", "Master").replace("Replica", "Slave")
+            : n;
+          return /_Id$|^Port$/.test(n) ? { name, type: "longlong" } : name;
+        }),
+        rows: replicaHosts().map((r) => names.map((n) => r[n])),
+      };
+    }
+
+    if ((m = sql.match(/^SHOW (FULL )?PROCESSLIST$/i))) {
+      const full = Boolean(m[1]);
+      return {
+        columns: PROCESSLIST_COLUMNS,
+        rows: processList(session, rawSql).map((row) => {
+          const info = row[7];
+          return full || info === null ?
+              row
+            : [...row.slice(0, 7), String(info).slice(0, 100)];
+        }),
+      };
+    }
+
+    if ((m = sql.match(/^SHOW (?:DATABASES|SCHEMAS)(?: (LIKE .+))?$/i))) {
+      const filter = nameFilter(m[1]);
+      const names = [
+        "information_schema",
+        "mysql",
+        "performance_schema",
+        "sys",
+        ...databases(),
+      ].sort();
+      return {
+        columns: ["Database"],
+        rows: names.filter(filter).map((n) => [n]),
+      };
+    }
+
+    if ((m = sql.match(/^USE `?([\w$]+)`?$/i))) {
+      session.db = m[1];
+      return { ok: true };
+    }
+
+    if (/^(SET|BEGIN|START TRANSACTION|COMMIT|ROLLBACK)\b/i.test(sql))
+      return { ok: true };
+
+    // collectors probing information_schema / performance_schema tables
+    // get the columns they asked for, and rows for the provided tables
+    if (
+      (m = sql.match(
+        /^SELECT (.+?) FROM `?(information_schema|performance_schema)`?\.`?(\w+)`?(.*)$/i
+      ))
+    ) {
+      const rows = tables()[`${m[2]}.${m[3]}`.toLowerCase()];
+      if (rows) return selectTable(m[1], rows, m[4]);
+      const columns = splitList(m[1]).map((item) =>
+        unquote(item.split(/\s+(?:AS\s+)?/i).pop()).replace(/^.*\./, "")
+      );
+      return { columns, rows: [] };
+    }
+
+    // SELECT without FROM (FROM DUAL and a trailing LIMIT are fine)
+    if (
+      (m = sql.match(/^SELECT (.+?)(?: FROM DUAL)?(?: LIMIT \d+)?$/i)) &&
+      !/ FROM /i.test(m[1])
+    )
+      return select(m[1], session, sql);
+
+    return notSupported(sql);
+  };
+}
@@ -0,0 +1,396 @@
+/**
+ * mysql-replication.js
+ *
+ * Replication topology for the MySQL simulator: one primary and N replicas
+ * (db1, db2, ...), each replica with its own IO/SQL thread state, relay log,
+ * applied position, lag and last errors. Position-based or GTID-based.
+ *
+ *   createTopology({ replicas, gtid, random })
+ *     .tick(now, tps)        -> primary commits tps transactions, replicas
+ *                               fetch and apply what their threads allow
+ *     .member(name)          -> member or undefined
+ *     .primary()             -> current primary
+ *     .slaveStatus(member)   -> SHOW SLAVE STATUS row, null on the primary
+ *     .secondsBehind(member) -> Seconds_Behind_Master (null = thread down)
+ *     .gtidExecuted(member)  -> gtid_executed set ("" with GTID off)
+ *     .command(body)         -> run an admin action (see COMMANDS below)
+ *     .view()                -> JSON summary for /api/status
+ *     .snapshot() / .restore(saved) -> save and bring back the whole topology
+ *
+ * The transaction stream is a single sequence shared by the topology; each
+ * primary "epoch" writes its own GTID uuid range, and every member's binlog
+ * coordinates are derived from how far along that stream it is.
+ */
+
+const EVENT_BYTES = 612; // average binlog bytes per transaction
+const BINLOG_HEADER = 157; // first event position in an 8.0 binlog
+const MAX_BINLOG_SIZE = 1073741824;
+const HISTORY = 3600; // ticks of primary commit times kept for lag
+
+/* docker-like server_uuid, stable per server_id */
+const uuidFor = (serverId) =>
+  `5e0c7a1d-4b2f-11ee-8c99-0242ac11${serverId.toString(16).padStart(4, "0")}`;
+
+function coords(written, prefix) {
+  const bytes = written * EVENT_BYTES;
+  const index = 1 + Math.floor(bytes / MAX_BINLOG_SIZE);
+  return {
+    file: `${prefix}.${String(index).padStart(6, "0")}`,
+    pos: BINLOG_HEADER + (bytes % MAX_BINLOG_SIZE),
+  };
+}
+
+function newMember(index) {
+  return {
+    name: `db${index + 1}`,
+    index,
+    server_id: index + 1,
+    uuid: uuidFor(index + 1),
+    role: index === 0 ? "primary" : "replica",
+    source: index === 0 ? null : "db1",
+    io_running: index !== 0,
+    io_state: index === 0 ? "" : "Waiting for source to send event",
+    sql_running: index !== 0,
+    received: 0, // last transaction fetched into the relay log
+    applied: 0, // last transaction executed
+    relay_origin: 0,
+    apply_speed: 1.5, // apply capacity as a multiple of the write rate
+    stall_ticks: 0,
+    sql_delay: 0,
+    last_io_errno: 0,
+    last_io_error: "",
+    last_io_error_time: "",
+    last_sql_errno: 0,
+    last_sql_error: "",
+    last_sql_error_time: "",
+  };
+}
+
+const pad2 = (n) => String(n).padStart(2, "0");
+/* Last_*_Error_Timestamp format: 240101 00:00:42 */
+function errorTimestamp(ms) {
+  const d = new Date(ms);
+  return (
+    `${String(d.getUTCFullYear()).slice(2)}${pad2(d.getUTCMonth() + 1)}${pad2(d.getUTCDate())} ` +
+    `${pad2(d.getUTCHours())}:${pad2(d.getUTCMinutes())}:${pad2(d.getUTCSeconds())}`
+  );
+}
+
+export function createTopology({
+  replicas = 0,
+  gtid = false,
+  random = Math.random,
+} = {}) {
+  const members = Array.from({ length: replicas + 1 }, (_, i) => newMember(i));
+  let head = 0; // last transaction committed on the primary
+  let now = 0;
+  let history = []; // [{ t, seq }] after each tick, oldest first
+  // GTID epochs: which server_uuid wrote which part of the stream
+  const epochs = [{ uuid: members[0].uuid, from: 0 }];
+
+  const byName = (name) => members.find((m) => m.name === name);
+  const primary = () => members.find((m) => m.role === "primary");
+
+  function requireReplica(name) {
+    const member = byName(name);
+    if (!member) throw new Error(`unknown member "${name}"`);
+    if (member.role !== "replica")
+      throw new Error(`${name} is the primary, not a replica`);
+    return member;
+  }
+
+  /* "uuid1:1-120,\nuuid2:1-40" for everything up to seq */
+  function gtidSet(seq) {
+    const ranges = new Map();
+    epochs.forEach((epoch, i) => {
+      const end = Math.min(seq, epochs[i + 1] ? epochs[i + 1].from : seq);
+      const count = end - epoch.from;
+      if (count > 0)
+        ranges.set(epoch.uuid, (ranges.get(epoch.uuid) || 0) + count);
+    });
+    return [...ranges].map(([uuid, n]) => `${uuid}:1-${n}`).join(",\n");
+  }
+
+  /* commit time of the first transaction a replica has not applied yet */
+  function secondsBehind(member) {
+    if (member.role !== "replica") return null;
+    if (!member.sql_running || member.io_running !== true) return null;
+    if (member.applied >= head) return 0;
+    const pending = history.find((h) => h.seq > member.applied);
+    if (!pending) return 0;
+    return Math.max(0, Math.round((now - pending.t) / 1000));
+  }
+
+  function tickReplica(member, events) {
+    if (member.io_running === true) member.received = head;
+    if (!member.sql_running) return;
+    // occasional long transaction or lock wait on the replica
+    if (member.stall_ticks > 0) member.stall_ticks--;
+    else if (random() < 0.01) member.stall_ticks = 1 + Math.floor(random() * 8);
+    if (member.stall_ticks > 0) return;
+    let target = member.received;
+    if (member.sql_delay > 0) {
+      const cutoff = now - member.sql_delay * 1000;
+      const visible = history.filter((h) => h.t <= cutoff);
+      target = Math.min(target, visible.length ? visible.at(-1).seq : 0);
+    }
+    const capacity = Math.max(
+      1,
+      Math.round(events * member.apply_speed * (0.8 + random() * 0.4))
+    );
+    member.applied = Math.max(
+      member.applied,
+      Math.min(target, member.applied + capacity)
+    );
+  }
+
+  function setIoError(member, errno, error) {
+    member.io_running = "Connecting";
+    member.io_state = "Connecting to source";
+    member.last_io_errno = errno;
+    member.last_io_error = error;
+    member.last_io_error_time = errorTimestamp(now);
+  }
+
+  function sourceRef(member) {
+    const source = byName(member.source);
+    return source ? `repl@${source.name}:3306` : "repl@unknown:3306";
+  }
+
+  const COMMANDS = {
+    /* { replica, thread: "sql" (default) | "io", errno, error } */
+    break(body) {
+      const member = requireReplica(body.replica);
+      if (body.thread === "io") {
+        setIoError(
+          member,
+          body.errno || 2003,
+          body.error ||
+            `error connecting to master '${sourceRef(member)}' - retry-time: 60 retries: 1 message: Can't connect to MySQL server on '${member.source}:3306' (111)`
+        );
+        return;
+      }
+      const end = coords(member.applied + 1, "binlog");
+      member.sql_running = false;
+      member.last_sql_errno = body.errno || 1062;
+      member.last_sql_error =
+        body.error ||
+        `Could not execute Write_rows event on table app_db.orders; Duplicate entry '4821' for key 'orders.PRIMARY', Error_code: 1062; handler error HA_ERR_FOUND_DUPP_KEY; the event's source log ${end.file}, end_log_pos ${end.pos}`;
+      member.last_sql_error_time = errorTimestamp(now);
+    },
+    stop_sql(body) {
+      requireReplica(body.replica).sql_running = false;
+    },
+    start_sql(body) {
+      const member = requireReplica(body.replica);
+      member.sql_running = true;
+      member.last_sql_errno = 0;
+      member.last_sql_error = "";
+      member.last_sql_error_time = "";
+    },
+    stop_io(body) {
+      const member = requireReplica(body.replica);
+      member.io_running = false;
+      member.io_state = "";
+    },
+    start_io(body) {
+      const member = requireReplica(body.replica);
+      member.io_running = true;
+      member.io_state = "Waiting for source to send event";
+      member.last_io_errno = 0;
+      member.last_io_error = "";
+      member.last_io_error_time = "";
+    },
+    /* { replica, apply_speed } (1 = keeps up exactly, < 1 falls behind) */
+    throttle(body) {
+      const member = requireReplica(body.replica);
+      const speed = Number(body.apply_speed);
+      if (!(speed >= 0)) throw new Error("apply_speed must be a number >= 0");
+      member.apply_speed = speed;
+    },
+    /* { replica, seconds }: CHANGE REPLICATION SOURCE TO SOURCE_DELAY */
+    delay(body) {
+      const member = requireReplica(body.replica);
+      const seconds = Number(body.seconds);
+      if (!Number.isInteger(seconds) || seconds < 0)
+        throw new Error("seconds must be an integer >= 0");
+      member.sql_delay = seconds;
+    },
+    /* { replica }: fail over; the rest of the topology follows the new
+       primary with GTID, or stops on error 1236 until repointed without it */
+    promote(body) {
+      const member = requireReplica(body.replica);
+      const old = primary();
+      const lost = head - member.applied;
+      head = member.applied;
+      history = history.filter((h) => h.seq <= head);
+      epochs.push({ uuid: member.uuid, from: head });
+      member.role = "primary";
+      member.source = null;
+      member.io_running = false;
+      member.io_state = "";
+      member.sql_running = false;
+      member.stall_ticks = 0;
+      member.sql_delay = 0;
+      for (const other of members) {
+        if (other === member) continue;
+        other.role = "replica";
+        other.source = member.name;
+        other.received = Math.min(other.received, head);
+        other.applied = Math.min(other.applied, head);
+        other.relay_origin = other.received;
+        if (gtid) {
+          // SOURCE_AUTO_POSITION=1: just follow the new primary
+          COMMANDS.start_io({ replica: other.name });
+          if (other === old) COMMANDS.start_sql({ replica: other.name });
+        } else if (other === old) {
+          // the old primary needs CHANGE REPLICATION SOURCE before it follows
+          other.io_running = false;
+          other.io_state = "";
+          other.sql_running = false;
+        } else {
+          setIoError(
+            other,
+            1236,
+            "Got fatal error 1236 from source when reading data from binary log: 'Could not find first log file name in binary log index file'"
+          );
+        }
+      }
+      return { promoted: member.name, previous_primary: old.name, lost };
+    },
+    /* { replica }: CHANGE REPLICATION SOURCE TO the current primary */
+    repoint(body) {
+      const member = requireReplica(body.replica);
+      member.source = primary().name;
+      member.received = member.applied = Math.min(member.applied, head);
+      member.relay_origin = member.received;
+      COMMANDS.start_io(body);
+      COMMANDS.start_sql(body);
+    },
+  };
+
+  return {
+    gtid,
+    members,
+    member: byName,
+    primary,
+    secondsBehind,
+    gtidExecuted(member) {
+      if (!gtid) return "";
+      return gtidSet(member.role === "primary" ? head : member.applied);
+    },
+    /* binlog coordinates of this member's own binary log */
+    binlog(member) {
+      const seq = member.role === "primary" ? head : member.applied;
+      return coords(seq, "binlog");
+    },
+    tick(nowMs, tps) {
+      now = nowMs;
+      const events = Math.max(0, Math.round(tps));
+      head += events;
+      history.push({ t: now, seq: head });
+      if (history.length > HISTORY) history.shift();
+      for (const member of members)
+        if (member.role === "replica") tickReplica(member, events);
+        else member.received = member.applied = head;
+    },
+    slaveStatus(member) {
+      if (member.role !== "replica") return null;
+      const source = byName(member.source) || primary();
+      const read = coords(member.received, "binlog");
+      const exec = coords(member.applied, "binlog");
+      const relay = coords(member.applied - member.relay_origin, "relay-bin");
+      const ioRunning =
+        member.io_running === true ? "Yes"
+        : member.io_running ? "Connecting"
+        : "No";
+      return {
+        Slave_IO_State: member.io_state,
+        Master_Host: source.name,
+        Master_User: "repl",
+        Master_Port: 3306,
+        Connect_Retry: 60,
+        Master_Log_File: read.file,
+        Read_Master_Log_Pos: read.pos,
+        Relay_Log_File: relay.file,
+        Relay_Log_Pos: relay.pos,
+        Relay_Master_Log_File: exec.file,
+        Slave_IO_Running: ioRunning,
+        Slave_SQL_Running: member.sql_running ? "Yes" : "No",
+        Last_Errno: member.last_sql_errno,
+        Last_Error: member.last_sql_error,
+        Skip_Counter: 0,
+        Exec_Master_Log_Pos: exec.pos,
+        Relay_Log_Space:
+          BINLOG_HEADER + (member.received - member.applied) * EVENT_BYTES,
+        Seconds_Behind_Master: secondsBehind(member),
+        Last_IO_Errno: member.last_io_errno,
+        Last_IO_Error: member.last_io_error,
+        Last_SQL_Errno: member.last_sql_errno,
+        Last_SQL_Error: member.last_sql_error,
+        Master_Server_Id: source.server_id,
+        Master_UUID: source.uuid,
+        SQL_Delay: member.sql_delay,
+        Slave_SQL_Running_State:
+          !member.sql_running ? ""
+          : member.applied < member.received ?
+            "Waiting for dependent transaction to commit"
+          : "Replica has read all relay log; waiting for more updates",
+        Last_IO_Error_Timestamp: member.last_io_error_time,
+        Last_SQL_Error_Timestamp: member.last_sql_error_time,
+        Retrieved_Gtid_Set:
+          gtid ? gtidSet(member.received).replace(/\n/g, "") : "",
+        Executed_Gtid_Set: gtid ? gtidSet(member.applied) : "",
+        Auto_Position: gtid ? 1 : 0,
+        Channel_Name: "",
+      };
+    },
+    /* body: { action, replica, ... } */
+    command(body) {
+      const run = COMMANDS[body.action];
+      if (!run)
+        throw new Error(
+          `action must be one of ${Object.keys(COMMANDS)
+            .map((a) => `"${a}"`)
+            .join(", ")}`
+        );
+      return run(body) || {};
+    },
+    snapshot() {
+      return structuredClone({ members, head, now, history, epochs });
+    },
+    restore(saved) {
+      const copy = structuredClone(saved);
+      // same arrays, so state.replication.members stays live
+      members.splice(0, members.length, ...copy.members);
+      epochs.splice(0, epochs.length, ...copy.epochs);
+      ({ head, now, history } = copy);
+    },
+    view() {
+      return {
+        gtid_mode: gtid ? "ON" : "OFF",
+        primary: primary().name,
+        transactions: head,
+        members: members.map((m) => ({
+          name: m.name,
+          role: m.role,
+          server_id: m.server_id,
+          source: m.source,
+          io_running:
+            m.role !== "replica" ? null
+            : m.io_running === true ? "Yes"
+            : m.io_running ? "Connecting"
+            : "No",
+          sql_running:
+            m.role !== "replica" ? null
+            : m.sql_running ? "Yes"
+            : "No",
+          seconds_behind_master: secondsBehind(m),
+          applied: m.role === "primary" ? head : m.applied,
+          last_io_error: m.last_io_error || null,
+          last_sql_error: m.last_sql_error || null,
+        })),
+      };
+    },
+  };
+}
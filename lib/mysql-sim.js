@@ -0,0 +1,1329 @@
+/**
+ * mysql-sim.js
+ *
+ * Le simulateur MySQL sous forme de factory : chaque appel construit une
+ * instance avec son propre état, son horloge, sa topologie de réplication,
+ * ses listeners MySQL et ses registries prom-client, plus une app Express
+ * qui sert les endpoints décrits dans mysql.js.
+ *
+ *   await createMysqlSimulator(env, { name, processMetrics })
+ *     .app                -> app Express (listen(), ou montée sous un chemin)
+ *     .registry           -> registry servi par /metrics (METRICS_MODE)
+ *     .clock              -> horloge de l'instance (advance(n) en virtual)
+ *     .mysqlPorts         -> ports du protocole MySQL (un par membre)
+ *     .listen(port?, host?) -> HTTP sur PORT / HOST + listeners MySQL
+ *     .listenMysql(host?)   -> listeners MySQL seuls
+ *
+ * env contient les mêmes variables que mysql.js lit dans process.env.
+ * processMetrics est actif par défaut hors seed ; un hôte de flotte le
+ * coupe, toutes les instances partageant le même process.
+ */
+
+import express from "express";
+import client from "prom-client";
+import { createRandom } from "./random.js";
+import { MAX_TICKS, createClock } from "./clock.js";
+import { createMysqlWireServer } from "./mysql-wire.js";
+import { createQueryHandler } from "./mysql-queries.js";
+import { registerMysqldExporterMetrics } from "./exporter-metrics.js";
+import { createTopology } from "./mysql-replication.js";
+import {
+  createStatementStats,
+  formatSlowLogEntry,
+  slowLogHeader,
+} from "./mysql-digests.js";
+import { createLogSink, serveLog } from "./log-sink.js";
+import {
+  createScenarioPlayer,
+  loadScenarioFile,
+  runScenarioCommand,
+} from "./scenario.js";
+import { metricsMode, selectRegistry, serveMetrics } from "./metrics.js";
+import { createFaultInjector, loadFaults, serveFaults } from "./faults.js";
+import { createTls, serveTls } from "./tls.js";
+import { createAuth, loadAuth, serveAuth } from "./auth.js";
+import {
+  captureState,
+  createSnapshots,
+  jsonErrors,
+  restoreState,
+  serveState,
+} from "./admin-state.js";
+import {
+  createHistory,
+  parseDuration,
+  parseHistorySize,
+  serveHistory,
+} from "./history.js";
+import { createSeasonality } from "./seasonality.js";
+import { createOtlpExporter, SEMCONV, serveOtlp } from "./otlp.js";
+import { acceptUpgrades, createLiveStream } from "./live-stream.js";
+
+export async function createMysqlSimulator(
+  env = process.env,
+  { name = "mysql", processMetrics } = {}
+) {
+  const app = express();
+  const PORT = env.PORT ? parseInt(env.PORT, 10) : 9090;
+  const HOST = env.HOST || "0.0.0.0";
+  const INIT_QPS = env.INIT_QPS ? Number(env.INIT_QPS) : 120;
+  const SEED = env.SEED !== undefined ? env.SEED : null;
+  const CLOCK = env.CLOCK === "virtual" ? "virtual" : "real";
+  const START_TIME = env.START_TIME ? Date.parse(env.START_TIME) : undefined;
+  const SCENARIO_FILE =
+    env.SCENARIO ? await loadScenarioFile(env.SCENARIO) : null;
+  const FAULTS = env.FAULTS ? await loadFaults(env.FAULTS) : [];
+  const tls = await createTls(env);
+  const AUTH = env.AUTH ? await loadAuth(env.AUTH) : null;
+  const HISTORY_SIZE =
+    env.HISTORY_SIZE ? parseHistorySize(env.HISTORY_SIZE) : 21600;
+  const HISTORY_BACKFILL =
+    env.HISTORY_BACKFILL ? parseDuration(env.HISTORY_BACKFILL) : 0;
+  const MYSQL_PORT =
+    env.MYSQL_PORT === "off" ? null
+    : env.MYSQL_PORT ? parseInt(env.MYSQL_PORT, 10)
+    : 3306;
+  const MYSQL_USER = env.MYSQL_USER || null;
+  const MYSQL_PASSWORD =
+    env.MYSQL_PASSWORD !== undefined ? env.MYSQL_PASSWORD : null;
+  const SERVER_VERSION = "8.0.36-fake";
+  const METRICS_MODE = metricsMode(env.METRICS_MODE);
+  const REPLICAS = env.REPLICAS ? Math.max(0, parseInt(env.REPLICAS, 10)) : 0;
+  const GTID_MODE = /^on$/i.test(env.GTID_MODE || "");
+  const SLOW_QUERY_LOG = env.SLOW_QUERY_LOG || null;
+  const LONG_QUERY_TIME =
+    env.LONG_QUERY_TIME ? Number(env.LONG_QUERY_TIME) : 10;
+  const MAX_CONNECTIONS =
+    env.MAX_CONNECTIONS ? parseInt(env.MAX_CONNECTIONS, 10) : 151;
+
+  const rng = createRandom(SEED);
+  // own random stream for statement samples, so a seeded run's numbers stay put
+  const querySeed = () => (rng.seeded ? `${rng.seed}:queries` : null);
+  const queryRng = createRandom(querySeed());
+  // and one for injected HTTP faults, drawn per request
+  const faultSeed = () => (rng.seeded ? `${rng.seed}:faults` : null);
+  const faults = createFaultInjector(FAULTS, { seed: faultSeed() });
+  // and one for the synthetic past of /api/history
+  const historySeed = () => (rng.seeded ? `${rng.seed}:history` : null);
+  const clock = createClock({
+    mode: CLOCK,
+    tickMs: 1000,
+    startTime: START_TIME,
+  });
+  const auth = createAuth(AUTH, { realm: "mysql", clock });
+  // daily / weekly traffic curve (SEASONALITY, SEASON_*)
+  const seasonality = createSeasonality(env, { clock });
+
+  /* -----------------------
+   State (simulated MySQL server)
+   ----------------------- */
+  // seasonal runs start on the curve, INIT_QPS being its level
+  const initialQps = () =>
+    seasonality.enabled ?
+      seasonality.expected(INIT_QPS, clock.now())
+    : INIT_QPS;
+  const initialState = () => ({
+    startTime: clock.startTime,
+    uptime_seconds: 0,
+    connections_total: 0, // cumulative connections made
+    threads_connected: 10,
+    threads_running: 2,
+    queries_per_second: initialQps(),
+    // the server's own traffic, which the random walk moves; linked front
+    // ends add frontend_qps on top (queries_per_second = own + frontend)
+    own_qps: initialQps(),
+    transactions_per_second: Math.max(1, Math.round(initialQps() * 0.2)),
+    cpu_load: 0.05, // mysqld share of the host CPU (0..1)
+    slow_queries_total: 0,
+    open_tables: 40,
+    opened_tables_total: 1000,
+    table_locks_waited: 0,
+    innodb_buffer_pool_size_bytes: 128 * 1024 * 1024, // 128MB default (fake)
+    innodb_buffer_pool_bytes_data: 60 * 1024 * 1024,
+    innodb_buffer_pool_bytes_free: (128 - 60) * 1024 * 1024,
+    bytes_received_per_sec: 0,
+    bytes_sent_per_sec: 0,
+    qcache_hits: 0,
+    qcache_inserts: 0,
+    replica_lag_seconds: null, // null means no replica
+    databases: {
+      app_db: { queries: 0, rows_sent: 0, rows_examined: 0, rows_changed: 0 },
+      analytics: {
+        queries: 0,
+        rows_sent: 0,
+        rows_examined: 0,
+        rows_changed: 0,
+      },
+    },
+    errors_total: 0,
+    // share of queries_per_second driven by linked Apache front ends
+    // (lib/causality.js)
+    frontend_qps: 0,
+    // traffic level behind the seasonal curve (lib/seasonality.js)
+    season:
+      seasonality.enabled ? seasonality.initial(INIT_QPS, clock.now()) : null,
+    // cumulative counters behind SHOW GLOBAL STATUS
+    questions_total: 0,
+    com_select: 0,
+    com_insert: 0,
+    com_update: 0,
+    com_delete: 0,
+    com_commit: 0,
+    bytes_received_total: 0,
+    bytes_sent_total: 0,
+    max_used_connections: 10,
+    // clients turned away at max_connections: this tick, and since startup
+    connections_refused: 0,
+    connection_errors_max_connections: 0,
+    // primary (db1) + REPLICAS replicas, see lib/mysql-replication.js
+    replication: createTopology({
+      replicas: REPLICAS,
+      gtid: GTID_MODE,
+      random: () => rng.random(),
+    }),
+    // query templates, digest counters and slow executions (slow query log)
+    statements: createStatementStats({
+      random: () => queryRng.random(),
+      longQueryTime: LONG_QUERY_TIME,
+    }),
+  });
+  const state = initialState();
+  const tickHooks = []; // see beforeTick()
+
+  /* /api/stream: ticks, admin changes and scenario events as they happen */
+  const stream = createLiveStream({
+    snapshot: () => ({
+      ticks: clock.ticks,
+      now: new Date(clock.now()).toISOString(),
+      ...statusJson(),
+    }),
+  });
+
+  /* scenario playback (timeline of ramps, bursts and recoveries) */
+  const scenario = createScenarioPlayer(state, {
+    tickMs: clock.tickMs,
+    onEvent: (event) => stream.publish("scenario", event),
+  });
+  if (SCENARIO_FILE) scenario.load(SCENARIO_FILE);
+
+  /* per-tick samples for /api/history, with HISTORY_BACKFILL of made-up past */
+  const seasonal = seasonality.enabled ? { shape: seasonality.factor } : {};
+  const history = createHistory({
+    size: HISTORY_SIZE,
+    tickMs: clock.tickMs,
+    backfill: HISTORY_BACKFILL,
+    metrics: {
+      queries_per_second: seasonal,
+      transactions_per_second: seasonal,
+      threads_connected: { integer: true, min: 1 },
+      threads_running: { integer: true },
+      cpu_load: { max: 1 },
+      open_tables: { integer: true, min: 1 },
+      replica_lag_seconds: { integer: true },
+      innodb_buffer_pool_bytes_data: { integer: true },
+      bytes_received_per_sec: seasonal,
+      bytes_sent_per_sec: seasonal,
+      questions_total: { counter: (s) => s.queries_per_second },
+      connections_total: { counter: (s) => s.queries_per_second * 0.045 },
+      slow_queries_total: {
+        counter: (s) =>
+          (0.0005 +
+            Math.min(
+              0.01,
+              s.queries_per_second / 10000 + s.threads_running * 0.001
+            )) *
+          3,
+      },
+      errors_total: {
+        counter: (s) => (0.001 + s.threads_running / 200) * 2.5,
+      },
+    },
+  });
+  history.restart(clock.now(), state, historySeed());
+
+  /* slow query log: the mysqld banner, then one entry per slow execution,
+   attributed to one of the app connections of SHOW PROCESSLIST */
+  const APP_HOSTS = ["10.0.2.11", "10.0.2.12", "10.0.2.13", "10.0.3.21"];
+  const slowLog = createLogSink({ file: SLOW_QUERY_LOG });
+  slowLog.write(
+    slowLogHeader({ version: SERVER_VERSION, port: MYSQL_PORT || 3306 })
+  );
+
+  function writeSlowLog(entries) {
+    slowLog.write(
+      entries.flatMap((entry) => {
+        const i = Math.floor(queryRng.random() * state.threads_connected);
+        return formatSlowLogEntry(entry, {
+          user: "app",
+          host: APP_HOSTS[i % APP_HOSTS.length],
+          id: 100 + i,
+        });
+      })
+    );
+  }
+
+  /* Prometheus metrics, in this instance's own registries
+   (process metrics vary run to run, so a seeded run leaves them out) */
+  const registry = new client.Registry();
+  const exporterRegistry = new client.Registry();
+  if (processMetrics ?? !rng.seeded)
+    client.collectDefaultMetrics({
+      timeout: 5000,
+      register: METRICS_MODE === "exporter" ? exporterRegistry : registry,
+    });
+
+  const g_uptime = new client.Gauge({
+    name: "mysql_fake_uptime_seconds",
+    help: "Fake MySQL uptime in seconds",
+    registers: [registry],
+  });
+  const c_connections_total = new client.Counter({
+    name: "mysql_fake_connections_total",
+    help: "Fake cumulative connections",
+    registers: [registry],
+  });
+  const g_threads_connected = new client.Gauge({
+    name: "mysql_fake_threads_connected",
+    help: "Fake threads connected",
+    registers: [registry],
+  });
+  const g_threads_running = new client.Gauge({
+    name: "mysql_fake_threads_running",
+    help: "Fake threads running",
+    registers: [registry],
+  });
+  const g_qps = new client.Gauge({
+    name: "mysql_fake_queries_per_second",
+    help: "Fake queries per second",
+    registers: [registry],
+  });
+  const g_tps = new client.Gauge({
+    name: "mysql_fake_transactions_per_second",
+    help: "Fake transactions per second",
+    registers: [registry],
+  });
+  const g_cpu_load = new client.Gauge({
+    name: "mysql_fake_cpu_load",
+    help: "Fake mysqld CPU load (0..1)",
+    registers: [registry],
+  });
+  const c_slow_queries = new client.Counter({
+    name: "mysql_fake_slow_queries_total",
+    help: "Fake slow queries total",
+    registers: [registry],
+  });
+  const g_open_tables = new client.Gauge({
+    name: "mysql_fake_open_tables",
+    help: "Fake open tables",
+    registers: [registry],
+  });
+  const c_opened_tables = new client.Counter({
+    name: "mysql_fake_opened_tables_total",
+    help: "Fake opened tables total",
+    registers: [registry],
+  });
+  const g_table_locks_waited = new client.Gauge({
+    name: "mysql_fake_table_locks_waited",
+    help: "Fake table locks waited",
+    registers: [registry],
+  });
+  const g_ibp_size = new client.Gauge({
+    name: "mysql_fake_innodb_buffer_pool_size_bytes",
+    help: "Fake InnoDB buffer pool size bytes",
+    registers: [registry],
+  });
+  const g_ibp_data = new client.Gauge({
+    name: "mysql_fake_innodb_buffer_pool_bytes_data",
+    help: "Fake InnoDB buffer pool bytes used",
+    registers: [registry],
+  });
+  const g_ibp_free = new client.Gauge({
+    name: "mysql_fake_innodb_buffer_pool_bytes_free",
+    help: "Fake InnoDB buffer pool bytes free",
+    registers: [registry],
+  });
+  const g_bytes_recv = new client.Gauge({
+    name: "mysql_fake_bytes_received_per_second",
+    help: "Fake bytes received per second",
+    registers: [registry],
+  });
+  const g_bytes_sent = new client.Gauge({
+    name: "mysql_fake_bytes_sent_per_second",
+    help: "Fake bytes sent per second",
+    registers: [registry],
+  });
+  const c_errors_total = new client.Counter({
+    name: "mysql_fake_errors_total",
+    help: "Fake errors total",
+    registers: [registry],
+  });
+
+  /* helper to push current state into Prom metrics */
+  function updatePromMetrics() {
+    g_uptime.set(state.uptime_seconds);
+    // connections_total is cumulative counter; ensure we increment the prom counter to match delta
+    // but because we only have a counter, we will set by incrementing the diff stored on last tick.
+    g_threads_connected.set(state.threads_connected);
+    g_threads_running.set(state.threads_running);
+    g_qps.set(state.queries_per_second);
+    g_tps.set(state.transactions_per_second);
+    g_cpu_load.set(state.cpu_load);
+    g_open_tables.set(state.open_tables);
+    g_table_locks_waited.set(state.table_locks_waited);
+    g_ibp_size.set(state.innodb_buffer_pool_size_bytes);
+    g_ibp_data.set(state.innodb_buffer_pool_bytes_data);
+    g_ibp_free.set(state.innodb_buffer_pool_bytes_free);
+    g_bytes_recv.set(state.bytes_received_per_sec);
+    g_bytes_sent.set(state.bytes_sent_per_sec);
+  }
+
+  /* -----------------------
+   Simulation tick
+   ----------------------- */
+  let last_connections_total = state.connections_total;
+  const round2 = (v) => Math.round(v * 100) / 100;
+  const totalQps = () => round2(state.own_qps + state.frontend_qps);
+  function tickSimulation() {
+    auth.refresh(); // rotation follows the simulated clock
+    const now = clock.now();
+    state.uptime_seconds = Math.floor((now - state.startTime) / 1000);
+
+    // scripted timeline first, so the noise below builds on top of it
+    scenario.apply();
+    // a queries_per_second written from outside (admin, scenario, restore)
+    // becomes the server's own traffic, net of the linked front ends
+    if (state.queries_per_second !== totalQps())
+      state.own_qps = Math.max(
+        0,
+        round2(state.queries_per_second - state.frontend_qps)
+      );
+    // then effects from the other services of a fleet
+    for (const hook of tickHooks) hook(state);
+
+    // own QPS noise (around the seasonal curve when there is one) +
+    // occasional spike/drop; the driven part is added back after
+    let next_qps;
+    if (seasonality.enabled) {
+      next_qps = seasonality.next(state.season, state.own_qps, now, rng);
+    } else {
+      const noise = rng.gaussian(0, Math.max(1, state.own_qps * 0.06));
+      next_qps = Math.max(0, state.own_qps + noise);
+    }
+    const randomEvents = scenario.randomEvents; // muted by some scenarios
+    if (randomEvents && rng.random() < 0.02) next_qps *= 1 + rng.random() * 4; // spike
+    if (randomEvents && rng.random() < 0.01) next_qps *= rng.random() * 0.5; // drop
+    state.own_qps = round2(next_qps);
+    if (seasonality.enabled) state.season.last = state.own_qps;
+    state.queries_per_second = totalQps();
+
+    // TPS roughly correlated to QPS (transactions fraction)
+    const txFraction = 0.15 + rng.random() * 0.25;
+    state.transactions_per_second = Math.max(
+      0,
+      Math.round(state.queries_per_second * txFraction * 100) / 100
+    );
+
+    // connections: small churn proportional to qps
+    const newConns = Math.round(
+      Math.max(0, state.queries_per_second * (0.02 + rng.random() * 0.05))
+    );
+    state.connections_total += newConns;
+    // threads_connected scale with current qps, up to max_connections: the
+    // clients above it get "Too many connections"
+    const wanted = Math.max(
+      1,
+      Math.round(5 + state.queries_per_second / 10 + rng.gaussian(0, 2))
+    );
+    state.threads_connected = Math.min(MAX_CONNECTIONS, wanted);
+    state.connections_refused = wanted - state.threads_connected;
+    state.connection_errors_max_connections += state.connections_refused;
+    // threads_running smaller subset
+    state.threads_running = Math.max(
+      0,
+      Math.round(
+        Math.min(
+          state.threads_connected,
+          state.queries_per_second / 50 + rng.gaussian(0, 1)
+        )
+      )
+    );
+    // CPU eases toward what the running threads need, so a value set
+    // through /admin/set fades out over a few ticks
+    const cpuTarget = Math.min(
+      0.95,
+      0.02 + state.threads_running * 0.04 + state.queries_per_second / 20000
+    );
+    state.cpu_load =
+      Math.round((state.cpu_load * 0.8 + cpuTarget * 0.2) * 1000) / 1000;
+
+    // bytes in/out: per query average size
+    const avg_bytes_in = 200 + rng.random() * 2000; // 0.2KB - 2.2KB
+    const avg_bytes_out = 400 + rng.random() * 5000; // 0.4KB - 5.4KB
+    state.bytes_received_per_sec = Math.round(
+      state.queries_per_second * avg_bytes_in
+    );
+    state.bytes_sent_per_sec = Math.round(
+      state.queries_per_second * avg_bytes_out
+    );
+
+    // slow queries: small probability per second depending on load
+    const slowProb =
+      0.0005 +
+      Math.min(
+        0.01,
+        state.queries_per_second / 10000 + state.threads_running * 0.001
+      );
+    let slowCount = 0;
+    if (rng.random() < slowProb) {
+      slowCount = Math.floor(1 + rng.random() * 5);
+      state.slow_queries_total += slowCount;
+      c_slow_queries.inc(slowCount);
+    }
+
+    // opened tables and open_tables vary slowly
+    if (rng.random() < 0.1) {
+      const delta = Math.round(rng.gaussian(0, 3));
+      state.open_tables = Math.max(1, state.open_tables + delta);
+    }
+    if (rng.random() < 0.05) {
+      const deltaOpened = Math.max(0, Math.round(Math.abs(rng.gaussian(1, 4))));
+      state.opened_tables_total += deltaOpened;
+      c_opened_tables.inc(deltaOpened);
+    }
+
+    // table locks waited accumulate occasionally
+    if (rng.random() < 0.02) {
+      const waited = Math.round(1 + rng.random() * 5);
+      state.table_locks_waited += waited;
+    } else {
+      // small decay, rounded down so small values still reach 0
+      state.table_locks_waited = Math.floor(state.table_locks_waited * 0.995);
+    }
+
+    // buffer pool usage random walk
+    const ibpTotal = state.innodb_buffer_pool_size_bytes;
+    let used = state.innodb_buffer_pool_bytes_data + rng.gaussian(0, 1024 * 50);
+    used = Math.max(0, Math.min(ibpTotal, used));
+    state.innodb_buffer_pool_bytes_data = Math.round(used);
+    state.innodb_buffer_pool_bytes_free =
+      ibpTotal - state.innodb_buffer_pool_bytes_data;
+
+    // errors small chance
+    if (rng.random() < 0.001 + state.threads_running / 200) {
+      const e = Math.round(1 + rng.random() * 3);
+      state.errors_total += e;
+      c_errors_total.inc(e);
+    }
+
+    // cumulative counters for the wire protocol (one tick = one second)
+    const questions = Math.round(state.queries_per_second);
+    state.questions_total += questions;
+    state.com_select += Math.round(questions * 0.7);
+    state.com_insert += Math.round(questions * 0.12);
+    state.com_update += Math.round(questions * 0.1);
+    state.com_delete += Math.round(questions * 0.03);
+    state.com_commit += Math.round(state.transactions_per_second);
+    state.bytes_received_total += state.bytes_received_per_sec;
+    state.bytes_sent_total += state.bytes_sent_per_sec;
+    state.max_used_connections = Math.max(
+      state.max_used_connections,
+      state.threads_connected
+    );
+
+    // per-database distribution, spread over the query templates (digests)
+    const load = Math.min(4, 1 + state.threads_running / 20); // latency factor
+    const dbKeys = Object.keys(state.databases);
+    for (const db of dbKeys) {
+      // fraction of qps goes to db
+      const frac = 0.3 + rng.random() * 0.7;
+      const dbQ = Math.round(
+        state.queries_per_second * frac * (rng.random() * 0.6 + 0.2)
+      );
+      const delta = {
+        queries: dbQ,
+        rows_sent: Math.round(dbQ * (1 + rng.random() * 10)),
+        rows_examined: Math.round(dbQ * (1 + rng.random() * 50)),
+        // writes: the insert/update/delete share of the queries
+        rows_changed: Math.round(dbQ * 0.25),
+      };
+      for (const key of Object.keys(delta))
+        state.databases[db][key] += delta[key];
+      state.statements.record(db, delta, now, load);
+    }
+    if (slowCount) writeSlowLog(state.statements.slow(slowCount, now, load));
+
+    // replica lag simulate sometimes (if configured)
+    if (state.replica_lag_seconds !== null) {
+      // small jitter and occasional spike
+      if (rng.random() < 0.02)
+        state.replica_lag_seconds += Math.round(rng.random() * 20);
+      else
+        state.replica_lag_seconds = Math.max(
+          0,
+          Math.round(state.replica_lag_seconds * 0.98 + rng.gaussian(0, 1))
+        );
+    }
+
+    // replication: the primary commits this tick's transactions, replicas
+    // fetch and apply what their threads allow
+    state.replication.tick(now, state.transactions_per_second);
+
+    // update Prom metrics and increment counters
+    updatePromMetrics();
+
+    // increment prometheus connections_total counter by the delta since last tick
+    const diffConns = state.connections_total - last_connections_total;
+    if (diffConns > 0) c_connections_total.inc(diffConns);
+    last_connections_total = state.connections_total;
+    history.record(now, state);
+  }
+
+  /* re-seed and start over from tick 0 with the initial state */
+  function resetSimulation(seed) {
+    rng.reseed(seed);
+    queryRng.reseed(querySeed());
+    faults.reseed(faultSeed());
+    scenario.stop();
+    clock.reset();
+    Object.assign(state, initialState());
+    registry.resetMetrics(); // counters restart with the state
+    last_connections_total = state.connections_total;
+    history.restart(clock.now(), state, historySeed());
+    clock.advance(1); // immediate first tick, as on startup
+  }
+
+  /* run simulation each second (or on /admin/tick with the virtual clock) */
+  clock.start(tickSimulation, stream.tick);
+
+  /* -----------------------
+   MySQL protocol views of the state
+   ----------------------- */
+  const PAGE_SIZE = 16384;
+  const RUNNING_QUERIES = [
+    "SELECT * FROM orders WHERE customer_id = 4821 ORDER BY created_at DESC",
+    "UPDATE inventory SET qty = qty - 1 WHERE sku = 'A-1002'",
+    "SELECT COUNT(*) FROM events WHERE ts > NOW() - INTERVAL 1 HOUR",
+    "INSERT INTO sessions (id, user_id, expires_at) VALUES (?, ?, ?)",
+  ];
+
+  /*
+   * Every view below answers for one topology member (db1 is this process;
+   * db2.. are the REPLICAS). The primary carries the simulated traffic,
+   * replicas only run their replication threads and a few readers.
+   */
+  const members = () => state.replication.members;
+  const self = () => members()[0];
+  const isPrimary = (member) => member.role === "primary";
+
+  /* db1 replicating from an outside primary: the replica_lag_seconds knob
+   (REPLICAS=0 only; with a topology the real model takes over) */
+  function legacyReplicaStatus() {
+    if (REPLICAS > 0 || state.replica_lag_seconds === null) return null;
+    const pos = 4 + (state.questions_total % 100000000);
+    return {
+      Slave_IO_State: "Waiting for source to send event",
+      Master_Host: "mysql-primary",
+      Master_User: "repl",
+      Master_Port: 3306,
+      Connect_Retry: 60,
+      Master_Log_File: "binlog.000042",
+      Read_Master_Log_Pos: pos,
+      Relay_Log_File: "relay-bin.000007",
+      Relay_Log_Pos: pos,
+      Relay_Master_Log_File: "binlog.000042",
+      Slave_IO_Running: "Yes",
+      Slave_SQL_Running: "Yes",
+      Last_Errno: 0,
+      Last_Error: "",
+      Skip_Counter: 0,
+      Exec_Master_Log_Pos: pos,
+      Relay_Log_Space: pos + 1024,
+      Seconds_Behind_Master: state.replica_lag_seconds,
+      Last_IO_Errno: 0,
+      Last_IO_Error: "",
+      Last_SQL_Errno: 0,
+      Last_SQL_Error: "",
+      Master_Server_Id: 2,
+      SQL_Delay: 0,
+      Slave_SQL_Running_State:
+        "Replica has read all relay log; waiting for more updates",
+      Auto_Position: 1,
+    };
+  }
+
+  /* SHOW SLAVE STATUS row, or null when the member is not a replica */
+  function replicaStatus(member = self()) {
+    return (
+      state.replication.slaveStatus(member) ||
+      (member === self() ? legacyReplicaStatus() : null)
+    );
+  }
+
+  /* SHOW GLOBAL STATUS (sorted, as the server returns it) */
+  function globalStatus(member = self()) {
+    const replica = replicaStatus(member);
+    const primary = isPrimary(member) && !replica;
+    const sqlRunning = replica?.Slave_SQL_Running === "Yes";
+    return {
+      Aborted_clients: 0,
+      Aborted_connects: state.errors_total,
+      Bytes_received: state.bytes_received_total,
+      Bytes_sent: state.bytes_sent_total,
+      Com_commit: state.com_commit,
+      Com_delete: state.com_delete,
+      Com_insert: state.com_insert,
+      Com_select: state.com_select,
+      Com_update: state.com_update,
+      Connection_errors_max_connections:
+        state.connection_errors_max_connections,
+      Connections: state.connections_total,
+      Innodb_buffer_pool_bytes_data: state.innodb_buffer_pool_bytes_data,
+      Innodb_buffer_pool_pages_data: Math.floor(
+        state.innodb_buffer_pool_bytes_data / PAGE_SIZE
+      ),
+      Innodb_buffer_pool_pages_free: Math.floor(
+        state.innodb_buffer_pool_bytes_free / PAGE_SIZE
+      ),
+      Innodb_buffer_pool_pages_total: Math.floor(
+        state.innodb_buffer_pool_size_bytes / PAGE_SIZE
+      ),
+      Innodb_page_size: PAGE_SIZE,
+      Max_used_connections: state.max_used_connections,
+      Open_tables: state.open_tables,
+      Opened_tables: state.opened_tables_total,
+      Qcache_hits: state.qcache_hits,
+      Qcache_inserts: state.qcache_inserts,
+      Queries: state.questions_total,
+      Questions: state.questions_total,
+      Slave_running:
+        replica?.Slave_IO_Running === "Yes" && sqlRunning ? "ON" : "OFF",
+      Slow_queries: state.slow_queries_total,
+      Table_locks_waited: state.table_locks_waited,
+      Threads_connected:
+        primary ? state.threads_connected + replicaHosts(member).length : 3,
+      Threads_created: state.max_used_connections,
+      Threads_running:
+        primary ? state.threads_running
+        : sqlRunning ? 2
+        : 1,
+      Uptime: state.uptime_seconds,
+      Uptime_since_flush_status: state.uptime_seconds,
+    };
+  }
+
+  /* SHOW GLOBAL VARIABLES */
+  function globalVariables(member = self()) {
+    const topology = state.replication;
+    const binlog = topology.binlog(member);
+    return {
+      character_set_server: "utf8mb4",
+      collation_server: "utf8mb4_0900_ai_ci",
+      enforce_gtid_consistency: topology.gtid ? "ON" : "OFF",
+      gtid_executed: topology.gtidExecuted(member),
+      gtid_mode: topology.gtid ? "ON" : "OFF",
+      hostname: REPLICAS > 0 ? member.name : "fake-mysql",
+      innodb_buffer_pool_size: state.innodb_buffer_pool_size_bytes,
+      innodb_page_size: PAGE_SIZE,
+      log_bin: "ON",
+      log_bin_basename: `/var/lib/mysql/${binlog.file.replace(/\..*$/, "")}`,
+      log_replica_updates: "ON",
+      long_query_time: LONG_QUERY_TIME.toFixed(6),
+      max_allowed_packet: 67108864,
+      max_connections: MAX_CONNECTIONS,
+      performance_schema: "ON",
+      port: (MYSQL_PORT || 3306) + member.index,
+      query_cache_size: 0,
+      read_only: replicaStatus(member) ? "ON" : "OFF",
+      server_id: member.server_id,
+      server_uuid: member.uuid,
+      slow_query_log: "ON",
+      slow_query_log_file:
+        SLOW_QUERY_LOG || "/var/lib/mysql/fake-mysql-slow.log",
+      sql_mode:
+        "ONLY_FULL_GROUP_BY,STRICT_TRANS_TABLES,NO_ZERO_IN_DATE,NO_ZERO_DATE,ERROR_FOR_DIVISION_BY_ZERO,NO_ENGINE_SUBSTITUTION",
+      super_read_only: replicaStatus(member) ? "ON" : "OFF",
+      system_time_zone: "UTC",
+      table_open_cache: 4000,
+      thread_cache_size: 9,
+      time_zone: "SYSTEM",
+      transaction_isolation: "REPEATABLE-READ",
+      version: SERVER_VERSION,
+      version_comment: "Fake MySQL Server (simulated)",
+      version_compile_os: "Linux",
+      wait_timeout: 28800,
+    };
+  }
+
+  /* SHOW MASTER STATUS */
+  function binlogStatus(member = self()) {
+    const { file, pos } = state.replication.binlog(member);
+    return {
+      File: file,
+      Position: pos,
+      Binlog_Do_DB: "",
+      Binlog_Ignore_DB: "",
+      Executed_Gtid_Set: state.replication.gtidExecuted(member),
+    };
+  }
+
+  /* replicas currently pulling from this member (SHOW REPLICAS) */
+  function replicaHosts(member = self()) {
+    return members().filter(
+      (m) =>
+        m.role === "replica" &&
+        m.source === member.name &&
+        m.io_running === true
+    );
+  }
+
+  /*
+   * SHOW PROCESSLIST: threads_connected rows, threads_running of them busy,
+   * plus the event scheduler, replication threads and the asking connection.
+   * Derived from the tick count only, so it does not draw from the rng.
+   */
+  function processList(member, session, sql) {
+    const dbs = Object.keys(state.databases);
+    const rows = [
+      [
+        1,
+        "event_scheduler",
+        "localhost",
+        null,
+        "Daemon",
+        state.uptime_seconds,
+        "Waiting on empty queue",
+        null,
+      ],
+    ];
+    const replica = replicaStatus(member);
+    if (replica) {
+      if (replica.Slave_IO_Running !== "No")
+        rows.push([
+          10,
+          "system user",
+          "connecting host",
+          null,
+          "Connect",
+          state.uptime_seconds,
+          replica.Slave_IO_State,
+          null,
+        ]);
+      if (replica.Slave_SQL_Running === "Yes")
+        rows.push([
+          11,
+          "system user",
+          "",
+          null,
+          "Query",
+          replica.Seconds_Behind_Master || 0,
+          replica.Slave_SQL_Running_State,
+          null,
+        ]);
+    } else {
+      for (const [i, r] of replicaHosts(member).entries())
+        rows.push([
+          20 + i,
+          "repl",
+          `${r.name}:${50000 + r.server_id}`,
+          null,
+          "Binlog Dump",
+          state.uptime_seconds,
+          "Source has sent all binlog to replica; waiting for more updates",
+          null,
+        ]);
+      for (let i = 0; i < state.threads_connected; i++) {
+        const id = 100 + i;
+        const running = i < state.threads_running;
+        rows.push([
+          id,
+          "app",
+          `${APP_HOSTS[i % APP_HOSTS.length]}:${40000 + ((id * 7919) % 20000)}`,
+          dbs[i % dbs.length],
+          running ? "Query" : "Sleep",
+          running ? (id + clock.ticks) % 3 : (id * 31 + clock.ticks) % 120,
+          running ? "executing" : "",
+          running ? RUNNING_QUERIES[i % RUNNING_QUERIES.length] : null,
+        ]);
+      }
+    }
+    rows.push([
+      session.id,
+      session.user,
+      session.host,
+      session.db,
+      "Query",
+      0,
+      "init",
+      sql,
+    ]);
+    return rows;
+  }
+
+  /* information_schema.TABLE_STATISTICS summed per schema */
+  function schemaStats() {
+    return Object.entries(state.databases).map(([schema, db]) => ({
+      schema,
+      rows_read: db.rows_examined,
+      rows_changed: db.rows_changed,
+      rows_changed_x_indexes: db.rows_changed * 2,
+    }));
+  }
+
+  /* mysqld_exporter families for one member (METRICS_MODE and /members/*) */
+  function memberRegistry(index, into = new client.Registry()) {
+    const member = () => members()[index];
+    registerMysqldExporterMetrics(into, {
+      status: () => globalStatus(member()),
+      variables: () => globalVariables(member()),
+      replicaStatus: () => replicaStatus(member()),
+      schemaStats,
+    });
+    return into;
+  }
+
+  /* METRICS_MODE=exporter|both: mysqld_exporter families from the same views */
+  memberRegistry(0, exporterRegistry);
+  const metricsRegistry = selectRegistry(
+    METRICS_MODE,
+    registry,
+    exporterRegistry
+  );
+
+  /* the same series pushed over OTLP (OTEL_EXPORTER_OTLP_ENDPOINT) */
+  const otlp = createOtlpExporter(env, {
+    registry: metricsRegistry,
+    clock,
+    name,
+    semconv: SEMCONV.mysql,
+    resource: {
+      "mysql.instance.endpoint": `localhost:${MYSQL_PORT ?? 3306}`,
+    },
+  });
+  otlp.start();
+  const memberRegistries = Array.from({ length: REPLICAS + 1 }, (_, i) =>
+    i === 0 ? exporterRegistry : memberRegistry(i)
+  );
+
+  /* one MySQL listener per member: db1 on MYSQL_PORT, dbN on MYSQL_PORT+N-1 */
+  function memberServer(index) {
+    const member = () => members()[index];
+    return createMysqlWireServer({
+      serverVersion: SERVER_VERSION,
+      user: MYSQL_USER,
+      password: MYSQL_PASSWORD,
+      query: createQueryHandler({
+        serverVersion: SERVER_VERSION,
+        status: () => globalStatus(member()),
+        variables: () => globalVariables(member()),
+        replicaStatus: () => replicaStatus(member()),
+        binlogStatus: () => binlogStatus(member()),
+        replicaHosts: () =>
+          replicaHosts(member()).map((r) => ({
+            Server_Id: r.server_id,
+            Host: r.name,
+            Port: 3306,
+            Source_Id: member().server_id,
+            Replica_UUID: r.uuid,
+          })),
+        processList: (session, sql) => processList(member(), session, sql),
+        databases: () => Object.keys(state.databases),
+        tables: () => ({
+          "performance_schema.events_statements_summary_by_digest":
+            state.statements.digests(),
+        }),
+        now: () => clock.now(),
+      }),
+      // mysqladmin status
+      statistics: () =>
+        `Uptime: ${state.uptime_seconds}  Threads: ${globalStatus(member()).Threads_connected}` +
+        `  Questions: ${state.questions_total}  Slow queries: ${state.slow_queries_total}` +
+        `  Opens: ${state.opened_tables_total}  Flush tables: 1` +
+        `  Open tables: ${state.open_tables}` +
+        `  Queries per second avg: ${(state.questions_total / Math.max(1, state.uptime_seconds)).toFixed(3)}`,
+    });
+  }
+
+  const mysqlServers =
+    MYSQL_PORT === null ?
+      []
+    : Array.from({ length: REPLICAS + 1 }, (_, i) => memberServer(i));
+
+  /* -----------------------
+   HTTP endpoints
+   ----------------------- */
+
+  // injected faults (FAULTS, /admin/faults) go in front of every route
+  app.use(tls.middleware); // TLS_CLIENT_AUTH=optional
+  app.use(auth.middleware); // AUTH: per route group, /admin included
+  app.use(faults.middleware);
+  app.use(express.json());
+
+  function statusJson() {
+    return {
+      server: "FakeMySQL",
+      version: "8.0.fake",
+      start_time: new Date(state.startTime).toISOString(),
+      uptime_seconds: state.uptime_seconds,
+      connections_total: state.connections_total,
+      threads_connected: state.threads_connected,
+      connection_errors_max_connections:
+        state.connection_errors_max_connections,
+      threads_running: state.threads_running,
+      queries_per_second: state.queries_per_second,
+      transactions_per_second: state.transactions_per_second,
+      cpu_load: state.cpu_load,
+      slow_queries_total: state.slow_queries_total,
+      open_tables: state.open_tables,
+      opened_tables_total: state.opened_tables_total,
+      table_locks_waited: state.table_locks_waited,
+      innodb_buffer_pool_size_bytes: state.innodb_buffer_pool_size_bytes,
+      innodb_buffer_pool_bytes_data: state.innodb_buffer_pool_bytes_data,
+      innodb_buffer_pool_bytes_free: state.innodb_buffer_pool_bytes_free,
+      bytes_received_per_sec: state.bytes_received_per_sec,
+      bytes_sent_per_sec: state.bytes_sent_per_sec,
+      errors_total: state.errors_total,
+      replica_lag_seconds: state.replica_lag_seconds,
+      databases: state.databases,
+      ...(REPLICAS > 0 && { replication: state.replication.view() }),
+      ...(tickHooks.length > 0 && {
+        own_qps: state.own_qps,
+        frontend_qps: state.frontend_qps,
+      }),
+      ...(seasonality.enabled && {
+        seasonality: seasonality.status(state.season, clock.now()),
+      }),
+    };
+  }
+
+  app.get("/api/status", (req, res) => res.json(statusJson()));
+
+  /* live feed: SSE, or a WebSocket on the same path (?events, ?fields, ?throttle) */
+  app.get("/api/stream", stream.serve);
+
+  app.get("/metrics", serveMetrics(metricsRegistry));
+
+  /* statement digests (events_statements_summary_by_digest rows) and the
+   slow query log: ?tail=N recent lines, ?follow=0 to stop after them */
+  app.get("/api/digests", (req, res) => {
+    const limit =
+      req.query.limit !== undefined ? parseInt(req.query.limit, 10) : null;
+    res.json(
+      state.statements.digests({ schema: req.query.schema || null, limit })
+    );
+  });
+
+  app.get("/logs/slow", serveLog(slowLog));
+
+  /* per-tick history: ?metric=queries_per_second&from=now-1h&step=1m */
+  app.get("/api/history", serveHistory(history, clock));
+
+  /* admin: checked updates (/admin/set, PATCH /admin/state), reset and
+   snapshots of the whole simulation */
+  const STATE_SCHEMA = {
+    $schema: "https://json-schema.org/draft/2020-12/schema",
+    title: "MySQL simulator state",
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      queries_per_second: {
+        type: "number",
+        minimum: 0,
+        maximum: 1000000,
+        description: "queries per second the traffic wanders around",
+      },
+      transactions_per_second: {
+        type: "number",
+        minimum: 0,
+        description: "follows queries_per_second on the next tick",
+      },
+      threads_connected: {
+        type: "integer",
+        minimum: 0,
+        description:
+          "follows queries_per_second on the next tick, up to max_connections",
+      },
+      threads_running: {
+        type: "integer",
+        minimum: 0,
+        description: "follows queries_per_second on the next tick",
+      },
+      cpu_load: { type: "number", minimum: 0, maximum: 1 },
+      open_tables: { type: "integer", minimum: 0, maximum: 4000 },
+      errors_total: { type: "integer", minimum: 0 },
+      replica_lag_seconds: {
+        type: ["integer", "null"],
+        minimum: 0,
+        description: "null = no replica",
+      },
+      innodb_buffer_pool_size_bytes: {
+        type: "integer",
+        minimum: 5 * 1024 * 1024,
+        description: "the data in use is capped to the new size",
+      },
+    },
+  };
+
+  // counters are kept in step with the state they mirror
+  const counters = {
+    connections_total: c_connections_total,
+    slow_queries_total: c_slow_queries,
+    opened_tables_total: c_opened_tables,
+    errors_total: c_errors_total,
+  };
+  const counterValue = async (counter) =>
+    (await counter.get()).values[0]?.value ?? 0;
+
+  // every change below also goes to /api/stream as an "admin" event
+  app.use("/admin", stream.watch("/admin"));
+
+  app.use(
+    "/admin",
+    serveState({
+      schema: STATE_SCHEMA,
+      state,
+      info: () => ({
+        seed: rng.seed,
+        ticks: clock.ticks,
+        now: new Date(clock.now()).toISOString(),
+      }),
+      check(next) {
+        return next.threads_running > next.threads_connected ?
+            [
+              {
+                field: "threads_running",
+                error: `must be <= threads_connected (${next.threads_connected})`,
+              },
+            ]
+          : [];
+      },
+      apply(patch) {
+        const { innodb_buffer_pool_size_bytes: newSize, ...rest } = patch;
+        if (rest.errors_total !== undefined) {
+          const delta = rest.errors_total - state.errors_total;
+          if (delta < 0) c_errors_total.reset(); // a counter only goes back to 0
+          c_errors_total.inc(delta < 0 ? rest.errors_total : delta);
+        }
+        Object.assign(state, rest);
+        if (newSize !== undefined) {
+          state.innodb_buffer_pool_size_bytes = newSize;
+          // ensure used/free consistent
+          state.innodb_buffer_pool_bytes_data = Math.min(
+            state.innodb_buffer_pool_bytes_data,
+            newSize
+          );
+          state.innodb_buffer_pool_bytes_free =
+            newSize - state.innodb_buffer_pool_bytes_data;
+        }
+        updatePromMetrics();
+      },
+      reset: (seed) => resetSimulation(seed === undefined ? rng.seed : seed),
+      snapshots: createSnapshots({
+        async capture() {
+          const totals = {};
+          for (const [key, counter] of Object.entries(counters))
+            totals[key] = await counterValue(counter);
+          return {
+            state: captureState(state),
+            rng: rng.snapshot(),
+            queryRng: queryRng.snapshot(),
+            ticks: clock.ticks,
+            counters: totals,
+          };
+        },
+        restore(saved) {
+          scenario.stop();
+          rng.restore(saved.rng);
+          queryRng.restore(saved.queryRng);
+          clock.seek(saved.ticks);
+          restoreState(state, saved.state);
+          for (const [key, counter] of Object.entries(counters)) {
+            counter.reset();
+            counter.inc(saved.counters[key]);
+          }
+          last_connections_total = state.connections_total;
+          history.rewind(clock.now());
+          updatePromMetrics();
+        },
+      }),
+    })
+  );
+
+  /* virtual clock: step the simulation without waiting real seconds */
+  app.post("/admin/tick", (req, res) => {
+    if (clock.mode !== "virtual")
+      return res
+        .status(409)
+        .json({ ok: false, error: "clock is real; start with CLOCK=virtual" });
+    const count = req.body?.count !== undefined ? Number(req.body.count) : 1;
+    if (!Number.isInteger(count) || count < 1 || count > MAX_TICKS)
+      return res.status(400).json({
+        ok: false,
+        error: `count must be an integer from 1 to ${MAX_TICKS}`,
+      });
+    clock.advance(count);
+    res.json({
+      ok: true,
+      ticks: clock.ticks,
+      now: new Date(clock.now()).toISOString(),
+    });
+  });
+
+  /* scenario playback control */
+  app.get("/admin/scenario", (req, res) => {
+    res.json(scenario.status());
+  });
+
+  app.post("/admin/scenario", (req, res) => {
+    try {
+      res.json({
+        ok: true,
+        scenario: runScenarioCommand(scenario, req.body || {}, SCENARIO_FILE),
+      });
+    } catch (err) {
+      res.status(400).json({ ok: false, error: err.message });
+    }
+  });
+
+  /* replication topology (REPLICAS > 0): state and failure drills */
+  app.get("/admin/replication", (req, res) => {
+    res.json(state.replication.view());
+  });
+
+  app.post("/admin/replication", (req, res) => {
+    try {
+      const result = state.replication.command(req.body || {});
+      res.json({ ok: true, ...result, replication: state.replication.view() });
+    } catch (err) {
+      res.status(400).json({ ok: false, error: err.message });
+    }
+  });
+
+  /* fault injection rules */
+  app.use("/admin/faults", serveFaults(faults));
+
+  /* HTTPS certificate drills (TLS=on) */
+  app.use("/admin/tls", serveTls(tls));
+
+  /* credentials and their rotation (AUTH) */
+  app.use("/admin/auth", serveAuth(auth));
+
+  /* OTLP push status, and a push on demand */
+  app.use("/admin/otlp", serveOtlp(otlp));
+
+  // bad JSON on any /admin route: a JSON 400, not Express's HTML page
+  app.use("/admin", jsonErrors);
+
+  /* one member of the topology: /members/db2/api/status, /members/db2/metrics */
+  function findMember(req, res) {
+    const index = members().findIndex((m) => m.name === req.params.name);
+    if (index === -1)
+      res
+        .status(404)
+        .json({ ok: false, error: `unknown member "${req.params.name}"` });
+    return index;
+  }
+
+  app.get("/members/:name/api/status", (req, res) => {
+    const index = findMember(req, res);
+    if (index === -1) return;
+    const member = members()[index];
+    res.json({
+      name: member.name,
+      role: member.role,
+      server_id: member.server_id,
+      server_uuid: member.uuid,
+      mysql_port: MYSQL_PORT === null ? null : MYSQL_PORT + index,
+      read_only: globalVariables(member).read_only === "ON",
+      master_status: binlogStatus(member),
+      slave_status: replicaStatus(member),
+      replicas: replicaHosts(member).map((r) => r.name),
+    });
+  });
+
+  app.get("/members/:name/metrics", (req, res) => {
+    const index = findMember(req, res);
+    if (index === -1) return;
+    return serveMetrics(memberRegistries[index])(req, res);
+  });
+
+  /* root */
+  app.get("/", (req, res) => {
+    res.send(`
+Fake MySQL Metrics (fake)
+Endpoints:
+  GET /api/status
+  GET /api/stream?events=tick,admin,scenario&fields=queries_per_second,replica_lag_seconds&throttle=2s  (SSE, or WebSocket)
+  GET /metrics
+  GET /api/digests?schema=app_db&limit=10
+  GET /logs/slow?tail=N&follow=0
+  GET /api/history?metric=queries_per_second&from=now-1h&step=1m
+  POST /admin/set  (json body: queries_per_second, threads_connected, replica_lag_seconds, seed, ...)
+  GET|PATCH /admin/state, GET /admin/state/schema
+  POST /admin/reset, GET|POST /admin/snapshot, POST /admin/restore (json body: name)
+  POST /admin/tick (json body: count) -- CLOCK=virtual only
+  GET|POST /admin/scenario (json body: action, scenario)
+  GET|POST /admin/replication (json body: action, replica, ...)
+  GET /members/<db1..dbN>/api/status, /members/<name>/metrics
+  GET|POST|DELETE /admin/faults (json body: rules, add)
+  GET /admin/otlp, POST /admin/otlp/push  -- OTEL_EXPORTER_OTLP_ENDPOINT
+MySQL protocol: ${MYSQL_PORT === null ? "off" : `tcp port ${MYSQL_PORT}${REPLICAS > 0 ? `-${MYSQL_PORT + REPLICAS}` : ""}`}
+`);
+  });
+
+  /* MySQL protocol listeners only (a fleet host mounts app instead) */
+  function listenMysql(host = HOST) {
+    mysqlServers.forEach((server, i) => {
+      const port = MYSQL_PORT + i;
+      // a busy port (e.g. a real mysqld) should not take the HTTP side down
+      server.on("error", (err) =>
+        console.error(`MySQL protocol listener (db${i + 1}): ${err.message}`)
+      );
+      server.listen(port, host, () => {
+        console.log(`MySQL protocol (db${i + 1}) listening on ${host}:${port}`);
+      });
+    });
+  }
+
+  return {
+    type: "mysql",
+    name,
+    app,
+    clock,
+    state,
+    /* run fn(state) at the start of every tick, after the scenario */
+    beforeTick(fn) {
+      tickHooks.push(fn);
+    },
+    registry: metricsRegistry,
+    port: PORT,
+    scheme: tls.scheme,
+    mysqlPorts: mysqlServers.map((_, i) => MYSQL_PORT + i),
+    listenMysql,
+    /* standalone: HTTP on PORT / HOST plus the MySQL protocol listeners */
+    listen(port = PORT, host = HOST) {
+      listenMysql(host);
+      const server = tls.listen(app, port, host, () => {
+        console.log(
+          `Fake MySQL Metrics server listening on ${tls.scheme}://${host}:${port}`
+        );
+        console.log(
+          "Endpoints: /api/status  /api/stream  /metrics  /api/digests  /logs/slow  /api/history  POST /admin/set  /admin/state  /admin/snapshot  POST /admin/tick  /admin/scenario  /admin/faults  /admin/tls  /admin/auth  /admin/otlp"
+        );
+        console.log(
+          `Clock: ${clock.mode}  Seed: ${rng.seeded ? rng.seed : "(random)"}  Metrics: ${METRICS_MODE}`
+        );
+        if (otlp.enabled) {
+          const { endpoint, protocol, interval_ms } = otlp.status();
+          console.log(
+            `OTLP push: ${endpoint} (${protocol}) every ${interval_ms}ms`
+          );
+        }
+      });
+      return acceptUpgrades(server, app); // WebSocket /api/stream
+    },
+    stop() {
+      clock.stop();
+      otlp.stop();
+    },
+  };
+}
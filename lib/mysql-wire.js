@@ -0,0 +1,418 @@
+/**
+ * mysql-wire.js
+ *
+ * Just enough of the MySQL client/server protocol (v10 handshake,
+ * mysql_native_password, text protocol) for real collectors to connect and
+ * run their SHOW / SELECT queries against a simulator.
+ *
+ *   createMysqlWireServer({
+ *     serverVersion,          // "8.0.36-fake"
+ *     user, password,         // password null = accept any credentials
+ *     query(sql, session),    // -> { columns, rows } | { ok } | { error }
+ *     statistics(),           // COM_STATISTICS text (mysqladmin status)
+ *   }) -> net.Server
+ *
+ * Result shapes returned by query():
+ *   { columns: ["Variable_name", { name: "Value", type: "longlong" }],
+ *     rows: [["Uptime", 42], ...] }
+ *   { ok: true, affectedRows: 0 }
+ *   { error: { code: 1064, sqlState: "42000", message: "..." } }
+ *
+ * Codec pieces, exported for the protocol tests (test/mysql-wire.test.js):
+ *   lenencInt(n)                     -> length-encoded integer bytes
+ *   reader(buf)                      -> { u8, u32, nul, lenenc, bytes, ... }
+ *   nativePasswordToken(pw, scramble) -> mysql_native_password auth response
+ */
+
+import net from "node:net";
+import crypto from "node:crypto";
+
+// no MULTI_STATEMENTS: a COM_QUERY is answered as one statement, so a
+// client must not be told it may send "a; b"
+const CLIENT = {
+  LONG_PASSWORD: 0x1,
+  FOUND_ROWS: 0x2,
+  LONG_FLAG: 0x4,
+  CONNECT_WITH_DB: 0x8,
+  PROTOCOL_41: 0x200,
+  TRANSACTIONS: 0x2000,
+  SECURE_CONNECTION: 0x8000,
+  MULTI_RESULTS: 0x20000,
+  PLUGIN_AUTH: 0x80000,
+  CONNECT_ATTRS: 0x100000,
+  PLUGIN_AUTH_LENENC_CLIENT_DATA: 0x200000,
+};
+const SERVER_CAPABILITIES = Object.values(CLIENT).reduce((a, b) => a | b, 0);
+
+const COM = {
+  QUIT: 0x01,
+  INIT_DB: 0x02,
+  QUERY: 0x03,
+  STATISTICS: 0x09,
+  PING: 0x0e,
+  RESET_CONNECTION: 0x1f,
+};
+
+const SERVER_STATUS_AUTOCOMMIT = 0x0002;
+const CHARSET_UTF8MB4 = 255; // utf8mb4_0900_ai_ci
+const CHARSET_BINARY = 63;
+const AUTH_PLUGIN = "mysql_native_password";
+
+const TYPES = {
+  double: 0x05,
+  longlong: 0x08,
+  var_string: 0xfd,
+};
+
+/* -----------------------
+   Encoding helpers
+   ----------------------- */
+export function lenencInt(n) {
+  if (n < 251) return Buffer.from([n]);
+  let b;
+  if (n < 0x10000) {
+    b = Buffer.alloc(3);
+    b[0] = 0xfc;
+    b.writeUInt16LE(n, 1);
+  } else if (n < 0x1000000) {
+    b = Buffer.alloc(4);
+    b[0] = 0xfd;
+    b.writeUIntLE(n, 1, 3);
+  } else {
+    b = Buffer.alloc(9);
+    b[0] = 0xfe;
+    b.writeBigUInt64LE(BigInt(n), 1);
+  }
+  return b;
+}
+
+function lenencStr(value) {
+  const b = Buffer.from(String(value), "utf8");
+  return Buffer.concat([lenencInt(b.length), b]);
+}
+
+const nulStr = (s) => Buffer.from(`${s}\0`, "utf8");
+
+function okPacket({ affectedRows = 0, info = "" } = {}) {
+  const tail = Buffer.alloc(4);
+  tail.writeUInt16LE(SERVER_STATUS_AUTOCOMMIT, 0);
+  return Buffer.concat([
+    Buffer.from([0x00]),
+    lenencInt(affectedRows),
+    lenencInt(0),
+    tail,
+    Buffer.from(info, "utf8"),
+  ]);
+}
+
+function errPacket({ code = 1105, sqlState = "HY000", message }) {
+  const head = Buffer.alloc(3);
+  head[0] = 0xff;
+  head.writeUInt16LE(code, 1);
+  return Buffer.concat([
+    head,
+    Buffer.from(`#${sqlState}`, "ascii"),
+    Buffer.from(message, "utf8"),
+  ]);
+}
+
+function eofPacket() {
+  const b = Buffer.alloc(5);
+  b[0] = 0xfe;
+  b.writeUInt16LE(0, 1);
+  b.writeUInt16LE(SERVER_STATUS_AUTOCOMMIT, 3);
+  return b;
+}
+
+function columnDefinition(col) {
+  const { name, type } = typeof col === "string" ? { name: col } : col;
+  const code = TYPES[type] || TYPES.var_string;
+  const numeric = code !== TYPES.var_string;
+  const fixed = Buffer.alloc(13);
+  fixed[0] = 0x0c;
+  fixed.writeUInt16LE(numeric ? CHARSET_BINARY : CHARSET_UTF8MB4, 1);
+  fixed.writeUInt32LE(numeric ? 21 : 1024, 3);
+  fixed[7] = code;
+  fixed.writeUInt16LE(numeric ? 0x80 | 0x01 : 0, 8); // BINARY | NOT_NULL
+  fixed[10] = code === TYPES.double ? 31 : 0;
+  return Buffer.concat([
+    lenencStr("def"),
+    lenencStr(""),
+    lenencStr(""),
+    lenencStr(""),
+    lenencStr(name),
+    lenencStr(name),
+    fixed,
+  ]);
+}
+
+function rowPacket(row) {
+  return Buffer.concat(
+    row.map((v) =>
+      v === null || v === undefined ? Buffer.from([0xfb]) : lenencStr(v)
+    )
+  );
+}
+
+/* scramble bytes are sent NUL-terminated, so keep them in 1..127 */
+function makeScramble() {
+  return Buffer.from(crypto.randomBytes(20).map((b) => (b % 127) + 1));
+}
+
+const sha1 = (b) => crypto.createHash("sha1").update(b).digest();
+
+/* SHA1(pw) XOR SHA1(scramble + SHA1(SHA1(pw))) */
+export function nativePasswordToken(password, scramble) {
+  if (!password) return Buffer.alloc(0);
+  const stage1 = sha1(Buffer.from(password, "utf8"));
+  const stage3 = sha1(Buffer.concat([scramble, sha1(stage1)]));
+  return Buffer.from(stage1.map((b, i) => b ^ stage3[i]));
+}
+
+/* -----------------------
+   Decoding helpers
+   ----------------------- */
+/* every read checks its bytes are there: a short packet throws a
+   RangeError instead of reading past its end */
+export function reader(buf) {
+  let pos = 0;
+  const take = (n) => {
+    if (pos + n > buf.length) throw new RangeError("truncated packet");
+    pos += n;
+    return pos - n;
+  };
+  return {
+    get pos() {
+      return pos;
+    },
+    done: () => pos >= buf.length,
+    u8: () => buf[take(1)],
+    u32: () => buf.readUInt32LE(take(4)),
+    skip: (n) => {
+      take(n);
+    },
+    nul() {
+      if (pos >= buf.length) throw new RangeError("truncated packet");
+      let end = buf.indexOf(0, pos);
+      if (end === -1) end = buf.length;
+      const s = buf.toString("utf8", pos, end);
+      pos = end + 1;
+      return s;
+    },
+    lenenc() {
+      const first = buf[take(1)];
+      if (first < 0xfb) return first;
+      if (first === 0xfc) return buf.readUInt16LE(take(2));
+      if (first === 0xfd) return buf.readUIntLE(take(3), 3);
+      return Number(buf.readBigUInt64LE(take(8)));
+    },
+    bytes(n) {
+      const start = take(n);
+      return buf.subarray(start, pos);
+    },
+  };
+}
+
+function parseHandshakeResponse(payload) {
+  const r = reader(payload);
+  const caps = r.u32();
+  r.skip(4 + 1 + 23); // max packet, charset, filler
+  const user = r.nul();
+  let token;
+  if (caps & CLIENT.PLUGIN_AUTH_LENENC_CLIENT_DATA) token = r.bytes(r.lenenc());
+  else if (caps & CLIENT.SECURE_CONNECTION) token = r.bytes(r.u8());
+  else token = Buffer.from(r.nul(), "utf8");
+  const database =
+    caps & CLIENT.CONNECT_WITH_DB && !r.done() ? r.nul() || null : null;
+  const plugin = caps & CLIENT.PLUGIN_AUTH && !r.done() ? r.nul() : AUTH_PLUGIN;
+  return { caps, user, token, database, plugin };
+}
+
+/* -----------------------
+   Server
+   ----------------------- */
+export function createMysqlWireServer(options) {
+  const {
+    serverVersion = "8.0.36-fake",
+    user: expectedUser = null,
+    password = null,
+    query,
+    statistics = () => "Uptime: 0",
+  } = options;
+  let nextConnectionId = 1;
+
+  return net.createServer((socket) => {
+    const connectionId = nextConnectionId++;
+    const scramble = makeScramble();
+    const session = {
+      id: connectionId,
+      user: null,
+      host: socket.remoteAddress || "localhost",
+      db: null,
+    };
+    let phase = "auth";
+    let seq = 0;
+    let pending = Buffer.alloc(0);
+    let handshake = null;
+
+    function send(payload) {
+      const header = Buffer.alloc(4);
+      header.writeUIntLE(payload.length, 0, 3);
+      header[3] = seq & 0xff;
+      seq++;
+      socket.write(Buffer.concat([header, payload]));
+    }
+
+    function sendResult(result) {
+      if (!result || result.ok) return send(okPacket(result || {}));
+      if (result.error) return send(errPacket(result.error));
+      send(lenencInt(result.columns.length));
+      for (const col of result.columns) send(columnDefinition(col));
+      send(eofPacket());
+      for (const row of result.rows) send(rowPacket(row));
+      send(eofPacket());
+    }
+
+    function authenticate(token) {
+      const userOk = !expectedUser || handshake.user === expectedUser;
+      const tokenOk =
+        password === null ||
+        nativePasswordToken(password, scramble).equals(token);
+      if (userOk && tokenOk) {
+        session.user = handshake.user;
+        session.db = handshake.database;
+        phase = "command";
+        send(okPacket());
+      } else {
+        send(
+          errPacket({
+            code: 1045,
+            sqlState: "28000",
+            message: `Access denied for user '${handshake.user}'@'${session.host}' (using password: ${token.length ? "YES" : "NO"})`,
+          })
+        );
+        socket.end();
+      }
+    }
+
+    function handleCommand(payload) {
+      const command = payload[0];
+      switch (command) {
+        case COM.QUIT:
+          socket.end();
+          return;
+        case COM.PING:
+        case COM.RESET_CONNECTION:
+          return send(okPacket());
+        case COM.INIT_DB:
+          session.db = payload.subarray(1).toString("utf8");
+          return send(okPacket());
+        case COM.STATISTICS:
+          return send(Buffer.from(statistics(), "utf8"));
+        case COM.QUERY: {
+          const sql = payload.subarray(1).toString("utf8");
+          let result;
+          try {
+            result = query(sql, session);
+          } catch (err) {
+            result = { error: { code: 1105, message: err.message } };
+          }
+          return sendResult(result);
+        }
+        default:
+          return send(
+            errPacket({
+              code: 1047,
+              sqlState: "08S01",
+              message: "Unknown command",
+            })
+          );
+      }
+    }
+
+    function handlePacket(payload) {
+      if (phase === "auth") {
+        handshake = parseHandshakeResponse(payload);
+        if (!(handshake.caps & CLIENT.PROTOCOL_41)) {
+          send(
+            errPacket({
+              code: 1251,
+              sqlState: "08004",
+              message: "Client does not support authentication protocol",
+            })
+          );
+          return socket.end();
+        }
+        if (handshake.plugin !== AUTH_PLUGIN) {
+          // e.g. caching_sha2_password: ask the client to switch
+          phase = "auth-switch";
+          return send(
+            Buffer.concat([
+              Buffer.from([0xfe]),
+              nulStr(AUTH_PLUGIN),
+              scramble,
+              Buffer.from([0]),
+            ])
+          );
+        }
+        return authenticate(handshake.token);
+      }
+      if (phase === "auth-switch") return authenticate(payload);
+      handleCommand(payload);
+    }
+
+    socket.on("data", (chunk) => {
+      if (phase === "closed") return;
+      pending = Buffer.concat([pending, chunk]);
+      while (pending.length >= 4) {
+        const len = pending.readUIntLE(0, 3);
+        if (pending.length < 4 + len) break;
+        seq = pending[3] + 1; // replies continue the client's sequence
+        const payload = pending.subarray(4, 4 + len);
+        pending = pending.subarray(4 + len);
+        try {
+          handlePacket(payload);
+        } catch {
+          // a malformed packet (short handshake response...) closes this
+          // connection only
+          phase = "closed";
+          send(
+            errPacket({
+              code: 1047,
+              sqlState: "08S01",
+              message: "Malformed communication packet",
+            })
+          );
+          return socket.end();
+        }
+      }
+    });
+    socket.on("error", () => socket.destroy());
+
+    // initial handshake (protocol v10)
+    const caps = Buffer.alloc(2);
+    const head = Buffer.alloc(4);
+    head.writeUInt32LE(connectionId, 0);
+    caps.writeUInt16LE(SERVER_CAPABILITIES & 0xffff, 0);
+    const mid = Buffer.alloc(5);
+    mid[0] = CHARSET_UTF8MB4;
+    mid.writeUInt16LE(SERVER_STATUS_AUTOCOMMIT, 1);
+    mid.writeUInt16LE(SERVER_CAPABILITIES >>> 16, 3);
+    send(
+      Buffer.concat([
+        Buffer.from([0x0a]),
+        nulStr(serverVersion),
+        head,
+        scramble.subarray(0, 8),
+        Buffer.from([0]),
+        caps,
+        mid,
+        Buffer.from([scramble.length + 1]),
+        Buffer.alloc(10),
+        scramble.subarray(8),
+        Buffer.from([0]),
+        nulStr(AUTH_PLUGIN),
+      ])
+    );
+  });
+}
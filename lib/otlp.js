@@ -0,0 +1,816 @@
+/**
+ * otlp.js
+ *
+ * OpenTelemetry push for the simulators: every OTEL_METRIC_EXPORT_INTERVAL
+ * the series of /metrics are sent over OTLP/HTTP, as protobuf or JSON, to a
+ * collector. Series with an OpenTelemetry semantic-convention equivalent
+ * (the collector's apache and mysql receivers) take its name, unit and
+ * attributes; the others keep their Prometheus name. otlp-collector.js is a
+ * stand-in collector to push to offline.
+ *
+ *   createOtlpExporter(env, { registry, clock, name, semconv, resource }) -> {
+ *     enabled, push() -> Promise<last push>, start(), stop(), status()
+ *   }
+ *   serveOtlp(exporter) -> router for /admin/otlp
+ *   toOtlpRequest(families, { semconv, resource, start, now })
+ *                       -> ExportMetricsServiceRequest in its JSON shape
+ *   encodeMetricsRequest(request) / decodeMetricsRequest(buffer)
+ *                       -> protobuf to and from that same shape
+ *   SEMCONV.apache, SEMCONV.mysql -> Prometheus name -> semantic convention
+ *
+ * Env (the OpenTelemetry SDK variables):
+ *   OTEL_EXPORTER_OTLP_ENDPOINT   -> base URL, /v1/metrics is appended
+ *                                    (e.g. http://localhost:4318)
+ *   OTEL_EXPORTER_OTLP_METRICS_ENDPOINT -> full URL; one of the two turns
+ *                                    the push on
+ *   OTEL_EXPORTER_OTLP_PROTOCOL   -> "http/protobuf" (default) or "http/json"
+ *                                    (_METRICS_PROTOCOL wins)
+ *   OTEL_EXPORTER_OTLP_HEADERS    -> "key=value,..." sent with every push
+ *   OTEL_EXPORTER_OTLP_TIMEOUT    -> ms per push (default 10000)
+ *   OTEL_METRIC_EXPORT_INTERVAL   -> ms between pushes (default 60000)
+ *   OTEL_SERVICE_NAME             -> service.name (default the instance name)
+ *   OTEL_RESOURCE_ATTRIBUTES      -> "key=value,..." more resource attributes
+ *
+ * Timestamps come from the simulator clock, so a virtual run pushes its
+ * simulated time; counters start at the clock's start time.
+ */
+
+import express from "express";
+import { hostname } from "node:os";
+
+const PROTOCOLS = {
+  "http/protobuf": "application/x-protobuf",
+  "http/json": "application/json",
+};
+const CUMULATIVE = 2; // AggregationTemporality
+const SCOPE = { name: "metrics-simulators", version: "1.0.0" };
+
+function fail(msg) {
+  throw new Error(`invalid OTLP config: ${msg}`);
+}
+
+/* -----------------------
+   Semantic conventions
+   ----------------------- */
+
+/*
+ * Prometheus family -> { name, unit, kind?, scale?, attributes?, labels? }
+ *   kind       -> "counter" | "updown" | "gauge" (default: from the family)
+ *   scale      -> multiplier (kB -> By, 0..1 -> %)
+ *   attributes -> fixed attributes of the points
+ *   labels     -> Prometheus label -> attribute name (others are dropped)
+ * Both METRICS_MODE namings (fake and exporter) are covered.
+ */
+export const SEMCONV = {
+  apache: {
+    apache_fake_total_accesses: {
+      name: "apache.requests",
+      unit: "{requests}",
+      kind: "counter",
+    },
+    apache_accesses_total: { name: "apache.requests", unit: "{requests}" },
+    apache_fake_total_kbytes: {
+      name: "apache.traffic",
+      unit: "By",
+      kind: "counter",
+      scale: 1024,
+    },
+    apache_sent_kilobytes_total: {
+      name: "apache.traffic",
+      unit: "By",
+      scale: 1024,
+    },
+    apache_fake_cpu_load: { name: "apache.cpu.load", unit: "%", scale: 100 },
+    apache_cpuload: { name: "apache.cpu.load", unit: "%" },
+    apache_fake_active_workers: {
+      name: "apache.workers",
+      unit: "{workers}",
+      kind: "updown",
+      attributes: { state: "busy" },
+    },
+    apache_fake_idle_workers: {
+      name: "apache.workers",
+      unit: "{workers}",
+      kind: "updown",
+      attributes: { state: "idle" },
+    },
+    apache_workers: {
+      name: "apache.workers",
+      unit: "{workers}",
+      kind: "updown",
+      labels: { state: "state" },
+    },
+    apache_scoreboard: {
+      name: "apache.scoreboard",
+      unit: "{workers}",
+      kind: "updown",
+      labels: { state: "state" },
+    },
+    apache_uptime_seconds_total: { name: "apache.uptime", unit: "s" },
+    apache_duration_ms_total: { name: "apache.request.time", unit: "ms" },
+  },
+  mysql: {
+    mysql_fake_uptime_seconds: {
+      name: "mysql.uptime",
+      unit: "s",
+      kind: "counter",
+    },
+    mysql_global_status_uptime: { name: "mysql.uptime", unit: "s" },
+    mysql_fake_connections_total: { name: "mysql.connection.count", unit: "1" },
+    mysql_global_status_connections: {
+      name: "mysql.connection.count",
+      unit: "1",
+    },
+    mysql_fake_threads_connected: {
+      name: "mysql.threads",
+      unit: "{threads}",
+      kind: "updown",
+      attributes: { kind: "connected" },
+    },
+    mysql_fake_threads_running: {
+      name: "mysql.threads",
+      unit: "{threads}",
+      kind: "updown",
+      attributes: { kind: "running" },
+    },
+    mysql_global_status_threads_connected: {
+      name: "mysql.threads",
+      unit: "{threads}",
+      kind: "updown",
+      attributes: { kind: "connected" },
+    },
+    mysql_global_status_threads_running: {
+      name: "mysql.threads",
+      unit: "{threads}",
+      kind: "updown",
+      attributes: { kind: "running" },
+    },
+    mysql_fake_slow_queries_total: {
+      name: "mysql.query.slow.count",
+      unit: "1",
+    },
+    mysql_global_status_slow_queries: {
+      name: "mysql.query.slow.count",
+      unit: "1",
+    },
+    mysql_global_status_queries: { name: "mysql.query.count", unit: "1" },
+    mysql_global_status_commands_total: {
+      name: "mysql.commands",
+      unit: "1",
+      labels: { command: "command" },
+    },
+    mysql_fake_opened_tables_total: {
+      name: "mysql.opened_resources",
+      unit: "1",
+      attributes: { kind: "table" },
+    },
+    mysql_global_status_opened_tables: {
+      name: "mysql.opened_resources",
+      unit: "1",
+      attributes: { kind: "table" },
+    },
+    mysql_fake_table_locks_waited: {
+      name: "mysql.locks",
+      unit: "1",
+      kind: "counter",
+      attributes: { kind: "waited" },
+    },
+    mysql_global_status_table_locks_waited: {
+      name: "mysql.locks",
+      unit: "1",
+      attributes: { kind: "waited" },
+    },
+    mysql_fake_innodb_buffer_pool_size_bytes: {
+      name: "mysql.buffer_pool.limit",
+      unit: "By",
+      kind: "updown",
+    },
+    mysql_global_variables_innodb_buffer_pool_size: {
+      name: "mysql.buffer_pool.limit",
+      unit: "By",
+      kind: "updown",
+    },
+    mysql_global_status_buffer_pool_pages: {
+      name: "mysql.buffer_pool.pages",
+      unit: "1",
+      kind: "updown",
+      labels: { state: "kind" },
+    },
+    mysql_global_status_bytes_received: {
+      name: "mysql.client.network.io",
+      unit: "By",
+      attributes: { kind: "received" },
+    },
+    mysql_global_status_bytes_sent: {
+      name: "mysql.client.network.io",
+      unit: "By",
+      attributes: { kind: "sent" },
+    },
+    mysql_slave_status_seconds_behind_master: {
+      name: "mysql.replica.time_behind_source",
+      unit: "s",
+      kind: "gauge",
+      labels: { channel_name: "channel_name", master_host: "source_host" },
+    },
+  },
+};
+
+/* -----------------------
+   prom-client -> OTLP
+   ----------------------- */
+
+const nanos = (ms) => (BigInt(Math.round(ms)) * 1000000n).toString();
+
+function anyValue(value) {
+  return (
+    typeof value === "boolean" ? { boolValue: value }
+    : typeof value === "number" && Number.isInteger(value) ?
+      { intValue: String(value) }
+    : typeof value === "number" ? { doubleValue: value }
+    : { stringValue: String(value) }
+  );
+}
+
+const keyValues = (attrs) =>
+  Object.entries(attrs).map(([key, value]) => ({
+    key,
+    value: anyValue(value),
+  }));
+
+/* Prometheus labels -> point attributes, renamed when the mapping says so */
+function pointAttributes(labels, map) {
+  const out = { ...map?.attributes };
+  for (const [label, value] of Object.entries(labels || {})) {
+    if (label === "le" || label === "quantile") continue;
+    if (!map?.labels) out[label] = value;
+    else if (map.labels[label]) out[map.labels[label]] = value;
+  }
+  return out;
+}
+
+/* histogram / summary samples grouped by label set (without le / quantile) */
+function groupSamples(family, map) {
+  const groups = new Map();
+  for (const sample of family.values) {
+    const attrs = pointAttributes(sample.labels, map);
+    const key = JSON.stringify(attrs);
+    if (!groups.has(key)) groups.set(key, { attrs, samples: [] });
+    groups.get(key).samples.push(sample);
+  }
+  return [...groups.values()];
+}
+
+function histogramPoints(family, map, times) {
+  return groupSamples(family, map).map(({ attrs, samples }) => {
+    const suffix = (s) => (s.metricName || "").slice(family.name.length);
+    const buckets = samples
+      .filter((s) => suffix(s) === "_bucket")
+      .map((s) => ({ le: Number(s.labels.le), count: s.value }))
+      .sort((a, b) => a.le - b.le);
+    const bounds = buckets.filter((b) => Number.isFinite(b.le));
+    const total = samples.find((s) => suffix(s) === "_count")?.value ?? 0;
+    // cumulative Prometheus buckets -> one count per bucket, +Inf last
+    const counts = bounds.map((b, i) => b.count - (bounds[i - 1]?.count ?? 0));
+    counts.push(total - (bounds.at(-1)?.count ?? 0));
+    return {
+      attributes: keyValues(attrs),
+      ...times,
+      count: String(total),
+      sum: samples.find((s) => suffix(s) === "_sum")?.value ?? 0,
+      bucketCounts: counts.map(String),
+      explicitBounds: bounds.map((b) => b.le),
+    };
+  });
+}
+
+function summaryPoints(family, map, times) {
+  return groupSamples(family, map).map(({ attrs, samples }) => {
+    const suffix = (s) => (s.metricName || "").slice(family.name.length);
+    return {
+      attributes: keyValues(attrs),
+      ...times,
+      count: String(samples.find((s) => suffix(s) === "_count")?.value ?? 0),
+      sum: samples.find((s) => suffix(s) === "_sum")?.value ?? 0,
+      quantileValues: samples
+        .filter((s) => s.labels.quantile !== undefined)
+        .map((s) => ({ quantile: Number(s.labels.quantile), value: s.value })),
+    };
+  });
+}
+
+/*
+ * families: registry.getMetricsAsJSON(); start / now in ms. Families
+ * mapped to the same semantic-convention name become one metric.
+ */
+export function toOtlpRequest(
+  families,
+  { semconv = {}, resource = {}, start, now }
+) {
+  const metrics = new Map();
+  for (const family of families) {
+    const map = semconv[family.name];
+    const name = map?.name ?? family.name;
+    const times = { startTimeUnixNano: nanos(start), timeUnixNano: nanos(now) };
+    let metric;
+    if (family.type === "histogram") {
+      metric = {
+        histogram: {
+          dataPoints: histogramPoints(family, map, times),
+          aggregationTemporality: CUMULATIVE,
+        },
+      };
+    } else if (family.type === "summary") {
+      metric = { summary: { dataPoints: summaryPoints(family, map, times) } };
+    } else {
+      const kind =
+        map?.kind ?? (family.type === "counter" ? "counter" : "gauge");
+      const dataPoints = family.values
+        .filter((s) => Number.isFinite(s.value))
+        .map((s) => ({
+          attributes: keyValues(pointAttributes(s.labels, map)),
+          ...(kind === "gauge" ? { timeUnixNano: times.timeUnixNano } : times),
+          asDouble: s.value * (map?.scale ?? 1),
+        }));
+      metric =
+        kind === "gauge" ?
+          { gauge: { dataPoints } }
+        : {
+            sum: {
+              dataPoints,
+              aggregationTemporality: CUMULATIVE,
+              isMonotonic: kind === "counter",
+            },
+          };
+    }
+    const [data] = Object.keys(metric);
+    const existing = metrics.get(name);
+    if (existing?.[data]) {
+      // METRICS_MODE=both maps fake and exporter families to the same
+      // series: the first one wins
+      const taken = new Set(
+        existing[data].dataPoints.map((p) => JSON.stringify(p.attributes))
+      );
+      existing[data].dataPoints.push(
+        ...metric[data].dataPoints.filter(
+          (p) => !taken.has(JSON.stringify(p.attributes))
+        )
+      );
+      continue;
+    }
+    metrics.set(existing ? family.name : name, {
+      name: existing ? family.name : name, // same name, other type: keep apart
+      description: family.help || "",
+      unit: map?.unit ?? "",
+      ...metric,
+    });
+  }
+  return {
+    resourceMetrics: [
+      {
+        resource: { attributes: keyValues(resource) },
+        scopeMetrics: [{ scope: SCOPE, metrics: [...metrics.values()] }],
+      },
+    ],
+  };
+}
+
+/* -----------------------
+   Protobuf (opentelemetry/proto/metrics/v1)
+   ----------------------- */
+
+/*
+ * message -> field -> [number, type]; "Type[]" is repeated (scalars packed).
+ * The objects are the proto3 JSON shape (camelCase, 64-bit ints as decimal
+ * strings), so one request encodes to either protocol.
+ */
+const MESSAGES = {
+  ExportMetricsServiceRequest: { resourceMetrics: [1, "ResourceMetrics[]"] },
+  ExportMetricsServiceResponse: {
+    partialSuccess: [1, "ExportMetricsPartialSuccess"],
+  },
+  ExportMetricsPartialSuccess: {
+    rejectedDataPoints: [1, "int64"],
+    errorMessage: [2, "string"],
+  },
+  ResourceMetrics: {
+    resource: [1, "Resource"],
+    scopeMetrics: [2, "ScopeMetrics[]"],
+    schemaUrl: [3, "string"],
+  },
+  Resource: {
+    attributes: [1, "KeyValue[]"],
+    droppedAttributesCount: [2, "uint32"],
+  },
+  ScopeMetrics: {
+    scope: [1, "InstrumentationScope"],
+    metrics: [2, "Metric[]"],
+    schemaUrl: [3, "string"],
+  },
+  InstrumentationScope: {
+    name: [1, "string"],
+    version: [2, "string"],
+    attributes: [3, "KeyValue[]"],
+  },
+  Metric: {
+    name: [1, "string"],
+    description: [2, "string"],
+    unit: [3, "string"],
+    gauge: [5, "Gauge"],
+    sum: [7, "Sum"],
+    histogram: [9, "Histogram"],
+    summary: [11, "Summary"],
+  },
+  Gauge: { dataPoints: [1, "NumberDataPoint[]"] },
+  Sum: {
+    dataPoints: [1, "NumberDataPoint[]"],
+    aggregationTemporality: [2, "enum"],
+    isMonotonic: [3, "bool"],
+  },
+  Histogram: {
+    dataPoints: [1, "HistogramDataPoint[]"],
+    aggregationTemporality: [2, "enum"],
+  },
+  Summary: { dataPoints: [1, "SummaryDataPoint[]"] },
+  NumberDataPoint: {
+    attributes: [7, "KeyValue[]"],
+    startTimeUnixNano: [2, "fixed64"],
+    timeUnixNano: [3, "fixed64"],
+    asDouble: [4, "double"],
+    asInt: [6, "sfixed64"],
+    flags: [8, "uint32"],
+  },
+  HistogramDataPoint: {
+    attributes: [9, "KeyValue[]"],
+    startTimeUnixNano: [2, "fixed64"],
+    timeUnixNano: [3, "fixed64"],
+    count: [4, "fixed64"],
+    sum: [5, "double"],
+    bucketCounts: [6, "fixed64[]"],
+    explicitBounds: [7, "double[]"],
+    flags: [10, "uint32"],
+    min: [11, "double"],
+    max: [12, "double"],
+  },
+  SummaryDataPoint: {
+    attributes: [7, "KeyValue[]"],
+    startTimeUnixNano: [2, "fixed64"],
+    timeUnixNano: [3, "fixed64"],
+    count: [4, "fixed64"],
+    sum: [5, "double"],
+    quantileValues: [6, "ValueAtQuantile[]"],
+    flags: [8, "uint32"],
+  },
+  ValueAtQuantile: { quantile: [1, "double"], value: [2, "double"] },
+  KeyValue: { key: [1, "string"], value: [2, "AnyValue"] },
+  AnyValue: {
+    stringValue: [1, "string"],
+    boolValue: [2, "bool"],
+    intValue: [3, "int64"],
+    doubleValue: [4, "double"],
+    arrayValue: [5, "ArrayValue"],
+    kvlistValue: [6, "KeyValueList"],
+    bytesValue: [7, "bytes"],
+  },
+  ArrayValue: { values: [1, "AnyValue[]"] },
+  KeyValueList: { values: [1, "KeyValue[]"] },
+};
+
+// field number -> [name, type], per message, for decoding
+const BY_NUMBER = Object.fromEntries(
+  Object.entries(MESSAGES).map(([message, fields]) => [
+    message,
+    Object.fromEntries(
+      Object.entries(fields).map(([name, [n, type]]) => [n, [name, type]])
+    ),
+  ])
+);
+
+const VARINT = 0;
+const I64 = 1;
+const LEN = 2;
+const I32 = 5;
+const WIRE = {
+  bool: VARINT,
+  enum: VARINT,
+  uint32: VARINT,
+  int64: VARINT,
+  fixed64: I64,
+  sfixed64: I64,
+  double: I64,
+};
+
+function varint(value) {
+  let v = BigInt.asUintN(64, BigInt(value));
+  const bytes = [];
+  while (v > 0x7fn) {
+    bytes.push(Number(v & 0x7fn) | 0x80);
+    v >>= 7n;
+  }
+  bytes.push(Number(v));
+  return Buffer.from(bytes);
+}
+
+function scalar(type, value) {
+  if (WIRE[type] === VARINT)
+    return varint(type === "bool" ? Number(value) : value);
+  const buf = Buffer.alloc(8);
+  if (type === "double") buf.writeDoubleLE(value);
+  else if (type === "fixed64") buf.writeBigUInt64LE(BigInt(value));
+  else buf.writeBigInt64LE(BigInt(value));
+  return buf;
+}
+
+const tag = (n, wire) => varint((n << 3) | wire);
+const lengthDelimited = (n, bytes) =>
+  Buffer.concat([tag(n, LEN), varint(bytes.length), bytes]);
+
+function encodeMessage(message, value) {
+  const parts = [];
+  for (const [name, [n, spec]] of Object.entries(MESSAGES[message])) {
+    const v = value[name];
+    if (v === undefined || v === null) continue;
+    const repeated = spec.endsWith("[]");
+    const type = repeated ? spec.slice(0, -2) : spec;
+    if (MESSAGES[type]) {
+      for (const item of repeated ? v : [v])
+        parts.push(lengthDelimited(n, encodeMessage(type, item)));
+    } else if (repeated) {
+      if (v.length)
+        parts.push(
+          lengthDelimited(n, Buffer.concat(v.map((x) => scalar(type, x))))
+        );
+    } else if (type === "string" || type === "bytes") {
+      parts.push(
+        lengthDelimited(n, Buffer.from(v, type === "bytes" ? "hex" : "utf8"))
+      );
+    } else {
+      parts.push(tag(n, WIRE[type]), scalar(type, v));
+    }
+  }
+  return Buffer.concat(parts);
+}
+
+export const encodeMetricsRequest = (request) =>
+  encodeMessage("ExportMetricsServiceRequest", request);
+export const encodeMetricsResponse = (response = {}) =>
+  encodeMessage("ExportMetricsServiceResponse", response);
+
+function readVarint(buf, pos) {
+  let result = 0n;
+  let shift = 0n;
+  for (;;) {
+    if (pos.at >= buf.length) throw new Error("truncated varint");
+    const byte = buf[pos.at++];
+    result |= BigInt(byte & 0x7f) << shift;
+    if (!(byte & 0x80)) return result;
+    shift += 7n;
+    if (shift > 63n) throw new Error("varint too long");
+  }
+}
+
+function readScalar(type, buf, pos) {
+  if (WIRE[type] === VARINT) {
+    const v = readVarint(buf, pos);
+    return (
+      type === "bool" ? v !== 0n
+      : type === "int64" ? BigInt.asIntN(64, v).toString()
+      : Number(v)
+    );
+  }
+  if (pos.at + 8 > buf.length) throw new Error("truncated 64-bit field");
+  const at = pos.at;
+  pos.at += 8;
+  return (
+    type === "double" ? buf.readDoubleLE(at)
+    : type === "fixed64" ? buf.readBigUInt64LE(at).toString()
+    : buf.readBigInt64LE(at).toString()
+  );
+}
+
+function decodeMessage(message, buf) {
+  const out = {};
+  const pos = { at: 0 };
+  while (pos.at < buf.length) {
+    const key = Number(readVarint(buf, pos));
+    const n = key >>> 3;
+    const wire = key & 7;
+    let bytes = null;
+    if (wire === LEN) {
+      const length = Number(readVarint(buf, pos));
+      if (pos.at + length > buf.length) throw new Error("truncated field");
+      bytes = buf.subarray(pos.at, pos.at + length);
+      pos.at += length;
+    }
+    const field = BY_NUMBER[message][n];
+    if (!field) {
+      // unknown field: skip it
+      if (wire === VARINT) readVarint(buf, pos);
+      else if (wire === I64) pos.at += 8;
+      else if (wire === I32) pos.at += 4;
+      else if (wire !== LEN) throw new Error(`unsupported wire type ${wire}`);
+      continue;
+    }
+    const [name, spec] = field;
+    const repeated = spec.endsWith("[]");
+    const type = repeated ? spec.slice(0, -2) : spec;
+    let values;
+    if (MESSAGES[type]) values = [decodeMessage(type, bytes)];
+    else if (type === "string") values = [bytes.toString("utf8")];
+    else if (type === "bytes") values = [bytes.toString("hex")];
+    else if (wire === LEN) {
+      // packed scalars
+      const inner = { at: 0 };
+      values = [];
+      while (inner.at < bytes.length)
+        values.push(readScalar(type, bytes, inner));
+    } else values = [readScalar(type, buf, pos)];
+    if (repeated) (out[name] ??= []).push(...values);
+    else out[name] = values[0];
+  }
+  return out;
+}
+
+export const decodeMetricsRequest = (buf) =>
+  decodeMessage("ExportMetricsServiceRequest", buf);
+export const decodeMetricsResponse = (buf) =>
+  decodeMessage("ExportMetricsServiceResponse", buf);
+
+/* -----------------------
+   Exporter
+   ----------------------- */
+
+/* "key=value,key2=value2", values percent-encoded */
+function parsePairs(text, variable) {
+  const out = {};
+  for (const pair of (text || "").split(",")) {
+    if (!pair.trim()) continue;
+    const eq = pair.indexOf("=");
+    if (eq < 1) fail(`${variable}: expected key=value, got "${pair.trim()}"`);
+    out[pair.slice(0, eq).trim()] = decodeURIComponent(
+      pair.slice(eq + 1).trim()
+    );
+  }
+  return out;
+}
+
+function positive(env, key, fallback) {
+  if (!env[key]) return fallback;
+  const value = Number(env[key]);
+  if (!Number.isFinite(value) || value <= 0)
+    fail(`${key} must be a positive number of ms`);
+  return value;
+}
+
+export function createOtlpExporter(
+  env = process.env,
+  { registry, clock, name, semconv, resource = {} }
+) {
+  const base = env.OTEL_EXPORTER_OTLP_ENDPOINT;
+  const ENDPOINT =
+    env.OTEL_EXPORTER_OTLP_METRICS_ENDPOINT ||
+    (base ? `${base.replace(/\/+$/, "")}/v1/metrics` : null);
+  if (!ENDPOINT) return { enabled: false, start() {}, stop() {} };
+  try {
+    new URL(ENDPOINT);
+  } catch {
+    fail(`"${ENDPOINT}" is not a URL`);
+  }
+  const PROTOCOL =
+    env.OTEL_EXPORTER_OTLP_METRICS_PROTOCOL ||
+    env.OTEL_EXPORTER_OTLP_PROTOCOL ||
+    "http/protobuf";
+  if (!PROTOCOLS[PROTOCOL])
+    fail(
+      `protocol must be one of ${Object.keys(PROTOCOLS).join(", ")} (no grpc)`
+    );
+  const HEADERS = {
+    ...parsePairs(env.OTEL_EXPORTER_OTLP_HEADERS, "OTEL_EXPORTER_OTLP_HEADERS"),
+    ...parsePairs(
+      env.OTEL_EXPORTER_OTLP_METRICS_HEADERS,
+      "OTEL_EXPORTER_OTLP_METRICS_HEADERS"
+    ),
+  };
+  const TIMEOUT = positive(env, "OTEL_EXPORTER_OTLP_TIMEOUT", 10000);
+  const INTERVAL = positive(env, "OTEL_METRIC_EXPORT_INTERVAL", 60000);
+  const RESOURCE = {
+    "service.name": name,
+    "service.instance.id": `${hostname()}/${name}`,
+    "telemetry.sdk.name": SCOPE.name,
+    "telemetry.sdk.language": "nodejs",
+    ...resource,
+    ...parsePairs(env.OTEL_RESOURCE_ATTRIBUTES, "OTEL_RESOURCE_ATTRIBUTES"),
+    ...(env.OTEL_SERVICE_NAME && { "service.name": env.OTEL_SERVICE_NAME }),
+  };
+
+  let timer = null;
+  let inFlight = null;
+  const stats = { pushes: 0, failures: 0, last: null };
+
+  async function send() {
+    const json = PROTOCOL === "http/json";
+    const started = Date.now();
+    const last = { at: new Date(started).toISOString() };
+    try {
+      const request = toOtlpRequest(await registry.getMetricsAsJSON(), {
+        semconv,
+        resource: RESOURCE,
+        start: clock.startTime,
+        now: clock.now(),
+      });
+      const metrics = request.resourceMetrics[0].scopeMetrics[0].metrics;
+      last.metrics = metrics.length;
+      last.points = metrics.reduce(
+        (n, m) =>
+          n + (m.gauge || m.sum || m.histogram || m.summary).dataPoints.length,
+        0
+      );
+      const res = await fetch(ENDPOINT, {
+        method: "POST",
+        headers: { "Content-Type": PROTOCOLS[PROTOCOL], ...HEADERS },
+        body: json ? JSON.stringify(request) : encodeMetricsRequest(request),
+        signal: AbortSignal.timeout(TIMEOUT),
+      });
+      const body = Buffer.from(await res.arrayBuffer());
+      last.status = res.status;
+      if (!res.ok)
+        throw new Error(
+          `HTTP ${res.status} ${body.toString("utf8").slice(0, 200)}`
+        );
+      // partial success: the collector took the request but not every point
+      const answer =
+        !body.length ? {}
+        : json ? JSON.parse(body.toString("utf8"))
+        : decodeMetricsResponse(body);
+      const rejected = Number(answer.partialSuccess?.rejectedDataPoints || 0);
+      if (rejected) last.rejected = rejected;
+      if (answer.partialSuccess?.errorMessage)
+        last.warning = answer.partialSuccess.errorMessage;
+    } catch (err) {
+      last.error =
+        err.name === "TimeoutError" ? `timed out after ${TIMEOUT}ms`
+        : err.cause?.message ? `${err.message} (${err.cause.message})`
+        : err.message;
+      stats.failures++;
+      console.error(`[${name}] OTLP push to ${ENDPOINT} failed: ${last.error}`);
+    }
+    last.duration_ms = Date.now() - started;
+    stats.pushes++;
+    stats.last = last;
+    return last;
+  }
+
+  return {
+    enabled: true,
+    /* one push at a time; a call during a push waits for that one */
+    push() {
+      inFlight ??= send().finally(() => {
+        inFlight = null;
+      });
+      return inFlight;
+    },
+    start() {
+      if (!timer) timer = setInterval(() => this.push(), INTERVAL);
+    },
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+    status() {
+      return {
+        endpoint: ENDPOINT,
+        protocol: PROTOCOL,
+        interval_ms: INTERVAL,
+        timeout_ms: TIMEOUT,
+        headers: Object.keys(HEADERS),
+        resource: RESOURCE,
+        pushes: stats.pushes,
+        failures: stats.failures,
+        last_push: stats.last,
+      };
+    },
+  };
+}
+
+/*
+ * /admin/otlp:
+ *   GET  /      -> endpoint, protocol, resource and the last push
+ *   POST /push  -> push now instead of waiting for the interval
+ */
+export function serveOtlp(exporter) {
+  const router = express.Router();
+  router.use((req, res, next) => {
+    if (!exporter.enabled)
+      return res.status(404).json({
+        ok: false,
+        error:
+          "OTLP push is off; set OTEL_EXPORTER_OTLP_ENDPOINT (e.g. http://localhost:4318)",
+      });
+    next();
+  });
+  router.get("/", (req, res) => res.json(exporter.status()));
+  router.post("/push", async (req, res) => {
+    const last = await exporter.push();
+    res.status(last.error ? 502 : 200).json({ ok: !last.error, ...last });
+  });
+  return router;
+}
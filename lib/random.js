@@ -0,0 +1,78 @@
+/**
+ * random.js
+ *
+ * Seedable random source shared by the simulators.
+ *
+ * Without a seed, random() is plain Math.random(). With a seed (number or
+ * string) it switches to mulberry32, so the same seed always replays the
+ * same sequence and therefore the same simulation. snapshot() / restore()
+ * save and pick up a seeded sequence mid-way (admin snapshots).
+ */
+
+/* FNV-1a over the string form of the seed, so 42 and "42" match */
+function hashSeed(seed) {
+  const str = String(seed);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/* mulberry32: tiny 32-bit PRNG, plenty for traffic noise */
+function mulberry32(a) {
+  const next = function () {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  next.position = () => a; // mulberry32(position) continues the sequence
+  return next;
+}
+
+export function createRandom(seed = null) {
+  let source = Math.random;
+  let current = null;
+
+  const rng = {
+    get seed() {
+      return current;
+    },
+    get seeded() {
+      return current !== null;
+    },
+    /* null / undefined / "" goes back to Math.random() */
+    reseed(s) {
+      current = s === undefined || s === null || s === "" ? null : String(s);
+      source = current === null ? Math.random : mulberry32(hashSeed(current));
+    },
+    random() {
+      return source();
+    },
+    snapshot() {
+      return {
+        seed: current,
+        position: current === null ? null : source.position(),
+      };
+    },
+    restore(saved) {
+      rng.reseed(saved.seed);
+      if (saved.position !== null) source = mulberry32(saved.position);
+    },
+    gaussian(mean = 0, std = 1) {
+      // Box-Muller
+      let u = 0,
+        v = 0;
+      while (u === 0) u = source();
+      while (v === 0) v = source();
+      return (
+        mean + std * Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v)
+      );
+    },
+  };
+
+  rng.reseed(seed);
+  return rng;
+}
@@ -0,0 +1,306 @@
+/**
+ * scenario.js
+ *
+ * Timeline playback for the simulators: load a scenario (JSON, or YAML when
+ * js-yaml is installed) and replay it tick by tick against the live state.
+ *
+ * Scenario format:
+ *   {
+ *     "name": "checkout-incident",
+ *     "random_events": false,          // mute the built-in random spikes/drops
+ *     "steps": [
+ *       { "at": 60,  "ramp": { "req_per_sec": 400 }, "over": 30 },
+ *       { "at": 120, "add": { "errors_total": 5 }, "for": 20, "label": "error burst" },
+ *       { "at": 120, "set": { "last_error_rate": 0.2 } },
+ *       { "at": 300, "recover": true, "over": 60 }
+ *     ]
+ *   }
+ *
+ * Step fields (times in simulated seconds since the scenario started):
+ *   at      -> when the step begins (required)
+ *   set     -> assign values once, or on every tick while "for" lasts
+ *   add     -> increment values once, or on every tick while "for" lasts
+ *   ramp    -> move values linearly to the targets over "over" seconds
+ *   recover -> ramp every set/ramp field back to its value at scenario start
+ */
+
+import { loadJsonOrYaml } from "./config-file.js";
+
+const STEP_KEYS = [
+  "at",
+  "label",
+  "set",
+  "add",
+  "ramp",
+  "recover",
+  "over",
+  "for",
+];
+
+function fail(msg) {
+  throw new Error(`invalid scenario: ${msg}`);
+}
+
+/* check shape and normalise; field names are checked later against state */
+export function parseScenario(raw) {
+  if (!raw || typeof raw !== "object" || !Array.isArray(raw.steps))
+    fail("expected an object with a steps array");
+  const steps = raw.steps.map((step, i) => {
+    if (!step || typeof step !== "object") fail(`step ${i} is not an object`);
+    for (const key of Object.keys(step))
+      if (!STEP_KEYS.includes(key)) fail(`step ${i}: unknown key "${key}"`);
+    if (typeof step.at !== "number" || !(step.at >= 0))
+      fail(`step ${i}: "at" must be a number >= 0`);
+    for (const key of ["over", "for"])
+      if (
+        step[key] !== undefined &&
+        (typeof step[key] !== "number" || !(step[key] >= 0))
+      )
+        fail(`step ${i}: "${key}" must be a number >= 0`);
+    for (const key of ["set", "add", "ramp"]) {
+      if (step[key] === undefined) continue;
+      if (!step[key] || typeof step[key] !== "object")
+        fail(`step ${i}: "${key}" must be an object`);
+      for (const [field, value] of Object.entries(step[key]))
+        if (typeof value !== "number" || !Number.isFinite(value))
+          fail(`step ${i}: ${key}.${field} must be a finite number`);
+    }
+    if (!step.set && !step.add && !step.ramp && !step.recover)
+      fail(`step ${i}: needs one of set, add, ramp or recover`);
+    return {
+      at: step.at,
+      label: step.label || null,
+      set: step.set || {},
+      add: step.add || {},
+      ramp: step.ramp || {},
+      recover: step.recover === true,
+      over: step.over || 0,
+      for: step.for || 0,
+    };
+  });
+  steps.sort((a, b) => a.at - b.at);
+  return {
+    name: raw.name || "scenario",
+    random_events: raw.random_events !== false,
+    steps,
+  };
+}
+
+export async function loadScenarioFile(file) {
+  return parseScenario(await loadJsonOrYaml(file));
+}
+
+const stepSpan = (step) => Math.max(step.over, step.for);
+
+/* keep integer fields integer, everything else to 2 decimals */
+function blend(from, to, frac) {
+  const v = from + (to - from) * frac;
+  return Number.isInteger(from) && Number.isInteger(to) ?
+      Math.round(v)
+    : Math.round(v * 100) / 100;
+}
+
+/*
+ * Player bound to one simulator state object. Call apply() at the start of
+ * every tick; it is a no-op unless a scenario is playing. onEvent(event) is
+ * told of every change, with the scenario name and elapsed_seconds:
+ *   { type: "status", status }              loaded (idle), playing, paused,
+ *                                           stopped or finished
+ *   { type: "step", index, label, state }   a step turned active or done
+ */
+export function createScenarioPlayer(
+  state,
+  { tickMs = 1000, onEvent = () => {} } = {}
+) {
+  let scenario = null;
+  let status = "idle";
+  let ticks = 0;
+  let baseline = {};
+  let runs = [];
+
+  const elapsed = () => (ticks * tickMs) / 1000;
+  const emit = (event) =>
+    onEvent({ name: scenario.name, elapsed_seconds: elapsed(), ...event });
+  const setStatus = (next) => {
+    status = next;
+    emit({ type: "status", status });
+  };
+  const stepEvent = (run) =>
+    emit({
+      type: "step",
+      index: runs.indexOf(run),
+      label: run.step.label,
+      state: run.done ? "done" : "active",
+    });
+  const duration = () =>
+    scenario ?
+      Math.max(0, ...scenario.steps.map((s) => s.at + stepSpan(s)))
+    : 0;
+
+  function checkFields(parsed) {
+    for (const [i, step] of parsed.steps.entries())
+      for (const key of ["set", "add", "ramp"])
+        for (const field of Object.keys(step[key])) {
+          const current = state[field];
+          if (current !== null && typeof current !== "number")
+            fail(`step ${i}: unknown numeric field "${field}"`);
+        }
+  }
+
+  function numeric(field) {
+    return state[field] === null ? 0 : state[field];
+  }
+
+  function startStep(run) {
+    const { step } = run;
+    const targets = step.recover ? baseline : step.ramp;
+    run.from = {};
+    run.to = { ...targets };
+    for (const field of Object.keys(targets)) run.from[field] = numeric(field);
+    Object.assign(state, step.set);
+    for (const [field, delta] of Object.entries(step.add))
+      state[field] = numeric(field) + delta;
+    run.started = true;
+    stepEvent(run);
+  }
+
+  function advanceStep(run, t) {
+    const { step } = run;
+    if (!run.started) startStep(run);
+    else if (t < step.at + step.for) {
+      Object.assign(state, step.set);
+      for (const [field, delta] of Object.entries(step.add))
+        state[field] = numeric(field) + delta;
+    }
+    const frac = step.over > 0 ? Math.min(1, (t - step.at) / step.over) : 1;
+    for (const field of Object.keys(run.to))
+      state[field] = blend(run.from[field], run.to[field], frac);
+    if (t >= step.at + stepSpan(step)) {
+      run.done = true;
+      stepEvent(run);
+    }
+  }
+
+  const player = {
+    /* false while a scenario that mutes random events is playing */
+    get randomEvents() {
+      return !(status === "playing" && scenario && !scenario.random_events);
+    },
+    load(raw) {
+      const parsed = parseScenario(raw);
+      checkFields(parsed);
+      scenario = parsed;
+      ticks = 0;
+      runs = [];
+      setStatus("idle");
+    },
+    start() {
+      if (!scenario) throw new Error("no scenario loaded");
+      // baseline = pre-scenario values of every field the timeline moves
+      baseline = {};
+      for (const step of scenario.steps)
+        for (const field of [
+          ...Object.keys(step.set),
+          ...Object.keys(step.ramp),
+        ])
+          if (!(field in baseline)) baseline[field] = numeric(field);
+      runs = scenario.steps.map((step) => ({
+        step,
+        started: false,
+        done: false,
+      }));
+      ticks = 0;
+      setStatus("playing");
+    },
+    pause() {
+      if (status !== "playing") throw new Error(`cannot pause: ${status}`);
+      setStatus("paused");
+    },
+    resume() {
+      if (status !== "paused") throw new Error(`cannot resume: ${status}`);
+      setStatus("playing");
+    },
+    /* stop where we are; recover=true snaps set/ramp fields back at once */
+    stop({ recover = false } = {}) {
+      if (status === "idle" && !scenario) return;
+      if (recover) Object.assign(state, baseline);
+      if (status !== "stopped") setStatus("stopped");
+    },
+    apply() {
+      if (status !== "playing") return;
+      const t = elapsed();
+      for (const run of runs)
+        if (!run.done && t >= run.step.at) advanceStep(run, t);
+      ticks++;
+      if (runs.every((run) => run.done)) setStatus("finished");
+    },
+    status() {
+      const total = duration();
+      const t = elapsed();
+      return {
+        name: scenario ? scenario.name : null,
+        status,
+        elapsed_seconds: t,
+        duration_seconds: total,
+        progress:
+          !scenario ? 0
+          : status === "finished" ? 1
+          : total > 0 ? Math.min(1, Math.round((t / total) * 1000) / 1000)
+          : 0,
+        random_events: scenario ? scenario.random_events : true,
+        steps:
+          scenario ?
+            scenario.steps.map((step, index) => {
+              const run = runs[index];
+              return {
+                index,
+                label: step.label,
+                at: step.at,
+                state:
+                  !run || !run.started ? "pending"
+                  : run.done ? "done"
+                  : "active",
+              };
+            })
+          : [],
+      };
+    },
+  };
+  return player;
+}
+
+/*
+ * Body of POST /admin/scenario:
+ *   { "action": "start", "scenario": { ...optional inline scenario } }
+ *   { "action": "load" | "pause" | "resume" }
+ *   { "action": "stop", "recover": true }
+ * Without an inline scenario, "start" replays the one loaded at startup.
+ */
+export function runScenarioCommand(player, body, fallback = null) {
+  const action = body.action;
+  switch (action) {
+    case "load":
+      if (!body.scenario) throw new Error("load needs a scenario object");
+      player.load(body.scenario);
+      break;
+    case "start":
+      if (body.scenario) player.load(body.scenario);
+      else if (fallback && player.status().name === null) player.load(fallback);
+      player.start();
+      break;
+    case "pause":
+      player.pause();
+      break;
+    case "resume":
+      player.resume();
+      break;
+    case "stop":
+      player.stop({ recover: body.recover === true });
+      break;
+    default:
+      throw new Error(
+        'action must be one of "load", "start", "pause", "resume", "stop"'
+      );
+  }
+  return player.status();
+}
@@ -0,0 +1,117 @@
+/**
+ * seasonality.js
+ *
+ * Daily and weekly shape of the simulated traffic. Off, req_per_sec /
+ * queries_per_second are a random walk around their last value; on, every
+ * tick draws them around an expected value instead:
+ *
+ *   expected(t) = level x daily curve x weekday factor x trend
+ *
+ * with Gaussian noise on top, so they stay periodic however long the run.
+ * The random spikes and drops still hit the tick they happen on. A value
+ * written from outside (POST /admin/set, a scenario step, a restore) moves
+ * the level, and the curve goes on from there. A linked MySQL keeps the
+ * curve on its own traffic (own_qps) and adds the front ends' queries on
+ * top, so the link never moves the level. INIT_REQ_PER_SEC / INIT_QPS
+ * become the level (weekday daily mean) and the run starts on the curve.
+ *
+ *   createSeasonality(env, { clock }) -> {
+ *     enabled,
+ *     factor(t)                   // curve x weekday x trend at t (ms)
+ *     expected(level, t)          // level x factor(t)
+ *     initial(level, t)           // { level, last }, kept in the sim state;
+ *                                 //   the sim sets last to the value it keeps
+ *     next(season, value, t, rng) -> this tick's value, before spikes
+ *     status(season, t)
+ *   }
+ *
+ * Env:
+ *   SEASONALITY        -> "on" (implied by any SEASON_* variable)
+ *   SEASON_PEAK_HOUR   -> local hour of the daily peak (default 14)
+ *   SEASON_AMPLITUDE   -> daily swing around the level, 0..0.95 (default
+ *                         0.5: peak 1.5x, trough 0.5x, 12 hours apart)
+ *   SEASON_WEEKEND     -> Saturday and Sunday traffic vs weekdays (default 0.6)
+ *   SEASON_TREND       -> growth per simulated day, e.g. 0.02 = +2%/day
+ *                         (linear from the clock start, default 0)
+ *   SEASON_NOISE       -> noise std as a share of the expected value
+ *                         (default 0.05)
+ *   SEASON_UTC_OFFSET  -> hours from UTC of the site's local time (default 0)
+ *
+ * Combined with CLOCK=virtual, seven POST /admin/tick {"count":86400} (a
+ * day, the most one call takes) play a week of it in well under a minute.
+ */
+
+const HOUR = 3600 * 1000;
+const DAY = 24 * HOUR;
+const MIN_FACTOR = 0.01; // keeps the level finite at a zero-traffic trough
+
+function fail(msg) {
+  throw new Error(`invalid seasonality config: ${msg}`);
+}
+
+function number(env, key, fallback, [min, max]) {
+  if (env[key] === undefined || env[key] === "") return fallback;
+  const value = Number(env[key]);
+  if (!Number.isFinite(value) || value < min || value > max)
+    fail(`${key} must be a number between ${min} and ${max}`);
+  return value;
+}
+
+export function createSeasonality(env = process.env, { clock }) {
+  const enabled =
+    /^(on|1|true)$/i.test(env.SEASONALITY || "") ||
+    Object.keys(env).some((key) => key.startsWith("SEASON_"));
+  if (!enabled) return { enabled: false };
+
+  const PEAK_HOUR = number(env, "SEASON_PEAK_HOUR", 14, [0, 24]);
+  const AMPLITUDE = number(env, "SEASON_AMPLITUDE", 0.5, [0, 0.95]);
+  const WEEKEND = number(env, "SEASON_WEEKEND", 0.6, [0, 10]);
+  const TREND = number(env, "SEASON_TREND", 0, [-1, 10]);
+  const NOISE = number(env, "SEASON_NOISE", 0.05, [0, 1]);
+  const UTC_OFFSET = number(env, "SEASON_UTC_OFFSET", 0, [-12, 14]);
+
+  const local = (t) => new Date(t + UTC_OFFSET * HOUR); // read with getUTC*
+  const isWeekend = (t) => [0, 6].includes(local(t).getUTCDay());
+
+  function factor(t) {
+    const hour = ((((t + UTC_OFFSET * HOUR) % DAY) + DAY) % DAY) / HOUR;
+    const daily =
+      1 + AMPLITUDE * Math.cos((2 * Math.PI * (hour - PEAK_HOUR)) / 24);
+    const weekly = isWeekend(t) ? WEEKEND : 1;
+    const trend = 1 + (TREND * (t - clock.startTime)) / DAY;
+    return Math.max(MIN_FACTOR, daily * weekly * trend);
+  }
+
+  const expected = (level, t) => Math.round(level * factor(t) * 100) / 100;
+
+  return {
+    enabled: true,
+    factor,
+    expected,
+    initial(level, t) {
+      return { level, last: expected(level, t) };
+    },
+    /* last is what the previous tick left; anything else was set from outside */
+    next(season, value, t, rng) {
+      const f = factor(t);
+      if (value !== season.last) season.level = value / f;
+      const expected = season.level * f;
+      return Math.max(0, expected + rng.gaussian(0, expected * NOISE));
+    },
+    status(season, t) {
+      return {
+        peak_hour: PEAK_HOUR,
+        amplitude: AMPLITUDE,
+        weekend: WEEKEND,
+        trend: TREND,
+        noise: NOISE,
+        utc_offset: UTC_OFFSET,
+        local_time: local(t).toISOString().replace("Z", ""),
+        weekend_day: isWeekend(t),
+        level: Math.round(season.level * 100) / 100,
+        factor: Math.round(factor(t) * 1000) / 1000,
+        expected: expected(season.level, t),
+      };
+    },
+  };
+}
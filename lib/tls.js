@@ -0,0 +1,253 @@
+/**
+ * tls.js
+ *
+ * HTTPS for the simulators, with the certificate problems a monitoring
+ * client has to notice: expired, not yet valid, self-signed or issued for
+ * another host, switchable while the server runs. Optional client
+ * certificates (mTLS) are checked against TLS_CA and the simulator's own CA.
+ *
+ *   await createTls(env) -> {
+ *     enabled, scheme,              // "https" | "http"
+ *     listen(app, port, host, cb)   -> https.Server (or app.listen when off)
+ *     middleware                    // 403 for a bad optional client cert
+ *     setCertMode(mode), issueClientCert({ cn, mode }), caPem, status()
+ *   }
+ *   serveTls(tls) -> router for /admin/tls
+ *
+ * Env:
+ *   TLS             -> "on" to serve HTTPS (implied by TLS_CERT / TLS_CERT_MODE)
+ *   TLS_CERT, TLS_KEY -> PEM files of the server certificate; unset = one
+ *                      issued at startup by a throwaway CA
+ *   TLS_CA          -> PEM CA bundle trusted for client certificates
+ *   TLS_CA_KEY      -> key of TLS_CA: the test certificates are then issued
+ *                      by that CA instead of the throwaway one
+ *   TLS_CLIENT_AUTH -> "none" (default), "optional" (a presented certificate
+ *                      must be valid) or "require" (no valid one, no handshake)
+ *   TLS_CERT_MODE   -> "valid" (default), "expired", "not-yet-valid",
+ *                      "self-signed" or "wrong-host"
+ *   TLS_HOSTNAMES   -> subjectAltName of the issued certificates (default
+ *                      localhost, 127.0.0.1, ::1 and the machine's hostname)
+ */
+
+import express from "express";
+import https from "node:https";
+import crypto from "node:crypto";
+import { hostname } from "node:os";
+import { readFile } from "node:fs/promises";
+import { createKeyPair, issueCertificate, toPem } from "./x509.js";
+
+export const CERT_MODES = [
+  "valid",
+  "expired",
+  "not-yet-valid",
+  "self-signed",
+  "wrong-host",
+];
+const CLIENT_AUTH = ["none", "optional", "require"];
+const DAY = 24 * 3600 * 1000;
+const WRONG_HOST = "wrong-host.invalid";
+
+function fail(msg) {
+  throw new Error(`invalid TLS config: ${msg}`);
+}
+
+export async function createTls(env = process.env) {
+  const enabled =
+    /^(on|1|true)$/i.test(env.TLS || "") ||
+    Boolean(env.TLS_CERT || env.TLS_CERT_MODE);
+  const CLIENT_AUTH_MODE = (env.TLS_CLIENT_AUTH || "none").toLowerCase();
+  if (!CLIENT_AUTH.includes(CLIENT_AUTH_MODE))
+    fail(`TLS_CLIENT_AUTH must be one of ${CLIENT_AUTH.join(", ")}`);
+  if (Boolean(env.TLS_CERT) !== Boolean(env.TLS_KEY))
+    fail("TLS_CERT and TLS_KEY go together");
+  if (env.TLS_CA_KEY && !env.TLS_CA) fail("TLS_CA_KEY needs TLS_CA");
+  const HOSTNAMES =
+    env.TLS_HOSTNAMES ?
+      env.TLS_HOSTNAMES.split(",")
+        .map((h) => h.trim())
+        .filter(Boolean)
+    : [...new Set(["localhost", "127.0.0.1", "::1", hostname()])];
+
+  if (!enabled)
+    return {
+      enabled: false,
+      scheme: "http",
+      listen: (app, port, host, cb) => app.listen(port, host, cb),
+      middleware: (req, res, next) => next(),
+    };
+
+  const read = (file) => readFile(file, "utf8");
+  const userCert =
+    env.TLS_CERT ?
+      { cert: await read(env.TLS_CERT), key: await read(env.TLS_KEY) }
+    : null;
+  const trustedCa = env.TLS_CA ? await read(env.TLS_CA) : null;
+
+  // the CA behind every certificate minted here
+  let ca;
+  if (env.TLS_CA_KEY) {
+    ca = {
+      cert: trustedCa,
+      key: crypto.createPrivateKey(await read(env.TLS_CA_KEY)),
+    };
+  } else {
+    const keys = createKeyPair();
+    ca = {
+      cert: issueCertificate({
+        subject: "Simulator Test CA",
+        ca: true,
+        notBefore: new Date(Date.now() - DAY),
+        notAfter: new Date(Date.now() + 3650 * DAY),
+        publicKey: keys.publicKey,
+        signingKey: keys.privateKey,
+      }),
+      key: keys.privateKey,
+    };
+  }
+
+  /* one key pair and certificate per mode, minted on first use */
+  function mint(mode, { subject, hostnames, usage }) {
+    const keys = createKeyPair();
+    const now = Date.now();
+    const [notBefore, notAfter] =
+      mode === "expired" ? [now - 30 * DAY, now - DAY]
+      : mode === "not-yet-valid" ? [now + 30 * DAY, now + 395 * DAY]
+      : [now - DAY, now + 365 * DAY];
+    const cert = issueCertificate({
+      subject: mode === "wrong-host" ? WRONG_HOST : subject,
+      hostnames: mode === "wrong-host" ? [WRONG_HOST] : hostnames,
+      usage,
+      notBefore: new Date(notBefore),
+      notAfter: new Date(notAfter),
+      publicKey: keys.publicKey,
+      issuer: mode === "self-signed" ? null : ca,
+      signingKey: keys.privateKey,
+    });
+    return { cert, key: toPem(keys.privateKey) };
+  }
+
+  const serverCerts = new Map();
+  function serverCert(mode) {
+    if (mode === "valid" && userCert) return userCert;
+    if (!serverCerts.has(mode))
+      serverCerts.set(
+        mode,
+        mint(mode, {
+          subject: HOSTNAMES[0],
+          hostnames: HOSTNAMES,
+          usage: "server",
+        })
+      );
+    return serverCerts.get(mode);
+  }
+
+  let certMode = (env.TLS_CERT_MODE || "valid").toLowerCase();
+  if (!CERT_MODES.includes(certMode))
+    fail(`TLS_CERT_MODE must be one of ${CERT_MODES.join(", ")}`);
+  const servers = [];
+
+  const caBundle = () => [
+    ca.cert,
+    ...(trustedCa && trustedCa !== ca.cert ? [trustedCa] : []),
+  ];
+  const serverOptions = () => ({
+    ...serverCert(certMode),
+    ca: caBundle(),
+    requestCert: CLIENT_AUTH_MODE !== "none",
+    rejectUnauthorized: CLIENT_AUTH_MODE === "require",
+  });
+
+  return {
+    enabled: true,
+    scheme: "https",
+    caPem: ca.cert,
+    listen(app, port, host, cb) {
+      const server = https.createServer(serverOptions(), app);
+      servers.push(server);
+      return server.listen(port, host, cb);
+    },
+    /* TLS_CLIENT_AUTH=optional: no certificate is fine, a bad one is not */
+    middleware(req, res, next) {
+      const socket = req.socket;
+      if (CLIENT_AUTH_MODE !== "optional" || !socket.encrypted) return next();
+      const peer = socket.getPeerCertificate();
+      if (peer && Object.keys(peer).length && !socket.authorized)
+        return res.status(403).json({
+          ok: false,
+          error: `client certificate rejected: ${socket.authorizationError}`,
+        });
+      next();
+    },
+    /* new connections get the new certificate, open ones keep theirs */
+    setCertMode(mode) {
+      if (!CERT_MODES.includes(mode))
+        throw new Error(`cert_mode must be one of ${CERT_MODES.join(", ")}`);
+      certMode = mode;
+      for (const server of servers) server.setSecureContext(serverOptions());
+    },
+    issueClientCert({ cn = "simulator-client", mode = "valid" } = {}) {
+      if (!CERT_MODES.includes(mode))
+        throw new Error(`mode must be one of ${CERT_MODES.join(", ")}`);
+      return {
+        ...mint(mode, { subject: cn, hostnames: [], usage: "client" }),
+        ca: ca.cert,
+      };
+    },
+    status() {
+      const x = new crypto.X509Certificate(serverCert(certMode).cert);
+      return {
+        cert_mode: certMode,
+        client_auth: CLIENT_AUTH_MODE,
+        certificate: {
+          subject: x.subject.replace(/\n/g, ", "),
+          issuer: x.issuer.replace(/\n/g, ", "),
+          subject_alt_name: x.subjectAltName || null,
+          valid_from: new Date(x.validFrom).toISOString(),
+          valid_to: new Date(x.validTo).toISOString(),
+          fingerprint256: x.fingerprint256,
+          from_file: certMode === "valid" && Boolean(userCert),
+        },
+        ca: new crypto.X509Certificate(ca.cert).subject.replace(/\n/g, ", "),
+      };
+    },
+  };
+}
+
+/*
+ * /admin/tls:
+ *   GET  /           -> served certificate, mode and client auth
+ *   POST /           -> { "cert_mode": "expired" } switch the certificate
+ *   GET  /ca.pem     -> CA certificate to trust
+ *   POST /client-cert -> { "cn", "mode" } a client certificate and key (PEM)
+ */
+export function serveTls(tls) {
+  const router = express.Router();
+  router.use((req, res, next) => {
+    if (!tls.enabled)
+      return res.status(404).json({
+        ok: false,
+        error: "TLS is off; set TLS=on, TLS_CERT or TLS_CERT_MODE",
+      });
+    next();
+  });
+  router.get("/", (req, res) => res.json(tls.status()));
+  router.post("/", express.json(), (req, res) => {
+    try {
+      tls.setCertMode(String(req.body?.cert_mode));
+    } catch (err) {
+      return res.status(400).json({ ok: false, error: err.message });
+    }
+    res.json({ ok: true, ...tls.status() });
+  });
+  router.get("/ca.pem", (req, res) => {
+    res.type("application/x-pem-file").send(tls.caPem);
+  });
+  router.post("/client-cert", express.json(), (req, res) => {
+    try {
+      res.json({ ok: true, ...tls.issueClientCert(req.body || {}) });
+    } catch (err) {
+      res.status(400).json({ ok: false, error: err.message });
+    }
+  });
+  return router;
+}
@@ -0,0 +1,248 @@
+/**
+ * x509.js
+ *
+ * Just enough X.509 (DER, v3 extensions) to mint test certificates without
+ * openssl: a throwaway CA, server and client certificates, and the broken
+ * ones TLS clients must refuse (expired, not yet valid, self-signed, issued
+ * for another host).
+ *
+ *   createKeyPair()            -> { privateKey, publicKey } (EC P-256)
+ *   issueCertificate({
+ *     subject,                 // common name
+ *     hostnames,               // subjectAltName: DNS names and IP addresses
+ *     ca,                      // true for a CA certificate
+ *     usage,                   // "server" | "client" | "both" (default both)
+ *     notBefore, notAfter,     // Date
+ *     publicKey,               // KeyObject of the certificate
+ *     issuer,                  // { cert (PEM), key } or null = self-signed
+ *     signingKey,              // key that signs a self-signed certificate
+ *   }) -> PEM
+ *   toPem(key)                 -> PKCS#8 PEM of a private key
+ *
+ * EC and RSA issuer keys both sign (ecdsa-with-SHA256 / sha256WithRSA), so
+ * an existing CA (TLS_CA + TLS_CA_KEY) can issue the test certificates.
+ */
+
+import crypto from "node:crypto";
+import net from "node:net";
+
+const OID = {
+  commonName: "2.5.4.3",
+  organization: "2.5.4.10",
+  basicConstraints: "2.5.29.19",
+  keyUsage: "2.5.29.15",
+  extKeyUsage: "2.5.29.37",
+  subjectAltName: "2.5.29.17",
+  serverAuth: "1.3.6.1.5.5.7.3.1",
+  clientAuth: "1.3.6.1.5.5.7.3.2",
+  ecdsaWithSha256: "1.2.840.10045.4.3.2",
+  sha256WithRsa: "1.2.840.113549.1.1.11",
+};
+const ORGANIZATION = "stkxp-api-diagnostics";
+
+/* -----------------------
+   DER encoding
+   ----------------------- */
+
+function derLength(n) {
+  if (n < 0x80) return Buffer.from([n]);
+  const bytes = [];
+  for (let v = n; v > 0; v = Math.floor(v / 256)) bytes.unshift(v & 0xff);
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+const tlv = (tag, content) =>
+  Buffer.concat([Buffer.from([tag]), derLength(content.length), content]);
+const seq = (...items) => tlv(0x30, Buffer.concat(items));
+const set = (...items) => tlv(0x31, Buffer.concat(items));
+const octets = (buf) => tlv(0x04, buf);
+const bool = (v) => tlv(0x01, Buffer.from([v ? 0xff : 0]));
+const utf8 = (text) => tlv(0x0c, Buffer.from(text, "utf8"));
+const explicit = (n, content) => tlv(0xa0 | n, content);
+const NULL = Buffer.from([0x05, 0x00]);
+
+/*
+ * unsigned big-endian integer in its shortest form: DER forbids leading 0
+ * bytes (a random serial can start with one), except the single 0 in front
+ * of a set top bit
+ */
+function integer(value) {
+  let buf =
+    Buffer.isBuffer(value) ? value : (
+      Buffer.from(value.toString(16).padStart(2, "0"), "hex")
+    );
+  let start = 0;
+  while (start < buf.length - 1 && buf[start] === 0) start++;
+  buf = buf.subarray(start);
+  if (buf[0] & 0x80) buf = Buffer.concat([Buffer.from([0]), buf]);
+  return tlv(0x02, buf);
+}
+
+function oid(text) {
+  const parts = text.split(".").map(Number);
+  const bytes = [parts[0] * 40 + parts[1]];
+  for (const part of parts.slice(2)) {
+    const chunk = [part & 0x7f];
+    for (let v = Math.floor(part / 128); v > 0; v = Math.floor(v / 128))
+      chunk.unshift(0x80 | (v & 0x7f));
+    bytes.push(...chunk);
+  }
+  return tlv(0x06, Buffer.from(bytes));
+}
+
+/* BIT STRING of named bits (bit 0 = most significant of the first byte) */
+function namedBits(bits) {
+  const bytes = Buffer.alloc((Math.max(...bits) >> 3) + 1);
+  for (const bit of bits) bytes[bit >> 3] |= 0x80 >> (bit & 7);
+  const last = bytes[bytes.length - 1];
+  let unused = 0;
+  while (unused < 7 && !(last & (1 << unused))) unused++;
+  return tlv(0x03, Buffer.concat([Buffer.from([unused]), bytes]));
+}
+
+/* UTCTime until 2049, GeneralizedTime after (RFC 5280) */
+function time(date) {
+  const iso = date.toISOString().replace(/[-:T]/g, "").slice(0, 14);
+  const year = date.getUTCFullYear();
+  return year >= 1950 && year < 2050 ?
+      tlv(0x17, Buffer.from(`${iso.slice(2)}Z`))
+    : tlv(0x18, Buffer.from(`${iso}Z`));
+}
+
+const name = (commonName) =>
+  seq(
+    set(seq(oid(OID.organization), utf8(ORGANIZATION))),
+    set(seq(oid(OID.commonName), utf8(commonName)))
+  );
+
+function extension(id, critical, value) {
+  return critical ?
+      seq(oid(id), bool(true), octets(value))
+    : seq(oid(id), octets(value));
+}
+
+function subjectAltName(hostnames) {
+  return seq(
+    ...hostnames.map((host) => {
+      const family = net.isIP(host);
+      if (!family) return tlv(0x82, Buffer.from(host, "ascii")); // dNSName
+      const bytes =
+        family === 4 ?
+          Buffer.from(host.split(".").map(Number))
+        : ipv6Bytes(host);
+      return tlv(0x87, bytes); // iPAddress
+    })
+  );
+}
+
+function ipv6Bytes(host) {
+  const [head, tail = ""] = host.split("::");
+  const groups = (s) => (s ? s.split(":") : []);
+  const h = groups(head);
+  const t = groups(tail);
+  const all =
+    host.includes("::") ?
+      [...h, ...Array(8 - h.length - t.length).fill("0"), ...t]
+    : h;
+  const buf = Buffer.alloc(16);
+  all.forEach((g, i) => buf.writeUInt16BE(parseInt(g, 16), i * 2));
+  return buf;
+}
+
+/* -----------------------
+   DER reading (issuer name of an existing CA certificate)
+   ----------------------- */
+
+function readTlv(buf, offset) {
+  let len = buf[offset + 1];
+  let start = offset + 2;
+  if (len & 0x80) {
+    const count = len & 0x7f;
+    len = 0;
+    for (let i = 0; i < count; i++) len = len * 256 + buf[start + i];
+    start += count;
+  }
+  return { tag: buf[offset], offset, start, end: start + len };
+}
+
+/* the raw subject Name of a certificate, so issuer matches byte for byte */
+function subjectOf(pem) {
+  const der = new crypto.X509Certificate(pem).raw;
+  const tbs = readTlv(der, readTlv(der, 0).start);
+  const fields = [];
+  for (let at = tbs.start; at < tbs.end; at = fields.at(-1).end)
+    fields.push(readTlv(der, at));
+  // [0] version, serial, signature, issuer, validity, subject
+  const subject = fields[fields[0].tag === 0xa0 ? 5 : 4];
+  return der.subarray(subject.offset, subject.end);
+}
+
+/* -----------------------
+   Certificates
+   ----------------------- */
+
+export function createKeyPair() {
+  return crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+}
+
+export const toPem = (key) => key.export({ type: "pkcs8", format: "pem" });
+
+function signatureAlgorithm(key) {
+  return key.asymmetricKeyType === "rsa" ?
+      seq(oid(OID.sha256WithRsa), NULL)
+    : seq(oid(OID.ecdsaWithSha256));
+}
+
+export function issueCertificate({
+  subject,
+  hostnames = [],
+  ca = false,
+  usage = "both",
+  notBefore,
+  notAfter,
+  publicKey,
+  issuer = null,
+  signingKey = null,
+}) {
+  const key = issuer ? issuer.key : signingKey;
+  const algorithm = signatureAlgorithm(key);
+  const serial = crypto.randomBytes(16);
+  serial[0] &= 0x7f;
+  const extensions = [
+    extension(OID.basicConstraints, true, seq(...(ca ? [bool(true)] : []))),
+    // keyCertSign + cRLSign, or digitalSignature + keyEncipherment
+    extension(OID.keyUsage, true, ca ? namedBits([5, 6]) : namedBits([0, 2])),
+  ];
+  if (!ca) {
+    const purposes = {
+      server: [OID.serverAuth],
+      client: [OID.clientAuth],
+      both: [OID.serverAuth, OID.clientAuth],
+    }[usage];
+    extensions.push(
+      extension(OID.extKeyUsage, false, seq(...purposes.map(oid)))
+    );
+  }
+  if (hostnames.length)
+    extensions.push(
+      extension(OID.subjectAltName, false, subjectAltName(hostnames))
+    );
+  const tbs = seq(
+    explicit(0, integer(2)), // v3
+    integer(serial),
+    algorithm,
+    issuer ? subjectOf(issuer.cert) : name(subject),
+    seq(time(notBefore), time(notAfter)),
+    name(subject),
+    publicKey.export({ type: "spki", format: "der" }),
+    explicit(3, seq(...extensions))
+  );
+  const signature = crypto.sign("sha256", tbs, key);
+  const der = seq(
+    tbs,
+    algorithm,
+    tlv(0x03, Buffer.concat([Buffer.from([0]), signature]))
+  );
+  const lines = der.toString("base64").match(/.{1,64}/g);
+  return `-----BEGIN CERTIFICATE-----\n${lines.join("\n")}\n-----END CERTIFICATE-----\n`;
+}
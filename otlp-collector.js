@@ -0,0 +1,189 @@
+/**
+ * otlp-collector.js
+ *
+ * Stand-in OpenTelemetry collector for testing the simulators' OTLP push
+ * offline: it takes OTLP/HTTP metrics (protobuf or JSON, gzip or not), logs
+ * one line per push and keeps what it received for inspection.
+ *
+ * Usage:
+ *   npm install express
+ *   node otlp-collector.js
+ *   OTEL_EXPORTER_OTLP_ENDPOINT=http://localhost:4318 OTEL_METRIC_EXPORT_INTERVAL=5000 node apache-http.js
+ *
+ * Endpoints:
+ *   POST /v1/metrics     -> OTLP/HTTP export (application/x-protobuf or
+ *                           application/json), answered like a collector
+ *   GET /api/metrics     -> latest point of every series received
+ *                           (?service=apache&name=apache.requests)
+ *   GET /api/requests    -> last KEEP requests, decoded to OTLP/JSON
+ *                           (?limit=n)
+ *   DELETE /api/requests -> forget everything received
+ *
+ * Env:
+ *   PORT (default 4318, the OTLP/HTTP port)
+ *   HOST (default 0.0.0.0)
+ *   KEEP (requests kept for /api/requests, default 100)
+ *   REJECT (share of pushes answered 503, 0..1, default 0: exercises the
+ *     simulators' failure path)
+ */
+
+import express from "express";
+import { decodeMetricsRequest, encodeMetricsResponse } from "./lib/otlp.js";
+
+const PORT = process.env.PORT ? parseInt(process.env.PORT, 10) : 4318;
+const HOST = process.env.HOST || "0.0.0.0";
+const KEEP = process.env.KEEP ? parseInt(process.env.KEEP, 10) : 100;
+const REJECT = process.env.REJECT ? Number(process.env.REJECT) : 0;
+if (!(REJECT >= 0 && REJECT <= 1)) throw new Error("REJECT must be 0..1");
+
+const PROTOBUF = "application/x-protobuf";
+const requests = []; // newest last, at most KEEP
+const series = new Map(); // service/metric{attributes} -> latest point
+
+/* AnyValue -> plain value (64-bit ints stay strings) */
+function plain(value = {}) {
+  if ("arrayValue" in value) return (value.arrayValue.values || []).map(plain);
+  if ("kvlistValue" in value) return attributes(value.kvlistValue.values);
+  const [first] = Object.values(value);
+  return first ?? null;
+}
+const attributes = (kvs = []) =>
+  Object.fromEntries(kvs.map((kv) => [kv.key, plain(kv.value)]));
+
+const isoTime = (nanos) =>
+  nanos ? new Date(Number(BigInt(nanos) / 1000000n)).toISOString() : null;
+
+function pointValue(kind, point) {
+  if (kind === "gauge" || kind === "sum")
+    return (
+      point.asDouble ?? (point.asInt !== undefined ? Number(point.asInt) : 0)
+    );
+  return {
+    count: Number(point.count ?? 0),
+    sum: point.sum ?? 0,
+    ...(kind === "histogram" && {
+      bounds: point.explicitBounds || [],
+      buckets: (point.bucketCounts || []).map(Number),
+    }),
+    ...(kind === "summary" && {
+      quantiles: Object.fromEntries(
+        (point.quantileValues || []).map((q) => [q.quantile ?? 0, q.value ?? 0])
+      ),
+    }),
+  };
+}
+
+/* index the points of one request; returns [services, metrics, points] */
+function index(request) {
+  const services = new Set();
+  let metrics = 0;
+  let points = 0;
+  for (const rm of request.resourceMetrics || []) {
+    const resource = attributes(rm.resource?.attributes);
+    const service = String(resource["service.name"] ?? "unknown_service");
+    services.add(service);
+    for (const sm of rm.scopeMetrics || [])
+      for (const metric of sm.metrics || []) {
+        metrics++;
+        const kind = ["gauge", "sum", "histogram", "summary"].find(
+          (k) => metric[k]
+        );
+        if (!kind) continue;
+        for (const point of metric[kind].dataPoints || []) {
+          points++;
+          const attrs = attributes(point.attributes);
+          series.set(`${service}/${metric.name}${JSON.stringify(attrs)}`, {
+            service,
+            name: metric.name,
+            kind:
+              kind === "sum" && !metric.sum.isMonotonic ? "updown"
+              : kind === "sum" ? "counter"
+              : kind,
+            unit: metric.unit || "",
+            attributes: attrs,
+            value: pointValue(kind, point),
+            time: isoTime(point.timeUnixNano),
+          });
+        }
+      }
+  }
+  return [[...services], metrics, points];
+}
+
+const app = express();
+
+app.post(
+  "/v1/metrics",
+  express.raw({ type: PROTOBUF, limit: "32mb" }),
+  express.json({ limit: "32mb" }),
+  (req, res) => {
+    const protobuf = req.is(PROTOBUF);
+    const answer = (status, body) =>
+      protobuf && status === 200 ?
+        res.status(200).type(PROTOBUF).send(encodeMetricsResponse(body))
+      : res.status(status).json(body);
+    if (!protobuf && !req.is("application/json"))
+      return answer(415, {
+        code: 3,
+        message: `unsupported content type ${req.get("Content-Type")}`,
+      });
+    if (REJECT && Math.random() < REJECT)
+      return answer(503, {
+        code: 14,
+        message: "collector unavailable (REJECT)",
+      });
+    let request;
+    try {
+      request = protobuf ? decodeMetricsRequest(req.body) : req.body;
+    } catch (err) {
+      return answer(400, { code: 3, message: `bad protobuf: ${err.message}` });
+    }
+    const [services, metrics, points] = index(request);
+    requests.push({
+      received: new Date().toISOString(),
+      protocol: protobuf ? "http/protobuf" : "http/json",
+      from: req.ip,
+      services,
+      metrics,
+      points,
+      request,
+    });
+    if (requests.length > KEEP) requests.shift();
+    console.log(
+      `${new Date().toISOString()} ${services.join(",") || "-"}: ${metrics} metrics, ${points} points (${protobuf ? "protobuf" : "json"})`
+    );
+    answer(200, {});
+  }
+);
+
+app.get("/api/metrics", (req, res) => {
+  const { service, name } = req.query;
+  res.json(
+    [...series.values()].filter(
+      (s) =>
+        (service === undefined || s.service === service) &&
+        (name === undefined || s.name === name)
+    )
+  );
+});
+
+app.get("/api/requests", (req, res) => {
+  const limit = req.query.limit ? parseInt(req.query.limit, 10) : KEEP;
+  res.json({
+    received: requests.length,
+    requests: requests.slice(-Math.max(1, limit)),
+  });
+});
+
+app.delete("/api/requests", (req, res) => {
+  requests.length = 0;
+  series.clear();
+  res.json({ ok: true });
+});
+
+app.listen(PORT, HOST, () => {
+  console.log(`OTLP stand-in collector listening on http://${HOST}:${PORT}`);
+  console.log(
+    "Endpoints: POST /v1/metrics  /api/metrics  /api/requests  DELETE /api/requests"
+  );
+});
@@ -0,0 +1,179 @@
+/**
+ * simulators.js
+ *
+ * One Node process running a whole fleet of simulated Apache, MySQL and
+ * Elasticsearch instances (lib/apache-sim.js, lib/mysql-sim.js,
+ * lib/es-sim.js). Each instance keeps its own state, clock and prom-client
+ * registries; it is either mounted under /<name> on the host port or served
+ * on its own port (see lib/fleet.js).
+ * Fleet links tie Apache front ends to MySQL backends (lib/causality.js).
+ *
+ * Usage:
+ *   npm install express prom-client
+ *   npm install js-yaml     (optional: YAML fleet, scenario, fault and auth files)
+ *   FLEET="3 apache + 2 mysql" node simulators.js
+ *   FLEET=fleets/small-estate.json node simulators.js
+ *
+ * Endpoints:
+ *   GET /fleet          -> JSON list of the instances and where they live
+ *   GET /links          -> Apache -> MySQL links and their current effects
+ *   GET /metrics        -> process metrics of the host (unseeded runs only)
+ *   POST /admin/tick    -> { "count": n } advance every CLOCK=virtual instance
+ *   /admin/tls          -> the host listener's certificate drills (TLS=on)
+ *   /<name>/...         -> the instance's own endpoints (/apache1/metrics,
+ *                          /mysql2/api/status, /elasticsearch1/_cat/health),
+ *                          WebSockets included (/apache1/api/stream)
+ *
+ * Env:
+ *   FLEET (fleet file, JSON/YAML, or shorthand; default "1 apache + 1 mysql")
+ *   PORT (default 9000)
+ *   HOST (default 0.0.0.0)
+ *   SEED, CLOCK, START_TIME (fleet-wide defaults; the file wins)
+ *   TLS, TLS_CERT, TLS_KEY, TLS_CA, TLS_CLIENT_AUTH, ... (HTTPS on the host
+ *     port, see lib/tls.js; instances with a port of their own take theirs
+ *     from their env)
+ *   Instances take AUTH from their env like the standalone scripts; the
+ *   host's own /fleet, /links, /metrics and /admin/tick stay open.
+ *   OTEL_EXPORTER_OTLP_* in the fleet "env" makes every Apache and MySQL
+ *   instance push over OTLP, with its name as service.name.
+ */
+
+import express from "express";
+import client from "prom-client";
+import { loadFleet } from "./lib/fleet.js";
+import { linkServices } from "./lib/causality.js";
+import { createApacheSimulator } from "./lib/apache-sim.js";
+import { createMysqlSimulator } from "./lib/mysql-sim.js";
+import { createElasticsearchSimulator } from "./lib/es-sim.js";
+import { serveMetrics } from "./lib/metrics.js";
+import { createTls, serveTls } from "./lib/tls.js";
+import { acceptUpgrades } from "./lib/live-stream.js";
+import { MAX_TICKS } from "./lib/clock.js";
+import { jsonErrors } from "./lib/admin-state.js";
+
+const PORT = process.env.PORT ? parseInt(process.env.PORT, 10) : 9000;
+const HOST = process.env.HOST || "0.0.0.0";
+const FLEET = process.env.FLEET || "1 apache + 1 mysql";
+
+const FACTORIES = {
+  apache: createApacheSimulator,
+  mysql: createMysqlSimulator,
+  elasticsearch: createElasticsearchSimulator,
+};
+
+const fleet = await loadFleet(FLEET, {
+  SEED: process.env.SEED,
+  CLOCK: process.env.CLOCK,
+  START_TIME: process.env.START_TIME,
+});
+
+// instances never collect process metrics: the host reports them once
+const instances = [];
+for (const spec of fleet.instances) {
+  const sim = await FACTORIES[spec.type](spec.env, {
+    name: spec.name,
+    processMetrics: false,
+  });
+  instances.push({ ...spec, sim });
+}
+const simByName = Object.fromEntries(instances.map((i) => [i.name, i.sim]));
+const causality = linkServices(
+  fleet.links.map((link) => ({
+    ...link,
+    from: simByName[link.from],
+    to: simByName[link.to],
+  }))
+);
+
+const registry = new client.Registry();
+// process metrics vary run to run, so a seeded fleet leaves them out
+if (fleet.seed === null)
+  client.collectDefaultMetrics({ timeout: 5000, register: registry });
+
+const tls = await createTls(process.env);
+const app = express();
+app.use(tls.middleware);
+
+app.get("/fleet", (req, res) => {
+  res.json(
+    instances.map(({ type, name, port, mount, sim }) => ({
+      type,
+      name,
+      url: mount || `${sim.scheme}://${HOST}:${port}/`,
+      port: port ?? PORT,
+      mount,
+      mysql_ports: sim.mysqlPorts || null,
+      clock: sim.clock.mode,
+      ticks: sim.clock.ticks,
+    }))
+  );
+});
+
+app.get("/links", (req, res) => {
+  res.json(causality.view());
+});
+
+app.get("/metrics", serveMetrics(registry));
+
+/* virtual clocks: step every instance at once, one tick at a time so linked
+   services see each other's previous tick */
+app.post("/admin/tick", express.json(), (req, res) => {
+  const count = req.body?.count !== undefined ? Number(req.body.count) : 1;
+  if (!Number.isInteger(count) || count < 1 || count > MAX_TICKS)
+    return res.status(400).json({
+      ok: false,
+      error: `count must be an integer from 1 to ${MAX_TICKS}`,
+    });
+  const virtual = instances.filter(({ sim }) => sim.clock.mode === "virtual");
+  if (!virtual.length)
+    return res
+      .status(409)
+      .json({ ok: false, error: "no instance runs with CLOCK=virtual" });
+  for (let n = 0; n < count; n++)
+    for (const { sim } of virtual) sim.clock.advance(1);
+  res.json({
+    ok: true,
+    instances: Object.fromEntries(
+      virtual.map(({ name, sim }) => [name, sim.clock.ticks])
+    ),
+  });
+});
+
+app.use("/admin/tls", serveTls(tls));
+app.use("/admin", jsonErrors); // bad JSON: a JSON 400, not an HTML page
+
+for (const { mount, sim } of instances) if (mount) app.use(mount, sim.app);
+
+/* root */
+app.get("/", (req, res) => {
+  res.send(`
+Simulator fleet
+Endpoints:
+  GET /fleet
+  GET /links
+  GET /metrics (host process)
+  POST /admin/tick (json body: count) -- CLOCK=virtual instances
+  GET|POST /admin/tls, /admin/tls/ca.pem -- TLS=on
+Instances:
+${instances
+  .map(
+    ({ type, name, port, mount, sim }) =>
+      `  ${name.padEnd(12)} ${type.padEnd(7)}${mount ? `${mount}/` : `port ${port}`}` +
+      (sim.mysqlPorts?.length ? `  mysql ${sim.mysqlPorts.join(",")}` : "")
+  )
+  .join("\n")}
+`);
+});
+
+const server = tls.listen(app, PORT, HOST, () => {
+  console.log(`Simulator fleet listening on ${tls.scheme}://${HOST}:${PORT}`);
+  for (const { type, name, mount } of instances)
+    if (mount) console.log(`  ${name} (${type}) on ${mount}/`);
+});
+acceptUpgrades(server, app); // /<name>/api/stream over WebSocket
+
+// instances with a port of their own, and every MySQL protocol listener
+for (const { port, sim } of instances) {
+  if (port !== null) sim.listen(port, HOST);
+  else if (sim.listenMysql) sim.listenMysql(HOST);
+}
@@ -0,0 +1,163 @@
+/**
+ * admin-state.test.js
+ *
+ * lib/admin-state.js as an admin client sees it: schema violations come
+ * back as one 400 listing every bad field, with nothing applied; numeric
+ * strings still set number fields, as before the schema; and a body that is
+ * not JSON, or a bare null, gets a JSON 400 rather than Express's HTML page.
+ *
+ *   node --test test/
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import express from "express";
+import {
+  coerceFields,
+  serveState,
+  validateFields,
+} from "../lib/admin-state.js";
+
+const SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    req_per_sec: { type: "number", minimum: 0, maximum: 1000 },
+    workers: { type: "integer", minimum: 0 },
+    mode: { type: "string", enum: ["event", "prefork"] },
+    lag: { type: ["number", "null"] },
+  },
+};
+
+test("every schema violation is reported, each with its field", () => {
+  assert.deepEqual(validateFields(SCHEMA, { req_per_sec: 5, lag: null }), []);
+  assert.deepEqual(
+    validateFields(SCHEMA, {
+      req_per_sec: 5000,
+      workers: 1.5,
+      mode: "worker",
+      lag: "1s",
+      cpu: 1,
+    }),
+    [
+      { field: "req_per_sec", error: "must be <= 1000" },
+      { field: "workers", error: "expected integer, got 1.5" },
+      { field: "mode", error: 'must be one of "event", "prefork"' },
+      { field: "lag", error: 'expected number or null, got "1s"' },
+      { field: "cpu", error: "unknown field" },
+    ]
+  );
+  assert.deepEqual(validateFields(SCHEMA, { workers: -1 }), [
+    { field: "workers", error: "must be >= 0" },
+  ]);
+  for (const body of [null, [], "x", 3])
+    assert.deepEqual(validateFields(SCHEMA, body), [
+      { field: null, error: "expected a JSON object of fields" },
+    ]);
+});
+
+test("numeric strings are read as numbers for number fields only", () => {
+  assert.deepEqual(
+    coerceFields(SCHEMA, {
+      req_per_sec: "120",
+      workers: " 4 ",
+      lag: "2.5",
+      mode: "1",
+      cpu: "3",
+    }),
+    { req_per_sec: 120, workers: 4, lag: 2.5, mode: "1", cpu: "3" }
+  );
+  assert.deepEqual(coerceFields(SCHEMA, { req_per_sec: "" }), {
+    req_per_sec: "",
+  });
+  assert.deepEqual(coerceFields(SCHEMA, { req_per_sec: "fast" }), {
+    req_per_sec: "fast",
+  });
+});
+
+test("the /admin routes answer bad bodies with a JSON 400", async () => {
+  const state = { req_per_sec: 50, workers: 10, mode: "event", lag: null };
+  const app = express();
+  app.use(
+    "/admin",
+    serveState({
+      schema: SCHEMA,
+      state,
+      info: () => ({}),
+      check: (next) =>
+        next.workers > 100 ? [{ field: "workers", error: "too many" }] : [],
+      apply: (patch) => Object.assign(state, patch),
+      reset() {},
+      snapshots: { list: () => [], save: async () => ({}) },
+    })
+  );
+  const server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  const send = async (method, path, body) => {
+    const res = await fetch(
+      `http://127.0.0.1:${server.address().port}${path}`,
+      {
+        method,
+        headers: { "Content-Type": "application/json" },
+        body,
+      }
+    );
+    assert.match(res.headers.get("content-type"), /^application\/json/);
+    return { status: res.status, json: await res.json() };
+  };
+  try {
+    for (const [method, path] of [
+      ["POST", "/admin/set"],
+      ["PATCH", "/admin/state"],
+      ["POST", "/admin/reset"],
+      ["POST", "/admin/snapshot"],
+      ["POST", "/admin/restore"],
+    ])
+      for (const body of ["{bad", "null", '"x"']) {
+        const { status, json } = await send(method, path, body);
+        assert.equal(status, 400, `${method} ${path} ${body}`);
+        assert.equal(json.ok, false);
+        assert.match(json.error, /^expected a JSON object or array: /);
+      }
+
+    let res = await send("POST", "/admin/set", "[]");
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.json.errors, [
+      { field: null, error: "expected a JSON object of fields" },
+    ]);
+
+    // one bad field and nothing is applied
+    res = await send(
+      "POST",
+      "/admin/set",
+      JSON.stringify({ req_per_sec: 70, mode: "worker" })
+    );
+    assert.equal(res.status, 400);
+    assert.equal(res.json.error, "invalid fields: mode");
+    assert.equal(state.req_per_sec, 50);
+
+    res = await send("PATCH", "/admin/state", JSON.stringify({ seed: 1 }));
+    assert.equal(res.status, 400);
+    assert.match(
+      res.json.errors[0].error,
+      /reseed through POST \/admin\/reset/
+    );
+
+    res = await send("PATCH", "/admin/state", JSON.stringify({ workers: 101 }));
+    assert.deepEqual(res.json.errors, [
+      { field: "workers", error: "too many" },
+    ]);
+
+    res = await send(
+      "POST",
+      "/admin/set",
+      JSON.stringify({ req_per_sec: "120", workers: "12" })
+    );
+    assert.equal(res.status, 200);
+    assert.equal(res.json.state.req_per_sec, 120);
+    assert.equal(state.workers, 12);
+  } finally {
+    server.close();
+  }
+});
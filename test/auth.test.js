@@ -0,0 +1,91 @@
+/**
+ * auth.test.js
+ *
+ * lib/auth.js in front of a real Express app: every spelling Express routes
+ * to an admin or metrics handler (/ADMIN/set, /Metrics, /metrics/) must ask
+ * for that group's credentials, and another group's credentials get a 403
+ * there instead of going through.
+ *
+ *   node --test test/
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import express from "express";
+import { createAuth, parseAuth, routeGroup } from "../lib/auth.js";
+
+test("paths fall into the group Express would route them to", () => {
+  for (const [path, group] of [
+    ["/admin", "admin"],
+    ["/admin/", "admin"],
+    ["/admin/set", "admin"],
+    ["/ADMIN/set", "admin"],
+    ["/Admin/State//", "admin"],
+    ["/metrics", "metrics"],
+    ["/Metrics", "metrics"],
+    ["/metrics/", "metrics"],
+    ["/apache1/METRICS", "metrics"],
+    ["/", "status"],
+    ["/api/status", "status"],
+    ["/administrator", "status"],
+    ["/api/admin", "status"],
+    ["/metrics/extra", "status"],
+    ["/hypermetrics", "status"],
+  ])
+    assert.equal(routeGroup(path), group, path);
+});
+
+const basic = (user, password) => ({
+  Authorization: `Basic ${Buffer.from(`${user}:${password}`).toString("base64")}`,
+});
+
+test("admin and metrics stay behind their credentials in any spelling", async () => {
+  const auth = createAuth(
+    parseAuth({
+      groups: {
+        metrics: { basic: { user: "prometheus", password: "s3cret" } },
+        status: { api_key: "status-key" },
+        admin: { basic: { user: "ops", password: "ops" } },
+      },
+    }),
+    { clock: { ticks: 0, tickMs: 1000 } }
+  );
+  const app = express();
+  app.use(auth.middleware);
+  app.use((req, res) => res.send("ok"));
+  const server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  const status = async (method, path, headers = {}) =>
+    (
+      await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+        method,
+        headers,
+      })
+    ).status;
+  const statusKey = { "X-API-Key": "status-key" };
+  try {
+    for (const path of ["/admin/set", "/ADMIN/set", "/Admin/set/"]) {
+      assert.equal(await status("POST", path, statusKey), 403, path);
+      assert.equal(await status("POST", path), 401, path);
+      assert.equal(await status("POST", path, basic("ops", "ops")), 200, path);
+    }
+    for (const path of ["/metrics", "/Metrics", "/metrics/", "/METRICS/"]) {
+      assert.equal(await status("GET", path), 401, path);
+      assert.equal(await status("GET", path, statusKey), 403, path);
+      assert.equal(
+        await status("GET", path, basic("prometheus", "s3cret")),
+        200,
+        path
+      );
+    }
+    assert.equal(await status("GET", "/api/status"), 401);
+    assert.equal(await status("GET", "/api/status", statusKey), 200);
+    assert.equal(
+      await status("GET", "/api/status", basic("prometheus", "wrong")),
+      401
+    );
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,69 @@
+/**
+ * faults.test.js
+ *
+ * lib/faults.js in front of a real Express app: a catch-all error rule
+ * faults every route but /admin and /api/stream, whichever way a client
+ * spells those (/ADMIN/faults, /admin/set/), so faults can always be lifted.
+ * Rules that do not parse are refused before they reach the injector.
+ *
+ *   node --test test/
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import express from "express";
+import { createFaultInjector, parseFaults } from "../lib/faults.js";
+
+test("every route is faulted but the exempt ones, in any spelling", async () => {
+  const injector = createFaultInjector(
+    parseFaults([{ path: "*", error: { probability: 1, status: 503 } }]),
+    { seed: 1 }
+  );
+  const app = express();
+  app.use(injector.middleware);
+  app.use((req, res) => res.send("ok"));
+  const server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  const status = async (path) =>
+    (await fetch(`http://127.0.0.1:${server.address().port}${path}`)).status;
+  try {
+    for (const path of [
+      "/admin",
+      "/admin/",
+      "/admin/faults",
+      "/ADMIN/faults",
+      "/Admin/set",
+      "/admin/set/",
+      "/api/stream",
+      "/API/Stream/",
+    ])
+      assert.equal(await status(path), 200, path);
+    for (const path of [
+      "/",
+      "/metrics",
+      "/Metrics/",
+      "/server-status",
+      "/administrator",
+      "/api/streams",
+      "/api/status",
+    ])
+      assert.equal(await status(path), 503, path);
+  } finally {
+    server.close();
+  }
+});
+
+test("malformed rules are refused", () => {
+  const cases = [
+    [{}, /expected a rules array/],
+    [[3], /rule 0 is not an object/],
+    [[{ error: 1 }], /rule 0: "path" is required/],
+    [[{ path: "/metrics" }], /rule 0: no fault/],
+    [[{ path: "/metrics", error: 2 }], /error probability must be a prob/],
+    [[{ path: "/metrics", reset: 0.1, when: 1 }], /unknown key "when"/],
+    [[{ path: "/metrics", latency: { dist: "gamma" } }], /dist must be one/],
+  ];
+  for (const [raw, message] of cases)
+    assert.throws(() => parseFaults(raw), message, JSON.stringify(raw));
+});
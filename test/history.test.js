@@ -0,0 +1,191 @@
+/**
+ * history.test.js
+ *
+ * lib/history.js range queries on a small, hand-filled ring buffer: raw
+ * samples between two inclusive bounds once the ring has wrapped, buckets
+ * aligned on the step with each aggregation, missing values as null, and
+ * the 400s of GET /api/history for a range or parameter it cannot answer.
+ * HISTORY_SIZE must be a whole number of samples above 0.
+ *
+ *   node --test test/
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createHistory,
+  parseDuration,
+  parseHistorySize,
+  serveHistory,
+} from "../lib/history.js";
+
+/* samples at 1 s ticks: rps = 10 x t, lag null at t = 5, total = t */
+function filled(size, last) {
+  const history = createHistory({
+    metrics: { rps: {}, lag: {}, total: { counter: () => 1 } },
+    size,
+  });
+  for (let t = 0; t <= last; t++)
+    history.record(t * 1000, {
+      rps: t * 10,
+      lag: t === 5 ? null : t,
+      total: t,
+    });
+  return history;
+}
+
+test("HISTORY_SIZE and durations parse, or fail at startup", () => {
+  assert.equal(parseHistorySize("21600"), 21600);
+  assert.equal(parseHistorySize(" 5 "), 5);
+  for (const bad of ["", "0", "-5", "12abc", "1.5", "1e3", "abc"])
+    assert.throws(
+      () => parseHistorySize(bad),
+      /^Error: invalid HISTORY_SIZE /,
+      JSON.stringify(bad)
+    );
+  assert.equal(parseDuration("15m"), 900);
+  assert.equal(parseDuration("90"), 90);
+  assert.equal(parseDuration("1.5h"), 5400);
+  assert.throws(() => parseDuration("soon"), /invalid duration "soon"/);
+});
+
+test("raw ranges are inclusive and only hold what the ring kept", () => {
+  const history = filled(5, 7); // keeps t = 3..7
+  const raw = (from, to) => history.query({ metric: "rps", from, to }).values;
+  assert.deepEqual(raw(null, 7000), [
+    [3, 30],
+    [4, 40],
+    [5, 50],
+    [6, 60],
+    [7, 70],
+  ]);
+  assert.deepEqual(raw(4000, 6000), [
+    [4, 40],
+    [5, 50],
+    [6, 60],
+  ]);
+  assert.deepEqual(raw(4500, 5500), [[5, 50]]);
+  assert.deepEqual(raw(0, 2000), []); // dropped from the ring
+  assert.deepEqual(raw(8000, 9000), []);
+  assert.deepEqual(history.query({ metric: "lag", from: 5000, to: 5000 }), {
+    metric: "lag",
+    kind: "gauge",
+    from: "1970-01-01T00:00:05.000Z",
+    to: "1970-01-01T00:00:05.000Z",
+    step: null,
+    agg: null,
+    values: [[5, null]],
+  });
+  const { samples, oldest, newest } = history.status();
+  assert.deepEqual(
+    [samples, oldest, newest],
+    [5, "1970-01-01T00:00:03.000Z", "1970-01-01T00:00:07.000Z"]
+  );
+
+  history.rewind(4000); // snapshot restore back to t = 4
+  assert.deepEqual(raw(null, 9000), [
+    [3, 30],
+    [4, 40],
+  ]);
+});
+
+test("downsampled ranges aggregate per step-aligned bucket", () => {
+  const history = filled(100, 9);
+  const buckets = (metric, agg) =>
+    history.query({ metric, from: 0, to: 9000, step: 5, agg }).values;
+  assert.deepEqual(buckets("rps"), [
+    [0, 20],
+    [5, 70],
+  ]);
+  assert.deepEqual(buckets("lag"), [
+    [0, 2],
+    [5, 7.5], // the null at t = 5 is left out
+  ]);
+  assert.deepEqual(buckets("rps", "min"), [
+    [0, 0],
+    [5, 50],
+  ]);
+  assert.deepEqual(buckets("rps", "max"), [
+    [0, 40],
+    [5, 90],
+  ]);
+  assert.deepEqual(buckets("rps", "sum"), [
+    [0, 100],
+    [5, 350],
+  ]);
+  // counters default to the last value of each bucket
+  const total = history.query({ metric: "total", from: 0, to: 9000, step: 5 });
+  assert.equal(total.agg, "last");
+  assert.deepEqual(total.values, [
+    [0, 4],
+    [5, 9],
+  ]);
+  assert.deepEqual(
+    history.query({ metric: "lag", from: 5000, to: 5000, step: 1 }).values,
+    [[5, null]]
+  );
+
+  assert.throws(
+    () => history.query({ metric: "cpu", from: 0, to: 1000 }),
+    /metric must be one of rps, lag, total/
+  );
+  assert.throws(
+    () =>
+      history.query({ metric: "rps", from: 0, to: 9000, step: 5, agg: "p99" }),
+    /agg must be one of avg, min, max, last, sum/
+  );
+  assert.throws(
+    () => history.query({ metric: "rps", from: 0, to: 20000 * 1000, step: 1 }),
+    /exceeded maximum resolution of 11000 points/
+  );
+});
+
+test("GET /api/history reads relative times and refuses bad ranges", () => {
+  const history = filled(100, 9);
+  const handler = serveHistory(history, { now: () => 9000 });
+  const get = (query) => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+      },
+    };
+    handler({ query }, res);
+    return res;
+  };
+  assert.deepEqual(get({ metric: "rps", from: "now-2s" }).body.values, [
+    [7, 70],
+    [8, 80],
+    [9, 90],
+  ]);
+  assert.deepEqual(
+    get({
+      metric: "rps",
+      from: "1", // unix seconds
+      to: "1970-01-01T00:00:02Z",
+      step: "1s",
+    }).body.values,
+    [
+      [1, 10],
+      [2, 20],
+    ]
+  );
+  assert.equal(get({}).body.samples, 10);
+  for (const [query, error] of [
+    [{ metric: "rps", from: "now", to: "now-1m" }, "from is after to"],
+    [{ metric: "rps", step: "0s" }, "step must be > 0"],
+    [{ metric: "rps", step: "often" }, /invalid duration/],
+    [{ metric: "rps", from: "yesterday" }, 'invalid time "yesterday"'],
+    [{ metric: "nope" }, /metric must be one of/],
+  ]) {
+    const res = get(query);
+    assert.equal(res.statusCode, 400, JSON.stringify(query));
+    assert.equal(res.body.ok, false);
+    if (typeof error === "string") assert.equal(res.body.error, error);
+    else assert.match(res.body.error, error);
+  }
+});
@@ -0,0 +1,84 @@
+/**
+ * live-stream.test.js
+ *
+ * RFC 6455 framing as /api/stream speaks it (lib/live-stream.js): frames
+ * from section 5.7 of the RFC, server frames at the three length sizes, and
+ * the client frames the server must turn away with a close code instead of
+ * buffering them: unmasked (1002) and over 64 KiB (1009).
+ *
+ *   node --test test/
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFrame, wsFrame } from "../lib/live-stream.js";
+
+/* a client frame: FIN + opcode, masked with key */
+function masked(opcode, payload, key = Buffer.from([1, 2, 3, 4])) {
+  const length = payload.length;
+  const head =
+    length < 126 ? Buffer.from([0x80 | opcode, 0x80 | length])
+    : length < 65536 ? Buffer.from([0x80 | opcode, 0x80 | 126, 0, 0])
+    : Buffer.from([0x80 | opcode, 0x80 | 127, 0, 0, 0, 0, 0, 0, 0, 0]);
+  if (length >= 126 && length < 65536) head.writeUInt16BE(length, 2);
+  if (length >= 65536) head.writeBigUInt64BE(BigInt(length), 2);
+  const body = Buffer.from(payload.map((byte, i) => byte ^ key[i & 3]));
+  return Buffer.concat([head, key, body]);
+}
+
+test("RFC 6455 masked client text frame", () => {
+  // "Hello", masked with 37 fa 21 3d
+  const frame = Buffer.from([
+    0x81, 0x85, 0x37, 0xfa, 0x21, 0x3d, 0x7f, 0x9f, 0x4d, 0x51, 0x58,
+  ]);
+  const message = readFrame(Buffer.concat([frame, Buffer.from([0x89])]));
+  assert.equal(message.opcode, 0x1);
+  assert.equal(message.payload.toString(), "Hello");
+  assert.equal(message.size, frame.length); // the next frame's byte stays
+
+  for (let cut = 0; cut < frame.length; cut++)
+    assert.equal(readFrame(frame.subarray(0, cut)), null, `${cut} bytes`);
+});
+
+test("client frames with 16 and 64-bit lengths", () => {
+  const payload = Buffer.alloc(300, "x");
+  const message = readFrame(masked(0x1, payload));
+  assert.deepEqual(message.payload, payload);
+  assert.equal(message.size, 4 + 4 + 300);
+
+  // a ping with a 64-bit length field is still read up to its end
+  const ping = masked(0x9, Buffer.from("hi"));
+  const long = Buffer.concat([
+    Buffer.from([0x89, 0x80 | 127, 0, 0, 0, 0, 0, 0, 0, 2]),
+    ping.subarray(2),
+  ]);
+  assert.equal(readFrame(long).payload.toString(), "hi");
+});
+
+test("unmasked and oversized client frames get a close code", () => {
+  assert.deepEqual(
+    readFrame(Buffer.from([0x81, 0x05, ...Buffer.from("Hello")])),
+    { error: 1002 }
+  );
+  // refused from the header alone, before the 65 KiB payload arrives
+  const head = masked(0x1, Buffer.alloc(65 * 1024)).subarray(0, 10);
+  assert.deepEqual(readFrame(head), { error: 1009 });
+  assert.ok(readFrame(masked(0x1, Buffer.alloc(64 * 1024))).payload);
+});
+
+test("server frames are unmasked, with 7, 16 and 64-bit lengths", () => {
+  assert.deepEqual(
+    [...wsFrame(0x1, Buffer.from("Hello"))],
+    [0x81, 0x05, 0x48, 0x65, 0x6c, 0x6c, 0x6f]
+  );
+  assert.deepEqual(
+    [...wsFrame(0x2, Buffer.alloc(256)).subarray(0, 4)],
+    [0x82, 0x7e, 0x01, 0x00]
+  );
+  const big = wsFrame(0x2, Buffer.alloc(65536));
+  assert.deepEqual(
+    [...big.subarray(0, 10)],
+    [0x82, 0x7f, 0, 0, 0, 0, 0, 0x01, 0x00, 0x00]
+  );
+  assert.equal(big.length, 10 + 65536);
+});
@@ -0,0 +1,248 @@
+/**
+ * mysql-wire.test.js
+ *
+ * lib/mysql-wire.js seen from a client: the length-encoded integers every
+ * packet is built from, then a real socket through the v10 greeting, a
+ * mysql_native_password login and text result sets, decoded byte by byte.
+ * Refused logins and unknown commands must come back as ERR packets.
+ *
+ *   node --test test/
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import net from "node:net";
+import { once } from "node:events";
+import {
+  createMysqlWireServer,
+  lenencInt,
+  nativePasswordToken,
+  reader,
+} from "../lib/mysql-wire.js";
+
+test("length-encoded integers round-trip at every width", () => {
+  for (const [n, width] of [
+    [0, 1],
+    [250, 1],
+    [251, 3],
+    [0xffff, 3],
+    [0x10000, 4],
+    [0xffffff, 4],
+    [0x1000000, 9],
+    [2 ** 40 + 7, 9],
+  ]) {
+    const bytes = lenencInt(n);
+    assert.equal(bytes.length, width, `width of ${n}`);
+    const r = reader(bytes);
+    assert.equal(r.lenenc(), n);
+    assert.ok(r.done());
+    // cut short, the same bytes do not read past their end
+    if (width > 1)
+      assert.throws(() => reader(bytes.subarray(0, -1)).lenenc(), RangeError);
+  }
+  const r = reader(Buffer.from([1, 2, 3]));
+  assert.throws(() => r.u32(), /truncated packet/);
+  assert.throws(() => r.bytes(4), /truncated packet/);
+  assert.deepEqual([...r.bytes(3)], [1, 2, 3]);
+  assert.throws(() => r.u8(), /truncated packet/);
+  assert.throws(() => r.nul(), /truncated packet/);
+});
+
+/* packets off a socket: [{ seq, payload }] as they complete */
+function packets(socket) {
+  let pending = Buffer.alloc(0);
+  const queue = [];
+  const waiting = [];
+  socket.on("data", (chunk) => {
+    pending = Buffer.concat([pending, chunk]);
+    while (
+      pending.length >= 4 &&
+      pending.length >= 4 + pending.readUIntLE(0, 3)
+    ) {
+      const len = pending.readUIntLE(0, 3);
+      const packet = { seq: pending[3], payload: pending.subarray(4, 4 + len) };
+      pending = pending.subarray(4 + len);
+      if (waiting.length) waiting.shift()(packet);
+      else queue.push(packet);
+    }
+  });
+  return () =>
+    queue.length ?
+      Promise.resolve(queue.shift())
+    : new Promise((resolve) => waiting.push(resolve));
+}
+
+function frame(seq, payload) {
+  const header = Buffer.alloc(4);
+  header.writeUIntLE(payload.length, 0, 3);
+  header[3] = seq;
+  return Buffer.concat([header, payload]);
+}
+
+/* the 20 scramble bytes of a v10 greeting */
+function greetingScramble(payload) {
+  const h = reader(payload);
+  assert.equal(h.u8(), 0x0a);
+  h.nul(); // server version
+  h.u32(); // connection id
+  const part1 = Buffer.from(h.bytes(8));
+  h.skip(1 + 2 + 1 + 2 + 2 + 1 + 10);
+  return Buffer.concat([part1, h.bytes(12)]);
+}
+
+/* HandshakeResponse41: PROTOCOL_41 | SECURE_CONNECTION | PLUGIN_AUTH */
+function handshakeResponse(user, token) {
+  const caps = Buffer.alloc(32);
+  caps.writeUInt32LE(0x200 | 0x8000 | 0x80000, 0);
+  return frame(
+    1,
+    Buffer.concat([
+      caps,
+      Buffer.from(`${user}\0`),
+      Buffer.from([token.length]),
+      token,
+      Buffer.from("mysql_native_password\0"),
+    ])
+  );
+}
+
+/* ERR packet -> { code, state, message } */
+function parseError(payload) {
+  assert.equal(payload[0], 0xff);
+  return {
+    code: payload.readUInt16LE(1),
+    state: payload.toString("utf8", 4, 9),
+    message: payload.toString("utf8", 9),
+  };
+}
+
+async function connect(options) {
+  const server = createMysqlWireServer({
+    serverVersion: "8.0.36-test",
+    user: "root",
+    password: "s3cret",
+    query: () => ({ ok: true }),
+    ...options,
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  const socket = net.connect(server.address().port, "127.0.0.1");
+  const next = packets(socket);
+  const close = () => {
+    socket.destroy();
+    server.close();
+  };
+  return { server, socket, next, close };
+}
+
+test("handshake, native password and a text result set", async () => {
+  const { socket, next, close } = await connect({
+    query: (sql) =>
+      sql === "SELECT 1" ?
+        { columns: [{ name: "1", type: "longlong" }], rows: [[1], [null]] }
+      : { error: { code: 1064, sqlState: "42000", message: "syntax" } },
+  });
+  try {
+    // protocol v10 greeting: version, connection id, 8 + 12 scramble bytes
+    const hello = await next();
+    assert.equal(hello.seq, 0);
+    const h = reader(hello.payload);
+    h.u8();
+    assert.equal(h.nul(), "8.0.36-test");
+    const scramble = greetingScramble(hello.payload);
+    assert.equal(scramble.length, 20);
+    h.skip(4 + 8 + 1 + 2 + 1 + 2);
+    const capsHigh = h.bytes(2).readUInt16LE(0);
+    assert.equal(capsHigh & 0x1, 0); // no CLIENT_MULTI_STATEMENTS
+
+    socket.write(
+      handshakeResponse("root", nativePasswordToken("s3cret", scramble))
+    );
+    const ok = await next();
+    assert.equal(ok.seq, 2);
+    assert.equal(ok.payload[0], 0x00);
+
+    // COM_QUERY: column count, definition, EOF, rows, EOF
+    socket.write(frame(0, Buffer.from("\x03SELECT 1")));
+    assert.equal(reader((await next()).payload).lenenc(), 1);
+    const column = reader((await next()).payload);
+    assert.deepEqual(
+      [1, 2, 3, 4, 5].map(() => column.bytes(column.lenenc()).toString()),
+      ["def", "", "", "", "1"]
+    );
+    assert.equal((await next()).payload[0], 0xfe);
+    const row = reader((await next()).payload);
+    assert.equal(row.bytes(row.lenenc()).toString(), "1");
+    assert.deepEqual([...(await next()).payload], [0xfb]); // NULL
+    const eof = await next();
+    assert.equal(eof.payload[0], 0xfe);
+    assert.equal(eof.seq, 6);
+
+    // errors: 0xff, code, #sqlstate, message
+    socket.write(frame(0, Buffer.from("\x03SELEC")));
+    assert.deepEqual(parseError((await next()).payload), {
+      code: 1064,
+      state: "42000",
+      message: "syntax",
+    });
+  } finally {
+    close();
+  }
+});
+
+test("a wrong password gets 1045 and the connection is closed", async () => {
+  const { socket, next, close } = await connect();
+  try {
+    const scramble = greetingScramble((await next()).payload);
+    socket.write(
+      handshakeResponse("root", nativePasswordToken("guess", scramble))
+    );
+    const denied = parseError((await next()).payload);
+    assert.equal(denied.code, 1045);
+    assert.equal(denied.state, "28000");
+    assert.match(denied.message, /^Access denied for user 'root'@/);
+    await once(socket, "end");
+  } finally {
+    close();
+  }
+});
+
+test("an unknown command gets 1047 and the session goes on", async () => {
+  const { socket, next, close } = await connect({ password: null });
+  try {
+    await next();
+    socket.write(handshakeResponse("root", Buffer.alloc(0)));
+    assert.equal((await next()).payload[0], 0x00);
+    socket.write(frame(0, Buffer.from([0x7f])));
+    assert.equal(parseError((await next()).payload).code, 1047);
+    socket.write(frame(0, Buffer.from([0x0e]))); // COM_PING
+    assert.equal((await next()).payload[0], 0x00);
+  } finally {
+    close();
+  }
+});
+
+test("a truncated handshake response gets 1047 and only that socket closes", async () => {
+  const { server, socket, next, close } = await connect();
+  try {
+    await next();
+    socket.write(Buffer.from([0x01, 0x00, 0x00, 0x01, 0x41]));
+    assert.deepEqual(parseError((await next()).payload), {
+      code: 1047,
+      state: "08S01",
+      message: "Malformed communication packet",
+    });
+    await once(socket, "end");
+
+    // the server still takes new connections
+    const other = net.connect(server.address().port, "127.0.0.1");
+    try {
+      const hello = await packets(other)();
+      assert.equal(hello.payload[0], 0x0a);
+    } finally {
+      other.destroy();
+    }
+  } finally {
+    close();
+  }
+});
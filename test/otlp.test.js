@@ -0,0 +1,107 @@
+/**
+ * otlp.test.js
+ *
+ * The protobuf side of lib/otlp.js, which has no generated code behind it:
+ * a Prometheus gauge is turned into an ExportMetricsServiceRequest, its
+ * NumberDataPoint compared with bytes written out from
+ * opentelemetry/proto/metrics/v1, and the request decoded back. The decoder
+ * skips fields it does not know, as protobuf readers must, and rejects
+ * bodies cut short.
+ *
+ *   node --test test/
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  decodeMetricsRequest,
+  encodeMetricsRequest,
+  toOtlpRequest,
+} from "../lib/otlp.js";
+
+/* field tag + length-prefixed bytes (all the lengths here fit one byte) */
+const field = (tag, bytes) =>
+  Buffer.concat([Buffer.from([tag, bytes.length]), bytes]);
+
+test("a gauge encodes to OTLP protobuf and decodes back", () => {
+  const now = Date.UTC(2024, 0, 1);
+  const request = toOtlpRequest(
+    [
+      {
+        name: "apache_workers",
+        help: "Apache worker statuses",
+        type: "gauge",
+        values: [{ labels: { state: "busy" }, value: 12.5 }],
+      },
+    ],
+    { resource: { "service.name": "web" }, start: now - 60000, now }
+  );
+  const [metric] = request.resourceMetrics[0].scopeMetrics[0].metrics;
+  assert.equal(metric.name, "apache_workers");
+  assert.deepEqual(Object.keys(metric.gauge), ["dataPoints"]);
+
+  const buf = encodeMetricsRequest(request);
+
+  // NumberDataPoint: attributes (7), time_unix_nano (3, fixed64),
+  // as_double (4, double); a gauge point has no start time
+  const time = Buffer.alloc(8);
+  time.writeBigUInt64LE(BigInt(now) * 1000000n);
+  const value = Buffer.alloc(8);
+  value.writeDoubleLE(12.5);
+  const point = Buffer.concat([
+    field(
+      0x3a,
+      Buffer.concat([
+        field(0x0a, Buffer.from("state")),
+        field(0x12, field(0x0a, Buffer.from("busy"))),
+      ])
+    ),
+    Buffer.from([0x19]),
+    time,
+    Buffer.from([0x21]),
+    value,
+  ]);
+  // Metric.gauge (5) -> Gauge.data_points (1) -> the point
+  assert.ok(buf.includes(field(0x2a, field(0x0a, point))));
+
+  assert.deepEqual(decodeMetricsRequest(buf), request);
+});
+
+test("unknown fields are skipped and truncated bodies rejected", () => {
+  const request = toOtlpRequest(
+    [
+      {
+        name: "mysql_up",
+        help: "",
+        type: "gauge",
+        values: [{ labels: {}, value: 1 }],
+      },
+    ],
+    { start: 0, now: 1000 }
+  );
+  const buf = encodeMetricsRequest(request);
+
+  // field 15 of every kind a newer collector may add: varint, 64-bit,
+  // length-delimited, 32-bit
+  const extra = Buffer.from([
+    0x78, 0x96, 0x01, 0x79, 1, 2, 3, 4, 5, 6, 7, 8, 0x7a, 0x02, 0x68, 0x69,
+    0x7d, 1, 2, 3, 4,
+  ]);
+  assert.deepEqual(
+    decodeMetricsRequest(Buffer.concat([buf, extra])),
+    decodeMetricsRequest(buf)
+  );
+
+  assert.throws(
+    () => decodeMetricsRequest(buf.subarray(0, buf.length - 3)),
+    /truncated/
+  );
+  assert.throws(
+    () => decodeMetricsRequest(Buffer.from([0x0a, 0x80])),
+    /truncated varint/
+  );
+  assert.throws(
+    () => decodeMetricsRequest(Buffer.from([0x7b])), // group start
+    /unsupported wire type 3/
+  );
+});
@@ -0,0 +1,148 @@
+/**
+ * scenario.test.js
+ *
+ * lib/scenario.js from a scenario author's side: the shipped timelines
+ * parse, a step comes back normalised and in time order, and every way a
+ * step can be malformed is refused with the step it came from. The player
+ * is then driven tick by tick through a ramp, an add window and a recover.
+ *
+ *   node --test test/
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createScenarioPlayer,
+  loadScenarioFile,
+  parseScenario,
+} from "../lib/scenario.js";
+
+test("the shipped scenarios parse", async () => {
+  for (const file of [
+    "scenarios/apache-spike-and-errors.json",
+    "scenarios/mysql-lock-storm.json",
+  ]) {
+    const scenario = await loadScenarioFile(
+      new URL(`../${file}`, import.meta.url).pathname
+    );
+    assert.ok(scenario.steps.length, file);
+  }
+});
+
+test("steps are normalised and sorted by time", () => {
+  const scenario = parseScenario({
+    steps: [
+      { at: 60, recover: true },
+      { at: 0, ramp: { req_per_sec: 400 }, over: 30, label: "ramp" },
+    ],
+  });
+  assert.equal(scenario.name, "scenario");
+  assert.equal(scenario.random_events, true);
+  assert.deepEqual(scenario.steps, [
+    {
+      at: 0,
+      label: "ramp",
+      set: {},
+      add: {},
+      ramp: { req_per_sec: 400 },
+      recover: false,
+      over: 30,
+      for: 0,
+    },
+    {
+      at: 60,
+      label: null,
+      set: {},
+      add: {},
+      ramp: {},
+      recover: true,
+      over: 0,
+      for: 0,
+    },
+  ]);
+  assert.equal(
+    parseScenario({ random_events: false, steps: [] }).random_events,
+    false
+  );
+});
+
+test("malformed scenarios are refused with the step at fault", () => {
+  const cases = [
+    [null, /expected an object with a steps array/],
+    [{ steps: {} }, /expected an object with a steps array/],
+    [{ steps: [3] }, /step 0 is not an object/],
+    [{ steps: [{ at: 1, set: {}, when: 2 }] }, /step 0: unknown key "when"/],
+    [{ steps: [{ set: { a: 1 } }] }, /step 0: "at" must be a number >= 0/],
+    [{ steps: [{ at: "10", set: { a: 1 } }] }, /"at" must be a number/],
+    [{ steps: [{ at: -1, set: { a: 1 } }] }, /"at" must be a number >= 0/],
+    [{ steps: [{ at: 0, ramp: { a: 1 }, over: -5 }] }, /"over" must be/],
+    [{ steps: [{ at: 0, add: { a: 1 }, for: "1m" }] }, /"for" must be/],
+    [
+      {
+        steps: [
+          { at: 0, set: {} },
+          { at: 0, set: 5 },
+        ],
+      },
+      /step 1: "set"/,
+    ],
+    [{ steps: [{ at: 0, add: { a: "1" } }] }, /add\.a must be a finite/],
+    [{ steps: [{ at: 0, ramp: { a: Infinity } }] }, /ramp\.a must be a fin/],
+    [{ steps: [{ at: 0, label: "nothing" }] }, /needs one of set, add/],
+  ];
+  for (const [raw, message] of cases)
+    assert.throws(() => parseScenario(raw), message, JSON.stringify(raw));
+  assert.throws(() => parseScenario(null), /^Error: invalid scenario: /);
+});
+
+test("the player ramps, adds for a window, then recovers", () => {
+  const state = { req_per_sec: 100, errors_total: 0, name: "web" };
+  const events = [];
+  const player = createScenarioPlayer(state, {
+    onEvent: (event) => events.push(event),
+  });
+  assert.throws(
+    () => player.load({ steps: [{ at: 0, set: { name: 1 } }] }),
+    /step 0: unknown numeric field "name"/
+  );
+  assert.throws(() => player.start(), /no scenario loaded/);
+
+  player.load({
+    name: "spike",
+    steps: [
+      { at: 0, ramp: { req_per_sec: 300 }, over: 4 },
+      { at: 2, add: { errors_total: 5 }, for: 2, label: "errors" },
+      { at: 6, recover: true, over: 2 },
+    ],
+  });
+  player.start();
+  const seen = [];
+  for (let t = 0; t <= 8; t++) {
+    player.apply();
+    seen.push([state.req_per_sec, state.errors_total]);
+  }
+  assert.deepEqual(seen, [
+    [100, 0],
+    [150, 0],
+    [200, 5],
+    [250, 10],
+    [300, 10],
+    [300, 10],
+    [300, 10],
+    [200, 10],
+    [100, 10], // recover moves set/ramp fields only
+  ]);
+  assert.equal(player.status().status, "finished");
+  assert.deepEqual(
+    events.filter((e) => e.type === "step").map((e) => [e.index, e.state]),
+    [
+      [0, "active"],
+      [1, "active"],
+      [0, "done"],
+      [1, "done"],
+      [2, "active"],
+      [2, "done"],
+    ]
+  );
+  assert.throws(() => player.pause(), /cannot pause: finished/);
+});
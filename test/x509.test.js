@@ -0,0 +1,172 @@
+/**
+ * x509.test.js
+ *
+ * Certificates minted by lib/x509.js, checked by the two readers that
+ * matter: Node's X.509 parser (names, dates, extensions, signatures under
+ * EC and RSA issuers) and a TLS client, which must accept the good one and
+ * refuse the broken ones for the same reasons it would refuse a real
+ * server's: expired, unknown issuer, another host.
+ *
+ *   node --test test/
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { once } from "node:events";
+import tls from "node:tls";
+import { createKeyPair, issueCertificate, toPem } from "../lib/x509.js";
+
+const DAY = 24 * 3600 * 1000;
+const notBefore = new Date("2024-01-01T00:00:00Z");
+const notAfter = new Date("2034-01-01T00:00:00Z");
+
+function createCa(subject = "Test CA", keys = createKeyPair()) {
+  const cert = issueCertificate({
+    subject,
+    ca: true,
+    notBefore,
+    notAfter,
+    publicKey: keys.publicKey,
+    signingKey: keys.privateKey,
+  });
+  return { cert, key: keys.privateKey };
+}
+
+function serverCert(ca, options = {}) {
+  const keys = createKeyPair();
+  const cert = issueCertificate({
+    subject: "localhost",
+    hostnames: ["localhost", "127.0.0.1", "::1"],
+    usage: "server",
+    notBefore,
+    notAfter,
+    publicKey: keys.publicKey,
+    issuer: ca,
+    ...options,
+  });
+  return { cert, key: toPem(keys.privateKey) };
+}
+
+test("a CA and the server certificate it issues parse and verify", () => {
+  const ca = createCa();
+  const root = new crypto.X509Certificate(ca.cert);
+  assert.ok(root.ca);
+  assert.ok(root.verify(root.publicKey)); // self-signed
+
+  const cert = new crypto.X509Certificate(serverCert(ca).cert);
+  assert.ok(!cert.ca);
+  assert.match(cert.subject, /CN=localhost/);
+  assert.match(cert.issuer, /CN=Test CA/);
+  assert.equal(new Date(cert.validFrom).toISOString(), notBefore.toISOString());
+  assert.equal(new Date(cert.validTo).toISOString(), notAfter.toISOString());
+  assert.equal(
+    cert.subjectAltName,
+    "DNS:localhost, IP Address:127.0.0.1, IP Address:0:0:0:0:0:0:0:1"
+  );
+  assert.deepEqual(cert.keyUsage, ["1.3.6.1.5.5.7.3.1"]); // serverAuth
+  assert.ok(cert.checkIssued(root));
+  assert.ok(cert.verify(root.publicKey));
+  assert.equal(cert.checkHost("localhost"), "localhost");
+  assert.equal(cert.checkIP("127.0.0.1"), "127.0.0.1");
+  assert.equal(cert.checkHost("example.com"), undefined);
+  // another CA's key does not verify it
+  assert.ok(
+    !cert.verify(new crypto.X509Certificate(createCa().cert).publicKey)
+  );
+});
+
+test("an RSA CA signs with sha256WithRSAEncryption", () => {
+  const rsa = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+  const ca = createCa("RSA CA", rsa);
+  const keys = createKeyPair();
+  const cert = new crypto.X509Certificate(
+    issueCertificate({
+      subject: "client",
+      usage: "client",
+      notBefore,
+      // GeneralizedTime from 2050 on
+      notAfter: new Date("2051-06-01T12:00:00Z"),
+      publicKey: keys.publicKey,
+      issuer: ca,
+    })
+  );
+  assert.ok(cert.verify(new crypto.X509Certificate(ca.cert).publicKey));
+  assert.equal(
+    new Date(cert.validTo).toISOString(),
+    "2051-06-01T12:00:00.000Z"
+  );
+  assert.deepEqual(cert.keyUsage, ["1.3.6.1.5.5.7.3.2"]); // clientAuth
+  assert.equal(cert.subjectAltName, undefined);
+});
+
+test("every random serial is a minimal DER INTEGER", () => {
+  // 1 serial in 256 starts with a 0 byte, which DER wants dropped
+  const ca = createCa();
+  const { publicKey } = createKeyPair();
+  for (let i = 0; i < 1024; i++) {
+    const cert = new crypto.X509Certificate(
+      issueCertificate({
+        subject: "leaf",
+        notBefore,
+        notAfter,
+        publicKey,
+        issuer: ca,
+      })
+    );
+    assert.doesNotMatch(cert.serialNumber, /^00/);
+  }
+});
+
+/* TLS handshake against a server using cert: null, or the client's error code */
+async function handshake(server, { ca, servername = "localhost" }) {
+  const listener = tls.createServer(server, (socket) => socket.end());
+  listener.listen(0, "127.0.0.1");
+  await once(listener, "listening");
+  try {
+    const socket = tls.connect({
+      port: listener.address().port,
+      host: "127.0.0.1",
+      servername,
+      ca,
+    });
+    const outcome = await new Promise((resolve) => {
+      socket.on("secureConnect", () => resolve(null));
+      socket.on("error", (err) => resolve(err.code));
+    });
+    socket.destroy();
+    return outcome;
+  } finally {
+    listener.close();
+  }
+}
+
+test("a TLS client accepts the good certificate and refuses the broken ones", async () => {
+  const ca = createCa();
+  assert.equal(await handshake(serverCert(ca), { ca: ca.cert }), null);
+
+  const now = Date.now();
+  const expired = serverCert(ca, {
+    notBefore: new Date(now - 30 * DAY),
+    notAfter: new Date(now - DAY),
+  });
+  assert.equal(await handshake(expired, { ca: ca.cert }), "CERT_HAS_EXPIRED");
+
+  const early = serverCert(ca, {
+    notBefore: new Date(now + DAY),
+    notAfter: new Date(now + 30 * DAY),
+  });
+  assert.equal(await handshake(early, { ca: ca.cert }), "CERT_NOT_YET_VALID");
+
+  const stranger = serverCert(createCa("Other CA"));
+  assert.equal(
+    await handshake(stranger, { ca: ca.cert }),
+    "UNABLE_TO_VERIFY_LEAF_SIGNATURE"
+  );
+
+  const elsewhere = serverCert(ca, { hostnames: ["db.example.com"] });
+  assert.equal(
+    await handshake(elsewhere, { ca: ca.cert }),
+    "ERR_TLS_CERT_ALTNAME_INVALID"
+  );
+});